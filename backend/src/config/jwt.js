@@ -5,13 +5,24 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { AuthenticationError } = require('../utils/errors');
+const { JWT } = require('../utils/constants');
 require('dotenv').config();
 
 // JWT Secret and expiration from environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your_super_secret_jwt_key_change_in_production';
-const JWT_EXPIRATION = process.env.JWT_EXPIRATION || '24h';
+const JWT_EXPIRATION = process.env.JWT_EXPIRATION || JWT.ACCESS_EXPIRATION;
+const JWT_REFRESH_EXPIRATION = process.env.JWT_REFRESH_EXPIRATION || JWT.REFRESH_EXPIRATION;
+
+// Milliseconds per duration unit ("30s", "15m", "24h", "7d")
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
 
 /**
  * Generate JWT Token
@@ -63,6 +74,7 @@ const decodeToken = (token) => {
 
 /**
  * Generate token for user authentication
+ * Each token gets a unique jti so it can be revoked on its own
  * @param {Object} user - User object
  * @returns {String} JWT token
  */
@@ -70,11 +82,47 @@ const generateAuthToken = (user) => {
   const payload = {
     id: user.id,
     email: user.email,
-    rolId: user.rolId
+    rolId: user.rolId,
+    jti: crypto.randomUUID()
   };
   return generateToken(payload);
 };
 
+/**
+ * Generate token for an admin acting as another user
+ * Carries both users: id scopes the data, impersonatorId is who really acts.
+ * It is not paired with a refresh token session, so it cannot be refreshed
+ * @param {Object} user - Impersonated user
+ * @param {Object} impersonator - Admin opening the session
+ * @returns {String} JWT token
+ */
+const generateImpersonationToken = (user, impersonator) => {
+  const payload = {
+    id: user.id,
+    email: user.email,
+    rolId: user.rolId,
+    impersonatorId: impersonator.id,
+    jti: crypto.randomUUID()
+  };
+  return generateToken(payload);
+};
+
+/**
+ * Convert a duration string to milliseconds
+ * Used for expirations that are stored in the database instead of signed
+ * @param {String} duration - Duration such as "15m" or "7d"
+ * @returns {Number} Duration in milliseconds
+ */
+const durationToMs = (duration) => {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(duration).trim());
+
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+};
+
 /**
  * Extract token from Authorization header
  * @param {String} authHeader - Authorization header value
@@ -96,9 +144,12 @@ const extractTokenFromHeader = (authHeader) => {
 module.exports = {
   JWT_SECRET,
   JWT_EXPIRATION,
+  JWT_REFRESH_EXPIRATION,
   generateToken,
   verifyToken,
   decodeToken,
   generateAuthToken,
+  generateImpersonationToken,
+  durationToMs,
   extractTokenFromHeader
 };
\ No newline at end of file
@@ -6,11 +6,24 @@
 'use strict';
 
 const authService = require('../services/authService');
+const mfaService = require('../services/mfaService');
+const passwordResetService = require('../services/passwordResetService');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { successResponse } = require('../utils/responses');
 const { HTTP_STATUS } = require('../utils/constants');
 const logger = require('../utils/logger');
 
+/**
+ * Get Session Context
+ * Device and IP recorded with the refresh token session
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ip }
+ */
+const getSessionContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
 /**
  * Login
  * POST /api/auth/login
@@ -21,11 +34,26 @@ const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
   // Authenticate user
-  const result = await authService.authenticateUser(email, password);
+  const result = await authService.authenticateUser(email, password, getSessionContext(req));
+
+  // Password accepted, second factor still pending
+  if (result.mfaRequired) {
+    return successResponse(
+      res,
+      result,
+      result.mfaSetupRequired ? 'Two-factor enrolment required' : 'Two-factor verification required',
+      HTTP_STATUS.OK
+    );
+  }
+
+  // Credentials accepted, the expired password must be changed first
+  if (result.passwordChangeRequired) {
+    return successResponse(res, result, 'Password change required', HTTP_STATUS.OK);
+  }
 
   logger.info(`User logged in: ${email}`);
 
-  // Return user data and token
+  // Return user data, access token and refresh token
   return successResponse(
     res,
     result,
@@ -34,16 +62,150 @@ const login = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Forgot Password
+ * POST /api/auth/forgot-password
+ * Emails a password reset link. The response is the same whether or not the
+ * email exists, and the link is sent in the background so timing doesn't tell either
+ * @requires captchaMiddleware (verifyCaptcha)
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  passwordResetService
+    .requestPasswordReset(email, getSessionContext(req))
+    .catch(() => {
+      // Already logged by the service, the client gets the same answer
+    });
+
+  return successResponse(
+    res,
+    null,
+    'If the email is registered, a password reset link has been sent',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Reset Password
+ * POST /api/auth/reset-password
+ * Sets a new password with the token from the reset link and logs out every session
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  await passwordResetService.resetPassword(token, newPassword);
+
+  return successResponse(
+    res,
+    null,
+    'Password reset successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Verify MFA
+ * POST /api/auth/mfa/verify
+ * Second login step: exchanges the mfaToken and a TOTP or recovery code for a session
+ */
+const verifyMfa = asyncHandler(async (req, res) => {
+  const { mfaToken, code } = req.body;
+
+  const result = await authService.verifyMfaLogin(mfaToken, code, getSessionContext(req));
+
+  if (result.passwordChangeRequired) {
+    return successResponse(res, result, 'Password change required', HTTP_STATUS.OK);
+  }
+
+  logger.info(`User logged in: ${result.user.email}`);
+
+  return successResponse(
+    res,
+    result,
+    'Login successful',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Setup MFA
+ * POST /api/auth/mfa/setup
+ * Starts two-factor enrolment, returns the secret and its otpauth:// URI (QR code)
+ * @requires authMiddleware (verifyAuthOrMfaSetup)
+ */
+const setupMfa = asyncHandler(async (req, res) => {
+  const result = await mfaService.startEnrollment(req.user.id);
+
+  return successResponse(
+    res,
+    result,
+    'Two-factor enrolment started',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Enable MFA
+ * POST /api/auth/mfa/enable
+ * Confirms enrolment with a code from the authenticator app and returns the recovery codes
+ * During a forced enrolment at login the session is started as well
+ * @requires authMiddleware (verifyAuthOrMfaSetup)
+ */
+const enableMfa = asyncHandler(async (req, res) => {
+  const recoveryCodes = await mfaService.confirmEnrollment(req.user.id, req.body.code);
+
+  let result = { recoveryCodes };
+
+  if (req.mfaPending) {
+    const session = await authService.startUserSession(req.user.id, getSessionContext(req));
+    result = { ...session, recoveryCodes };
+
+    logger.info(`Two-factor enrolment completed at login - User ID: ${req.user.id}`);
+  }
+
+  return successResponse(
+    res,
+    result,
+    'Two-factor authentication enabled',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Disable MFA
+ * POST /api/auth/mfa/disable
+ * Turns two-factor authentication off (not allowed when the role requires it)
+ * @requires authMiddleware (verifyAuth)
+ */
+const disableMfa = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+  const user = req.user;
+
+  await mfaService.disableMfa(user.id, password, code);
+
+  logger.info(`Two-factor authentication disabled by user: ${user.email}`);
+
+  return successResponse(
+    res,
+    null,
+    'Two-factor authentication disabled',
+    HTTP_STATUS.OK
+  );
+});
+
 /**
  * Logout
  * POST /api/auth/logout
- * Logs out current user (client-side token removal)
- * This is mainly for logging purposes, actual logout happens on client
+ * Revokes the refresh token session sent in the body and the access token of the request
+ * @requires authMiddleware (optionalAuth)
  */
 const logout = asyncHandler(async (req, res) => {
-  // Get user from req (set by authMiddleware)
+  // Get user from req (set by authMiddleware, null if the access token expired)
   const user = req.user;
 
+  await authService.logoutUser(req.body.refreshToken, user ? req.tokenPayload : null);
+
   if (user) {
     logger.info(`User logged out: ${user.email}`);
   }
@@ -56,6 +218,65 @@ const logout = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Logout Everywhere
+ * POST /api/auth/logout-all
+ * Revokes every session and access token of the current user (all devices)
+ * @requires authMiddleware (verifyAuth)
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  const revokedSessions = await authService.logoutUserEverywhere(user.id);
+
+  logger.info(`User logged out everywhere: ${user.email}`);
+
+  return successResponse(
+    res,
+    { revokedSessions },
+    'Logged out from all devices',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Impersonate User
+ * POST /api/auth/impersonate/:userId
+ * Returns a token to act as another user, without a refresh token
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:impersonate)
+ */
+const impersonate = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const currentUser = req.user;
+
+  const result = await authService.impersonateUser(currentUser, userId);
+
+  return successResponse(
+    res,
+    result,
+    'Impersonation started',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Stop Impersonation
+ * POST /api/auth/impersonate/stop
+ * Revokes the impersonation token of the request
+ * @requires authMiddleware (verifyAuth)
+ */
+const stopImpersonation = asyncHandler(async (req, res) => {
+  await authService.stopImpersonation(req.user, req.tokenPayload);
+
+  return successResponse(
+    res,
+    null,
+    'Impersonation ended',
+    HTTP_STATUS.OK
+  );
+});
+
 /**
  * Verify Token
  * GET /api/auth/verify
@@ -71,7 +292,7 @@ const verifyToken = asyncHandler(async (req, res) => {
 
   return successResponse(
     res,
-    userData,
+    { ...userData, impersonadoPor: user.impersonadoPor },
     'Token is valid',
     HTTP_STATUS.OK
   );
@@ -102,7 +323,8 @@ const getProfile = asyncHandler(async (req, res) => {
  * Change Password
  * PUT /api/auth/change-password
  * Changes current user's password
- * @requires authMiddleware (verifyAuth)
+ * When the login returned passwordChangeRequired the session is started as well
+ * @requires authMiddleware (verifyAuthOrPasswordChange)
  */
 const changePassword = asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
@@ -111,11 +333,19 @@ const changePassword = asyncHandler(async (req, res) => {
   // Change password
   await authService.changeUserPassword(user.id, currentPassword, newPassword);
 
-  logger.info(`Password changed for user: ${user.email}`);
+  logger.info(`Password changed for user ID: ${user.id}`);
+
+  let result = null;
+
+  if (req.passwordChangePending) {
+    result = await authService.startUserSession(user.id, getSessionContext(req));
+
+    logger.info(`User logged in after changing an expired password - User ID: ${user.id}`);
+  }
 
   return successResponse(
     res,
-    null,
+    result,
     'Password changed successfully',
     HTTP_STATUS.OK
   );
@@ -124,31 +354,17 @@ const changePassword = asyncHandler(async (req, res) => {
 /**
  * Refresh Token
  * POST /api/auth/refresh
- * Generates a new token for authenticated user
- * @requires authMiddleware (verifyAuth)
+ * Exchanges a refresh token for a new access token and a new refresh token
+ * The refresh token sent is revoked, reusing it revokes the whole session
  */
 const refreshToken = asyncHandler(async (req, res) => {
-  const user = req.user;
-
-  // Re-authenticate to get new token
-  const result = await authService.verifyUserToken(user.id);
+  const result = await authService.refreshUserSession(req.body.refreshToken, getSessionContext(req));
 
-  // Generate new token (this would require updating authService to return token)
-  const { generateToken } = require('../config/jwt');
-  const newToken = generateToken({
-    id: user.id,
-    email: user.email,
-    rolId: user.rolId
-  });
-
-  logger.info(`Token refreshed for user: ${user.email}`);
+  logger.info(`Token refreshed for user: ${result.user.email}`);
 
   return successResponse(
     res,
-    {
-      user: result,
-      token: newToken
-    },
+    result,
     'Token refreshed successfully',
     HTTP_STATUS.OK
   );
@@ -156,7 +372,16 @@ const refreshToken = asyncHandler(async (req, res) => {
 
 module.exports = {
   login,
+  forgotPassword,
+  resetPassword,
+  verifyMfa,
+  setupMfa,
+  enableMfa,
+  disableMfa,
   logout,
+  logoutAll,
+  impersonate,
+  stopImpersonation,
   verifyToken,
   getProfile,
   changePassword,
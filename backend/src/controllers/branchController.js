@@ -0,0 +1,156 @@
+/**
+ * Branch Controller
+ * Handles HTTP requests for branch (sucursal) endpoints
+ */
+
+'use strict';
+
+const branchService = require('../services/branchService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { successResponse, createdResponse } = require('../utils/responses');
+const { HTTP_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Get All Branches
+ * GET /api/branches
+ * Returns list of all branches (inactive ones included)
+ * @requires authMiddleware (verifyAuth)
+ */
+const getAllBranches = asyncHandler(async (req, res) => {
+  const { activo } = req.query;
+
+  // Build filters
+  const filters = {};
+  if (activo !== undefined) filters.activo = activo === 'true';
+
+  const branches = await branchService.findAllBranches(filters);
+
+  return successResponse(
+    res,
+    branches,
+    'Branches retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Get Branch by ID
+ * GET /api/branches/:id
+ * Returns a single branch by ID
+ * @requires authMiddleware (verifyAuth)
+ */
+const getBranchById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const branch = await branchService.findBranchById(parseInt(id));
+
+  return successResponse(
+    res,
+    branch,
+    'Branch retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Create Branch
+ * POST /api/branches
+ * Creates a new branch
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission catalog:manage)
+ */
+const createBranch = asyncHandler(async (req, res) => {
+  const { nombre, ciudad, activo } = req.body;
+  const currentUser = req.user;
+
+  const branch = await branchService.createNewBranch({ nombre, ciudad, activo });
+
+  logger.info(`Branch created: ${branch.nombre} by ${currentUser.email}`);
+
+  return createdResponse(
+    res,
+    branch,
+    'Branch created successfully'
+  );
+});
+
+/**
+ * Update Branch
+ * PUT /api/branches/:id
+ * Updates a branch's name, city or active flag
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission catalog:manage)
+ */
+const updateBranch = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { nombre, ciudad, activo } = req.body;
+  const currentUser = req.user;
+
+  const branch = await branchService.updateBranchById(parseInt(id), { nombre, ciudad, activo });
+
+  logger.info(`Branch updated: ID ${id} by ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    branch,
+    'Branch updated successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Update Branch Status
+ * PATCH /api/branches/:id/status
+ * Activates or deactivates a branch
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission catalog:manage)
+ */
+const updateBranchStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { activo } = req.body;
+  const currentUser = req.user;
+
+  const branch = await branchService.updateBranchById(parseInt(id), { activo });
+
+  logger.info(`Branch ${activo ? 'activated' : 'deactivated'}: ID ${id} by ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    branch,
+    activo ? 'Branch activated successfully' : 'Branch deactivated successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Delete Branch
+ * DELETE /api/branches/:id
+ * Deletes a branch without users or sales
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission catalog:manage)
+ */
+const deleteBranch = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  await branchService.deleteBranchById(parseInt(id));
+
+  logger.info(`Branch deleted: ID ${id} by ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    null,
+    'Branch deleted successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+module.exports = {
+  getAllBranches,
+  getBranchById,
+  createBranch,
+  updateBranch,
+  updateBranchStatus,
+  deleteBranch
+};
@@ -0,0 +1,201 @@
+/**
+ * Client Controller
+ * Handles HTTP requests for client (customer) management endpoints
+ */
+
+'use strict';
+
+const clientService = require('../services/clientService');
+const saleService = require('../services/saleService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { successResponse, createdResponse } = require('../utils/responses');
+const { HTTP_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Get All Clients
+ * GET /api/clients
+ * Returns list of clients with permission-based scoping, search and pagination
+ * @requires authMiddleware (verifyAuth)
+ */
+const getAllClients = asyncHandler(async (req, res) => {
+  const { search, tipoDocumento, page, limit } = req.query;
+  const currentUser = req.user;
+
+  // Build filters
+  const filters = {};
+  if (search) filters.search = search;
+  if (tipoDocumento) filters.tipoDocumento = tipoDocumento;
+
+  // Build pagination
+  const pagination = {};
+  if (page) pagination.page = parseInt(page);
+  if (limit) pagination.limit = parseInt(limit);
+
+  const result = await clientService.findAllClients(
+    filters,
+    currentUser.permisos,
+    currentUser.id,
+    pagination
+  );
+
+  return successResponse(
+    res,
+    result,
+    'Clients retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Get Client by ID
+ * GET /api/clients/:id
+ * Returns a single client with permission-based access check
+ * @requires authMiddleware (verifyAuth)
+ */
+const getClientById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  const client = await clientService.findClientById(
+    parseInt(id),
+    currentUser.permisos,
+    currentUser.id
+  );
+
+  return successResponse(
+    res,
+    client,
+    'Client retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Create Client
+ * POST /api/clients
+ * Creates a new client
+ * @requires authMiddleware (verifyAuth)
+ */
+const createClient = asyncHandler(async (req, res) => {
+  const { tipoDocumento, numeroDocumento, nombreCompleto, telefono, email, ingresosMensuales } = req.body;
+  const currentUser = req.user;
+
+  const client = await clientService.createNewClient({
+    tipoDocumento,
+    numeroDocumento,
+    nombreCompleto,
+    telefono,
+    email,
+    ingresosMensuales
+  }, currentUser.actorId);
+
+  logger.info(`Client created: ID ${client.id} by user ${currentUser.email}`);
+
+  return createdResponse(
+    res,
+    client,
+    'Client created successfully'
+  );
+});
+
+/**
+ * Update Client
+ * PUT /api/clients/:id
+ * Updates an existing client with permission-based access check
+ * @requires authMiddleware (verifyAuth)
+ */
+const updateClient = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { tipoDocumento, numeroDocumento, nombreCompleto, telefono, email, ingresosMensuales } = req.body;
+  const currentUser = req.user;
+
+  // Build update data
+  const updateData = {};
+  if (tipoDocumento !== undefined) updateData.tipoDocumento = tipoDocumento;
+  if (numeroDocumento !== undefined) updateData.numeroDocumento = numeroDocumento;
+  if (nombreCompleto !== undefined) updateData.nombreCompleto = nombreCompleto;
+  if (telefono !== undefined) updateData.telefono = telefono;
+  if (email !== undefined) updateData.email = email;
+  if (ingresosMensuales !== undefined) updateData.ingresosMensuales = ingresosMensuales;
+
+  const client = await clientService.updateClientById(
+    parseInt(id),
+    updateData,
+    currentUser.permisos,
+    currentUser.id,
+    currentUser.actorId
+  );
+
+  logger.info(`Client updated: ID ${id} by user ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    client,
+    'Client updated successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Delete Client
+ * DELETE /api/clients/:id
+ * Deletes a client without sales
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission clients:delete)
+ */
+const deleteClient = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  await clientService.deleteClientById(parseInt(id));
+
+  logger.info(`Client deleted: ID ${id} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    null,
+    'Client deleted successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Get Client Sales
+ * GET /api/clients/:id/sales
+ * Returns the sales of a client (without sales:read:any only the user's own or team sales)
+ * @requires authMiddleware (verifyAuth)
+ */
+const getClientSales = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page, limit } = req.query;
+  const currentUser = req.user;
+
+  // Build pagination
+  const pagination = {};
+  if (page) pagination.page = parseInt(page);
+  if (limit) pagination.limit = parseInt(limit);
+
+  const result = await saleService.findClientSales(
+    parseInt(id),
+    currentUser.permisos,
+    currentUser.id,
+    pagination
+  );
+
+  return successResponse(
+    res,
+    result,
+    'Client sales retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+module.exports = {
+  getAllClients,
+  getClientById,
+  createClient,
+  updateClient,
+  deleteClient,
+  getClientSales
+};
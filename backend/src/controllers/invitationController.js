@@ -0,0 +1,147 @@
+/**
+ * Invitation Controller
+ * Handles HTTP requests for user invitations: managed by admins under
+ * /api/users/invitations, accepted by the invited user under /api/auth
+ */
+
+'use strict';
+
+const invitationService = require('../services/invitationService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { successResponse, createdResponse } = require('../utils/responses');
+const { HTTP_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Get Pending Invitations
+ * GET /api/users/invitations
+ * Returns the invitations not accepted yet
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:manage)
+ */
+const getPendingInvitations = asyncHandler(async (req, res) => {
+  const invitations = await invitationService.findPendingInvitations();
+
+  return successResponse(
+    res,
+    invitations,
+    'Pending invitations retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Invite User
+ * POST /api/users/invitations
+ * Creates a user without a password and emails them the invitation link
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:manage)
+ */
+const inviteUser = asyncHandler(async (req, res) => {
+  const { nombre, email, rolId, sucursalId } = req.body;
+  const currentUser = req.user;
+
+  const invitation = await invitationService.inviteUser(
+    { nombre, email, rolId, sucursalId },
+    currentUser.actorId
+  );
+
+  logger.info(`User invited: ${invitation.email} by admin ${currentUser.email}`);
+
+  return createdResponse(
+    res,
+    invitation,
+    'Invitation sent successfully'
+  );
+});
+
+/**
+ * Resend Invitation
+ * POST /api/users/invitations/:id/resend
+ * Emails a new link, the previous one stops working
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:manage)
+ */
+const resendInvitation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  const invitation = await invitationService.resendInvitation(parseInt(id));
+
+  logger.info(`Invitation resent: ${invitation.email} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    invitation,
+    'Invitation resent successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Revoke Invitation
+ * DELETE /api/users/invitations/:id
+ * Removes the pending user and its invitation
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:manage)
+ */
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  await invitationService.revokeInvitation(parseInt(id));
+
+  logger.info(`Invitation revoked: ID ${id} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    null,
+    'Invitation revoked successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Get Invitation
+ * GET /api/auth/invitations/:token
+ * Returns the name and email of a valid invitation for the accept page
+ */
+const getInvitation = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const invitation = await invitationService.getInvitationByToken(token);
+
+  return successResponse(
+    res,
+    invitation,
+    'Invitation is valid',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Accept Invitation
+ * POST /api/auth/accept-invite
+ * Sets the password chosen by the invited user, who then logs in as usual
+ */
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const result = await invitationService.acceptInvitation(token, password);
+
+  return successResponse(
+    res,
+    result,
+    'Invitation accepted successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+module.exports = {
+  getPendingInvitations,
+  inviteUser,
+  resendInvitation,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation
+};
@@ -1,38 +1,36 @@
 /**
  * Product Controller
- * Handles HTTP requests for products, franchises, and roles endpoints
+ * Handles HTTP requests for products and franchises endpoints
  */
 
 'use strict';
 
-const { Product, Franchise, Role } = require('../models');
+const { Product } = require('../models');
+const productService = require('../services/productService');
+const franchiseService = require('../services/franchiseService');
 const { asyncHandler } = require('../middleware/errorMiddleware');
-const { successResponse } = require('../utils/responses');
-const { NotFoundError } = require('../utils/errors');
+const { successResponse, createdResponse } = require('../utils/responses');
 const { HTTP_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
 
 /**
  * Get All Products
  * GET /api/products
- * Returns list of all products
+ * Returns list of all products with their sale rules (inactive ones included)
  * @requires authMiddleware (verifyAuth)
  */
 const getAllProducts = asyncHandler(async (req, res) => {
-  // Get all products
-  const products = await Product.findAll({
-    attributes: ['id', 'nombre'],
-    order: [['id', 'ASC']]
-  });
+  const { activo } = req.query;
+
+  // Build filters
+  const filters = {};
+  if (activo !== undefined) filters.activo = activo === 'true';
 
-  // Format products
-  const formattedProducts = products.map(product => ({
-    id: product.id,
-    nombre: product.nombre
-  }));
+  const products = await productService.findAllProducts(filters);
 
   return successResponse(
     res,
-    formattedProducts,
+    products,
     'Products retrieved successfully',
     HTTP_STATUS.OK
   );
@@ -47,22 +45,99 @@ const getAllProducts = asyncHandler(async (req, res) => {
 const getProductById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  // Get product
-  const product = await Product.findByPk(id, {
-    attributes: ['id', 'nombre']
+  const product = await productService.findProductById(parseInt(id));
+
+  return successResponse(
+    res,
+    product,
+    'Product retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Create Product
+ * POST /api/products
+ * Creates a new product with its sale rules
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission catalog:manage)
+ */
+const createProduct = asyncHandler(async (req, res) => {
+  const { nombre, activo, requiresFranchise, requiresRate, minAmount, maxAmount, minRate, maxRate } = req.body;
+  const currentUser = req.user;
+
+  const product = await productService.createNewProduct({
+    nombre,
+    activo,
+    requiresFranchise,
+    requiresRate,
+    minAmount,
+    maxAmount,
+    minRate,
+    maxRate
   });
 
-  if (!product) {
-    throw new NotFoundError('Product not found');
-  }
+  logger.info(`Product created: ${product.nombre} by admin ${currentUser.email}`);
+
+  return createdResponse(
+    res,
+    product,
+    'Product created successfully'
+  );
+});
+
+/**
+ * Update Product
+ * PUT /api/products/:id
+ * Updates a product's name, rules or active flag
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission catalog:manage)
+ */
+const updateProduct = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { nombre, activo, requiresFranchise, requiresRate, minAmount, maxAmount, minRate, maxRate } = req.body;
+  const currentUser = req.user;
+
+  const product = await productService.updateProductById(parseInt(id), {
+    nombre,
+    activo,
+    requiresFranchise,
+    requiresRate,
+    minAmount,
+    maxAmount,
+    minRate,
+    maxRate
+  });
+
+  logger.info(`Product updated: ID ${id} by admin ${currentUser.email}`);
 
   return successResponse(
     res,
-    {
-      id: product.id,
-      nombre: product.nombre
-    },
-    'Product retrieved successfully',
+    product,
+    'Product updated successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Deactivate Product
+ * DELETE /api/products/:id
+ * Deactivates a product; it is kept for existing sales
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission catalog:manage)
+ */
+const deactivateProduct = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  const product = await productService.deactivateProductById(parseInt(id));
+
+  logger.info(`Product deactivated: ID ${id} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    product,
+    'Product deactivated successfully',
     HTTP_STATUS.OK
   );
 });
@@ -70,25 +145,21 @@ const getProductById = asyncHandler(async (req, res) => {
 /**
  * Get All Franchises
  * GET /api/franchises
- * Returns list of all franchises
+ * Returns list of all franchises (inactive ones included)
  * @requires authMiddleware (verifyAuth)
  */
 const getAllFranchises = asyncHandler(async (req, res) => {
-  // Get all franchises
-  const franchises = await Franchise.findAll({
-    attributes: ['id', 'nombre'],
-    order: [['nombre', 'ASC']]
-  });
+  const { activo } = req.query;
+
+  // Build filters
+  const filters = {};
+  if (activo !== undefined) filters.activo = activo === 'true';
 
-  // Format franchises
-  const formattedFranchises = franchises.map(franchise => ({
-    id: franchise.id,
-    nombre: franchise.nombre
-  }));
+  const franchises = await franchiseService.findAllFranchises(filters);
 
   return successResponse(
     res,
-    formattedFranchises,
+    franchises,
     'Franchises retrieved successfully',
     HTTP_STATUS.OK
   );
@@ -103,51 +174,105 @@ const getAllFranchises = asyncHandler(async (req, res) => {
 const getFranchiseById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  // Get franchise
-  const franchise = await Franchise.findByPk(id, {
-    attributes: ['id', 'nombre']
-  });
-
-  if (!franchise) {
-    throw new NotFoundError('Franchise not found');
-  }
+  const franchise = await franchiseService.findFranchiseById(parseInt(id));
 
   return successResponse(
     res,
-    {
-      id: franchise.id,
-      nombre: franchise.nombre
-    },
+    franchise,
     'Franchise retrieved successfully',
     HTTP_STATUS.OK
   );
 });
 
 /**
- * Get All Roles
- * GET /api/roles
- * Returns list of all roles
+ * Create Franchise
+ * POST /api/franchises
+ * Creates a new franchise
  * @requires authMiddleware (verifyAuth)
- * @requires roleMiddleware (isAdmin) - Only admins need to see roles
+ * @requires roleMiddleware (requirePermission catalog:manage)
  */
-const getAllRoles = asyncHandler(async (req, res) => {
-  // Get all roles
-  const roles = await Role.findAll({
-    attributes: ['id', 'nombre', 'descripcion'],
-    order: [['id', 'ASC']]
-  });
+const createFranchise = asyncHandler(async (req, res) => {
+  const { nombre, activo } = req.body;
+  const currentUser = req.user;
+
+  const franchise = await franchiseService.createNewFranchise({ nombre, activo });
+
+  logger.info(`Franchise created: ${franchise.nombre} by admin ${currentUser.email}`);
+
+  return createdResponse(
+    res,
+    franchise,
+    'Franchise created successfully'
+  );
+});
+
+/**
+ * Update Franchise
+ * PUT /api/franchises/:id
+ * Updates a franchise's name or active flag
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission catalog:manage)
+ */
+const updateFranchise = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { nombre, activo } = req.body;
+  const currentUser = req.user;
+
+  const franchise = await franchiseService.updateFranchiseById(parseInt(id), { nombre, activo });
+
+  logger.info(`Franchise updated: ID ${id} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    franchise,
+    'Franchise updated successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Update Franchise Status
+ * PATCH /api/franchises/:id/status
+ * Activates or deactivates a franchise
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission catalog:manage)
+ */
+const updateFranchiseStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { activo } = req.body;
+  const currentUser = req.user;
+
+  const franchise = await franchiseService.updateFranchiseById(parseInt(id), { activo });
+
+  logger.info(`Franchise ${activo ? 'activated' : 'deactivated'}: ID ${id} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    franchise,
+    activo ? 'Franchise activated successfully' : 'Franchise deactivated successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Delete Franchise
+ * DELETE /api/franchises/:id
+ * Deletes a franchise that no sale uses
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission catalog:manage)
+ */
+const deleteFranchise = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  await franchiseService.deleteFranchiseById(parseInt(id));
 
-  // Format roles
-  const formattedRoles = roles.map(role => ({
-    id: role.id,
-    nombre: role.nombre,
-    descripcion: role.descripcion
-  }));
+  logger.info(`Franchise deleted: ID ${id} by admin ${currentUser.email}`);
 
   return successResponse(
     res,
-    formattedRoles,
-    'Roles retrieved successfully',
+    null,
+    'Franchise deleted successfully',
     HTTP_STATUS.OK
   );
 });
@@ -178,8 +303,14 @@ const getProductTypes = asyncHandler(async (req, res) => {
 module.exports = {
   getAllProducts,
   getProductById,
+  createProduct,
+  updateProduct,
+  deactivateProduct,
   getAllFranchises,
   getFranchiseById,
-  getAllRoles,
+  createFranchise,
+  updateFranchise,
+  updateFranchiseStatus,
+  deleteFranchise,
   getProductTypes
 };
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Role Controller
+ * Handles HTTP requests for roles and permissions endpoints
+ */
+
+'use strict';
+
+const roleService = require('../services/roleService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { successResponse, createdResponse } = require('../utils/responses');
+const { HTTP_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Get All Roles
+ * GET /api/roles
+ * Returns list of all roles with their permissions
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission roles:manage or users:read)
+ */
+const getAllRoles = asyncHandler(async (req, res) => {
+  const roles = await roleService.findAllRoles();
+
+  return successResponse(
+    res,
+    roles,
+    'Roles retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Get All Permissions
+ * GET /api/roles/permissions
+ * Returns the permission catalog roles can be granted
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission roles:manage)
+ */
+const getAllPermissions = asyncHandler(async (req, res) => {
+  const permissions = await roleService.findAllPermissions();
+
+  return successResponse(
+    res,
+    permissions,
+    'Permissions retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Create Role
+ * POST /api/roles
+ * Creates a new role with its permissions
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission roles:manage)
+ */
+const createRole = asyncHandler(async (req, res) => {
+  const { nombre, descripcion, requiereMfa, permisos } = req.body;
+  const currentUser = req.user;
+
+  const role = await roleService.createNewRole({ nombre, descripcion, requiereMfa, permisos });
+
+  logger.info(`Role created: ${role.nombre} by admin ${currentUser.email}`);
+
+  return createdResponse(
+    res,
+    role,
+    'Role created successfully'
+  );
+});
+
+/**
+ * Update Role
+ * PUT /api/roles/:id
+ * Updates a role's data and replaces its permissions
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission roles:manage)
+ */
+const updateRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { nombre, descripcion, requiereMfa, permisos } = req.body;
+  const currentUser = req.user;
+
+  const role = await roleService.updateRoleById(
+    parseInt(id),
+    { nombre, descripcion, requiereMfa, permisos },
+    currentUser
+  );
+
+  logger.info(`Role updated: ${role.nombre} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    role,
+    'Role updated successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Update Role MFA Requirement
+ * PATCH /api/roles/:id/mfa
+ * Requires (or stops requiring) two-factor authentication for every user of a role
+ * Users without 2FA are asked to enrol on their next login
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission roles:manage)
+ */
+const updateRoleMfa = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { requiereMfa } = req.body;
+  const currentUser = req.user;
+
+  const role = await roleService.updateRoleById(parseInt(id), { requiereMfa }, currentUser);
+
+  logger.info(`Two-factor ${requiereMfa ? 'required' : 'no longer required'} for role ${role.nombre} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    role,
+    'Role updated successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Delete Role
+ * DELETE /api/roles/:id
+ * Deletes a role that has no users
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission roles:manage)
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  await roleService.deleteRoleById(parseInt(id));
+
+  logger.info(`Role deleted: ID ${id} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    null,
+    'Role deleted successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+module.exports = {
+  getAllRoles,
+  getAllPermissions,
+  createRole,
+  updateRole,
+  updateRoleMfa,
+  deleteRole
+};
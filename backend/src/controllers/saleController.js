@@ -1,44 +1,64 @@
 /**
  * Sale Controller
- * Handles HTTP requests for sale management endpoints with role-based access control
+ * Handles HTTP requests for sale management endpoints with permission-based access control
  */
 
 'use strict';
 
 const saleService = require('../services/saleService');
+const saleImportService = require('../services/saleImportService');
+const saleExportService = require('../services/saleExportService');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { successResponse, createdResponse } = require('../utils/responses');
 const { HTTP_STATUS } = require('../utils/constants');
 const logger = require('../utils/logger');
 
+/**
+ * Set Sale ETag
+ * The ETag of a sale is its version, sent back in If-Match to update it
+ * @param {Object} res - Express response
+ * @param {Object} sale - Sale data with version
+ */
+const setSaleEtag = (res, sale) => {
+  res.set('ETag', `"${sale.version}"`);
+};
+
 /**
  * Get All Sales
  * GET /api/sales
- * Returns list of sales with role-based filtering and pagination
- * Admins see all sales, Advisors only see their own
+ * Returns list of sales with permission-based filtering, search, sorting and pagination
+ * Users with sales:read:any see all sales, with sales:read:team their teams' too, everyone else only their own
  * @requires authMiddleware (verifyAuth)
  */
 const getAllSales = asyncHandler(async (req, res) => {
-  const { productoId, estado, startDate, endDate, usuarioCreadorId, page, limit } = req.query;
+  const {
+    clienteId, productoId, estado, startDate, endDate, usuarioCreadorId, sucursalId, q,
+    page, limit, sortBy, sortDir
+  } = req.query;
   const currentUser = req.user;
 
   // Build filters
   const filters = {};
+  if (clienteId) filters.clienteId = parseInt(clienteId);
   if (productoId) filters.productoId = parseInt(productoId);
   if (estado) filters.estado = estado;
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
   if (usuarioCreadorId) filters.usuarioCreadorId = parseInt(usuarioCreadorId);
+  if (sucursalId) filters.sucursalId = parseInt(sucursalId);
+  if (q) filters.q = q;
 
-  // Build pagination
+  // Build pagination and sorting
   const pagination = {};
   if (page) pagination.page = parseInt(page);
   if (limit) pagination.limit = parseInt(limit);
+  if (sortBy) pagination.sortBy = sortBy;
+  if (sortDir) pagination.sortDir = sortDir;
 
-  // Get sales with role-based filtering
+  // Get sales with permission-based filtering
   const result = await saleService.findAllSales(
     filters,
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
     pagination
   );
@@ -51,10 +71,48 @@ const getAllSales = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Export Sales
+ * GET /api/sales/export?format=csv|xlsx|pdf
+ * Streams the sales matching the list filters as a file download
+ * Users with sales:read:any export all sales, with sales:read:team their teams' too, everyone else only their own
+ * @requires authMiddleware (verifyAuth)
+ */
+const exportSales = asyncHandler(async (req, res) => {
+  const { format, clienteId, productoId, estado, startDate, endDate, usuarioCreadorId, sucursalId, q } = req.query;
+  const currentUser = req.user;
+
+  // Build filters
+  const filters = {};
+  if (clienteId) filters.clienteId = parseInt(clienteId);
+  if (productoId) filters.productoId = parseInt(productoId);
+  if (estado) filters.estado = estado;
+  if (startDate) filters.startDate = startDate;
+  if (endDate) filters.endDate = endDate;
+  if (usuarioCreadorId) filters.usuarioCreadorId = parseInt(usuarioCreadorId);
+  if (sucursalId) filters.sucursalId = parseInt(sucursalId);
+  if (q) filters.q = q;
+
+  // The service writes and ends the response; the download headers are only set once the
+  // first batch is read, so an earlier error still gets the usual JSON response
+  await saleExportService.exportSales(
+    format,
+    filters,
+    currentUser.permisos,
+    currentUser.id,
+    res,
+    () => {
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', saleExportService.getExportContentType(format));
+      res.setHeader('Content-Disposition', `attachment; filename="ventas_${date}.${format}"`);
+    }
+  );
+});
+
 /**
  * Get Sale by ID
  * GET /api/sales/:id
- * Returns a single sale by ID with role-based access check
+ * Returns a single sale by ID with permission-based access check
  * @requires authMiddleware (verifyAuth)
  */
 const getSaleById = asyncHandler(async (req, res) => {
@@ -64,10 +122,12 @@ const getSaleById = asyncHandler(async (req, res) => {
   // Get sale (service checks authorization)
   const sale = await saleService.findSaleById(
     parseInt(id),
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id
   );
 
+  setSaleEtag(res, sale);
+
   return successResponse(
     res,
     sale,
@@ -83,11 +143,12 @@ const getSaleById = asyncHandler(async (req, res) => {
  * @requires authMiddleware (verifyAuth)
  */
 const createSale = asyncHandler(async (req, res) => {
-  const { productoId, cupoSolicitado, franquiciaId, tasa, estado } = req.body;
+  const { clienteId, productoId, cupoSolicitado, franquiciaId, tasa, estado } = req.body;
   const currentUser = req.user;
 
   // Create sale data
   const saleData = {
+    clienteId,
     productoId,
     cupoSolicitado,
     franquiciaId,
@@ -96,10 +157,12 @@ const createSale = asyncHandler(async (req, res) => {
   };
 
   // Create sale (user ID will be set as creator)
-  const sale = await saleService.createNewSale(saleData, currentUser.id);
+  const sale = await saleService.createNewSale(saleData, currentUser.permisos, currentUser.id, currentUser.actorId);
 
   logger.info(`Sale created: ID ${sale.id} by user ${currentUser.email}`);
 
+  setSaleEtag(res, sale);
+
   return createdResponse(
     res,
     sale,
@@ -107,35 +170,80 @@ const createSale = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Import Sales
+ * POST /api/sales/import
+ * Creates sales from an uploaded CSV/XLSX file
+ * With ?dryRun=true only validates the rows and returns the per-row report
+ * @requires authMiddleware (verifyAuth)
+ * @requires uploadMiddleware (uploadSaleImportFile)
+ */
+const importSales = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === true;
+  const currentUser = req.user;
+
+  const report = await saleImportService.importSales(
+    req.file,
+    { dryRun },
+    currentUser.permisos,
+    currentUser.id,
+    currentUser.actorId
+  );
+
+  if (dryRun) {
+    return successResponse(
+      res,
+      report,
+      `Import preview: ${report.validRows} of ${report.totalRows} rows are valid`,
+      HTTP_STATUS.OK
+    );
+  }
+
+  logger.info(`Sales imported: ${report.createdIds.length} by user ${currentUser.email}`);
+
+  return createdResponse(
+    res,
+    report,
+    `${report.createdIds.length} sales imported successfully`
+  );
+});
+
 /**
  * Update Sale
  * PUT /api/sales/:id
- * Updates an existing sale with role-based access check
+ * Updates an existing sale with permission-based access check
+ * With If-Match (or a version field) a stale update gets 409 with the current sale
  * @requires authMiddleware (verifyAuth)
  */
 const updateSale = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { productoId, cupoSolicitado, franquiciaId, tasa, estado } = req.body;
+  const { clienteId, productoId, cupoSolicitado, franquiciaId, tasa, estado, version } = req.body;
   const currentUser = req.user;
 
   // Build update data
   const updateData = {};
+  if (clienteId !== undefined) updateData.clienteId = clienteId;
   if (productoId !== undefined) updateData.productoId = productoId;
   if (cupoSolicitado !== undefined) updateData.cupoSolicitado = cupoSolicitado;
   if (franquiciaId !== undefined) updateData.franquiciaId = franquiciaId;
   if (tasa !== undefined) updateData.tasa = tasa;
   if (estado !== undefined) updateData.estado = estado;
 
-  // Update sale (service checks authorization)
+  if (version !== undefined) updateData.version = version;
+
+  // Update sale (service checks authorization and the version)
   const sale = await saleService.updateSaleById(
     parseInt(id),
     updateData,
-    currentUser.rolId,
-    currentUser.id
+    currentUser.permisos,
+    currentUser.id,
+    currentUser.actorId
   );
 
   logger.info(`Sale updated: ID ${id} by user ${currentUser.email}`);
 
+  setSaleEtag(res, sale);
+
   return successResponse(
     res,
     sale,
@@ -147,7 +255,7 @@ const updateSale = asyncHandler(async (req, res) => {
 /**
  * Delete Sale
  * DELETE /api/sales/:id
- * Deletes a sale with role-based access check
+ * Deletes a sale with permission-based access check
  * @requires authMiddleware (verifyAuth)
  */
 const deleteSale = asyncHandler(async (req, res) => {
@@ -157,8 +265,9 @@ const deleteSale = asyncHandler(async (req, res) => {
   // Delete sale (service checks authorization)
   await saleService.deleteSaleById(
     parseInt(id),
-    currentUser.rolId,
-    currentUser.id
+    currentUser.permisos,
+    currentUser.id,
+    currentUser.actorId
   );
 
   logger.info(`Sale deleted: ID ${id} by user ${currentUser.email}`);
@@ -171,10 +280,137 @@ const deleteSale = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Get Deleted Sales
+ * GET /api/sales/deleted
+ * Returns soft-deleted sales with pagination
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission sales:restore)
+ */
+const getDeletedSales = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
+  // Build pagination
+  const pagination = {};
+  if (page) pagination.page = parseInt(page);
+  if (limit) pagination.limit = parseInt(limit);
+
+  const result = await saleService.findDeletedSales(pagination);
+
+  return successResponse(
+    res,
+    result,
+    'Deleted sales retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Restore Sale
+ * POST /api/sales/:id/restore
+ * Restores a soft-deleted sale
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission sales:restore)
+ */
+const restoreSale = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  const sale = await saleService.restoreSaleById(parseInt(id), currentUser.actorId);
+
+  logger.info(`Sale restored: ID ${id} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    sale,
+    'Sale restored successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Reassign Sales
+ * POST /api/sales/reassign
+ * Moves the selected sales, or every open sale of an advisor, to another advisor
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission sales:reassign)
+ */
+const reassignSales = asyncHandler(async (req, res) => {
+  const { saleIds, fromUserId, toUserId } = req.body;
+  const currentUser = req.user;
+
+  const result = await saleService.reassignSales(
+    { saleIds, fromUserId, toUserId },
+    currentUser.actorId
+  );
+
+  logger.info(`Sales reassigned: ${result.reasignadas} to user ${toUserId} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    result,
+    'Sales reassigned successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Bulk Sale Action
+ * PATCH /api/sales/bulk
+ * Changes the status of, reassigns or deletes several sales; each sale is checked
+ * like a single update/delete and the response reports the result per ID
+ * @requires authMiddleware (verifyAuth)
+ */
+const bulkUpdateSales = asyncHandler(async (req, res) => {
+  const { action, saleIds, estado, toUserId } = req.body;
+  const currentUser = req.user;
+
+  const report = await saleService.bulkUpdateSales(
+    { action, saleIds, estado, toUserId },
+    currentUser.permisos,
+    currentUser.id,
+    currentUser.actorId
+  );
+
+  logger.info(`Bulk sale ${action}: ${report.exitosas}/${report.total} by user ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    report,
+    `Bulk ${action}: ${report.exitosas} of ${report.total} sales succeeded`,
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Get Sale History
+ * GET /api/sales/:id/history
+ * Returns the audit trail of a sale with permission-based access check
+ * @requires authMiddleware (verifyAuth)
+ */
+const getSaleHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  // Get history (service checks authorization)
+  const history = await saleService.getSaleHistory(
+    parseInt(id),
+    currentUser.permisos,
+    currentUser.id
+  );
+
+  return successResponse(
+    res,
+    history,
+    'Sale history retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
 /**
  * Get Total Sales Amount
  * GET /api/sales/total
- * Calculates sum of cupoSolicitado with role-based filtering
+ * Calculates sum of cupoSolicitado with permission-based filtering
  * @requires authMiddleware (verifyAuth)
  */
 const getTotalAmount = asyncHandler(async (req, res) => {
@@ -188,9 +424,9 @@ const getTotalAmount = asyncHandler(async (req, res) => {
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
 
-  // Calculate total with role-based filtering
+  // Calculate total with permission-based filtering
   const total = await saleService.calculateTotalAmount(
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
     filters
   );
@@ -206,15 +442,15 @@ const getTotalAmount = asyncHandler(async (req, res) => {
 /**
  * Get Sales Count by Status
  * GET /api/sales/count-by-status
- * Returns count of sales grouped by status with role-based filtering
+ * Returns count of sales grouped by status with permission-based filtering
  * @requires authMiddleware (verifyAuth)
  */
 const getCountByStatus = asyncHandler(async (req, res) => {
   const currentUser = req.user;
 
-  // Get counts with role-based filtering
+  // Get counts with permission-based filtering
   const counts = await saleService.getSalesCountByStatus(
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id
   );
 
@@ -245,7 +481,7 @@ const getMySales = asyncHandler(async (req, res) => {
   // Get sales filtered by current user
   const result = await saleService.findAllSales(
     { usuarioCreadorId: currentUser.id },
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
     pagination
   );
@@ -260,10 +496,17 @@ const getMySales = asyncHandler(async (req, res) => {
 
 module.exports = {
   getAllSales,
+  exportSales,
   getSaleById,
   createSale,
+  importSales,
   updateSale,
   deleteSale,
+  getDeletedSales,
+  restoreSale,
+  reassignSales,
+  bulkUpdateSales,
+  getSaleHistory,
   getTotalAmount,
   getCountByStatus,
   getMySales
@@ -1,6 +1,6 @@
 /**
  * Statistics Controller
- * Handles HTTP requests for statistics and dashboard endpoints with role-based access control
+ * Handles HTTP requests for statistics and dashboard endpoints with permission-based access control
  */
 
 'use strict';
@@ -14,21 +14,22 @@ const { HTTP_STATUS } = require('../utils/constants');
 /**
  * Get Dashboard Metrics
  * GET /api/stats/dashboard
- * Returns key metrics for dashboard with role-based filtering
+ * Returns key metrics for dashboard with permission-based filtering
  * @requires authMiddleware (verifyAuth)
  */
 const getDashboardMetrics = asyncHandler(async (req, res) => {
-  const { startDate, endDate } = req.query;
+  const { startDate, endDate, sucursalId } = req.query;
   const currentUser = req.user;
 
   // Build filters
   const filters = {};
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
+  if (sucursalId) filters.sucursalId = sucursalId;
 
-  // Get metrics with role-based filtering
+  // Get metrics with permission-based filtering
   const metrics = await statsService.getDashboardMetrics(
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
     filters
   );
@@ -44,21 +45,22 @@ const getDashboardMetrics = asyncHandler(async (req, res) => {
 /**
  * Get Sales by Product
  * GET /api/stats/by-product
- * Returns sales aggregated by product type with role-based filtering
+ * Returns sales aggregated by product type with permission-based filtering
  * @requires authMiddleware (verifyAuth)
  */
 const getSalesByProduct = asyncHandler(async (req, res) => {
-  const { startDate, endDate } = req.query;
+  const { startDate, endDate, sucursalId } = req.query;
   const currentUser = req.user;
 
   // Build filters
   const filters = {};
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
+  if (sucursalId) filters.sucursalId = sucursalId;
 
-  // Get sales by product with role-based filtering
+  // Get sales by product with permission-based filtering
   const salesByProduct = await statsService.getSalesGroupedByProduct(
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
     filters
   );
@@ -74,22 +76,25 @@ const getSalesByProduct = asyncHandler(async (req, res) => {
 /**
  * Get Sales by Advisor
  * GET /api/stats/by-advisor
- * Returns sales aggregated by advisor (Admin only)
+ * Returns sales aggregated by advisor, optionally for a single team (equipoId)
  * @requires authMiddleware (verifyAuth)
- * @requires roleMiddleware (isAdmin)
+ * @requires roleMiddleware (requirePermission stats:read:advisors)
  */
 const getSalesByAdvisor = asyncHandler(async (req, res) => {
-  const { startDate, endDate } = req.query;
+  const { startDate, endDate, sucursalId, equipoId } = req.query;
   const currentUser = req.user;
 
   // Build filters
   const filters = {};
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
+  if (sucursalId) filters.sucursalId = sucursalId;
+  if (equipoId) filters.equipoId = equipoId;
 
-  // Get sales by advisor (service validates admin role)
+  // Get sales by advisor (service checks stats:read:advisors and the team scope)
   const salesByAdvisor = await statsService.getSalesGroupedByAdvisor(
-    currentUser.rolId,
+    currentUser.permisos,
+    currentUser.id,
     filters
   );
 
@@ -101,24 +106,56 @@ const getSalesByAdvisor = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Get Sales by Branch
+ * GET /api/stats/by-branch
+ * Returns sales aggregated by branch with permission-based filtering
+ * @requires authMiddleware (verifyAuth)
+ */
+const getSalesByBranch = asyncHandler(async (req, res) => {
+  const { startDate, endDate, sucursalId } = req.query;
+  const currentUser = req.user;
+
+  // Build filters
+  const filters = {};
+  if (startDate) filters.startDate = startDate;
+  if (endDate) filters.endDate = endDate;
+  if (sucursalId) filters.sucursalId = sucursalId;
+
+  // Get sales by branch with permission-based filtering
+  const salesByBranch = await statsService.getSalesGroupedByBranch(
+    currentUser.permisos,
+    currentUser.id,
+    filters
+  );
+
+  return successResponse(
+    res,
+    salesByBranch,
+    'Sales by branch retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
 /**
  * Get Sales by Status
  * GET /api/stats/by-status
- * Returns sales aggregated by status with role-based filtering
+ * Returns sales aggregated by status with permission-based filtering
  * @requires authMiddleware (verifyAuth)
  */
 const getSalesByStatus = asyncHandler(async (req, res) => {
-  const { startDate, endDate } = req.query;
+  const { startDate, endDate, sucursalId } = req.query;
   const currentUser = req.user;
 
   // Build filters
   const filters = {};
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
+  if (sucursalId) filters.sucursalId = sucursalId;
 
-  // Get sales by status with role-based filtering
+  // Get sales by status with permission-based filtering
   const salesByStatus = await statsService.getSalesGroupedByStatus(
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
     filters
   );
@@ -134,11 +171,11 @@ const getSalesByStatus = asyncHandler(async (req, res) => {
 /**
  * Get Sales by Period
  * GET /api/stats/by-period
- * Returns sales aggregated by time period with role-based filtering
+ * Returns sales aggregated by time period with permission-based filtering
  * @requires authMiddleware (verifyAuth)
  */
 const getSalesByPeriod = asyncHandler(async (req, res) => {
-  const { period, startDate, endDate } = req.query;
+  const { period, startDate, endDate, sucursalId } = req.query;
   const currentUser = req.user;
 
   // Validate period
@@ -151,11 +188,12 @@ const getSalesByPeriod = asyncHandler(async (req, res) => {
   const filters = {};
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
+  if (sucursalId) filters.sucursalId = sucursalId;
 
-  // Get sales by period with role-based filtering
+  // Get sales by period with permission-based filtering
   const salesByPeriod = await statsService.getSalesGroupedByPeriod(
     period,
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
     filters
   );
@@ -171,18 +209,23 @@ const getSalesByPeriod = asyncHandler(async (req, res) => {
 /**
  * Get Recent Sales
  * GET /api/stats/recent
- * Returns most recent sales with role-based filtering
+ * Returns most recent sales with permission-based filtering
  * @requires authMiddleware (verifyAuth)
  */
 const getRecentSales = asyncHandler(async (req, res) => {
-  const { limit } = req.query;
+  const { limit, sucursalId } = req.query;
   const currentUser = req.user;
 
-  // Get recent sales with role-based filtering
+  // Build filters
+  const filters = {};
+  if (sucursalId) filters.sucursalId = sucursalId;
+
+  // Get recent sales with permission-based filtering
   const recentSales = await statsService.getRecentSales(
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
-    limit ? parseInt(limit) : 5
+    limit ? parseInt(limit) : 5,
+    filters
   );
 
   return successResponse(
@@ -196,21 +239,22 @@ const getRecentSales = asyncHandler(async (req, res) => {
 /**
  * Get Top Products
  * GET /api/stats/top-products
- * Returns products ranked by sales count with role-based filtering
+ * Returns products ranked by sales count with permission-based filtering
  * @requires authMiddleware (verifyAuth)
  */
 const getTopProducts = asyncHandler(async (req, res) => {
-  const { limit, startDate, endDate } = req.query;
+  const { limit, startDate, endDate, sucursalId } = req.query;
   const currentUser = req.user;
 
   // Build filters
   const filters = {};
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
+  if (sucursalId) filters.sucursalId = sucursalId;
 
-  // Get top products with role-based filtering
+  // Get top products with permission-based filtering
   const topProducts = await statsService.getTopProducts(
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
     limit ? parseInt(limit) : 5,
     filters
@@ -232,17 +276,18 @@ const getTopProducts = asyncHandler(async (req, res) => {
  * @requires authMiddleware (verifyAuth)
  */
 const getComprehensiveDashboard = asyncHandler(async (req, res) => {
-  const { startDate, endDate } = req.query;
+  const { startDate, endDate, sucursalId } = req.query;
   const currentUser = req.user;
 
   // Build filters
   const filters = {};
   if (startDate) filters.startDate = startDate;
   if (endDate) filters.endDate = endDate;
+  if (sucursalId) filters.sucursalId = sucursalId;
 
-  // Get comprehensive dashboard with role-based filtering
+  // Get comprehensive dashboard with permission-based filtering
   const dashboard = await statsService.getComprehensiveDashboard(
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
     filters
   );
@@ -262,7 +307,7 @@ const getComprehensiveDashboard = asyncHandler(async (req, res) => {
  * @requires authMiddleware (verifyAuth)
  */
 const getSalesTrends = asyncHandler(async (req, res) => {
-  const { days } = req.query;
+  const { days, sucursalId } = req.query;
   const currentUser = req.user;
 
   // Default to last 30 days
@@ -276,11 +321,12 @@ const getSalesTrends = asyncHandler(async (req, res) => {
   // Get sales by day
   const salesTrends = await statsService.getSalesGroupedByPeriod(
     'day',
-    currentUser.rolId,
+    currentUser.permisos,
     currentUser.id,
     {
       startDate: startDate.toISOString().split('T')[0],
-      endDate: endDate.toISOString().split('T')[0]
+      endDate: endDate.toISOString().split('T')[0],
+      ...(sucursalId && { sucursalId })
     }
   );
 
@@ -301,6 +347,7 @@ module.exports = {
   getDashboardMetrics,
   getSalesByProduct,
   getSalesByAdvisor,
+  getSalesByBranch,
   getSalesByStatus,
   getSalesByPeriod,
   getRecentSales,
@@ -0,0 +1,133 @@
+/**
+ * Team Controller
+ * Handles HTTP requests for team endpoints
+ */
+
+'use strict';
+
+const teamService = require('../services/teamService');
+const { asyncHandler } = require('../middleware/errorMiddleware');
+const { successResponse, createdResponse } = require('../utils/responses');
+const { HTTP_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Get All Teams
+ * GET /api/teams
+ * Returns every team, or only the ones the user supervises
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission teams:manage, sales:read:team or stats:read:advisors)
+ */
+const getAllTeams = asyncHandler(async (req, res) => {
+  const currentUser = req.user;
+
+  const teams = await teamService.findAllTeams(currentUser.permisos, currentUser.id);
+
+  return successResponse(
+    res,
+    teams,
+    'Teams retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Get Team by ID
+ * GET /api/teams/:id
+ * Returns a team with its supervisor and members
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission teams:manage, sales:read:team or stats:read:advisors)
+ */
+const getTeamById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  const team = await teamService.findTeamById(parseInt(id), currentUser.permisos, currentUser.id);
+
+  return successResponse(
+    res,
+    team,
+    'Team retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Create Team
+ * POST /api/teams
+ * Creates a team, members of another team are moved to it
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission teams:manage)
+ */
+const createTeam = asyncHandler(async (req, res) => {
+  const { nombre, descripcion, supervisorId, miembros } = req.body;
+  const currentUser = req.user;
+
+  const team = await teamService.createNewTeam({ nombre, descripcion, supervisorId, miembros });
+
+  logger.info(`Team created: ${team.nombre} by ${currentUser.email}`);
+
+  return createdResponse(
+    res,
+    team,
+    'Team created successfully'
+  );
+});
+
+/**
+ * Update Team
+ * PUT /api/teams/:id
+ * Updates a team's data and replaces its members
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission teams:manage)
+ */
+const updateTeam = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { nombre, descripcion, supervisorId, miembros } = req.body;
+  const currentUser = req.user;
+
+  const team = await teamService.updateTeamById(
+    parseInt(id),
+    { nombre, descripcion, supervisorId, miembros }
+  );
+
+  logger.info(`Team updated: ${team.nombre} by ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    team,
+    'Team updated successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Delete Team
+ * DELETE /api/teams/:id
+ * Deletes a team, its members stay without a team
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission teams:manage)
+ */
+const deleteTeam = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  await teamService.deleteTeamById(parseInt(id));
+
+  logger.info(`Team deleted: ID ${id} by ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    null,
+    'Team deleted successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+module.exports = {
+  getAllTeams,
+  getTeamById,
+  createTeam,
+  updateTeam,
+  deleteTeam
+};
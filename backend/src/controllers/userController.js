@@ -6,9 +6,13 @@
 'use strict';
 
 const userService = require('../services/userService');
+const authService = require('../services/authService');
+const loginAttemptService = require('../services/loginAttemptService');
 const { asyncHandler } = require('../middleware/errorMiddleware');
 const { successResponse, createdResponse } = require('../utils/responses');
-const { HTTP_STATUS } = require('../utils/constants');
+const { HTTP_STATUS, PERMISSIONS } = require('../utils/constants');
+const { hasPermission } = require('../utils/permissions');
+const { AuthorizationError, ValidationError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 /**
@@ -16,15 +20,17 @@ const logger = require('../utils/logger');
  * GET /api/users
  * Returns list of users with optional filtering and pagination
  * @requires authMiddleware (verifyAuth)
- * @requires roleMiddleware (isAdmin)
+ * @requires roleMiddleware (requirePermission users:read)
  */
 const getAllUsers = asyncHandler(async (req, res) => {
-  const { search, rolId, page, limit } = req.query;
+  const { search, rolId, sucursalId, activo, page, limit } = req.query;
 
   // Build filters
   const filters = {};
   if (search) filters.search = search;
   if (rolId) filters.rolId = parseInt(rolId);
+  if (sucursalId) filters.sucursalId = parseInt(sucursalId);
+  if (activo !== undefined) filters.activo = activo === 'true';
 
   // Build pagination
   const pagination = {};
@@ -47,7 +53,7 @@ const getAllUsers = asyncHandler(async (req, res) => {
  * GET /api/users/:id
  * Returns a single user by ID
  * @requires authMiddleware (verifyAuth)
- * @requires roleMiddleware (isAdmin or isOwnerOrAdmin)
+ * @requires roleMiddleware (isOwnerOrHasPermission users:read)
  */
 const getUserById = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -68,10 +74,10 @@ const getUserById = asyncHandler(async (req, res) => {
  * POST /api/users
  * Creates a new user
  * @requires authMiddleware (verifyAuth)
- * @requires roleMiddleware (isAdmin)
+ * @requires roleMiddleware (requirePermission users:manage)
  */
 const createUser = asyncHandler(async (req, res) => {
-  const { nombre, email, password, rolId } = req.body;
+  const { nombre, email, password, rolId, sucursalId } = req.body;
   const currentUser = req.user;
 
   // Create user
@@ -79,7 +85,8 @@ const createUser = asyncHandler(async (req, res) => {
     nombre,
     email,
     password,
-    rolId
+    rolId,
+    sucursalId
   });
 
   logger.info(`User created: ${user.email} by admin ${currentUser.email}`);
@@ -96,11 +103,11 @@ const createUser = asyncHandler(async (req, res) => {
  * PUT /api/users/:id
  * Updates an existing user
  * @requires authMiddleware (verifyAuth)
- * @requires roleMiddleware (isAdmin or isOwnerOrAdmin)
+ * @requires roleMiddleware (isOwnerOrHasPermission users:manage)
  */
 const updateUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { nombre, email, password, rolId } = req.body;
+  const { nombre, email, password, rolId, sucursalId } = req.body;
   const currentUser = req.user;
 
   // Build update data
@@ -109,6 +116,16 @@ const updateUser = asyncHandler(async (req, res) => {
   if (email !== undefined) updateData.email = email;
   if (password !== undefined) updateData.password = password;
   if (rolId !== undefined) updateData.rolId = rolId;
+  if (sucursalId !== undefined) updateData.sucursalId = sucursalId;
+
+  // Owners can edit their own data, but only user managers can change a role or branch
+  if (rolId !== undefined && !hasPermission(currentUser.permisos, PERMISSIONS.USERS_MANAGE)) {
+    throw new AuthorizationError('You cannot change your own role');
+  }
+
+  if (sucursalId !== undefined && !hasPermission(currentUser.permisos, PERMISSIONS.USERS_MANAGE)) {
+    throw new AuthorizationError('You cannot change your own branch');
+  }
 
   // Update user
   const user = await userService.updateUserById(parseInt(id), updateData);
@@ -128,7 +145,7 @@ const updateUser = asyncHandler(async (req, res) => {
  * DELETE /api/users/:id
  * Deletes a user
  * @requires authMiddleware (verifyAuth)
- * @requires roleMiddleware (isAdmin)
+ * @requires roleMiddleware (requirePermission users:manage)
  */
 const deleteUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -136,7 +153,6 @@ const deleteUser = asyncHandler(async (req, res) => {
 
   // Prevent admin from deleting themselves
   if (parseInt(id) === currentUser.id) {
-    const { ValidationError } = require('../utils/errors');
     throw new ValidationError('You cannot delete your own account');
   }
 
@@ -153,6 +169,167 @@ const deleteUser = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Update User Status
+ * PATCH /api/users/:id/status
+ * Activates or deactivates a user; deactivating also ends all their sessions
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:manage)
+ */
+const updateUserStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { activo } = req.body;
+  const currentUser = req.user;
+
+  // Prevent admin from locking themselves out
+  if (parseInt(id) === currentUser.id && !activo) {
+    throw new ValidationError('You cannot deactivate your own account');
+  }
+
+  const user = await userService.updateUserStatus(parseInt(id), activo);
+
+  if (!activo) {
+    await authService.logoutUserEverywhere(user.id);
+  }
+
+  logger.info(`User ${activo ? 'activated' : 'deactivated'}: ${user.email} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    user,
+    activo ? 'User activated successfully' : 'User deactivated successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Get Deleted Users
+ * GET /api/users/deleted
+ * Returns soft-deleted users with pagination
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:read)
+ */
+const getDeletedUsers = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
+  // Build pagination
+  const pagination = {};
+  if (page) pagination.page = parseInt(page);
+  if (limit) pagination.limit = parseInt(limit);
+
+  const result = await userService.findDeletedUsers(pagination);
+
+  return successResponse(
+    res,
+    result,
+    'Deleted users retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Restore User
+ * POST /api/users/:id/restore
+ * Restores a soft-deleted user
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:manage)
+ */
+const restoreUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  const user = await userService.restoreUserById(parseInt(id));
+
+  logger.info(`User restored: ${user.email} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    user,
+    'User restored successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Force Logout User
+ * POST /api/users/:id/logout
+ * Revokes every session and access token of a user (all devices)
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:manage)
+ */
+const forceLogoutUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  const user = await userService.findUserById(parseInt(id));
+  const revokedSessions = await authService.logoutUserEverywhere(user.id);
+
+  logger.info(`User logged out everywhere: ${user.email} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    { revokedSessions },
+    'User sessions revoked successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Unlock User
+ * POST /api/users/:id/unlock
+ * Clears the failed login count and lockout of a user
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:manage)
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const currentUser = req.user;
+
+  const wasLocked = await loginAttemptService.unlockUser(parseInt(id));
+
+  logger.info(`User unlocked: ID ${id} by admin ${currentUser.email}`);
+
+  return successResponse(
+    res,
+    { wasLocked },
+    'User unlocked successfully',
+    HTTP_STATUS.OK
+  );
+});
+
+/**
+ * Get Login Attempts
+ * GET /api/users/login-attempts
+ * Returns the login audit trail (filters: usuarioId, email, exitoso, startDate, endDate)
+ * @requires authMiddleware (verifyAuth)
+ * @requires roleMiddleware (requirePermission users:read)
+ */
+const getLoginAttempts = asyncHandler(async (req, res) => {
+  const { usuarioId, email, exitoso, startDate, endDate, page, limit } = req.query;
+
+  // Build filters
+  const filters = {};
+  if (usuarioId) filters.usuarioId = usuarioId;
+  if (email) filters.email = email;
+  if (exitoso !== undefined) filters.exitoso = exitoso;
+  if (startDate) filters.startDate = startDate;
+  if (endDate) filters.endDate = endDate;
+
+  // Build pagination
+  const pagination = {};
+  if (page) pagination.page = parseInt(page);
+  if (limit) pagination.limit = parseInt(limit);
+
+  const result = await loginAttemptService.findLoginAttempts(filters, pagination);
+
+  return successResponse(
+    res,
+    result,
+    'Login attempts retrieved successfully',
+    HTTP_STATUS.OK
+  );
+});
+
 /**
  * Check Email Availability
  * GET /api/users/check-email
@@ -181,7 +358,7 @@ const checkEmail = asyncHandler(async (req, res) => {
  * GET /api/users/count-by-role
  * Returns count of users grouped by role
  * @requires authMiddleware (verifyAuth)
- * @requires roleMiddleware (isAdmin)
+ * @requires roleMiddleware (requirePermission users:read)
  */
 const getUsersCountByRole = asyncHandler(async (req, res) => {
   // Get counts
@@ -201,6 +378,12 @@ module.exports = {
   createUser,
   updateUser,
   deleteUser,
+  getDeletedUsers,
+  restoreUser,
+  updateUserStatus,
+  forceLogoutUser,
+  unlockUser,
+  getLoginAttempts,
   checkEmail,
   getUsersCountByRole
 };
\ No newline at end of file
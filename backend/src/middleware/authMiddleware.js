@@ -1,18 +1,67 @@
 /**
  * Authentication Middleware
- * Verifies JWT token and loads user information
+ * Verifies JWT token and loads user information and role permissions
  */
 
 'use strict';
 
 const { verifyToken, extractTokenFromHeader } = require('../config/jwt');
 const { User, Role } = require('../models');
-const { AuthenticationError } = require('../utils/errors');
+const { isTokenRevoked } = require('../services/tokenDenylistService');
+const { verifyPendingToken } = require('../services/mfaService');
+const { verifyPasswordChangeToken } = require('../services/passwordPolicyService');
+const { permissionsInclude, getPermissionKeys } = require('../services/roleService');
+const { MFA, PERMISSIONS } = require('../utils/constants');
+const { AuthenticationError, AuthorizationError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
+// Methods that only read, impersonated requests with any other method are logged
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Find Auth User
+ * Soft-deleted users are not found and deactivated ones are left out, so
+ * their tokens stop working
+ * @param {Number} id - User ID
+ * @returns {Object|null} User instance with rol and its permisos
+ */
+const findAuthUser = (id) => User.findOne({
+  where: { id, activo: true },
+  attributes: ['id', 'nombre', 'email', 'rolId'],
+  include: [
+    {
+      model: Role,
+      as: 'rol',
+      attributes: ['id', 'nombre'],
+      include: [permissionsInclude()]
+    }
+  ]
+});
+
+/**
+ * Find Impersonator
+ * The admin behind an impersonation token must still exist, still hold
+ * users:impersonate and not have logged out everywhere since it was issued
+ * @param {Object} decoded - Decoded impersonation token
+ * @returns {Object} Admin user instance
+ * @throws {AuthenticationError} If the impersonation is no longer allowed
+ */
+const findImpersonator = async (decoded) => {
+  const impersonator = await findAuthUser(decoded.impersonatorId);
+
+  if (!impersonator ||
+      !getPermissionKeys(impersonator.rol).includes(PERMISSIONS.USERS_IMPERSONATE) ||
+      await isTokenRevoked({ ...decoded, id: decoded.impersonatorId })) {
+    throw new AuthenticationError('Impersonation is no longer allowed');
+  }
+
+  return impersonator;
+};
+
 /**
  * Verify JWT Token Middleware
  * Extracts and verifies JWT token from Authorization header
+ * Rejects tokens revoked by logout (denylist)
  * Loads user info and attaches to req.user
  * @param {Object} req - Express request
  * @param {Object} res - Express response
@@ -31,33 +80,47 @@ const verifyAuth = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token);
 
+    // Pending two-factor tokens only work on the MFA endpoints
+    if (decoded.purpose) {
+      throw new AuthenticationError('Invalid token');
+    }
+
+    if (await isTokenRevoked(decoded)) {
+      throw new AuthenticationError('Token has been revoked');
+    }
+
     // Load user from database
-    const user = await User.findByPk(decoded.id, {
-      attributes: ['id', 'nombre', 'email', 'rolId'],
-      include: [
-        {
-          model: Role,
-          as: 'rol',
-          attributes: ['id', 'nombre']
-        }
-      ]
-    });
+    const user = await findAuthUser(decoded.id);
 
     if (!user) {
-      throw new AuthenticationError('User not found');
+      throw new AuthenticationError('User not found or deactivated');
     }
 
+    // Impersonation token: data is scoped as the user, writes are attributed to the admin
+    const impersonator = decoded.impersonatorId ? await findImpersonator(decoded) : null;
+
     // Attach user to request
     req.user = {
       id: user.id,
       nombre: user.nombre,
       email: user.email,
       rolId: user.rolId,
-      rolNombre: user.rol.nombre
+      rolNombre: user.rol.nombre,
+      permisos: getPermissionKeys(user.rol),
+      // Who really acts, recorded as the author of writes
+      actorId: impersonator ? impersonator.id : user.id,
+      impersonadoPor: impersonator
+        ? { id: impersonator.id, nombre: impersonator.nombre, email: impersonator.email }
+        : null
     };
 
-    // Attach token to request
+    // Attach token and its claims to request
     req.token = token;
+    req.tokenPayload = decoded;
+
+    if (impersonator && !READ_METHODS.includes(req.method)) {
+      logger.info(`Impersonated request: ${req.method} ${req.originalUrl} by admin ${impersonator.email} as ${user.email}`);
+    }
 
     logger.debug(`User authenticated: ${user.email} (${user.rol.nombre})`);
 
@@ -96,17 +159,14 @@ const optionalAuth = async (req, res, next) => {
     // Try to verify token
     const decoded = verifyToken(token);
 
+    // Pending two-factor and revoked tokens are treated as anonymous
+    if (decoded.purpose || await isTokenRevoked(decoded)) {
+      req.user = null;
+      return next();
+    }
+
     // Load user from database
-    const user = await User.findByPk(decoded.id, {
-      attributes: ['id', 'nombre', 'email', 'rolId'],
-      include: [
-        {
-          model: Role,
-          as: 'rol',
-          attributes: ['id', 'nombre']
-        }
-      ]
-    });
+    const user = await findAuthUser(decoded.id);
 
     if (user) {
       req.user = {
@@ -114,9 +174,11 @@ const optionalAuth = async (req, res, next) => {
         nombre: user.nombre,
         email: user.email,
         rolId: user.rolId,
-        rolNombre: user.rol.nombre
+        rolNombre: user.rol.nombre,
+        permisos: getPermissionKeys(user.rol)
       };
       req.token = token;
+      req.tokenPayload = decoded;
     } else {
       req.user = null;
     }
@@ -129,6 +191,89 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Verify Auth or MFA Setup Token Middleware
+ * Two-factor enrolment works for logged-in users and, when the role requires 2FA,
+ * for users that passed the password step of the login but are not enrolled yet
+ * (mfaToken in the body). Sets req.mfaPending in the latter case
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const verifyAuthOrMfaSetup = (req, res, next) => {
+  const mfaToken = req.body && req.body.mfaToken;
+
+  if (!mfaToken) {
+    return verifyAuth(req, res, next);
+  }
+
+  try {
+    const userId = verifyPendingToken(mfaToken, MFA.TOKEN_PURPOSES.SETUP);
+
+    req.user = { id: userId };
+    req.mfaPending = true;
+
+    next();
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return next(error);
+    }
+
+    logger.error('MFA setup authentication error:', error);
+    return next(new AuthenticationError('Authentication failed'));
+  }
+};
+
+/**
+ * Verify Auth or Password Change Token Middleware
+ * Changing the password works for logged-in users and for users whose login
+ * stopped because the password expired (passwordToken in the body). Sets
+ * req.passwordChangePending in the latter case
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const verifyAuthOrPasswordChange = (req, res, next) => {
+  const passwordToken = req.body && req.body.passwordToken;
+
+  if (!passwordToken) {
+    return verifyAuth(req, res, next);
+  }
+
+  try {
+    const userId = verifyPasswordChangeToken(passwordToken);
+
+    req.user = { id: userId };
+    req.passwordChangePending = true;
+
+    next();
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return next(error);
+    }
+
+    logger.error('Password change authentication error:', error);
+    return next(new AuthenticationError('Authentication failed'));
+  }
+};
+
+/**
+ * Deny Impersonation Middleware
+ * Blocks account actions (password, two-factor, sessions) for admins acting as
+ * another user: they belong to the real owner of the account
+ * Use after verifyAuth
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const denyImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonadoPor) {
+    return next(new AuthorizationError('Not available while impersonating another user'));
+  }
+
+  next();
+};
+
 /**
  * Check if user is authenticated
  * Alias for verifyAuth for better readability
@@ -138,5 +283,8 @@ const isAuthenticated = verifyAuth;
 module.exports = {
   verifyAuth,
   optionalAuth,
+  verifyAuthOrMfaSetup,
+  verifyAuthOrPasswordChange,
+  denyImpersonation,
   isAuthenticated
 };
\ No newline at end of file
@@ -28,6 +28,11 @@ const errorHandler = (err, req, res, next) => {
     userId: req.user ? req.user.id : 'anonymous'
   });
 
+  // A streamed response (e.g. sale exports) already started, let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Handle operational errors (our custom errors)
   if (err instanceof AppError && err.isOperational) {
     return errorResponse(
@@ -1,102 +1,23 @@
 /**
- * Role-Based Authorization Middleware
- * Checks if authenticated user has required role/permissions
+ * Permission-Based Authorization Middleware
+ * Checks if authenticated user's role grants the required permissions
+ * Permissions are loaded into req.user.permisos by verifyAuth
  */
 
 'use strict';
 
 const { AuthorizationError, AuthenticationError } = require('../utils/errors');
-const { ROLES } = require('../utils/constants');
+const { hasAnyPermission } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
 /**
- * Check if user is Admin
+ * Require Permission
+ * Allows the request if the user has any of the given permissions
  * Must be used after verifyAuth middleware
- * @param {Object} req - Express request
- * @param {Object} res - Express response
- * @param {Function} next - Express next function
- */
-const isAdmin = (req, res, next) => {
-  try {
-    // Ensure user is authenticated
-    if (!req.user) {
-      throw new AuthenticationError('Authentication required');
-    }
-
-    // Check if user has admin role
-    if (req.user.rolId !== ROLES.ADMIN.ID) {
-      logger.warn(`Authorization denied for user ${req.user.email}: not an admin`);
-      throw new AuthorizationError('Admin access required');
-    }
-
-    logger.debug(`Admin access granted for user: ${req.user.email}`);
-    next();
-  } catch (error) {
-    next(error);
-  }
-};
-
-/**
- * Check if user is Advisor
- * Must be used after verifyAuth middleware
- * @param {Object} req - Express request
- * @param {Object} res - Express response
- * @param {Function} next - Express next function
- */
-const isAdvisor = (req, res, next) => {
-  try {
-    // Ensure user is authenticated
-    if (!req.user) {
-      throw new AuthenticationError('Authentication required');
-    }
-
-    // Check if user has advisor role
-    if (req.user.rolId !== ROLES.ADVISOR.ID) {
-      logger.warn(`Authorization denied for user ${req.user.email}: not an advisor`);
-      throw new AuthorizationError('Advisor access required');
-    }
-
-    logger.debug(`Advisor access granted for user: ${req.user.email}`);
-    next();
-  } catch (error) {
-    next(error);
-  }
-};
-
-/**
- * Check if user is Admin OR Advisor (any authenticated user)
- * Must be used after verifyAuth middleware
- * @param {Object} req - Express request
- * @param {Object} res - Express response
- * @param {Function} next - Express next function
- */
-const isAdminOrAdvisor = (req, res, next) => {
-  try {
-    // Ensure user is authenticated
-    if (!req.user) {
-      throw new AuthenticationError('Authentication required');
-    }
-
-    // Check if user has any valid role
-    const validRoles = [ROLES.ADMIN.ID, ROLES.ADVISOR.ID];
-    if (!validRoles.includes(req.user.rolId)) {
-      logger.warn(`Authorization denied for user ${req.user.email}: invalid role`);
-      throw new AuthorizationError('Access denied');
-    }
-
-    next();
-  } catch (error) {
-    next(error);
-  }
-};
-
-/**
- * Check if user has any of the specified roles
- * Must be used after verifyAuth middleware
- * @param {Array} allowedRoles - Array of allowed role IDs
+ * @param {...String} permissions - Permission keys (see PERMISSIONS), any of them is enough
  * @returns {Function} Middleware function
  */
-const hasRole = (allowedRoles = []) => {
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     try {
       // Ensure user is authenticated
@@ -104,13 +25,12 @@ const hasRole = (allowedRoles = []) => {
         throw new AuthenticationError('Authentication required');
       }
 
-      // Check if user's role is in allowed roles
-      if (!allowedRoles.includes(req.user.rolId)) {
-        logger.warn(`Authorization denied for user ${req.user.email}: role ${req.user.rolId} not in allowed roles`);
+      if (!hasAnyPermission(req.user.permisos, permissions)) {
+        logger.warn(`Authorization denied for user ${req.user.email}: missing permission ${permissions.join(' or ')}`);
         throw new AuthorizationError('Insufficient permissions');
       }
 
-      logger.debug(`Role check passed for user: ${req.user.email}`);
+      logger.debug(`Permission check passed for user: ${req.user.email}`);
       next();
     } catch (error) {
       next(error);
@@ -119,13 +39,14 @@ const hasRole = (allowedRoles = []) => {
 };
 
 /**
- * Check if user is resource owner OR admin
- * Useful for routes where users can only access their own resources
+ * Check if user is resource owner OR has any of the given permissions
+ * Useful for routes where users can always access their own resources
  * Must be used after verifyAuth middleware
- * @param {String} paramName - Name of request parameter containing resource owner ID (default: 'userId')
+ * @param {String} paramName - Name of request parameter containing resource owner ID
+ * @param {...String} permissions - Permission keys that grant access to every resource
  * @returns {Function} Middleware function
  */
-const isOwnerOrAdmin = (paramName = 'userId') => {
+const isOwnerOrHasPermission = (paramName, ...permissions) => {
   return (req, res, next) => {
     try {
       // Ensure user is authenticated
@@ -136,20 +57,19 @@ const isOwnerOrAdmin = (paramName = 'userId') => {
       // Get resource owner ID from request params or body
       const resourceOwnerId = parseInt(req.params[paramName] || req.body[paramName]);
 
-      // Allow if user is admin
-      if (req.user.rolId === ROLES.ADMIN.ID) {
-        logger.debug(`Admin access granted for user: ${req.user.email}`);
-        return next();
-      }
-
       // Allow if user is the resource owner
       if (req.user.id === resourceOwnerId) {
         logger.debug(`Owner access granted for user: ${req.user.email}`);
         return next();
       }
 
+      if (hasAnyPermission(req.user.permisos, permissions)) {
+        logger.debug(`Permission access granted for user: ${req.user.email}`);
+        return next();
+      }
+
       // Deny access
-      logger.warn(`Authorization denied for user ${req.user.email}: not owner and not admin`);
+      logger.warn(`Authorization denied for user ${req.user.email}: not owner and missing permission ${permissions.join(' or ')}`);
       throw new AuthorizationError('You can only access your own resources');
     } catch (error) {
       next(error);
@@ -157,31 +77,7 @@ const isOwnerOrAdmin = (paramName = 'userId') => {
   };
 };
 
-/**
- * Attach resource ownership check to request
- * Adds a helper function to check if current user is resource owner
- * Must be used after verifyAuth middleware
- * @param {Object} req - Express request
- * @param {Object} res - Express response
- * @param {Function} next - Express next function
- */
-const attachOwnershipCheck = (req, res, next) => {
-  // Add helper function to request
-  req.isOwner = (resourceOwnerId) => {
-    return req.user && (
-      req.user.id === resourceOwnerId ||
-      req.user.rolId === ROLES.ADMIN.ID
-    );
-  };
-
-  next();
-};
-
 module.exports = {
-  isAdmin,
-  isAdvisor,
-  isAdminOrAdvisor,
-  hasRole,
-  isOwnerOrAdmin,
-  attachOwnershipCheck
-};
\ No newline at end of file
+  requirePermission,
+  isOwnerOrHasPermission
+};
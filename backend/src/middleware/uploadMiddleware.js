@@ -0,0 +1,63 @@
+/**
+ * Upload Middleware
+ * Receives spreadsheet uploads in memory using multer
+ * Multer errors (size limit, unexpected field) are handled by errorMiddleware
+ */
+
+'use strict';
+
+const path = require('path');
+const multer = require('multer');
+const { ValidationError } = require('../utils/errors');
+const { SALE_IMPORT } = require('../utils/constants');
+
+/**
+ * Spreadsheet File Filter
+ * Accepts only the extensions allowed for sale imports
+ * @param {Object} req - Express request
+ * @param {Object} file - Multer file info
+ * @param {Function} cb - Multer callback
+ */
+const spreadsheetFileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (!SALE_IMPORT.ALLOWED_EXTENSIONS.includes(extension)) {
+    return cb(new ValidationError(
+      `Only ${SALE_IMPORT.ALLOWED_EXTENSIONS.join(', ')} files are allowed`
+    ));
+  }
+
+  cb(null, true);
+};
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: SALE_IMPORT.MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: spreadsheetFileFilter
+});
+
+/**
+ * Upload Sale Import File
+ * Expects a single file in the "file" field of a multipart/form-data request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const uploadSaleImportFile = [
+  spreadsheetUpload.single('file'),
+
+  (req, res, next) => {
+    if (!req.file) {
+      throw new ValidationError('A CSV or XLSX file is required in the "file" field');
+    }
+
+    next();
+  }
+];
+
+module.exports = {
+  uploadSaleImportFile
+};
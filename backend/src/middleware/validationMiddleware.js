@@ -5,9 +5,21 @@
 
 'use strict';
 
-const { body, param, query, validationResult } = require('express-validator');
+const { body, param, query, header, validationResult } = require('express-validator');
 const { ValidationError } = require('../utils/errors');
-const { VALIDATION, PRODUCTS } = require('../utils/constants');
+const {
+  VALIDATION,
+  DOCUMENT_TYPES,
+  SALE_EXPORT_FORMATS,
+  SALE_SORT_FIELDS,
+  SALE_BULK,
+  SORT_DIRECTIONS
+} = require('../utils/constants');
+const { INITIAL_SALE_STATUS, getAllStatuses, assertTransition } = require('../utils/saleStateMachine');
+const { documentNumberValidator, documentNumberSanitizer } = require('../utils/identityDocuments');
+const { assertProductRules } = require('../utils/productRules');
+const { getPasswordPolicyErrors } = require('../utils/passwordPolicy');
+const { Sale, Product } = require('../models');
 const logger = require('../utils/logger');
 
 /**
@@ -35,6 +47,24 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Password Policy Validator
+ * Custom validator for new passwords. Name and email are only checked when they
+ * are in the body; the services check them and the password history again
+ * @param {String} value - New password
+ * @param {Object} meta - express-validator meta ({ req })
+ * @returns {Boolean} True when the password meets the policy
+ */
+const passwordPolicyValidator = (value, { req }) => {
+  const errors = getPasswordPolicyErrors(value, { nombre: req.body.nombre, email: req.body.email });
+
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  return true;
+};
+
 /**
  * Login Validation Rules
  */
@@ -54,6 +84,95 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Refresh Token Validation Rules
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .notEmpty().withMessage('Refresh token is required')
+    .isString().withMessage('Refresh token must be a string'),
+
+  handleValidationErrors
+];
+
+/**
+ * Forgot Password Validation Rules
+ */
+const validateForgotPassword = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .isLength({ max: VALIDATION.EMAIL_MAX_LENGTH })
+    .withMessage(`Email must not exceed ${VALIDATION.EMAIL_MAX_LENGTH} characters`),
+
+  handleValidationErrors
+];
+
+/**
+ * Reset Password Validation Rules
+ */
+const validateResetPassword = [
+  body('token')
+    .notEmpty().withMessage('Reset token is required')
+    .isString().withMessage('Reset token must be a string'),
+
+  body('newPassword')
+    .notEmpty().withMessage('New password is required')
+    .custom(passwordPolicyValidator),
+
+  handleValidationErrors
+];
+
+/**
+ * Accept Invitation Validation Rules
+ */
+const validateAcceptInvitation = [
+  body('token')
+    .notEmpty().withMessage('Invitation token is required')
+    .isString().withMessage('Invitation token must be a string'),
+
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .custom(passwordPolicyValidator),
+
+  handleValidationErrors
+];
+
+/**
+ * Two-Factor Code Validation Rules
+ * code is a TOTP code or a recovery code
+ */
+const mfaCodeRule = body('code')
+  .trim()
+  .notEmpty().withMessage('Verification code is required')
+  .isLength({ max: 20 }).withMessage('Verification code is too long');
+
+const validateMfaCode = [
+  mfaCodeRule,
+
+  handleValidationErrors
+];
+
+const validateMfaVerify = [
+  body('mfaToken')
+    .notEmpty().withMessage('Two-factor token is required')
+    .isString().withMessage('Two-factor token must be a string'),
+
+  mfaCodeRule,
+
+  handleValidationErrors
+];
+
+const validateMfaDisable = [
+  body('password')
+    .notEmpty().withMessage('Password is required'),
+
+  mfaCodeRule,
+
+  handleValidationErrors
+];
+
 /**
  * User Creation Validation Rules
  */
@@ -74,16 +193,50 @@ const validateUserCreate = [
 
   body('password')
     .notEmpty().withMessage('Password is required')
-    .isLength({ min: VALIDATION.PASSWORD_MIN_LENGTH, max: VALIDATION.PASSWORD_MAX_LENGTH })
-    .withMessage(`Password must be between ${VALIDATION.PASSWORD_MIN_LENGTH} and ${VALIDATION.PASSWORD_MAX_LENGTH} characters`)
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .custom(passwordPolicyValidator),
 
   body('rolId')
     .notEmpty().withMessage('Role is required')
     .isInt({ min: 1 }).withMessage('Invalid role ID')
     .toInt(),
 
+  body('sucursalId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Invalid branch ID')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Invitation Validation Rules
+ * Like user creation, without password: the invited user chooses it
+ */
+const validateInvitationCreate = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: VALIDATION.NAME_MIN_LENGTH, max: VALIDATION.NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.NAME_MIN_LENGTH} and ${VALIDATION.NAME_MAX_LENGTH} characters`),
+
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .isLength({ max: VALIDATION.EMAIL_MAX_LENGTH })
+    .withMessage(`Email must not exceed ${VALIDATION.EMAIL_MAX_LENGTH} characters`)
+    .normalizeEmail(),
+
+  body('rolId')
+    .notEmpty().withMessage('Role is required')
+    .isInt({ min: 1 }).withMessage('Invalid role ID')
+    .toInt(),
+
+  body('sucursalId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Invalid branch ID')
+    .toInt(),
+
   handleValidationErrors
 ];
 
@@ -107,23 +260,100 @@ const validateUserUpdate = [
 
   body('password')
     .optional()
-    .isLength({ min: VALIDATION.PASSWORD_MIN_LENGTH, max: VALIDATION.PASSWORD_MAX_LENGTH })
-    .withMessage(`Password must be between ${VALIDATION.PASSWORD_MIN_LENGTH} and ${VALIDATION.PASSWORD_MAX_LENGTH} characters`)
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .custom(passwordPolicyValidator),
 
   body('rolId')
     .optional()
     .isInt({ min: 1 }).withMessage('Invalid role ID')
     .toInt(),
 
+  body('sucursalId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Invalid branch ID')
+    .toInt(),
+
   handleValidationErrors
 ];
 
+/**
+ * Is Stale Version
+ * @param {Object} sale - Stored sale (with version)
+ * @param {Object} body - Request body, version is the one the client edited
+ * @returns {Boolean} Whether the client edited an older version of the sale
+ */
+const isStaleVersion = (sale, body) => body.version !== undefined && body.version !== sale.version;
+
+/**
+ * Apply If-Match Version
+ * The sale ETag in If-Match replaces the version body field; "*" skips the check
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const applyIfMatchVersion = (req, res, next) => {
+  const ifMatch = req.get('If-Match');
+
+  if (ifMatch === '*') {
+    delete req.body.version;
+  } else if (ifMatch) {
+    req.body.version = parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''));
+  }
+
+  next();
+};
+
+/**
+ * Validate Sale Product Rules
+ * Loads the sale's product and checks the franchise, rate and amount rules configured on it
+ * On update the request is merged with the stored sale, so changing only the product
+ * is checked against the franchise and rate already saved
+ * Missing sales and products are left to the service so it can answer with 404/400
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const validateSaleProductRules = async (req, res, next) => {
+  try {
+    let values = req.body;
+
+    if (req.params.id) {
+      const ruleFields = ['productoId', 'cupoSolicitado', 'franquiciaId', 'tasa'];
+      if (!ruleFields.some(field => req.body[field] !== undefined)) {
+        return next();
+      }
+
+      const sale = await Sale.findByPk(req.params.id, {
+        attributes: ['id', 'version', ...ruleFields]
+      });
+      // A stale edit is answered by the service with 409 and the current sale
+      if (!sale || isStaleVersion(sale, req.body)) {
+        return next();
+      }
+
+      values = { ...sale.get({ plain: true }), ...req.body };
+    }
+
+    const product = await Product.findByPk(values.productoId);
+
+    if (product) {
+      assertProductRules(product, values);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Sale Creation Validation Rules
  */
 const validateSaleCreate = [
+  body('clienteId')
+    .notEmpty().withMessage('Client is required')
+    .isInt({ min: 1 }).withMessage('Invalid client ID')
+    .toInt(),
+
   body('productoId')
     .notEmpty().withMessage('Product is required')
     .isInt({ min: 1 }).withMessage('Invalid product ID')
@@ -135,36 +365,201 @@ const validateSaleCreate = [
     .withMessage(`Amount must be at least ${VALIDATION.AMOUNT_MIN}`)
     .toFloat(),
 
-  // Conditional validation: franquiciaId required only for credit cards (product ID 3)
+  // Whether franquiciaId and tasa are required depends on the product (see validateSaleProductRules)
   body('franquiciaId')
-    .if(body('productoId').equals(PRODUCTS.CREDIT_CARD.ID.toString()))
-    .notEmpty().withMessage('Franchise is required for credit cards')
+    .optional({ values: 'null' })
     .isInt({ min: 1 }).withMessage('Invalid franchise ID')
     .toInt(),
 
-  // Conditional validation: tasa required for credits and payrolls (product IDs 1, 2)
   body('tasa')
-    .if((value, { req }) => {
-      const productId = parseInt(req.body.productoId);
-      return productId === PRODUCTS.CONSUMER_CREDIT.ID || productId === PRODUCTS.FREE_INVESTMENT_PAYROLL.ID;
-    })
-    .notEmpty().withMessage('Rate is required for credits and payrolls')
+    .optional({ values: 'null' })
     .isFloat({ min: VALIDATION.RATE_MIN, max: VALIDATION.RATE_MAX })
     .withMessage(`Rate must be between ${VALIDATION.RATE_MIN} and ${VALIDATION.RATE_MAX}`)
     .toFloat(),
 
   body('estado')
     .optional()
-    .isIn(['Abierto', 'En Proceso', 'Finalizado'])
+    .isIn([INITIAL_SALE_STATUS])
+    .withMessage(`New sales must start in '${INITIAL_SALE_STATUS}' status`),
+
+  handleValidationErrors,
+
+  validateSaleProductRules
+];
+
+/**
+ * Sale Import Validation
+ * The file itself is checked by uploadMiddleware and the import service
+ */
+const validateSaleImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean().withMessage('dryRun must be true or false')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Sale Reassign Validation
+ * Either saleIds (selected sales) or fromUserId (all open sales of an advisor)
+ */
+const validateSaleReassign = [
+  body('toUserId')
+    .notEmpty().withMessage('Target advisor is required')
+    .isInt({ min: 1 }).withMessage('Invalid target advisor ID')
+    .toInt(),
+
+  body('fromUserId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid source advisor ID')
+    .toInt()
+    .custom((fromUserId, { req }) => fromUserId !== parseInt(req.body.toUserId))
+    .withMessage('Source and target advisor must be different'),
+
+  body('saleIds')
+    .custom((saleIds, { req }) => (saleIds === undefined) !== (req.body.fromUserId === undefined))
+    .withMessage('Send either saleIds or fromUserId'),
+
+  body('saleIds')
+    .optional()
+    .isArray({ min: 1, max: SALE_BULK.MAX_SALES })
+    .withMessage(`saleIds must be an array of 1 to ${SALE_BULK.MAX_SALES} sale IDs`),
+
+  body('saleIds.*')
+    .isInt({ min: 1 }).withMessage('Invalid sale ID')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Sale Bulk Action Validation Rules
+ * estado is required to change the status, toUserId to reassign
+ */
+const validateSaleBulk = [
+  body('action')
+    .isIn(Object.values(SALE_BULK.ACTIONS))
+    .withMessage(`action must be one of: ${Object.values(SALE_BULK.ACTIONS).join(', ')}`),
+
+  body('saleIds')
+    .isArray({ min: 1, max: SALE_BULK.MAX_SALES })
+    .withMessage(`saleIds must be an array of 1 to ${SALE_BULK.MAX_SALES} sale IDs`),
+
+  body('saleIds.*')
+    .isInt({ min: 1 }).withMessage('Invalid sale ID')
+    .toInt(),
+
+  body('estado')
+    .if(body('action').equals(SALE_BULK.ACTIONS.STATUS))
+    .notEmpty().withMessage('Status is required').bail()
+    .isIn(getAllStatuses())
     .withMessage('Invalid status'),
 
+  body('toUserId')
+    .if(body('action').equals(SALE_BULK.ACTIONS.REASSIGN))
+    .notEmpty().withMessage('Target advisor is required').bail()
+    .isInt({ min: 1 }).withMessage('Invalid target advisor ID')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Sale List Query Validation
+ * Sorting is limited to a whitelist of columns; q is a free-text search
+ */
+const validateSaleListQuery = [
+  query('sortBy')
+    .optional()
+    .isIn(SALE_SORT_FIELDS)
+    .withMessage(`sortBy must be one of: ${SALE_SORT_FIELDS.join(', ')}`),
+
+  query('sortDir')
+    .optional()
+    .isIn(Object.values(SORT_DIRECTIONS))
+    .withMessage(`sortDir must be one of: ${Object.values(SORT_DIRECTIONS).join(', ')}`),
+
+  query('sucursalId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid branch ID')
+    .toInt(),
+
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: VALIDATION.SEARCH_MAX_LENGTH })
+    .withMessage(`Search must not exceed ${VALIDATION.SEARCH_MAX_LENGTH} characters`),
+
+  handleValidationErrors
+];
+
+/**
+ * Sale Export Validation
+ * Same filters as the sales list plus the output format
+ */
+const validateSaleExport = [
+  query('format')
+    .notEmpty().withMessage('Format is required')
+    .isIn(Object.values(SALE_EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.values(SALE_EXPORT_FORMATS).join(', ')}`),
+
+  query(['clienteId', 'productoId', 'usuarioCreadorId', 'sucursalId'])
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid ID')
+    .toInt(),
+
+  query('estado')
+    .optional()
+    .isIn(getAllStatuses())
+    .withMessage(`Status must be one of: ${getAllStatuses().join(', ')}`),
+
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: VALIDATION.SEARCH_MAX_LENGTH })
+    .withMessage(`Search must not exceed ${VALIDATION.SEARCH_MAX_LENGTH} characters`),
+
   handleValidationErrors
 ];
 
+/**
+ * Validate Sale Status Transition
+ * Loads the current sale status and rejects transitions not allowed by the state machine
+ * Missing sales and stale versions are left to the service so it can answer with 404/409
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+const validateStatusTransition = async (req, res, next) => {
+  try {
+    if (req.body.estado === undefined) {
+      return next();
+    }
+
+    const sale = await Sale.findByPk(req.params.id, {
+      attributes: ['id', 'estado', 'version']
+    });
+
+    if (sale && !isStaleVersion(sale, req.body)) {
+      assertTransition(sale.estado, req.body.estado, req.user.permisos);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Sale Update Validation Rules
  */
 const validateSaleUpdate = [
+  body('clienteId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid client ID')
+    .toInt(),
+
   body('productoId')
     .optional()
     .isInt({ min: 1 }).withMessage('Invalid product ID')
@@ -177,21 +572,425 @@ const validateSaleUpdate = [
     .toFloat(),
 
   body('franquiciaId')
-    .optional()
+    .optional({ values: 'null' })
     .isInt({ min: 1 }).withMessage('Invalid franchise ID')
     .toInt(),
 
   body('tasa')
-    .optional()
+    .optional({ values: 'null' })
     .isFloat({ min: VALIDATION.RATE_MIN, max: VALIDATION.RATE_MAX })
     .withMessage(`Rate must be between ${VALIDATION.RATE_MIN} and ${VALIDATION.RATE_MAX}`)
     .toFloat(),
 
   body('estado')
     .optional()
-    .isIn(['Abierto', 'En Proceso', 'Finalizado'])
+    .isIn(getAllStatuses())
     .withMessage('Invalid status'),
 
+  // Version the client edited (optimistic locking), as a body field or the ETag in If-Match
+  body('version')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Invalid version')
+    .toInt(),
+
+  header('If-Match')
+    .optional()
+    .matches(/^(\*|(W\/)?"\d+")$/)
+    .withMessage('If-Match must be the sale ETag'),
+
+  handleValidationErrors,
+
+  applyIfMatchVersion,
+
+  validateStatusTransition,
+
+  validateSaleProductRules
+];
+
+/**
+ * Client Creation Validation Rules
+ */
+const validateClientCreate = [
+  body('tipoDocumento')
+    .notEmpty().withMessage('Document type is required')
+    .isIn(Object.values(DOCUMENT_TYPES)).withMessage('Invalid document type'),
+
+  body('numeroDocumento')
+    .trim()
+    .notEmpty().withMessage('Document number is required')
+    .customSanitizer(documentNumberSanitizer)
+    .isLength({ max: VALIDATION.DOCUMENT_NUMBER_MAX_LENGTH })
+    .withMessage(`Document number must not exceed ${VALIDATION.DOCUMENT_NUMBER_MAX_LENGTH} characters`)
+    .custom(documentNumberValidator),
+
+  body('nombreCompleto')
+    .trim()
+    .notEmpty().withMessage('Full name is required')
+    .isLength({ min: VALIDATION.CLIENT_NAME_MIN_LENGTH, max: VALIDATION.CLIENT_NAME_MAX_LENGTH })
+    .withMessage(`Full name must be between ${VALIDATION.CLIENT_NAME_MIN_LENGTH} and ${VALIDATION.CLIENT_NAME_MAX_LENGTH} characters`),
+
+  body('telefono')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\+?[0-9\s-]{7,20}$/).withMessage('Invalid phone number')
+    .isLength({ max: VALIDATION.PHONE_MAX_LENGTH })
+    .withMessage(`Phone must not exceed ${VALIDATION.PHONE_MAX_LENGTH} characters`),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail().withMessage('Invalid email format')
+    .isLength({ max: VALIDATION.CLIENT_EMAIL_MAX_LENGTH })
+    .withMessage(`Email must not exceed ${VALIDATION.CLIENT_EMAIL_MAX_LENGTH} characters`)
+    .normalizeEmail(),
+
+  body('ingresosMensuales')
+    .optional({ values: 'null' })
+    .isFloat({ min: VALIDATION.INCOME_MIN })
+    .withMessage(`Monthly income must be at least ${VALIDATION.INCOME_MIN}`)
+    .toFloat(),
+
+  handleValidationErrors
+];
+
+/**
+ * Client Update Validation Rules
+ */
+const validateClientUpdate = [
+  body('tipoDocumento')
+    .optional()
+    .isIn(Object.values(DOCUMENT_TYPES)).withMessage('Invalid document type'),
+
+  body('numeroDocumento')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Document number cannot be empty')
+    .customSanitizer(documentNumberSanitizer)
+    .isLength({ max: VALIDATION.DOCUMENT_NUMBER_MAX_LENGTH })
+    .withMessage(`Document number must not exceed ${VALIDATION.DOCUMENT_NUMBER_MAX_LENGTH} characters`)
+    .custom(documentNumberValidator),
+
+  body('nombreCompleto')
+    .optional()
+    .trim()
+    .isLength({ min: VALIDATION.CLIENT_NAME_MIN_LENGTH, max: VALIDATION.CLIENT_NAME_MAX_LENGTH })
+    .withMessage(`Full name must be between ${VALIDATION.CLIENT_NAME_MIN_LENGTH} and ${VALIDATION.CLIENT_NAME_MAX_LENGTH} characters`),
+
+  body('telefono')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^\+?[0-9\s-]{7,20}$/).withMessage('Invalid phone number')
+    .isLength({ max: VALIDATION.PHONE_MAX_LENGTH })
+    .withMessage(`Phone must not exceed ${VALIDATION.PHONE_MAX_LENGTH} characters`),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail().withMessage('Invalid email format')
+    .isLength({ max: VALIDATION.CLIENT_EMAIL_MAX_LENGTH })
+    .withMessage(`Email must not exceed ${VALIDATION.CLIENT_EMAIL_MAX_LENGTH} characters`)
+    .normalizeEmail(),
+
+  body('ingresosMensuales')
+    .optional({ values: 'null' })
+    .isFloat({ min: VALIDATION.INCOME_MIN })
+    .withMessage(`Monthly income must be at least ${VALIDATION.INCOME_MIN}`)
+    .toFloat(),
+
+  handleValidationErrors
+];
+
+/**
+ * Product Rule Fields Validation
+ * Shared by product create and update; limits are nullable (no limit)
+ */
+const productRuleFields = [
+  body('requiresFranchise')
+    .optional()
+    .isBoolean().withMessage('requiresFranchise must be a boolean')
+    .toBoolean(),
+
+  body('requiresRate')
+    .optional()
+    .isBoolean().withMessage('requiresRate must be a boolean')
+    .toBoolean(),
+
+  body(['minAmount', 'maxAmount'])
+    .optional({ values: 'null' })
+    .isFloat({ min: VALIDATION.AMOUNT_MIN })
+    .withMessage(`Amount limits must be at least ${VALIDATION.AMOUNT_MIN}`)
+    .toFloat(),
+
+  body(['minRate', 'maxRate'])
+    .optional({ values: 'null' })
+    .isFloat({ min: VALIDATION.RATE_MIN, max: VALIDATION.RATE_MAX })
+    .withMessage(`Rate limits must be between ${VALIDATION.RATE_MIN} and ${VALIDATION.RATE_MAX}`)
+    .toFloat(),
+
+  body('activo')
+    .optional()
+    .isBoolean().withMessage('activo must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Product Creation Validation Rules
+ */
+const validateProductCreate = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: VALIDATION.PRODUCT_NAME_MIN_LENGTH, max: VALIDATION.PRODUCT_NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.PRODUCT_NAME_MIN_LENGTH} and ${VALIDATION.PRODUCT_NAME_MAX_LENGTH} characters`),
+
+  ...productRuleFields,
+
+  handleValidationErrors
+];
+
+/**
+ * Product Update Validation Rules
+ */
+const validateProductUpdate = [
+  body('nombre')
+    .optional()
+    .trim()
+    .isLength({ min: VALIDATION.PRODUCT_NAME_MIN_LENGTH, max: VALIDATION.PRODUCT_NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.PRODUCT_NAME_MIN_LENGTH} and ${VALIDATION.PRODUCT_NAME_MAX_LENGTH} characters`),
+
+  ...productRuleFields,
+
+  handleValidationErrors
+];
+
+/**
+ * Franchise Creation Validation Rules
+ */
+const validateFranchiseCreate = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: VALIDATION.FRANCHISE_NAME_MIN_LENGTH, max: VALIDATION.FRANCHISE_NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.FRANCHISE_NAME_MIN_LENGTH} and ${VALIDATION.FRANCHISE_NAME_MAX_LENGTH} characters`),
+
+  body('activo')
+    .optional()
+    .isBoolean().withMessage('activo must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Franchise Update Validation Rules
+ */
+const validateFranchiseUpdate = [
+  body('nombre')
+    .optional()
+    .trim()
+    .isLength({ min: VALIDATION.FRANCHISE_NAME_MIN_LENGTH, max: VALIDATION.FRANCHISE_NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.FRANCHISE_NAME_MIN_LENGTH} and ${VALIDATION.FRANCHISE_NAME_MAX_LENGTH} characters`),
+
+  body('activo')
+    .optional()
+    .isBoolean().withMessage('activo must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Active Status Validation (PATCH .../:id/status)
+ */
+const validateActiveStatus = [
+  body('activo')
+    .exists().withMessage('activo is required')
+    .isBoolean().withMessage('activo must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Role Create Validation Rules
+ */
+const validateRoleCreate = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: VALIDATION.ROLE_NAME_MIN_LENGTH, max: VALIDATION.ROLE_NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.ROLE_NAME_MIN_LENGTH} and ${VALIDATION.ROLE_NAME_MAX_LENGTH} characters`),
+
+  body('descripcion')
+    .optional({ nullable: true })
+    .isString().withMessage('descripcion must be a string')
+    .trim(),
+
+  body('requiereMfa')
+    .optional()
+    .isBoolean().withMessage('requiereMfa must be a boolean')
+    .toBoolean(),
+
+  body('permisos')
+    .isArray().withMessage('permisos must be an array of permission keys'),
+
+  body('permisos.*')
+    .isString().withMessage('Invalid permission key'),
+
+  handleValidationErrors
+];
+
+/**
+ * Role Update Validation Rules
+ */
+const validateRoleUpdate = [
+  body('nombre')
+    .optional()
+    .trim()
+    .isLength({ min: VALIDATION.ROLE_NAME_MIN_LENGTH, max: VALIDATION.ROLE_NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.ROLE_NAME_MIN_LENGTH} and ${VALIDATION.ROLE_NAME_MAX_LENGTH} characters`),
+
+  body('descripcion')
+    .optional({ nullable: true })
+    .isString().withMessage('descripcion must be a string')
+    .trim(),
+
+  body('requiereMfa')
+    .optional()
+    .isBoolean().withMessage('requiereMfa must be a boolean')
+    .toBoolean(),
+
+  body('permisos')
+    .optional()
+    .isArray().withMessage('permisos must be an array of permission keys'),
+
+  body('permisos.*')
+    .isString().withMessage('Invalid permission key'),
+
+  handleValidationErrors
+];
+
+/**
+ * Role Two-Factor Requirement Validation Rules
+ */
+const validateRoleMfa = [
+  body('requiereMfa')
+    .exists().withMessage('requiereMfa is required')
+    .isBoolean().withMessage('requiereMfa must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Team Create Validation Rules
+ */
+const validateTeamCreate = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: VALIDATION.TEAM_NAME_MIN_LENGTH, max: VALIDATION.TEAM_NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.TEAM_NAME_MIN_LENGTH} and ${VALIDATION.TEAM_NAME_MAX_LENGTH} characters`),
+
+  body('descripcion')
+    .optional({ nullable: true })
+    .isString().withMessage('descripcion must be a string')
+    .trim(),
+
+  body('supervisorId')
+    .notEmpty().withMessage('Supervisor is required')
+    .isInt({ min: 1 }).withMessage('Invalid supervisor ID')
+    .toInt(),
+
+  body('miembros')
+    .optional()
+    .isArray().withMessage('miembros must be an array of user IDs'),
+
+  body('miembros.*')
+    .isInt({ min: 1 }).withMessage('Invalid member ID')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Team Update Validation Rules
+ */
+const validateTeamUpdate = [
+  body('nombre')
+    .optional()
+    .trim()
+    .isLength({ min: VALIDATION.TEAM_NAME_MIN_LENGTH, max: VALIDATION.TEAM_NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.TEAM_NAME_MIN_LENGTH} and ${VALIDATION.TEAM_NAME_MAX_LENGTH} characters`),
+
+  body('descripcion')
+    .optional({ nullable: true })
+    .isString().withMessage('descripcion must be a string')
+    .trim(),
+
+  body('supervisorId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid supervisor ID')
+    .toInt(),
+
+  body('miembros')
+    .optional()
+    .isArray().withMessage('miembros must be an array of user IDs'),
+
+  body('miembros.*')
+    .isInt({ min: 1 }).withMessage('Invalid member ID')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Branch Create Validation Rules
+ */
+const validateBranchCreate = [
+  body('nombre')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: VALIDATION.BRANCH_NAME_MIN_LENGTH, max: VALIDATION.BRANCH_NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.BRANCH_NAME_MIN_LENGTH} and ${VALIDATION.BRANCH_NAME_MAX_LENGTH} characters`),
+
+  body('ciudad')
+    .optional({ nullable: true })
+    .isString().withMessage('ciudad must be a string')
+    .trim()
+    .isLength({ max: VALIDATION.BRANCH_NAME_MAX_LENGTH })
+    .withMessage(`City must not exceed ${VALIDATION.BRANCH_NAME_MAX_LENGTH} characters`),
+
+  body('activo')
+    .optional()
+    .isBoolean().withMessage('activo must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Branch Update Validation Rules
+ */
+const validateBranchUpdate = [
+  body('nombre')
+    .optional()
+    .trim()
+    .isLength({ min: VALIDATION.BRANCH_NAME_MIN_LENGTH, max: VALIDATION.BRANCH_NAME_MAX_LENGTH })
+    .withMessage(`Name must be between ${VALIDATION.BRANCH_NAME_MIN_LENGTH} and ${VALIDATION.BRANCH_NAME_MAX_LENGTH} characters`),
+
+  body('ciudad')
+    .optional({ nullable: true })
+    .isString().withMessage('ciudad must be a string')
+    .trim()
+    .isLength({ max: VALIDATION.BRANCH_NAME_MAX_LENGTH })
+    .withMessage(`City must not exceed ${VALIDATION.BRANCH_NAME_MAX_LENGTH} characters`),
+
+  body('activo')
+    .optional()
+    .isBoolean().withMessage('activo must be a boolean')
+    .toBoolean(),
+
   handleValidationErrors
 ];
 
@@ -223,6 +1022,29 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+/**
+ * Login Attempt Filters Validation
+ */
+const validateLoginAttemptFilters = [
+  query('usuarioId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid user ID')
+    .toInt(),
+
+  query('email')
+    .optional()
+    .trim()
+    .isLength({ max: VALIDATION.EMAIL_MAX_LENGTH })
+    .withMessage(`Email must not exceed ${VALIDATION.EMAIL_MAX_LENGTH} characters`),
+
+  query('exitoso')
+    .optional()
+    .isBoolean().withMessage('exitoso must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
 /**
  * Date Range Query Validation
  */
@@ -246,14 +1068,72 @@ const validateDateRange = [
   handleValidationErrors
 ];
 
+/**
+ * Statistics Filters Validation
+ * Branch filter shared by every statistics endpoint
+ */
+const validateStatsFilters = [
+  query('sucursalId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid branch ID')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Advisor Statistics Query Validation
+ */
+const validateAdvisorStatsQuery = [
+  query('equipoId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Invalid team ID')
+    .toInt(),
+
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
+  passwordPolicyValidator,
   validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateAcceptInvitation,
+  validateMfaCode,
+  validateMfaVerify,
+  validateMfaDisable,
   validateUserCreate,
+  validateInvitationCreate,
   validateUserUpdate,
   validateSaleCreate,
   validateSaleUpdate,
+  validateSaleImport,
+  validateSaleReassign,
+  validateSaleBulk,
+  validateSaleListQuery,
+  validateSaleExport,
+  validateStatusTransition,
+  validateSaleProductRules,
+  validateClientCreate,
+  validateClientUpdate,
+  validateProductCreate,
+  validateProductUpdate,
+  validateFranchiseCreate,
+  validateFranchiseUpdate,
+  validateActiveStatus,
+  validateRoleCreate,
+  validateRoleUpdate,
+  validateRoleMfa,
+  validateTeamCreate,
+  validateTeamUpdate,
+  validateBranchCreate,
+  validateBranchUpdate,
   validateId,
   validatePagination,
-  validateDateRange
+  validateLoginAttemptFilters,
+  validateDateRange,
+  validateStatsFilters,
+  validateAdvisorStatsQuery
 };
\ No newline at end of file
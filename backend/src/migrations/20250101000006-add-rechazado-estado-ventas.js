@@ -0,0 +1,27 @@
+/**
+ * Migration: Add 'Rechazado' to ventas.estado
+ * Rejection path of the sale status state machine
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('ventas', 'estado', {
+      type: Sequelize.ENUM('Abierto', 'En Proceso', 'Finalizado', 'Rechazado'),
+      allowNull: false,
+      defaultValue: 'Abierto'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Rejected sales have no equivalent in the old enum, move them back to open
+    await queryInterface.bulkUpdate('ventas', { estado: 'Abierto' }, { estado: 'Rechazado' });
+
+    await queryInterface.changeColumn('ventas', 'estado', {
+      type: Sequelize.ENUM('Abierto', 'En Proceso', 'Finalizado'),
+      allowNull: false,
+      defaultValue: 'Abierto'
+    });
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Migration: Create venta_historial (sale audit trail) table
+ * Depends on: usuarios
+ * ventaId has no foreign key so entries survive the deletion of their sale
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('venta_historial', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      ventaId: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      accion: {
+        type: Sequelize.ENUM('Creacion', 'Actualizacion', 'Eliminacion'),
+        allowNull: false
+      },
+      cambios: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      usuarioId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes for performance
+    await queryInterface.addIndex('venta_historial', ['ventaId']);
+    await queryInterface.addIndex('venta_historial', ['usuarioId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('venta_historial');
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Migration: Add deletedAt to ventas and usuarios
+ * Enables paranoid (soft) deletion so records are kept for compliance
+ * Also adds the 'Restauracion' action to venta_historial
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('ventas', 'deletedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('usuarios', 'deletedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.changeColumn('venta_historial', 'accion', {
+      type: Sequelize.ENUM('Creacion', 'Actualizacion', 'Eliminacion', 'Restauracion'),
+      allowNull: false
+    });
+
+    // Add indexes for performance
+    await queryInterface.addIndex('ventas', ['deletedAt']);
+    await queryInterface.addIndex('usuarios', ['deletedAt']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete('venta_historial', { accion: 'Restauracion' });
+
+    await queryInterface.changeColumn('venta_historial', 'accion', {
+      type: Sequelize.ENUM('Creacion', 'Actualizacion', 'Eliminacion'),
+      allowNull: false
+    });
+
+    await queryInterface.removeIndex('usuarios', ['deletedAt']);
+    await queryInterface.removeIndex('ventas', ['deletedAt']);
+
+    await queryInterface.removeColumn('usuarios', 'deletedAt');
+    await queryInterface.removeColumn('ventas', 'deletedAt');
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * Migration: Create clientes (customers) table and ventas.clienteId
+ * Depends on: usuarios, ventas
+ * Sales created before this migration are attached to a placeholder customer
+ * so clienteId can be NOT NULL
+ */
+
+'use strict';
+
+const PLACEHOLDER_DOCUMENT = '0000000000';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('clientes', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      tipoDocumento: {
+        type: Sequelize.ENUM('CC', 'CE', 'PA', 'NIT'),
+        allowNull: false
+      },
+      numeroDocumento: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      nombreCompleto: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      telefono: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      email: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      ingresosMensuales: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      usuarioCreadorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // A document identifies a single customer
+    await queryInterface.addIndex('clientes', ['tipoDocumento', 'numeroDocumento'], {
+      unique: true,
+      name: 'clientes_documento_unique'
+    });
+    await queryInterface.addIndex('clientes', ['nombreCompleto']);
+    await queryInterface.addIndex('clientes', ['usuarioCreadorId']);
+
+    // Add nullable first so existing sales can be backfilled
+    await queryInterface.addColumn('ventas', 'clienteId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'clientes',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+
+    const [[{ pending }]] = await queryInterface.sequelize.query(
+      'SELECT COUNT(*) AS pending FROM ventas WHERE clienteId IS NULL'
+    );
+
+    if (parseInt(pending) > 0) {
+      // Placeholder customer owned by the first administrator
+      const [[admin]] = await queryInterface.sequelize.query(
+        'SELECT MIN(id) AS id FROM usuarios WHERE rolId = 1'
+      );
+
+      await queryInterface.bulkInsert('clientes', [{
+        tipoDocumento: 'CC',
+        numeroDocumento: PLACEHOLDER_DOCUMENT,
+        nombreCompleto: 'Cliente no registrado',
+        usuarioCreadorId: admin.id,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }]);
+
+      await queryInterface.sequelize.query(
+        `UPDATE ventas SET clienteId = (
+          SELECT id FROM clientes WHERE tipoDocumento = 'CC' AND numeroDocumento = '${PLACEHOLDER_DOCUMENT}'
+        ) WHERE clienteId IS NULL`
+      );
+    }
+
+    await queryInterface.changeColumn('ventas', 'clienteId', {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    });
+
+    await queryInterface.addIndex('ventas', ['clienteId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    // MySQL refuses to drop a column that is still part of a foreign key
+    const references = await queryInterface.getForeignKeyReferencesForTable('ventas');
+    for (const reference of references.filter(ref => ref.columnName === 'clienteId')) {
+      await queryInterface.removeConstraint('ventas', reference.constraintName);
+    }
+
+    await queryInterface.removeColumn('ventas', 'clienteId');
+    await queryInterface.dropTable('clientes');
+  }
+};
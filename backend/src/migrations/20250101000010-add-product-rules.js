@@ -0,0 +1,77 @@
+/**
+ * Migration: Add sale rules and active flag to productos_tipos
+ * Replaces the hard-coded product IDs in the sale validations with per-product configuration
+ * Existing products get the rules they had when they were hard-coded
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('productos_tipos', 'activo', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    });
+
+    await queryInterface.addColumn('productos_tipos', 'requiresFranchise', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('productos_tipos', 'requiresRate', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('productos_tipos', 'minAmount', {
+      type: Sequelize.DECIMAL(15, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('productos_tipos', 'maxAmount', {
+      type: Sequelize.DECIMAL(15, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('productos_tipos', 'minRate', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('productos_tipos', 'maxRate', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true
+    });
+
+    // Credito de Consumo (1) and Libranza Libre Inversión (2) require a rate
+    await queryInterface.bulkUpdate(
+      'productos_tipos',
+      { requiresRate: true, minRate: 0, maxRate: 100 },
+      { id: [1, 2] }
+    );
+
+    // Tarjeta de Credito (3) requires a franchise
+    await queryInterface.bulkUpdate(
+      'productos_tipos',
+      { requiresFranchise: true },
+      { id: 3 }
+    );
+
+    await queryInterface.addIndex('productos_tipos', ['activo']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('productos_tipos', ['activo']);
+
+    await queryInterface.removeColumn('productos_tipos', 'maxRate');
+    await queryInterface.removeColumn('productos_tipos', 'minRate');
+    await queryInterface.removeColumn('productos_tipos', 'maxAmount');
+    await queryInterface.removeColumn('productos_tipos', 'minAmount');
+    await queryInterface.removeColumn('productos_tipos', 'requiresRate');
+    await queryInterface.removeColumn('productos_tipos', 'requiresFranchise');
+    await queryInterface.removeColumn('productos_tipos', 'activo');
+  }
+};
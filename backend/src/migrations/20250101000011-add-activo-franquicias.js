@@ -0,0 +1,23 @@
+/**
+ * Migration: Add activo to franquicias
+ * Inactive franchises are kept for existing sales but not offered for new ones
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('franquicias', 'activo', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    });
+
+    await queryInterface.addIndex('franquicias', ['activo']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('franquicias', ['activo']);
+    await queryInterface.removeColumn('franquicias', 'activo');
+  }
+};
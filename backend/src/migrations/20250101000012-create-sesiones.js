@@ -0,0 +1,79 @@
+/**
+ * Migration: Create sesiones (refresh token sessions) table
+ * Depends on: usuarios
+ * Only the SHA-256 hash of each refresh token is stored. Every rotation
+ * creates a new row in the same familia and revokes the previous one
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('sesiones', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      usuarioId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      familia: {
+        type: Sequelize.STRING(36),
+        allowNull: false
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      dispositivo: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      expiraEn: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revocadaEn: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reemplazadaPorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes for performance
+    await queryInterface.addIndex('sesiones', ['usuarioId']);
+    await queryInterface.addIndex('sesiones', ['familia']);
+    await queryInterface.addIndex('sesiones', ['expiraEn']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('sesiones');
+  }
+};
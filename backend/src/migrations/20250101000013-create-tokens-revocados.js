@@ -0,0 +1,53 @@
+/**
+ * Migration: Create tokens_revocados (access token denylist) table
+ * Depends on: usuarios
+ * A row with jti revokes a single access token; a row with only usuarioId
+ * revokes every access token the user was issued before createdAt
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('tokens_revocados', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      jti: {
+        type: Sequelize.STRING(36),
+        allowNull: true,
+        unique: true
+      },
+      usuarioId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      expiraEn: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes for performance
+    await queryInterface.addIndex('tokens_revocados', ['usuarioId']);
+    await queryInterface.addIndex('tokens_revocados', ['expiraEn']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('tokens_revocados');
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Migration: Add two-factor authentication (TOTP)
+ * usuarios: per-user enrolment, roles: requiereMfa forces enrolment on every user of the role
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('usuarios', 'mfaHabilitado', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    // Base32 secret, also set while an enrolment is pending confirmation
+    await queryInterface.addColumn('usuarios', 'mfaSecreto', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    // SHA-256 hashes of the unused recovery codes
+    await queryInterface.addColumn('usuarios', 'mfaCodigosRecuperacion', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    // Last accepted time step, a code cannot be used twice
+    await queryInterface.addColumn('usuarios', 'mfaUltimoPaso', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('roles', 'requiereMfa', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('roles', 'requiereMfa');
+    await queryInterface.removeColumn('usuarios', 'mfaUltimoPaso');
+    await queryInterface.removeColumn('usuarios', 'mfaCodigosRecuperacion');
+    await queryInterface.removeColumn('usuarios', 'mfaSecreto');
+    await queryInterface.removeColumn('usuarios', 'mfaHabilitado');
+  }
+};
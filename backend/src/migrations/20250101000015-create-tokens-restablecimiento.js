@@ -0,0 +1,60 @@
+/**
+ * Migration: Create tokens_restablecimiento (password reset tokens) table
+ * Depends on: usuarios
+ * Only a SHA-256 hash of each token is stored; usadoEn marks it as consumed
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('tokens_restablecimiento', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      usuarioId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      expiraEn: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      usadoEn: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes for performance
+    await queryInterface.addIndex('tokens_restablecimiento', ['usuarioId']);
+    await queryInterface.addIndex('tokens_restablecimiento', ['expiraEn']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('tokens_restablecimiento');
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Migration: Create login_intentos table and per-account lockout columns
+ * Depends on: usuarios
+ * login_intentos keeps every login attempt (successful or not) for auditing;
+ * usuarios.intentosFallidos / bloqueadoHasta drive progressive delays and lockout
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('login_intentos', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      // Null when the email does not belong to any user
+      usuarioId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      email: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      exitoso: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false
+      },
+      motivo: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      dispositivo: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes for performance
+    await queryInterface.addIndex('login_intentos', ['usuarioId']);
+    await queryInterface.addIndex('login_intentos', ['email']);
+    await queryInterface.addIndex('login_intentos', ['createdAt']);
+
+    // Consecutive failures since the last successful login
+    await queryInterface.addColumn('usuarios', 'intentosFallidos', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    // No login attempt is accepted before this date
+    await queryInterface.addColumn('usuarios', 'bloqueadoHasta', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('usuarios', 'bloqueadoHasta');
+    await queryInterface.removeColumn('usuarios', 'intentosFallidos');
+    await queryInterface.dropTable('login_intentos');
+  }
+};
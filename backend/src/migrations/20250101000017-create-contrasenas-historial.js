@@ -0,0 +1,54 @@
+/**
+ * Migration: Create contrasenas_historial (password history) table
+ * Depends on: usuarios
+ * Keeps the bcrypt hashes of replaced passwords so they cannot be reused, and
+ * adds usuarios.passwordCambiadoEn for password expiry
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('contrasenas_historial', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      usuarioId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      passwordHash: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes for performance
+    await queryInterface.addIndex('contrasenas_historial', ['usuarioId', 'createdAt']);
+
+    // Date of the last password change, null until the first change (createdAt applies)
+    await queryInterface.addColumn('usuarios', 'passwordCambiadoEn', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('usuarios', 'passwordCambiadoEn');
+    await queryInterface.dropTable('contrasenas_historial');
+  }
+};
@@ -0,0 +1,187 @@
+/**
+ * Migration: Create permisos and rol_permisos tables
+ * Depends on: roles
+ * Replaces the two hard-coded roles with permissions granted per role. Seeds the
+ * permission catalog (the keys checked in code), the Supervisor, Auditor and
+ * Back-office roles and the default permissions of every built-in role
+ */
+
+'use strict';
+
+// Permission catalog, keys must match PERMISSIONS in utils/constants.js
+const PERMISSIONS = [
+  ['sales:read:own', 'Ver sus propias ventas'],
+  ['sales:read:any', 'Ver todas las ventas'],
+  ['sales:create', 'Registrar e importar ventas'],
+  ['sales:update:own', 'Editar sus propias ventas'],
+  ['sales:update:any', 'Editar cualquier venta'],
+  ['sales:status:any', 'Cambiar el estado de cualquier venta sin editar montos'],
+  ['sales:status:advance', 'Pasar ventas abiertas a En Proceso o Rechazado'],
+  ['sales:status:review', 'Finalizar, rechazar o reabrir ventas en proceso'],
+  ['sales:delete:own', 'Eliminar sus propias ventas'],
+  ['sales:delete:any', 'Eliminar cualquier venta'],
+  ['sales:restore', 'Ver y restaurar ventas eliminadas'],
+  ['clients:read:own', 'Ver los clientes que registró o a los que vendió'],
+  ['clients:read:any', 'Ver todos los clientes'],
+  ['clients:create', 'Registrar clientes'],
+  ['clients:update', 'Editar clientes'],
+  ['clients:delete', 'Eliminar clientes sin ventas'],
+  ['stats:read:advisors', 'Ver estadísticas por asesor'],
+  ['users:read', 'Ver usuarios e intentos de acceso'],
+  ['users:manage', 'Crear, editar, bloquear y eliminar usuarios'],
+  ['catalog:manage', 'Administrar productos y franquicias'],
+  ['roles:manage', 'Administrar roles y permisos']
+];
+
+const ALL = PERMISSIONS.map(([clave]) => clave);
+
+// Built-in roles and their default permissions
+const ROLES = [
+  {
+    id: 1,
+    nombre: 'Administrador',
+    descripcion: 'Acceso total al sistema, gestión de usuarios y ventas',
+    permisos: ALL
+  },
+  {
+    id: 2,
+    nombre: 'Asesor',
+    descripcion: 'Gestión de ventas propias, sin acceso a módulo de usuarios',
+    permisos: [
+      'sales:read:own', 'sales:create', 'sales:update:own', 'sales:status:advance', 'sales:delete:own',
+      'clients:read:own', 'clients:create', 'clients:update'
+    ]
+  },
+  {
+    id: 3,
+    nombre: 'Supervisor',
+    descripcion: 'Gestión y revisión de las ventas de todos los asesores',
+    permisos: [
+      'sales:read:any', 'sales:create', 'sales:update:any', 'sales:status:advance', 'sales:status:review',
+      'sales:delete:any', 'clients:read:any', 'clients:create', 'clients:update',
+      'stats:read:advisors', 'users:read'
+    ]
+  },
+  {
+    id: 4,
+    nombre: 'Auditor',
+    descripcion: 'Consulta de ventas, clientes, estadísticas y usuarios, sin cambios',
+    permisos: ['sales:read:any', 'clients:read:any', 'stats:read:advisors', 'users:read']
+  },
+  {
+    id: 5,
+    nombre: 'Back-office',
+    descripcion: 'Trámite de ventas: cambia estados pero no montos ni datos',
+    permisos: [
+      'sales:read:any', 'sales:status:any', 'sales:status:advance', 'sales:status:review',
+      'clients:read:any'
+    ]
+  }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('permisos', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      clave: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      descripcion: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('rol_permisos', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      rolId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'roles',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      permisoId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'permisos',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // A permission is granted once per role
+    await queryInterface.addIndex('rol_permisos', ['rolId', 'permisoId'], { unique: true });
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert('permisos', PERMISSIONS.map(([clave, descripcion]) => ({
+      clave,
+      descripcion,
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    // Existing databases already have Administrador and Asesor, fresh ones get them here
+    await queryInterface.bulkInsert('roles', ROLES.map(({ id, nombre, descripcion }) => ({
+      id,
+      nombre,
+      descripcion,
+      createdAt: now,
+      updatedAt: now
+    })), { ignoreDuplicates: true });
+
+    const permissions = await queryInterface.sequelize.query(
+      'SELECT id, clave FROM permisos',
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    const permissionIds = new Map(permissions.map(({ id, clave }) => [clave, id]));
+
+    await queryInterface.bulkInsert('rol_permisos', ROLES.flatMap(({ id, permisos }) =>
+      permisos.map((clave) => ({
+        rolId: id,
+        permisoId: permissionIds.get(clave),
+        createdAt: now
+      }))
+    ));
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('rol_permisos');
+    await queryInterface.dropTable('permisos');
+    await queryInterface.bulkDelete('roles', { id: [3, 4, 5] });
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * Migration: Create equipos (teams) table
+ * Depends on: usuarios, permisos
+ * Teams group advisors under a supervisor, usuarios.equipoId is the team a user
+ * belongs to. Adds the team-scoped sale permissions and teams:manage, and moves
+ * the Supervisor role from every sale to the sales of their teams
+ */
+
+'use strict';
+
+const PERMISSIONS = [
+  ['sales:read:team', 'Ver las ventas de los equipos que supervisa'],
+  ['sales:update:team', 'Editar las ventas de los equipos que supervisa'],
+  ['sales:delete:team', 'Eliminar las ventas de los equipos que supervisa'],
+  ['teams:manage', 'Administrar equipos y supervisores']
+];
+
+const ADMIN_ROLE_ID = 1;
+const SUPERVISOR_ROLE_ID = 3;
+
+// Supervisor grants replaced by their team-scoped equivalent
+const SUPERVISOR_REPLACED = ['sales:read:any', 'sales:update:any', 'sales:delete:any'];
+const SUPERVISOR_GRANTED = ['sales:read:team', 'sales:update:team', 'sales:delete:team'];
+
+/**
+ * Find Permission IDs
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {Object} Sequelize - Sequelize library
+ * @param {Array} keys - Permission keys
+ * @returns {Map} Permission ID by key
+ */
+const findPermissionIds = async (queryInterface, Sequelize, keys) => {
+  const permissions = await queryInterface.sequelize.query(
+    'SELECT id, clave FROM permisos WHERE clave IN (:keys)',
+    { replacements: { keys }, type: Sequelize.QueryTypes.SELECT }
+  );
+
+  return new Map(permissions.map(({ id, clave }) => [clave, id]));
+};
+
+/**
+ * Grant Permissions
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {Map} permissionIds - Permission ID by key
+ * @param {Number} rolId - Role ID
+ * @param {Array} keys - Permission keys to grant
+ */
+const grantPermissions = (queryInterface, permissionIds, rolId, keys) =>
+  queryInterface.bulkInsert('rol_permisos', keys.map((clave) => ({
+    rolId,
+    permisoId: permissionIds.get(clave),
+    createdAt: new Date()
+  })), { ignoreDuplicates: true });
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('equipos', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      nombre: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      descripcion: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      supervisorId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes for performance
+    await queryInterface.addIndex('equipos', ['supervisorId']);
+
+    // A user belongs to at most one team, deleting the team leaves its members without one
+    await queryInterface.addColumn('usuarios', 'equipoId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'equipos',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addIndex('usuarios', ['equipoId']);
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert('permisos', PERMISSIONS.map(([clave, descripcion]) => ({
+      clave,
+      descripcion,
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    const permissionIds = await findPermissionIds(
+      queryInterface,
+      Sequelize,
+      [...SUPERVISOR_REPLACED, ...PERMISSIONS.map(([clave]) => clave)]
+    );
+
+    await grantPermissions(queryInterface, permissionIds, ADMIN_ROLE_ID, PERMISSIONS.map(([clave]) => clave));
+    await grantPermissions(queryInterface, permissionIds, SUPERVISOR_ROLE_ID, SUPERVISOR_GRANTED);
+    await queryInterface.bulkDelete('rol_permisos', {
+      rolId: SUPERVISOR_ROLE_ID,
+      permisoId: SUPERVISOR_REPLACED.map((clave) => permissionIds.get(clave))
+    });
+    await queryInterface.bulkUpdate(
+      'roles',
+      { descripcion: 'Gestión y revisión de las ventas de su equipo' },
+      { id: SUPERVISOR_ROLE_ID }
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    const permissionIds = await findPermissionIds(queryInterface, Sequelize, SUPERVISOR_REPLACED);
+    await grantPermissions(queryInterface, permissionIds, SUPERVISOR_ROLE_ID, SUPERVISOR_REPLACED);
+    await queryInterface.bulkUpdate(
+      'roles',
+      { descripcion: 'Gestión y revisión de las ventas de todos los asesores' },
+      { id: SUPERVISOR_ROLE_ID }
+    );
+
+    // Grants of the removed permissions go with them (rol_permisos cascade)
+    await queryInterface.bulkDelete('permisos', { clave: PERMISSIONS.map(([clave]) => clave) });
+
+    await queryInterface.removeColumn('usuarios', 'equipoId');
+    await queryInterface.dropTable('equipos');
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Migration: Create sucursales (branches) table
+ * Depends on: usuarios, ventas
+ * Users are assigned to a branch and each sale keeps the branch of its advisor
+ * at creation time, so moving an advisor does not move their past sales
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('sucursales', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      nombre: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      ciudad: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      activo: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('sucursales', ['activo']);
+
+    // Branches in use cannot be deleted, only deactivated
+    await queryInterface.addColumn('usuarios', 'sucursalId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'sucursales',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+
+    await queryInterface.addIndex('usuarios', ['sucursalId']);
+
+    // Existing sales have no branch
+    await queryInterface.addColumn('ventas', 'sucursalId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'sucursales',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    });
+
+    await queryInterface.addIndex('ventas', ['sucursalId']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('ventas', 'sucursalId');
+    await queryInterface.removeColumn('usuarios', 'sucursalId');
+    await queryInterface.dropTable('sucursales');
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Migration: Add users:impersonate permission
+ * Depends on: permisos
+ * Lets a role open a session as another user to see what they see. Granted to
+ * Administrador only, sale writes made that way are still attributed to the admin
+ */
+
+'use strict';
+
+const PERMISSIONS = [
+  ['users:impersonate', 'Ver el sistema como otro usuario']
+];
+
+const ADMIN_ROLE_ID = 1;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const now = new Date();
+
+    await queryInterface.bulkInsert('permisos', PERMISSIONS.map(([clave, descripcion]) => ({
+      clave,
+      descripcion,
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    const permissions = await queryInterface.sequelize.query(
+      'SELECT id FROM permisos WHERE clave IN (:keys)',
+      { replacements: { keys: PERMISSIONS.map(([clave]) => clave) }, type: Sequelize.QueryTypes.SELECT }
+    );
+
+    await queryInterface.bulkInsert('rol_permisos', permissions.map(({ id }) => ({
+      rolId: ADMIN_ROLE_ID,
+      permisoId: id,
+      createdAt: now
+    })), { ignoreDuplicates: true });
+  },
+
+  async down(queryInterface) {
+    // Grants of the removed permission go with it (rol_permisos cascade)
+    await queryInterface.bulkDelete('permisos', { clave: PERMISSIONS.map(([clave]) => clave) });
+  }
+};
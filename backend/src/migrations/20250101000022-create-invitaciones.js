@@ -0,0 +1,86 @@
+/**
+ * Migration: Create invitaciones (user invitations) table
+ * Depends on: usuarios
+ * Invited users are created without a password (usuarios.password becomes
+ * nullable) and choose it from an emailed link. Only a SHA-256 hash of each
+ * token is stored; aceptadoEn marks the invitation as used
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('usuarios', 'password', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+
+    await queryInterface.createTable('invitaciones', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false
+      },
+      // One invitation per user, resending replaces its token
+      usuarioId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      invitadoPorId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      tokenHash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expiraEn: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      aceptadoEn: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes for performance
+    await queryInterface.addIndex('invitaciones', ['aceptadoEn']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('invitaciones');
+
+    // Users still waiting for their invitation have no password to keep
+    await queryInterface.bulkDelete('usuarios', { password: null });
+    await queryInterface.changeColumn('usuarios', 'password', {
+      type: Sequelize.STRING(255),
+      allowNull: false
+    });
+  }
+};
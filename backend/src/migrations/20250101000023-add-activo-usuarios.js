@@ -0,0 +1,23 @@
+/**
+ * Migration: Add activo to usuarios
+ * Deactivated users cannot log in but keep their sales, history and teams
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('usuarios', 'activo', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    });
+
+    await queryInterface.addIndex('usuarios', ['activo']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('usuarios', ['activo']);
+    await queryInterface.removeColumn('usuarios', 'activo');
+  }
+};
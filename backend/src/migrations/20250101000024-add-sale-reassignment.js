@@ -0,0 +1,56 @@
+/**
+ * Migration: Add sale reassignment
+ * Depends on: permisos, venta_historial
+ * Adds the sales:reassign permission, granted to Administrador, and the
+ * 'Reasignacion' history action recording the previous and new advisor
+ */
+
+'use strict';
+
+const PERMISSIONS = [
+  ['sales:reassign', 'Reasignar ventas a otro asesor']
+];
+
+const ADMIN_ROLE_ID = 1;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('venta_historial', 'accion', {
+      type: Sequelize.ENUM('Creacion', 'Actualizacion', 'Eliminacion', 'Restauracion', 'Reasignacion'),
+      allowNull: false
+    });
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert('permisos', PERMISSIONS.map(([clave, descripcion]) => ({
+      clave,
+      descripcion,
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    const permissions = await queryInterface.sequelize.query(
+      'SELECT id FROM permisos WHERE clave IN (:keys)',
+      { replacements: { keys: PERMISSIONS.map(([clave]) => clave) }, type: Sequelize.QueryTypes.SELECT }
+    );
+
+    await queryInterface.bulkInsert('rol_permisos', permissions.map(({ id }) => ({
+      rolId: ADMIN_ROLE_ID,
+      permisoId: id,
+      createdAt: now
+    })), { ignoreDuplicates: true });
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Grants of the removed permission go with it (rol_permisos cascade)
+    await queryInterface.bulkDelete('permisos', { clave: PERMISSIONS.map(([clave]) => clave) });
+
+    // Reassignments have no equivalent in the old enum, keep them as plain updates
+    await queryInterface.bulkUpdate('venta_historial', { accion: 'Actualizacion' }, { accion: 'Reasignacion' });
+
+    await queryInterface.changeColumn('venta_historial', 'accion', {
+      type: Sequelize.ENUM('Creacion', 'Actualizacion', 'Eliminacion', 'Restauracion'),
+      allowNull: false
+    });
+  }
+};
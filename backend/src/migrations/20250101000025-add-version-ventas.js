@@ -0,0 +1,21 @@
+/**
+ * Migration: Add version to ventas
+ * Optimistic locking: incremented on every update of a sale, an update based on
+ * an older version is rejected with 409
+ */
+
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('ventas', 'version', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('ventas', 'version');
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * Branch Model
+ * Represents bank branches (sucursales) where advisors work
+ * Sales keep the branch of their advisor at creation time
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Branch = sequelize.define('Branch', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    nombre: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true,
+        len: [3, 100]
+      }
+    },
+    ciudad: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    activo: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'sucursales',
+    timestamps: true
+  });
+
+  // Define associations
+  Branch.associate = function(models) {
+    // A branch has many users
+    Branch.hasMany(models.User, {
+      foreignKey: 'sucursalId',
+      as: 'usuarios'
+    });
+
+    // A branch has many sales
+    Branch.hasMany(models.Sale, {
+      foreignKey: 'sucursalId',
+      as: 'ventas'
+    });
+  };
+
+  return Branch;
+};
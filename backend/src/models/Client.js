@@ -0,0 +1,91 @@
+/**
+ * Client Model
+ * Represents the customer a sale is made to
+ * A customer is identified by document type + document number
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Client = sequelize.define('Client', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    tipoDocumento: {
+      type: DataTypes.ENUM('CC', 'CE', 'PA', 'NIT'),
+      allowNull: false
+    },
+    numeroDocumento: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    nombreCompleto: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [3, 100]
+      }
+    },
+    telefono: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    email: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    ingresosMensuales: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+        isDecimal: true
+      }
+    },
+    usuarioCreadorId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'usuarios',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'clientes',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        name: 'clientes_documento_unique',
+        fields: ['tipoDocumento', 'numeroDocumento']
+      }
+    ]
+  });
+
+  // Define associations
+  Client.associate = function(models) {
+    // A client has many sales
+    Client.hasMany(models.Sale, {
+      foreignKey: 'clienteId',
+      as: 'ventas'
+    });
+
+    // A client was registered by a user
+    Client.belongsTo(models.User, {
+      foreignKey: 'usuarioCreadorId',
+      as: 'usuarioCreador'
+    });
+  };
+
+  return Client;
+};
@@ -2,6 +2,7 @@
  * Franchise Model
  * Represents credit card franchises
  * (AMEX, VISA, MASTERCARD)
+ * Inactive franchises stay on existing sales but can't be used in new ones
  */
 
 'use strict';
@@ -22,6 +23,11 @@ module.exports = (sequelize, DataTypes) => {
         notEmpty: true,
         len: [2, 50]
       }
+    },
+    activo: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
     }
   }, {
     tableName: 'franquicias',
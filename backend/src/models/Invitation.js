@@ -0,0 +1,69 @@
+/**
+ * Invitation Model
+ * Single-use, time-limited link emailed to a new user to choose their password
+ * Only the SHA-256 hash of the token is stored
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Invitation = sequelize.define('Invitation', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    usuarioId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'usuarios',
+        key: 'id'
+      }
+    },
+    // Admin who sent the invitation (null if they were removed)
+    invitadoPorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'usuarios',
+        key: 'id'
+      }
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expiraEn: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    aceptadoEn: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'invitaciones',
+    timestamps: true
+  });
+
+  // Define associations
+  Invitation.associate = function(models) {
+    // An invitation belongs to the user it activates
+    Invitation.belongsTo(models.User, {
+      foreignKey: 'usuarioId',
+      as: 'usuario'
+    });
+
+    // An invitation is sent by an admin
+    Invitation.belongsTo(models.User, {
+      foreignKey: 'invitadoPorId',
+      as: 'invitadoPor'
+    });
+  };
+
+  return Invitation;
+};
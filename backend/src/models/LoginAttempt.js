@@ -0,0 +1,60 @@
+/**
+ * Login Attempt Model
+ * Audit entry for every login attempt, successful or not
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const LoginAttempt = sequelize.define('LoginAttempt', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    usuarioId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'usuarios',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    exitoso: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    motivo: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    dispositivo: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'login_intentos',
+    timestamps: true,
+    updatedAt: false
+  });
+
+  // Define associations
+  LoginAttempt.associate = function(models) {
+    // An attempt belongs to the user of the email, when there is one
+    LoginAttempt.belongsTo(models.User, {
+      foreignKey: 'usuarioId',
+      as: 'usuario'
+    });
+  };
+
+  return LoginAttempt;
+};
@@ -0,0 +1,45 @@
+/**
+ * Password History Model
+ * bcrypt hash of a password the user replaced, checked so recent passwords
+ * are not reused
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const PasswordHistory = sequelize.define('PasswordHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    usuarioId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'usuarios',
+        key: 'id'
+      }
+    },
+    passwordHash: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    }
+  }, {
+    tableName: 'contrasenas_historial',
+    timestamps: true,
+    updatedAt: false
+  });
+
+  // Define associations
+  PasswordHistory.associate = function(models) {
+    // A history entry belongs to the user who used the password
+    PasswordHistory.belongsTo(models.User, {
+      foreignKey: 'usuarioId',
+      as: 'usuario'
+    });
+  };
+
+  return PasswordHistory;
+};
@@ -0,0 +1,58 @@
+/**
+ * Password Reset Token Model
+ * Single-use, time-limited token sent by email to reset a forgotten password
+ * Only the SHA-256 hash of the token is stored
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const PasswordResetToken = sequelize.define('PasswordResetToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    usuarioId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'usuarios',
+        key: 'id'
+      }
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    expiraEn: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    usadoEn: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'tokens_restablecimiento',
+    timestamps: true,
+    updatedAt: false
+  });
+
+  // Define associations
+  PasswordResetToken.associate = function(models) {
+    // A reset token belongs to the user whose password it resets
+    PasswordResetToken.belongsTo(models.User, {
+      foreignKey: 'usuarioId',
+      as: 'usuario'
+    });
+  };
+
+  return PasswordResetToken;
+};
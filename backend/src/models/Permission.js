@@ -0,0 +1,43 @@
+/**
+ * Permission Model
+ * Action a role can be granted (e.g. sales:update:any), see PERMISSIONS
+ * The catalog is seeded by migration and only the grants per role change
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Permission = sequelize.define('Permission', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    clave: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    descripcion: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'permisos',
+    timestamps: true
+  });
+
+  // Define associations
+  Permission.associate = function(models) {
+    // A permission is granted to many roles
+    Permission.belongsToMany(models.Role, {
+      through: models.RolePermission,
+      foreignKey: 'permisoId',
+      otherKey: 'rolId',
+      as: 'roles'
+    });
+  };
+
+  return Permission;
+};
@@ -2,6 +2,7 @@
  * Product Model
  * Represents financial product types
  * (Credito de Consumo, Libranza Libre Inversión, Tarjeta de Credito)
+ * Each product carries the rules its sales must follow (franchise, rate, amount limits)
  */
 
 'use strict';
@@ -22,6 +23,52 @@ module.exports = (sequelize, DataTypes) => {
         notEmpty: true,
         len: [3, 100]
       }
+    },
+    activo: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    // Sale rules, checked by utils/productRules.js
+    requiresFranchise: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    requiresRate: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    minAmount: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    maxAmount: {
+      type: DataTypes.DECIMAL(15, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    minRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+        max: 100
+      }
+    },
+    maxRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      validate: {
+        min: 0,
+        max: 100
+      }
     }
   }, {
     tableName: 'productos_tipos',
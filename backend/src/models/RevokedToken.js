@@ -0,0 +1,51 @@
+/**
+ * Revoked Token Model
+ * Access token denylist entry, kept until the revoked tokens would have expired anyway
+ * jti set: one token is revoked. Only usuarioId set: every token issued
+ * to the user before createdAt (whole seconds) is revoked (log out everywhere)
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const RevokedToken = sequelize.define('RevokedToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    jti: {
+      type: DataTypes.STRING(36),
+      allowNull: true,
+      unique: true
+    },
+    usuarioId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'usuarios',
+        key: 'id'
+      }
+    },
+    expiraEn: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    tableName: 'tokens_revocados',
+    timestamps: true,
+    updatedAt: false
+  });
+
+  // Define associations
+  RevokedToken.associate = function(models) {
+    // A user-wide entry belongs to the user whose tokens were revoked
+    RevokedToken.belongsTo(models.User, {
+      foreignKey: 'usuarioId',
+      as: 'usuario'
+    });
+  };
+
+  return RevokedToken;
+};
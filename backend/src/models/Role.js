@@ -1,6 +1,6 @@
 /**
  * Role Model
- * Represents user roles (Administrador, Asesor)
+ * Represents user roles; what each role can do is given by its permissions
  */
 
 'use strict';
@@ -25,6 +25,12 @@ module.exports = (sequelize, DataTypes) => {
     descripcion: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    // Users of the role must enrol in two-factor authentication
+    requiereMfa: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
     }
   }, {
     tableName: 'roles',
@@ -38,6 +44,14 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'rolId',
       as: 'usuarios'
     });
+
+    // A role is granted many permissions
+    Role.belongsToMany(models.Permission, {
+      through: models.RolePermission,
+      foreignKey: 'rolId',
+      otherKey: 'permisoId',
+      as: 'permisos'
+    });
   };
 
   return Role;
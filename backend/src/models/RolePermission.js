@@ -0,0 +1,39 @@
+/**
+ * Role Permission Model
+ * Grant of a permission to a role (join table of Role and Permission)
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const RolePermission = sequelize.define('RolePermission', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    rolId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'roles',
+        key: 'id'
+      }
+    },
+    permisoId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'permisos',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'rol_permisos',
+    timestamps: true,
+    updatedAt: false
+  });
+
+  return RolePermission;
+};
@@ -1,11 +1,67 @@
 /**
  * Sale Model
- * Represents financial product sales
+ * Represents financial product sales made to a client
  * Conditional fields: franquiciaId (only for credit cards), tasa (only for credits/payrolls)
+ * Status changes are governed by utils/saleStateMachine.js
+ * Every create, update, destroy and restore is recorded in venta_historial (SaleHistory)
+ * Paranoid: destroy() only sets deletedAt, rows are kept for compliance
+ * Versioned: every save increments version and fails with OptimisticLockError
+ * when the row changed since it was read (optimistic locking)
  */
 
 'use strict';
 
+const { SALE_HISTORY_ACTIONS } = require('../utils/constants');
+
+// Fields whose changes are recorded in the sale history
+const TRACKED_FIELDS = [
+  'clienteId',
+  'productoId',
+  'cupoSolicitado',
+  'franquiciaId',
+  'tasa',
+  'estado',
+  'usuarioCreadorId'
+];
+
+/**
+ * Normalize Tracked Value
+ * DECIMAL columns come back from MySQL as strings, so numeric values are
+ * compared and stored as numbers to avoid recording "100.00" -> 100 as a change
+ * @param {*} value - Raw attribute value
+ * @returns {*} Normalized value (null, number or original value)
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value !== 'boolean' && value !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+
+  return value;
+};
+
+/**
+ * Snapshot Changes
+ * Lists every non-null tracked field of a sale as a change entry
+ * Used for create/restore (values as valorNuevo) and destroy (values as valorAnterior)
+ * @param {Object} sale - Sale instance
+ * @param {String} side - 'valorNuevo' or 'valorAnterior'
+ * @returns {Array} Change entries [{ campo, valorAnterior, valorNuevo }]
+ */
+const snapshotChanges = (sale, side) => {
+  return TRACKED_FIELDS
+    .filter(campo => normalizeValue(sale.get(campo)) !== null)
+    .map(campo => ({
+      campo,
+      valorAnterior: null,
+      valorNuevo: null,
+      [side]: normalizeValue(sale.get(campo))
+    }));
+};
+
 module.exports = (sequelize, DataTypes) => {
   const Sale = sequelize.define('Sale', {
     id: {
@@ -14,6 +70,14 @@ module.exports = (sequelize, DataTypes) => {
       autoIncrement: true,
       allowNull: false
     },
+    clienteId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'clientes',
+        key: 'id'
+      }
+    },
     productoId: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -48,7 +112,7 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     estado: {
-      type: DataTypes.ENUM('Abierto', 'En Proceso', 'Finalizado'),
+      type: DataTypes.ENUM('Abierto', 'En Proceso', 'Finalizado', 'Rechazado'),
       allowNull: false,
       defaultValue: 'Abierto'
     },
@@ -67,14 +131,31 @@ module.exports = (sequelize, DataTypes) => {
         model: 'usuarios',
         key: 'id'
       }
+    },
+    // Branch of the advisor when the sale was created (null: none or older sale)
+    sucursalId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'sucursales',
+        key: 'id'
+      }
     }
   }, {
     tableName: 'ventas',
-    timestamps: true
+    timestamps: true,
+    paranoid: true,
+    version: true
   });
 
   // Define associations
   Sale.associate = function(models) {
+    // A sale belongs to a client
+    Sale.belongsTo(models.Client, {
+      foreignKey: 'clienteId',
+      as: 'cliente'
+    });
+
     // A sale belongs to a product
     Sale.belongsTo(models.Product, {
       foreignKey: 'productoId',
@@ -98,7 +179,72 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'usuarioActualizadorId',
       as: 'usuarioActualizador'
     });
+
+    // A sale belongs to a branch
+    Sale.belongsTo(models.Branch, {
+      foreignKey: 'sucursalId',
+      as: 'sucursal'
+    });
+
+    // A sale has many history entries (no constraint, entries outlive their sale)
+    Sale.hasMany(models.SaleHistory, {
+      foreignKey: 'ventaId',
+      as: 'historial',
+      constraints: false
+    });
   };
 
+  /**
+   * History Hooks
+   * The acting user is read from options.userId, falling back to the audit columns
+   * Updates are recorded as options.historyAction when given (e.g. a reassignment)
+   * Bulk Sale.update/Sale.destroy calls must pass individualHooks: true to be recorded
+   */
+  const recordHistory = (sale, accion, cambios, usuarioId, options) => {
+    return sequelize.models.SaleHistory.create({
+      ventaId: sale.id,
+      accion,
+      cambios,
+      usuarioId
+    }, {
+      transaction: options.transaction
+    });
+  };
+
+  Sale.addHook('afterCreate', 'recordCreateHistory', async (sale, options) => {
+    const cambios = snapshotChanges(sale, 'valorNuevo');
+
+    await recordHistory(sale, SALE_HISTORY_ACTIONS.CREATE, cambios, options.userId || sale.usuarioCreadorId, options);
+  });
+
+  Sale.addHook('afterUpdate', 'recordUpdateHistory', async (sale, options) => {
+    const cambios = TRACKED_FIELDS
+      .map(campo => ({
+        campo,
+        valorAnterior: normalizeValue(sale.previous(campo)),
+        valorNuevo: normalizeValue(sale.get(campo))
+      }))
+      .filter(cambio => cambio.valorAnterior !== cambio.valorNuevo);
+
+    // Nothing tracked actually changed (e.g. only the updater was touched)
+    if (cambios.length === 0) {
+      return;
+    }
+
+    await recordHistory(sale, options.historyAction || SALE_HISTORY_ACTIONS.UPDATE, cambios, options.userId || sale.usuarioActualizadorId, options);
+  });
+
+  Sale.addHook('afterDestroy', 'recordDestroyHistory', async (sale, options) => {
+    const cambios = snapshotChanges(sale, 'valorAnterior');
+
+    await recordHistory(sale, SALE_HISTORY_ACTIONS.DELETE, cambios, options.userId || sale.usuarioActualizadorId, options);
+  });
+
+  Sale.addHook('afterRestore', 'recordRestoreHistory', async (sale, options) => {
+    const cambios = snapshotChanges(sale, 'valorNuevo');
+
+    await recordHistory(sale, SALE_HISTORY_ACTIONS.RESTORE, cambios, options.userId || sale.usuarioActualizadorId, options);
+  });
+
   return Sale;
 };
\ No newline at end of file
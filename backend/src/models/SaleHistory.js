@@ -0,0 +1,63 @@
+/**
+ * Sale History Model
+ * Audit trail entry for a sale: one row per create, update, destroy, restore or
+ * reassignment to another advisor
+ * cambios holds field-level changes as [{ campo, valorAnterior, valorNuevo }]
+ * Rows are written by the Sale hooks, never by services directly
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const SaleHistory = sequelize.define('SaleHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    ventaId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    accion: {
+      type: DataTypes.ENUM('Creacion', 'Actualizacion', 'Eliminacion', 'Restauracion', 'Reasignacion'),
+      allowNull: false
+    },
+    cambios: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    usuarioId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'usuarios',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'venta_historial',
+    timestamps: true,
+    updatedAt: false
+  });
+
+  // Define associations
+  SaleHistory.associate = function(models) {
+    // A history entry belongs to a sale (no constraint, entries outlive their sale)
+    SaleHistory.belongsTo(models.Sale, {
+      foreignKey: 'ventaId',
+      as: 'venta',
+      constraints: false
+    });
+
+    // A history entry belongs to the user who made the change
+    SaleHistory.belongsTo(models.User, {
+      foreignKey: 'usuarioId',
+      as: 'usuario'
+    });
+  };
+
+  return SaleHistory;
+};
@@ -0,0 +1,70 @@
+/**
+ * Session Model
+ * A refresh token issued to a user on a device
+ * Sessions of the same login share a familia; each rotation revokes the
+ * current row and points reemplazadaPorId at the new one
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    usuarioId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'usuarios',
+        key: 'id'
+      }
+    },
+    familia: {
+      type: DataTypes.STRING(36),
+      allowNull: false
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    dispositivo: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    expiraEn: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revocadaEn: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reemplazadaPorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'sesiones',
+    timestamps: true
+  });
+
+  // Define associations
+  Session.associate = function(models) {
+    // A session belongs to a user
+    Session.belongsTo(models.User, {
+      foreignKey: 'usuarioId',
+      as: 'usuario'
+    });
+  };
+
+  return Session;
+};
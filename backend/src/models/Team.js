@@ -0,0 +1,58 @@
+/**
+ * Team Model
+ * Group of advisors led by a supervisor
+ * Members are the users whose equipoId points to the team
+ */
+
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Team = sequelize.define('Team', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      allowNull: false
+    },
+    nombre: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    descripcion: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    supervisorId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'usuarios',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'equipos',
+    timestamps: true
+  });
+
+  // Define associations
+  Team.associate = function(models) {
+    // A team is led by a supervisor
+    Team.belongsTo(models.User, {
+      foreignKey: 'supervisorId',
+      as: 'supervisor'
+    });
+
+    // A team has many members
+    Team.hasMany(models.User, {
+      foreignKey: 'equipoId',
+      as: 'miembros'
+    });
+  };
+
+  return Team;
+};
@@ -1,7 +1,11 @@
 /**
  * User Model
- * Represents system users (Admin, Advisor)
+ * Represents system users, their role, branch and the team they belong to
  * Includes password hashing with bcrypt
+ * Invited users have no password until they accept their invitation
+ * Deactivated users (activo false) cannot log in but keep everything they own
+ * Paranoid: destroy() only sets deletedAt, deleted users are excluded from
+ * default queries (so they cannot log in) but still own their historical sales
  */
 
 'use strict';
@@ -33,9 +37,10 @@ module.exports = (sequelize, DataTypes) => {
         notEmpty: true
       }
     },
+    // Null while the invitation is pending
     password: {
       type: DataTypes.STRING(255),
-      allowNull: false,
+      allowNull: true,
       validate: {
         notEmpty: true,
         len: [8, 255]
@@ -48,10 +53,68 @@ module.exports = (sequelize, DataTypes) => {
         model: 'roles',
         key: 'id'
       }
+    },
+    // Team the user belongs to (null: none)
+    equipoId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'equipos',
+        key: 'id'
+      }
+    },
+    // Branch the user works at (null: none)
+    sucursalId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'sucursales',
+        key: 'id'
+      }
+    },
+    // Two-factor authentication (TOTP), only mfaHabilitado is returned by the API
+    mfaHabilitado: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    mfaSecreto: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    mfaCodigosRecuperacion: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    mfaUltimoPaso: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Login lockout: consecutive failures and the date the next attempt is allowed
+    intentosFallidos: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    bloqueadoHasta: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Deactivated users cannot log in
+    activo: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    // Last password change, for password expiry (null: createdAt applies)
+    passwordCambiadoEn: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: 'usuarios',
     timestamps: true,
+    paranoid: true,
     hooks: {
       // Hash password before creating user
       beforeCreate: async (user) => {
@@ -72,6 +135,11 @@ module.exports = (sequelize, DataTypes) => {
 
   // Instance method to compare passwords
   User.prototype.comparePassword = async function(candidatePassword) {
+    // Invited users cannot log in until they choose a password
+    if (!this.password) {
+      return false;
+    }
+
     return await bcrypt.compare(candidatePassword, this.password);
   };
 
@@ -83,6 +151,24 @@ module.exports = (sequelize, DataTypes) => {
       as: 'rol'
     });
 
+    // A user belongs to a team
+    User.belongsTo(models.Team, {
+      foreignKey: 'equipoId',
+      as: 'equipo'
+    });
+
+    // A user works at a branch
+    User.belongsTo(models.Branch, {
+      foreignKey: 'sucursalId',
+      as: 'sucursal'
+    });
+
+    // A user supervises many teams
+    User.hasMany(models.Team, {
+      foreignKey: 'supervisorId',
+      as: 'equiposSupervisados'
+    });
+
     // A user has many sales as creator
     User.hasMany(models.Sale, {
       foreignKey: 'usuarioCreadorId',
@@ -94,6 +180,36 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'usuarioActualizadorId',
       as: 'ventasActualizadas'
     });
+
+    // A user has many refresh token sessions
+    User.hasMany(models.Session, {
+      foreignKey: 'usuarioId',
+      as: 'sesiones'
+    });
+
+    // A user has many login attempts
+    User.hasMany(models.LoginAttempt, {
+      foreignKey: 'usuarioId',
+      as: 'intentosLogin'
+    });
+
+    // A user has many password reset tokens
+    User.hasMany(models.PasswordResetToken, {
+      foreignKey: 'usuarioId',
+      as: 'tokensRestablecimiento'
+    });
+
+    // A user may have been invited (pending while aceptadoEn is null)
+    User.hasOne(models.Invitation, {
+      foreignKey: 'usuarioId',
+      as: 'invitacion'
+    });
+
+    // A user has many replaced passwords
+    User.hasMany(models.PasswordHistory, {
+      foreignKey: 'usuarioId',
+      as: 'historialContrasenas'
+    });
   };
 
   return User;
@@ -10,14 +10,32 @@ const router = express.Router();
 
 // Controllers
 const authController = require('../controllers/authController');
+const invitationController = require('../controllers/invitationController');
 
 // Middleware
-const { verifyAuth } = require('../middleware/authMiddleware');
+const {
+  verifyAuth,
+  optionalAuth,
+  verifyAuthOrMfaSetup,
+  verifyAuthOrPasswordChange,
+  denyImpersonation
+} = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { PERMISSIONS } = require('../utils/constants');
 const { verifyCaptcha } = require('../middleware/captchaMiddleware');
-const { validateLogin } = require('../middleware/validationMiddleware');
-const { body } = require('express-validator');
-const { handleValidationErrors } = require('../middleware/validationMiddleware');
-const { VALIDATION } = require('../utils/constants');
+const {
+  validateLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateAcceptInvitation,
+  validateMfaCode,
+  validateMfaVerify,
+  validateMfaDisable
+} = require('../middleware/validationMiddleware');
+const { createStrictRateLimiter } = require('../config/server');
+const { body, param } = require('express-validator');
+const { handleValidationErrors, passwordPolicyValidator } = require('../middleware/validationMiddleware');
 
 /**
  * POST /api/auth/login
@@ -31,17 +49,157 @@ router.post(
   authController.login
 );
 
+/**
+ * POST /api/auth/forgot-password
+ * Request a password reset link by email
+ * Requires: captcha verification, input validation
+ */
+router.post(
+  '/forgot-password',
+  verifyCaptcha,
+  validateForgotPassword,
+  authController.forgotPassword
+);
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with a reset token
+ * Requires: token from the reset link, strict rate limit on failures
+ */
+router.post(
+  '/reset-password',
+  createStrictRateLimiter(),
+  validateResetPassword,
+  authController.resetPassword
+);
+
+/**
+ * GET /api/auth/invitations/:token
+ * Check an invitation link and get the invited name and email
+ * Requires: token from the invitation link, strict rate limit on failures
+ */
+router.get(
+  '/invitations/:token',
+  createStrictRateLimiter(),
+  invitationController.getInvitation
+);
+
+/**
+ * POST /api/auth/accept-invite
+ * Choose the password of an invited user
+ * Requires: token from the invitation link, strict rate limit on failures
+ */
+router.post(
+  '/accept-invite',
+  createStrictRateLimiter(),
+  validateAcceptInvitation,
+  invitationController.acceptInvitation
+);
+
+/**
+ * POST /api/auth/mfa/verify
+ * Second login step with a TOTP or recovery code
+ * Requires: mfaToken from login, strict rate limit on failures
+ */
+router.post(
+  '/mfa/verify',
+  createStrictRateLimiter(),
+  validateMfaVerify,
+  authController.verifyMfa
+);
+
+/**
+ * POST /api/auth/mfa/setup
+ * Start two-factor enrolment
+ * Requires: authentication, or the mfaToken of a login that must enrol
+ */
+router.post(
+  '/mfa/setup',
+  verifyAuthOrMfaSetup,
+  denyImpersonation,
+  authController.setupMfa
+);
+
+/**
+ * POST /api/auth/mfa/enable
+ * Confirm two-factor enrolment
+ * Requires: authentication or enrolment mfaToken, validation
+ */
+router.post(
+  '/mfa/enable',
+  verifyAuthOrMfaSetup,
+  denyImpersonation,
+  validateMfaCode,
+  authController.enableMfa
+);
+
+/**
+ * POST /api/auth/mfa/disable
+ * Disable two-factor authentication
+ * Requires: authentication, password and a current code
+ */
+router.post(
+  '/mfa/disable',
+  verifyAuth,
+  denyImpersonation,
+  validateMfaDisable,
+  authController.disableMfa
+);
+
 /**
  * POST /api/auth/logout
- * Logout current user
- * Requires: authentication
+ * Logout current user, revoking the refresh token session in the body
+ * Requires: nothing (works with an expired access token)
  */
 router.post(
   '/logout',
-  verifyAuth,
+  optionalAuth,
   authController.logout
 );
 
+/**
+ * POST /api/auth/logout-all
+ * Logout current user from all devices
+ * Requires: authentication
+ */
+router.post(
+  '/logout-all',
+  verifyAuth,
+  denyImpersonation,
+  authController.logoutAll
+);
+
+/**
+ * POST /api/auth/impersonate/stop
+ * End an impersonation, revoking its token
+ * Requires: authentication (impersonation token)
+ * Note: Must be before /impersonate/:userId to avoid conflict
+ */
+router.post(
+  '/impersonate/stop',
+  verifyAuth,
+  authController.stopImpersonation
+);
+
+/**
+ * POST /api/auth/impersonate/:userId
+ * Act as another user: data is scoped as them, sale writes are attributed to the admin
+ * Requires: authentication, users:impersonate permission, validation
+ */
+router.post(
+  '/impersonate/:userId',
+  verifyAuth,
+  requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+  [
+    param('userId')
+      .isInt({ min: 1 }).withMessage('Invalid user ID')
+      .toInt(),
+
+    handleValidationErrors
+  ],
+  authController.impersonate
+);
+
 /**
  * GET /api/auth/verify
  * Verify JWT token
@@ -67,21 +225,19 @@ router.get(
 /**
  * PUT /api/auth/change-password
  * Change current user password
- * Requires: authentication, validation
+ * Requires: authentication (or the passwordToken of a login with an expired password), validation
  */
 router.put(
   '/change-password',
-  verifyAuth,
+  verifyAuthOrPasswordChange,
+  denyImpersonation,
   [
     body('currentPassword')
       .notEmpty().withMessage('Current password is required'),
 
     body('newPassword')
       .notEmpty().withMessage('New password is required')
-      .isLength({ min: VALIDATION.PASSWORD_MIN_LENGTH, max: VALIDATION.PASSWORD_MAX_LENGTH })
-      .withMessage(`Password must be between ${VALIDATION.PASSWORD_MIN_LENGTH} and ${VALIDATION.PASSWORD_MAX_LENGTH} characters`)
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+      .custom(passwordPolicyValidator),
 
     handleValidationErrors
   ],
@@ -90,12 +246,12 @@ router.put(
 
 /**
  * POST /api/auth/refresh
- * Refresh JWT token
- * Requires: authentication
+ * Rotate the refresh token and get a new access token
+ * Requires: refresh token in the body (no access token)
  */
 router.post(
   '/refresh',
-  verifyAuth,
+  validateRefreshToken,
   authController.refreshToken
 );
 
@@ -0,0 +1,102 @@
+/**
+ * Branch Routes
+ * Defines routes for bank branches (sucursales)
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const branchController = require('../controllers/branchController');
+
+// Middleware
+const { verifyAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateBranchCreate,
+  validateBranchUpdate,
+  validateActiveStatus,
+  validateId
+} = require('../middleware/validationMiddleware');
+
+/**
+ * GET /api/branches
+ * Get all branches (filter with ?activo=true|false)
+ * Requires: authentication
+ */
+router.get(
+  '/',
+  verifyAuth,
+  branchController.getAllBranches
+);
+
+/**
+ * GET /api/branches/:id
+ * Get branch by ID
+ * Requires: authentication
+ */
+router.get(
+  '/:id',
+  verifyAuth,
+  validateId,
+  branchController.getBranchById
+);
+
+/**
+ * POST /api/branches
+ * Create a new branch
+ * Requires: authentication, catalog:manage permission, validation
+ */
+router.post(
+  '/',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateBranchCreate,
+  branchController.createBranch
+);
+
+/**
+ * PUT /api/branches/:id
+ * Update a branch's name, city or active flag
+ * Requires: authentication, catalog:manage permission, validation
+ */
+router.put(
+  '/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateId,
+  validateBranchUpdate,
+  branchController.updateBranch
+);
+
+/**
+ * PATCH /api/branches/:id/status
+ * Activate or deactivate a branch
+ * Requires: authentication, catalog:manage permission, validation
+ */
+router.patch(
+  '/:id/status',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateId,
+  validateActiveStatus,
+  branchController.updateBranchStatus
+);
+
+/**
+ * DELETE /api/branches/:id
+ * Delete a branch (409 if any user or sale uses it)
+ * Requires: authentication, catalog:manage permission
+ */
+router.delete(
+  '/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateId,
+  branchController.deleteBranch
+);
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * Client Routes
+ * Defines routes for client (customer) management endpoints with permission-based access control
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const clientController = require('../controllers/clientController');
+
+// Middleware
+const { verifyAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateClientCreate,
+  validateClientUpdate,
+  validateId,
+  validatePagination
+} = require('../middleware/validationMiddleware');
+
+/**
+ * GET /api/clients
+ * Get clients with search and pagination
+ * Users with clients:read:any see all, everyone else only the clients they registered or sold to
+ * Requires: authentication
+ */
+router.get(
+  '/',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CLIENTS_READ_OWN, PERMISSIONS.CLIENTS_READ_ANY),
+  validatePagination,
+  clientController.getAllClients
+);
+
+/**
+ * GET /api/clients/:id/sales
+ * Get the sales of a client (without sales:read:any only the user's own or team sales)
+ * Requires: authentication
+ */
+router.get(
+  '/:id/sales',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CLIENTS_READ_OWN, PERMISSIONS.CLIENTS_READ_ANY),
+  validateId,
+  validatePagination,
+  clientController.getClientSales
+);
+
+/**
+ * GET /api/clients/:id
+ * Get client by ID with permission-based access check
+ * Requires: authentication
+ */
+router.get(
+  '/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CLIENTS_READ_OWN, PERMISSIONS.CLIENTS_READ_ANY),
+  validateId,
+  clientController.getClientById
+);
+
+/**
+ * POST /api/clients
+ * Create new client
+ * Requires: authentication, validation
+ */
+router.post(
+  '/',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CLIENTS_CREATE),
+  validateClientCreate,
+  clientController.createClient
+);
+
+/**
+ * PUT /api/clients/:id
+ * Update client with permission-based access check
+ * Requires: authentication, validation
+ */
+router.put(
+  '/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CLIENTS_UPDATE),
+  validateId,
+  validateClientUpdate,
+  clientController.updateClient
+);
+
+/**
+ * DELETE /api/clients/:id
+ * Delete a client without sales
+ * Requires: authentication, clients:delete permission
+ */
+router.delete(
+  '/:id',
+  verifyAuth,
+  validateId,
+  requirePermission(PERMISSIONS.CLIENTS_DELETE),
+  clientController.deleteClient
+);
+
+module.exports = router;
@@ -12,7 +12,11 @@ const router = express.Router();
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
 const saleRoutes = require('./saleRoutes');
+const clientRoutes = require('./clientRoutes');
 const productRoutes = require('./productRoutes');
+const roleRoutes = require('./roleRoutes');
+const teamRoutes = require('./teamRoutes');
+const branchRoutes = require('./branchRoutes');
 const statsRoutes = require('./statsRoutes');
 
 // Health check route
@@ -54,9 +58,12 @@ router.get('/', (req, res) => {
         auth: '/api/auth',
         users: '/api/users',
         sales: '/api/sales',
+        clients: '/api/clients',
         products: '/api/products',
         franchises: '/api/franchises',
         roles: '/api/roles',
+        teams: '/api/teams',
+        branches: '/api/branches',
         stats: '/api/stats',
         health: '/api/health'
       }
@@ -70,7 +77,11 @@ router.get('/', (req, res) => {
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/sales', saleRoutes);
-router.use('/', productRoutes); // Products, franchises, and roles use root path with prefix
+router.use('/clients', clientRoutes);
+router.use('/roles', roleRoutes);
+router.use('/teams', teamRoutes);
+router.use('/branches', branchRoutes);
+router.use('/', productRoutes); // Products and franchises use root path with prefix
 router.use('/stats', statsRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 /**
  * Product Routes
- * Defines routes for products, franchises, and roles endpoints
+ * Defines routes for products and franchises endpoints
  */
 
 'use strict';
@@ -13,8 +13,16 @@ const productController = require('../controllers/productController');
 
 // Middleware
 const { verifyAuth } = require('../middleware/authMiddleware');
-const { isAdmin } = require('../middleware/roleMiddleware');
-const { validateId } = require('../middleware/validationMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateProductCreate,
+  validateProductUpdate,
+  validateFranchiseCreate,
+  validateFranchiseUpdate,
+  validateActiveStatus,
+  validateId
+} = require('../middleware/validationMiddleware');
 
 /**
  * GET /api/products/types
@@ -30,7 +38,7 @@ router.get(
 
 /**
  * GET /api/products
- * Get all products
+ * Get all products with their sale rules (filter with ?activo=true|false)
  * Requires: authentication
  */
 router.get(
@@ -51,9 +59,49 @@ router.get(
   productController.getProductById
 );
 
+/**
+ * POST /api/products
+ * Create a new product
+ * Requires: authentication, catalog:manage permission, validation
+ */
+router.post(
+  '/products',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateProductCreate,
+  productController.createProduct
+);
+
+/**
+ * PUT /api/products/:id
+ * Update a product's name, rules or active flag
+ * Requires: authentication, catalog:manage permission, validation
+ */
+router.put(
+  '/products/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateId,
+  validateProductUpdate,
+  productController.updateProduct
+);
+
+/**
+ * DELETE /api/products/:id
+ * Deactivate a product (products with sales are never removed)
+ * Requires: authentication, catalog:manage permission
+ */
+router.delete(
+  '/products/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateId,
+  productController.deactivateProduct
+);
+
 /**
  * GET /api/franchises
- * Get all franchises
+ * Get all franchises (filter with ?activo=true|false)
  * Requires: authentication
  */
 router.get(
@@ -75,15 +123,57 @@ router.get(
 );
 
 /**
- * GET /api/roles
- * Get all roles
- * Requires: authentication, admin role
+ * POST /api/franchises
+ * Create a new franchise
+ * Requires: authentication, catalog:manage permission, validation
  */
-router.get(
-  '/roles',
+router.post(
+  '/franchises',
   verifyAuth,
-  isAdmin,
-  productController.getAllRoles
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateFranchiseCreate,
+  productController.createFranchise
+);
+
+/**
+ * PUT /api/franchises/:id
+ * Update a franchise's name or active flag
+ * Requires: authentication, catalog:manage permission, validation
+ */
+router.put(
+  '/franchises/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateId,
+  validateFranchiseUpdate,
+  productController.updateFranchise
+);
+
+/**
+ * PATCH /api/franchises/:id/status
+ * Activate or deactivate a franchise
+ * Requires: authentication, catalog:manage permission, validation
+ */
+router.patch(
+  '/franchises/:id/status',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateId,
+  validateActiveStatus,
+  productController.updateFranchiseStatus
+);
+
+/**
+ * DELETE /api/franchises/:id
+ * Delete a franchise (409 if any sale uses it)
+ * Requires: authentication, catalog:manage permission
+ */
+router.delete(
+  '/franchises/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.CATALOG_MANAGE),
+  validateId,
+  productController.deleteFranchise
 );
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,104 @@
+/**
+ * Role Routes
+ * Defines routes for roles and the permissions granted to them
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const roleController = require('../controllers/roleController');
+
+// Middleware
+const { verifyAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateRoleCreate,
+  validateRoleUpdate,
+  validateRoleMfa,
+  validateId
+} = require('../middleware/validationMiddleware');
+
+/**
+ * GET /api/roles/permissions
+ * Get the permission catalog
+ * Requires: authentication, roles:manage permission
+ * Note: Must be before /:id routes to avoid conflict
+ */
+router.get(
+  '/permissions',
+  verifyAuth,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  roleController.getAllPermissions
+);
+
+/**
+ * GET /api/roles
+ * Get all roles with their permissions
+ * Requires: authentication, roles:manage or users:read permission
+ */
+router.get(
+  '/',
+  verifyAuth,
+  requirePermission(PERMISSIONS.ROLES_MANAGE, PERMISSIONS.USERS_READ),
+  roleController.getAllRoles
+);
+
+/**
+ * POST /api/roles
+ * Create a role with its permissions
+ * Requires: authentication, roles:manage permission, validation
+ */
+router.post(
+  '/',
+  verifyAuth,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validateRoleCreate,
+  roleController.createRole
+);
+
+/**
+ * PUT /api/roles/:id
+ * Update a role and replace its permissions
+ * Requires: authentication, roles:manage permission, validation
+ */
+router.put(
+  '/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validateId,
+  validateRoleUpdate,
+  roleController.updateRole
+);
+
+/**
+ * PATCH /api/roles/:id/mfa
+ * Require two-factor authentication for a role
+ * Requires: authentication, roles:manage permission, validation
+ */
+router.patch(
+  '/:id/mfa',
+  verifyAuth,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validateId,
+  validateRoleMfa,
+  roleController.updateRoleMfa
+);
+
+/**
+ * DELETE /api/roles/:id
+ * Delete a role without users
+ * Requires: authentication, roles:manage permission
+ */
+router.delete(
+  '/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.ROLES_MANAGE),
+  validateId,
+  roleController.deleteRole
+);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 /**
  * Sale Routes
- * Defines routes for sale management endpoints with role-based access control
+ * Defines routes for sale management endpoints with permission-based access control
  */
 
 'use strict';
@@ -13,9 +13,17 @@ const saleController = require('../controllers/saleController');
 
 // Middleware
 const { verifyAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { PERMISSIONS } = require('../utils/constants');
+const { uploadSaleImportFile } = require('../middleware/uploadMiddleware');
 const {
   validateSaleCreate,
   validateSaleUpdate,
+  validateSaleImport,
+  validateSaleReassign,
+  validateSaleBulk,
+  validateSaleListQuery,
+  validateSaleExport,
   validateId,
   validatePagination,
   validateDateRange
@@ -30,6 +38,7 @@ const {
 router.get(
   '/total',
   verifyAuth,
+  requirePermission(PERMISSIONS.SALES_READ_OWN, PERMISSIONS.SALES_READ_TEAM, PERMISSIONS.SALES_READ_ANY),
   validateDateRange,
   saleController.getTotalAmount
 );
@@ -43,9 +52,26 @@ router.get(
 router.get(
   '/count-by-status',
   verifyAuth,
+  requirePermission(PERMISSIONS.SALES_READ_OWN, PERMISSIONS.SALES_READ_TEAM, PERMISSIONS.SALES_READ_ANY),
   saleController.getCountByStatus
 );
 
+/**
+ * GET /api/sales/export
+ * Download the filtered sales list as CSV, XLSX or PDF (?format=csv|xlsx|pdf)
+ * Users with sales:read:any export all, with sales:read:team their teams' too, everyone else only their own
+ * Requires: authentication
+ * Note: Must be before /:id route to avoid conflict
+ */
+router.get(
+  '/export',
+  verifyAuth,
+  requirePermission(PERMISSIONS.SALES_READ_OWN, PERMISSIONS.SALES_READ_TEAM, PERMISSIONS.SALES_READ_ANY),
+  validateSaleExport,
+  validateDateRange,
+  saleController.exportSales
+);
+
 /**
  * GET /api/sales/my-sales
  * Get sales created by current user
@@ -55,36 +81,67 @@ router.get(
 router.get(
   '/my-sales',
   verifyAuth,
+  requirePermission(PERMISSIONS.SALES_READ_OWN, PERMISSIONS.SALES_READ_TEAM, PERMISSIONS.SALES_READ_ANY),
   validatePagination,
   saleController.getMySales
 );
 
+/**
+ * GET /api/sales/deleted
+ * Get soft-deleted sales with pagination
+ * Requires: authentication, sales:restore permission
+ * Note: Must be before /:id route to avoid conflict
+ */
+router.get(
+  '/deleted',
+  verifyAuth,
+  requirePermission(PERMISSIONS.SALES_RESTORE),
+  validatePagination,
+  saleController.getDeletedSales
+);
+
 /**
  * GET /api/sales
- * Get all sales with role-based filtering and pagination
- * Admins see all, Advisors only see their own
+ * Get all sales with permission-based filtering, search (?q), sorting (?sortBy&sortDir) and pagination
+ * Users with sales:read:any see all, with sales:read:team their teams' too, everyone else only their own
  * Requires: authentication
  */
 router.get(
   '/',
   verifyAuth,
+  requirePermission(PERMISSIONS.SALES_READ_OWN, PERMISSIONS.SALES_READ_TEAM, PERMISSIONS.SALES_READ_ANY),
   validatePagination,
+  validateSaleListQuery,
   validateDateRange,
   saleController.getAllSales
 );
 
 /**
  * GET /api/sales/:id
- * Get sale by ID with role-based access check
+ * Get sale by ID with permission-based access check
  * Requires: authentication
  */
 router.get(
   '/:id',
   verifyAuth,
+  requirePermission(PERMISSIONS.SALES_READ_OWN, PERMISSIONS.SALES_READ_TEAM, PERMISSIONS.SALES_READ_ANY),
   validateId,
   saleController.getSaleById
 );
 
+/**
+ * GET /api/sales/:id/history
+ * Get the audit trail of a sale with permission-based access check
+ * Requires: authentication
+ */
+router.get(
+  '/:id/history',
+  verifyAuth,
+  requirePermission(PERMISSIONS.SALES_READ_OWN, PERMISSIONS.SALES_READ_TEAM, PERMISSIONS.SALES_READ_ANY),
+  validateId,
+  saleController.getSaleHistory
+);
+
 /**
  * POST /api/sales
  * Create new sale
@@ -93,31 +150,101 @@ router.get(
 router.post(
   '/',
   verifyAuth,
+  requirePermission(PERMISSIONS.SALES_CREATE),
   validateSaleCreate,
   saleController.createSale
 );
 
+/**
+ * POST /api/sales/import
+ * Create sales in bulk from a CSV/XLSX file (multipart field "file")
+ * Use ?dryRun=true to get the per-row validation report without saving
+ * Requires: authentication, validation
+ */
+router.post(
+  '/import',
+  verifyAuth,
+  requirePermission(PERMISSIONS.SALES_CREATE),
+  validateSaleImport,
+  uploadSaleImportFile,
+  saleController.importSales
+);
+
+/**
+ * POST /api/sales/reassign
+ * Move the selected sales (saleIds), or every open sale of an advisor (fromUserId),
+ * to another advisor in one transaction
+ * Requires: authentication, sales:reassign permission, validation
+ * Note: Not limited by scope, sales:reassign reaches every sale (admin action)
+ */
+router.post(
+  '/reassign',
+  verifyAuth,
+  requirePermission(PERMISSIONS.SALES_REASSIGN),
+  validateSaleReassign,
+  saleController.reassignSales
+);
+
+/**
+ * PATCH /api/sales/bulk
+ * Change the status of, reassign or delete several sales, with a result per sale ID
+ * Requires: authentication, permission for the action, validation
+ * Note: Every sale is checked against the user's scope, reassign included
+ * Note: Must be before /:id routes to avoid conflict
+ */
+router.patch(
+  '/bulk',
+  verifyAuth,
+  requirePermission(
+    PERMISSIONS.SALES_UPDATE_OWN,
+    PERMISSIONS.SALES_UPDATE_TEAM,
+    PERMISSIONS.SALES_UPDATE_ANY,
+    PERMISSIONS.SALES_STATUS_ANY,
+    PERMISSIONS.SALES_REASSIGN,
+    PERMISSIONS.SALES_DELETE_OWN,
+    PERMISSIONS.SALES_DELETE_TEAM,
+    PERMISSIONS.SALES_DELETE_ANY
+  ),
+  validateSaleBulk,
+  saleController.bulkUpdateSales
+);
+
 /**
  * PUT /api/sales/:id
- * Update sale with role-based access check
+ * Update sale with permission-based access check
  * Requires: authentication, validation
  */
 router.put(
   '/:id',
   verifyAuth,
+  requirePermission(PERMISSIONS.SALES_UPDATE_OWN, PERMISSIONS.SALES_UPDATE_TEAM, PERMISSIONS.SALES_UPDATE_ANY, PERMISSIONS.SALES_STATUS_ANY),
   validateId,
   validateSaleUpdate,
   saleController.updateSale
 );
 
+/**
+ * POST /api/sales/:id/restore
+ * Restore a soft-deleted sale
+ * Requires: authentication, sales:restore permission
+ */
+router.post(
+  '/:id/restore',
+  verifyAuth,
+  validateId,
+  requirePermission(PERMISSIONS.SALES_RESTORE),
+  saleController.restoreSale
+);
+
 /**
  * DELETE /api/sales/:id
- * Delete sale with role-based access check
+ * Soft delete sale with permission-based access check
  * Requires: authentication
  */
 router.delete(
   '/:id',
   verifyAuth,
+  requirePermission(PERMISSIONS.SALES_DELETE_OWN, PERMISSIONS.SALES_DELETE_TEAM, PERMISSIONS.SALES_DELETE_ANY),
   validateId,
   saleController.deleteSale
 );
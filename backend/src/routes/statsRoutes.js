@@ -1,6 +1,6 @@
 /**
  * Statistics Routes
- * Defines routes for statistics and dashboard endpoints with role-based access control
+ * Defines routes for statistics and dashboard endpoints with permission-based access control
  */
 
 'use strict';
@@ -13,8 +13,13 @@ const statsController = require('../controllers/statsController');
 
 // Middleware
 const { verifyAuth } = require('../middleware/authMiddleware');
-const { isAdmin } = require('../middleware/roleMiddleware');
-const { validateDateRange } = require('../middleware/validationMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateDateRange,
+  validateStatsFilters,
+  validateAdvisorStatsQuery
+} = require('../middleware/validationMiddleware');
 
 /**
  * GET /api/stats/dashboard
@@ -25,6 +30,7 @@ router.get(
   '/dashboard',
   verifyAuth,
   validateDateRange,
+  validateStatsFilters,
   statsController.getDashboardMetrics
 );
 
@@ -37,6 +43,7 @@ router.get(
   '/comprehensive',
   verifyAuth,
   validateDateRange,
+  validateStatsFilters,
   statsController.getComprehensiveDashboard
 );
 
@@ -49,22 +56,38 @@ router.get(
   '/by-product',
   verifyAuth,
   validateDateRange,
+  validateStatsFilters,
   statsController.getSalesByProduct
 );
 
 /**
  * GET /api/stats/by-advisor
- * Get sales grouped by advisor (Admin only)
- * Requires: authentication, admin role
+ * Get sales grouped by advisor, optionally filtered by team (equipoId)
+ * Requires: authentication, stats:read:advisors permission
  */
 router.get(
   '/by-advisor',
   verifyAuth,
-  isAdmin,
+  requirePermission(PERMISSIONS.STATS_READ_ADVISORS),
   validateDateRange,
+  validateStatsFilters,
+  validateAdvisorStatsQuery,
   statsController.getSalesByAdvisor
 );
 
+/**
+ * GET /api/stats/by-branch
+ * Get sales grouped by branch
+ * Requires: authentication
+ */
+router.get(
+  '/by-branch',
+  verifyAuth,
+  validateDateRange,
+  validateStatsFilters,
+  statsController.getSalesByBranch
+);
+
 /**
  * GET /api/stats/by-status
  * Get sales grouped by status
@@ -74,6 +97,7 @@ router.get(
   '/by-status',
   verifyAuth,
   validateDateRange,
+  validateStatsFilters,
   statsController.getSalesByStatus
 );
 
@@ -86,6 +110,7 @@ router.get(
   '/by-period',
   verifyAuth,
   validateDateRange,
+  validateStatsFilters,
   statsController.getSalesByPeriod
 );
 
@@ -97,6 +122,7 @@ router.get(
 router.get(
   '/recent',
   verifyAuth,
+  validateStatsFilters,
   statsController.getRecentSales
 );
 
@@ -109,6 +135,7 @@ router.get(
   '/top-products',
   verifyAuth,
   validateDateRange,
+  validateStatsFilters,
   statsController.getTopProducts
 );
 
@@ -120,6 +147,7 @@ router.get(
 router.get(
   '/trends',
   verifyAuth,
+  validateStatsFilters,
   statsController.getSalesTrends
 );
 
@@ -0,0 +1,90 @@
+/**
+ * Team Routes
+ * Defines routes for teams (a supervisor and their advisors)
+ */
+
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const teamController = require('../controllers/teamController');
+
+// Middleware
+const { verifyAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { PERMISSIONS } = require('../utils/constants');
+const {
+  validateTeamCreate,
+  validateTeamUpdate,
+  validateId
+} = require('../middleware/validationMiddleware');
+
+/**
+ * GET /api/teams
+ * Get teams with their supervisor and members
+ * Requires: authentication, teams:manage, sales:read:team or stats:read:advisors permission
+ * Note: Without teams:manage or sales:read:any only the teams the user supervises are returned
+ */
+router.get(
+  '/',
+  verifyAuth,
+  requirePermission(PERMISSIONS.TEAMS_MANAGE, PERMISSIONS.SALES_READ_TEAM, PERMISSIONS.STATS_READ_ADVISORS),
+  teamController.getAllTeams
+);
+
+/**
+ * GET /api/teams/:id
+ * Get team by ID
+ * Requires: authentication, teams:manage, sales:read:team or stats:read:advisors permission
+ */
+router.get(
+  '/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.TEAMS_MANAGE, PERMISSIONS.SALES_READ_TEAM, PERMISSIONS.STATS_READ_ADVISORS),
+  validateId,
+  teamController.getTeamById
+);
+
+/**
+ * POST /api/teams
+ * Create a team
+ * Requires: authentication, teams:manage permission, validation
+ */
+router.post(
+  '/',
+  verifyAuth,
+  requirePermission(PERMISSIONS.TEAMS_MANAGE),
+  validateTeamCreate,
+  teamController.createTeam
+);
+
+/**
+ * PUT /api/teams/:id
+ * Update a team and replace its members
+ * Requires: authentication, teams:manage permission, validation
+ */
+router.put(
+  '/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.TEAMS_MANAGE),
+  validateId,
+  validateTeamUpdate,
+  teamController.updateTeam
+);
+
+/**
+ * DELETE /api/teams/:id
+ * Delete a team, its members stay without a team
+ * Requires: authentication, teams:manage permission
+ */
+router.delete(
+  '/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.TEAMS_MANAGE),
+  validateId,
+  teamController.deleteTeam
+);
+
+module.exports = router;
@@ -10,15 +10,21 @@ const router = express.Router();
 
 // Controllers
 const userController = require('../controllers/userController');
+const invitationController = require('../controllers/invitationController');
 
 // Middleware
 const { verifyAuth } = require('../middleware/authMiddleware');
-const { isAdmin, isOwnerOrAdmin } = require('../middleware/roleMiddleware');
+const { requirePermission, isOwnerOrHasPermission } = require('../middleware/roleMiddleware');
+const { PERMISSIONS } = require('../utils/constants');
 const {
   validateUserCreate,
+  validateInvitationCreate,
   validateUserUpdate,
   validateId,
-  validatePagination
+  validateActiveStatus,
+  validatePagination,
+  validateDateRange,
+  validateLoginAttemptFilters
 } = require('../middleware/validationMiddleware');
 
 /**
@@ -36,25 +42,107 @@ router.get(
 /**
  * GET /api/users/count-by-role
  * Get users count grouped by role
- * Requires: authentication, admin role
+ * Requires: authentication, users:read permission
  * Note: Must be before /:id route to avoid conflict
  */
 router.get(
   '/count-by-role',
   verifyAuth,
-  isAdmin,
+  requirePermission(PERMISSIONS.USERS_READ),
   userController.getUsersCountByRole
 );
 
+/**
+ * GET /api/users/deleted
+ * Get soft-deleted users with pagination
+ * Requires: authentication, users:read permission
+ * Note: Must be before /:id route to avoid conflict
+ */
+router.get(
+  '/deleted',
+  verifyAuth,
+  requirePermission(PERMISSIONS.USERS_READ),
+  validatePagination,
+  userController.getDeletedUsers
+);
+
+/**
+ * GET /api/users/login-attempts
+ * Get the login audit trail with filters and pagination
+ * Requires: authentication, users:read permission
+ * Note: Must be before /:id route to avoid conflict
+ */
+router.get(
+  '/login-attempts',
+  verifyAuth,
+  requirePermission(PERMISSIONS.USERS_READ),
+  validatePagination,
+  validateDateRange,
+  validateLoginAttemptFilters,
+  userController.getLoginAttempts
+);
+
+/**
+ * GET /api/users/invitations
+ * Get the invitations not accepted yet
+ * Requires: authentication, users:manage permission
+ * Note: Must be before /:id route to avoid conflict
+ */
+router.get(
+  '/invitations',
+  verifyAuth,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  invitationController.getPendingInvitations
+);
+
+/**
+ * POST /api/users/invitations
+ * Invite a user: created without password, they choose it from the emailed link
+ * Requires: authentication, users:manage permission, validation
+ */
+router.post(
+  '/invitations',
+  verifyAuth,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateInvitationCreate,
+  invitationController.inviteUser
+);
+
+/**
+ * POST /api/users/invitations/:id/resend
+ * Email a new invitation link
+ * Requires: authentication, users:manage permission
+ */
+router.post(
+  '/invitations/:id/resend',
+  verifyAuth,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateId,
+  invitationController.resendInvitation
+);
+
+/**
+ * DELETE /api/users/invitations/:id
+ * Revoke an invitation, removing the pending user
+ * Requires: authentication, users:manage permission
+ */
+router.delete(
+  '/invitations/:id',
+  verifyAuth,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateId,
+  invitationController.revokeInvitation
+);
+
 /**
  * GET /api/users
  * Get all users with optional filtering and pagination
- * Requires: authentication, admin role
+ * Requires: authentication, users:read permission
  */
 router.get(
   '/',
   verifyAuth,
-  isAdmin,
+  requirePermission(PERMISSIONS.USERS_READ),
   validatePagination,
   userController.getAllUsers
 );
@@ -62,25 +150,25 @@ router.get(
 /**
  * GET /api/users/:id
  * Get user by ID
- * Requires: authentication, admin or owner
+ * Requires: authentication, owner or users:read permission
  */
 router.get(
   '/:id',
   verifyAuth,
   validateId,
-  isOwnerOrAdmin('id'),
+  isOwnerOrHasPermission('id', PERMISSIONS.USERS_READ),
   userController.getUserById
 );
 
 /**
  * POST /api/users
  * Create new user
- * Requires: authentication, admin role, validation
+ * Requires: authentication, users:manage permission, validation
  */
 router.post(
   '/',
   verifyAuth,
-  isAdmin,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   validateUserCreate,
   userController.createUser
 );
@@ -88,27 +176,80 @@ router.post(
 /**
  * PUT /api/users/:id
  * Update user
- * Requires: authentication, admin or owner, validation
+ * Requires: authentication, owner or users:manage permission, validation
  */
 router.put(
   '/:id',
   verifyAuth,
   validateId,
-  isOwnerOrAdmin('id'),
+  isOwnerOrHasPermission('id', PERMISSIONS.USERS_MANAGE),
   validateUserUpdate,
   userController.updateUser
 );
 
+/**
+ * PATCH /api/users/:id/status
+ * Activate or deactivate a user (deactivated users cannot log in)
+ * Requires: authentication, users:manage permission, validation
+ */
+router.patch(
+  '/:id/status',
+  verifyAuth,
+  validateId,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateActiveStatus,
+  userController.updateUserStatus
+);
+
+/**
+ * POST /api/users/:id/restore
+ * Restore a soft-deleted user
+ * Requires: authentication, users:manage permission
+ */
+router.post(
+  '/:id/restore',
+  verifyAuth,
+  validateId,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userController.restoreUser
+);
+
+/**
+ * POST /api/users/:id/logout
+ * Force logout a user from all devices
+ * Requires: authentication, users:manage permission
+ */
+router.post(
+  '/:id/logout',
+  verifyAuth,
+  validateId,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userController.forceLogoutUser
+);
+
+/**
+ * POST /api/users/:id/unlock
+ * Unlock an account locked by failed login attempts
+ * Requires: authentication, users:manage permission
+ */
+router.post(
+  '/:id/unlock',
+  verifyAuth,
+  validateId,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userController.unlockUser
+);
+
 /**
  * DELETE /api/users/:id
- * Delete user
- * Requires: authentication, admin role
+ * Soft delete user
+ * Requires: authentication, users:manage permission
  */
 router.delete(
   '/:id',
   verifyAuth,
   validateId,
-  isAdmin,
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   userController.deleteUser
 );
 
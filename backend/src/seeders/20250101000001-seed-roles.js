@@ -1,6 +1,8 @@
 /**
  * Seeder: Insert initial roles
  * Roles: Administrador (ID: 1), Asesor (ID: 2)
+ * The permissions migration already creates every built-in role with its
+ * permissions, existing rows are skipped
  */
 
 'use strict';
@@ -22,7 +24,7 @@ module.exports = {
         createdAt: new Date(),
         updatedAt: new Date()
       }
-    ]);
+    ], { ignoreDuplicates: true });
   },
 
   async down(queryInterface, Sequelize) {
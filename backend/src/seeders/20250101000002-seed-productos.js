@@ -1,6 +1,7 @@
 /**
  * Seeder: Insert product types
  * Products: Credito de Consumo (ID: 1), Libranza Libre Inversión (ID: 2), Tarjeta de Credito (ID: 3)
+ * Credits require a rate, credit cards require a franchise
  */
 
 'use strict';
@@ -11,18 +12,30 @@ module.exports = {
       {
         id: 1,
         nombre: 'Credito de Consumo',
+        requiresFranchise: false,
+        requiresRate: true,
+        minRate: 0,
+        maxRate: 100,
         createdAt: new Date(),
         updatedAt: new Date()
       },
       {
         id: 2,
         nombre: 'Libranza Libre Inversión',
+        requiresFranchise: false,
+        requiresRate: true,
+        minRate: 0,
+        maxRate: 100,
         createdAt: new Date(),
         updatedAt: new Date()
       },
       {
         id: 3,
         nombre: 'Tarjeta de Credito',
+        requiresFranchise: true,
+        requiresRate: false,
+        minRate: null,
+        maxRate: null,
         createdAt: new Date(),
         updatedAt: new Date()
       }
@@ -6,32 +6,125 @@
 'use strict';
 
 const { User, Role } = require('../models');
-const { generateToken } = require('../config/jwt');
-const { AuthenticationError, ValidationError } = require('../utils/errors');
+const { generateAuthToken, generateImpersonationToken } = require('../config/jwt');
+const sessionService = require('./sessionService');
+const tokenDenylistService = require('./tokenDenylistService');
+const mfaService = require('./mfaService');
+const loginAttemptService = require('./loginAttemptService');
+const passwordPolicyService = require('./passwordPolicyService');
+const { permissionsInclude, getPermissionKeys } = require('./roleService');
+const { MFA, LOGIN_ATTEMPT_REASONS, PERMISSIONS } = require('../utils/constants');
+const {
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+  ValidationError,
+  AccountLockedError
+} = require('../utils/errors');
 const logger = require('../utils/logger');
 
+/**
+ * Format Auth User
+ * @param {Object} user - User instance with rol and its permisos
+ * @returns {Object} User data returned by login, refresh and verify
+ */
+const formatAuthUser = (user) => ({
+  id: user.id,
+  nombre: user.nombre,
+  email: user.email,
+  rolId: user.rolId,
+  rolNombre: user.rol.nombre,
+  rolDescripcion: user.rol.descripcion,
+  mfaHabilitado: user.mfaHabilitado,
+  mfaRequerido: user.rol.requiereMfa,
+  permisos: getPermissionKeys(user.rol)
+});
+
+/**
+ * Assert Active
+ * @param {Object} user - User instance
+ * @throws {AuthenticationError} If the user was deactivated
+ */
+const assertActive = (user) => {
+  if (!user.activo) {
+    throw new AuthenticationError('Account is deactivated');
+  }
+};
+
+/**
+ * Create User Session
+ * Signs an access token and starts a refresh token session
+ * @param {Object} user - User instance with rol
+ * @param {Object} context - Request context for the session ({ userAgent, ip })
+ * @returns {Object} User data, token and refreshToken
+ */
+const createUserSession = async (user, context = {}) => {
+  const token = generateAuthToken(user);
+  const refreshToken = await sessionService.createSession(user.id, context);
+
+  return {
+    user: formatAuthUser(user),
+    token,
+    refreshToken
+  };
+};
+
+/**
+ * Finish Login
+ * Last login step once every factor was verified: starts the session, unless the
+ * password expired, in which case only a token to change it is returned
+ * @param {Object} user - User instance with rol
+ * @param {Object} context - Request context for the session ({ userAgent, ip })
+ * @returns {Object} User data, token and refreshToken, or { passwordChangeRequired, passwordToken }
+ */
+const finishLogin = async (user, context = {}) => {
+  if (passwordPolicyService.isPasswordExpired(user)) {
+    logger.info(`Password expired, change required before login - User ID: ${user.id}`);
+    await loginAttemptService.recordLoginAttempt({
+      userId: user.id,
+      email: user.email,
+      exitoso: false,
+      motivo: LOGIN_ATTEMPT_REASONS.PASSWORD_EXPIRED
+    }, context);
+    return passwordPolicyService.buildPasswordChangeChallenge(user);
+  }
+
+  await loginAttemptService.registerSuccess(user, context);
+
+  return createUserSession(user, context);
+};
+
 /**
  * Authenticate User
- * Validates email and password, returns user data and JWT token
+ * Validates email and password, returns user data, access token and refresh token
+ * When two-factor authentication is enabled (or required by the role) no session is
+ * started: a short-lived mfaToken is returned instead, to be exchanged with verifyMfaLogin
+ * (or used to enrol first when mfaSetupRequired is set)
+ * When the password expired a passwordToken is returned instead, see changeUserPassword
  * @param {String} email - User email
  * @param {String} password - User password
- * @returns {Object} User data and token
+ * @param {Object} context - Request context for the session ({ userAgent, ip })
+ * @returns {Object} User data, token and refreshToken, { mfaRequired, mfaSetupRequired, mfaToken }
+ * or { passwordChangeRequired, passwordToken }
  */
-const authenticateUser = async (email, password) => {
+const authenticateUser = async (email, password, context = {}) => {
   try {
     // Validate input
     if (!email || !password) {
       throw new ValidationError('Email and password are required');
     }
 
-    // Find user by email with role
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Find user by email with role (paranoid: soft-deleted users are not found)
     const user = await User.findOne({
-      where: { email: email.toLowerCase().trim() },
+      where: { email: normalizedEmail },
       include: [
         {
           model: Role,
           as: 'rol',
-          attributes: ['id', 'nombre', 'descripcion']
+          attributes: ['id', 'nombre', 'descripcion', 'requiereMfa'],
+          include: [permissionsInclude()]
         }
       ]
     });
@@ -39,43 +132,59 @@ const authenticateUser = async (email, password) => {
     // Check if user exists
     if (!user) {
       logger.warn(`Login attempt failed: user not found - ${email}`);
+      await loginAttemptService.recordLoginAttempt({
+        email: normalizedEmail,
+        exitoso: false,
+        motivo: LOGIN_ATTEMPT_REASONS.UNKNOWN_EMAIL
+      }, context);
       throw new AuthenticationError('Invalid email or password');
     }
 
+    // Progressive delay or lockout after repeated failures on this account
+    await loginAttemptService.assertCanAttempt(user, context);
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
       logger.warn(`Login attempt failed: invalid password - ${email}`);
+      await loginAttemptService.registerFailure(user, LOGIN_ATTEMPT_REASONS.INVALID_PASSWORD, context);
       throw new AuthenticationError('Invalid email or password');
     }
 
-    // Generate JWT token
-    const tokenPayload = {
-      id: user.id,
-      email: user.email,
-      rolId: user.rolId
-    };
+    // Told apart only after the password, so the status of an account is not disclosed
+    if (!user.activo) {
+      logger.warn(`Login attempt failed: account deactivated - ${email}`);
+      await loginAttemptService.recordLoginAttempt({
+        userId: user.id,
+        email: user.email,
+        exitoso: false,
+        motivo: LOGIN_ATTEMPT_REASONS.INACTIVE
+      }, context);
+      throw new AuthenticationError('Account is deactivated');
+    }
 
-    const token = generateToken(tokenPayload);
+    // Second step pending: no session yet, and the failure count is kept until it succeeds
+    if (mfaService.isMfaRequired(user)) {
+      logger.info(`Password verified, two-factor authentication pending: ${email}`);
+      await loginAttemptService.recordLoginAttempt({
+        userId: user.id,
+        email: user.email,
+        exitoso: false,
+        motivo: LOGIN_ATTEMPT_REASONS.MFA_PENDING
+      }, context);
+      return mfaService.buildChallenge(user);
+    }
 
     // Log successful authentication
     logger.info(`User authenticated successfully: ${email} (${user.rol.nombre})`);
 
-    // Return user data (without password) and token
-    return {
-      user: {
-        id: user.id,
-        nombre: user.nombre,
-        email: user.email,
-        rolId: user.rolId,
-        rolNombre: user.rol.nombre,
-        rolDescripcion: user.rol.descripcion
-      },
-      token
-    };
+    // Return user data (without password), token and refresh token
+    return await finishLogin(user, context);
   } catch (error) {
     // Re-throw known errors
-    if (error instanceof AuthenticationError || error instanceof ValidationError) {
+    if (error instanceof AuthenticationError ||
+        error instanceof ValidationError ||
+        error instanceof AccountLockedError) {
       throw error;
     }
 
@@ -95,12 +204,13 @@ const verifyUserToken = async (userId) => {
   try {
     // Find user by ID with role
     const user = await User.findByPk(userId, {
-      attributes: ['id', 'nombre', 'email', 'rolId'],
+      attributes: ['id', 'nombre', 'email', 'rolId', 'activo', 'mfaHabilitado'],
       include: [
         {
           model: Role,
           as: 'rol',
-          attributes: ['id', 'nombre', 'descripcion']
+          attributes: ['id', 'nombre', 'descripcion', 'requiereMfa'],
+          include: [permissionsInclude()]
         }
       ]
     });
@@ -110,15 +220,11 @@ const verifyUserToken = async (userId) => {
       throw new AuthenticationError('User not found');
     }
 
+    // Also ends the sessions of deactivated users on their next refresh
+    assertActive(user);
+
     // Return user data
-    return {
-      id: user.id,
-      nombre: user.nombre,
-      email: user.email,
-      rolId: user.rolId,
-      rolNombre: user.rol.nombre,
-      rolDescripcion: user.rol.descripcion
-    };
+    return formatAuthUser(user);
   } catch (error) {
     // Re-throw known errors
     if (error instanceof AuthenticationError) {
@@ -131,6 +237,258 @@ const verifyUserToken = async (userId) => {
   }
 };
 
+/**
+ * Refresh User Session
+ * Rotates the refresh token and signs a new access token
+ * @param {String} refreshToken - Current refresh token
+ * @param {Object} context - Request context for the session ({ userAgent, ip })
+ * @returns {Object} User data, token and refreshToken
+ */
+const refreshUserSession = async (refreshToken, context = {}) => {
+  try {
+    const session = await sessionService.rotateSession(refreshToken, context);
+    const user = await verifyUserToken(session.userId);
+
+    const token = generateAuthToken(user);
+
+    return {
+      user,
+      token,
+      refreshToken: session.refreshToken
+    };
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof AuthenticationError) {
+      throw error;
+    }
+
+    // Log and throw unexpected errors
+    logger.error('Error in refreshUserSession:', error);
+    throw new AuthenticationError('Token refresh failed');
+  }
+};
+
+/**
+ * Verify MFA Login
+ * Second login step: exchanges the mfaToken and a TOTP or recovery code for a session
+ * @param {String} mfaToken - Pending token returned by authenticateUser
+ * @param {String} code - TOTP or recovery code
+ * @param {Object} context - Request context for the session ({ userAgent, ip })
+ * @returns {Object} User data, token, refreshToken and remainingRecoveryCodes
+ */
+const verifyMfaLogin = async (mfaToken, code, context = {}) => {
+  try {
+    const userId = mfaService.verifyPendingToken(mfaToken, MFA.TOKEN_PURPOSES.VERIFY);
+
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'email', 'intentosFallidos', 'bloqueadoHasta']
+    });
+
+    if (!user) {
+      throw new AuthenticationError('User not found');
+    }
+
+    // Wrong codes count against the same per-account limit as wrong passwords
+    await loginAttemptService.assertCanAttempt(user, context);
+
+    let result;
+    try {
+      result = await mfaService.verifySecondFactor(userId, code);
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        await loginAttemptService.registerFailure(user, LOGIN_ATTEMPT_REASONS.INVALID_MFA_CODE, context);
+      }
+      throw error;
+    }
+
+    const session = await startUserSession(userId, context);
+
+    logger.info(`User authenticated with second factor - User ID: ${userId}`);
+
+    return {
+      ...session,
+      usedRecoveryCode: result.usedRecoveryCode,
+      remainingRecoveryCodes: result.remainingRecoveryCodes
+    };
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof AuthenticationError || error instanceof AccountLockedError) {
+      throw error;
+    }
+
+    // Log and throw unexpected errors
+    logger.error('Error in verifyMfaLogin:', error);
+    throw new AuthenticationError('Authentication failed');
+  }
+};
+
+/**
+ * Start User Session
+ * Used once a login finished outside authenticateUser (second factor, forced enrolment,
+ * expired password change)
+ * @param {Number} userId - User ID
+ * @param {Object} context - Request context for the session ({ userAgent, ip })
+ * @returns {Object} User data, token and refreshToken, or { passwordChangeRequired, passwordToken }
+ */
+const startUserSession = async (userId, context = {}) => {
+  const user = await User.findByPk(userId, {
+    include: [
+      {
+        model: Role,
+        as: 'rol',
+        attributes: ['id', 'nombre', 'descripcion', 'requiereMfa'],
+        include: [permissionsInclude()]
+      }
+    ]
+  });
+
+  if (!user) {
+    throw new AuthenticationError('User not found');
+  }
+
+  assertActive(user);
+
+  return finishLogin(user, context);
+};
+
+/**
+ * Logout User
+ * Revokes the session of the given refresh token and denylists the access token
+ * @param {String} refreshToken - Refresh token of the session to end (optional)
+ * @param {Object} tokenPayload - Decoded access token of the request (optional)
+ * @returns {Boolean} Whether a session was revoked
+ */
+const logoutUser = async (refreshToken, tokenPayload = null) => {
+  try {
+    await tokenDenylistService.revokeToken(tokenPayload);
+
+    if (!refreshToken) {
+      return false;
+    }
+
+    return await sessionService.revokeSession(refreshToken);
+  } catch (error) {
+    logger.error('Error in logoutUser:', error);
+    throw error;
+  }
+};
+
+/**
+ * Impersonate User
+ * Signs a token to act as another user: data is scoped as that user while sale
+ * writes are attributed to the admin. No refresh token session is started, the
+ * admin keeps their own session to return to
+ * @param {Object} impersonator - Acting admin (req.user)
+ * @param {Number} userId - User to impersonate
+ * @returns {Object} Impersonated user data (with impersonadoPor) and token
+ * @throws {AuthorizationError} If the target is the admin or can impersonate too
+ */
+const impersonateUser = async (impersonator, userId) => {
+  try {
+    if (userId === impersonator.id) {
+      throw new ValidationError('You cannot impersonate yourself');
+    }
+
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'nombre', 'email', 'rolId', 'activo', 'mfaHabilitado'],
+      include: [
+        {
+          model: Role,
+          as: 'rol',
+          attributes: ['id', 'nombre', 'descripcion', 'requiereMfa'],
+          include: [permissionsInclude()]
+        }
+      ]
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    // Their token would be rejected anyway
+    if (!user.activo) {
+      throw new ValidationError('Deactivated users cannot be impersonated');
+    }
+
+    // Acting as another admin would hand over permissions the caller may not have
+    if (getPermissionKeys(user.rol).includes(PERMISSIONS.USERS_IMPERSONATE)) {
+      throw new AuthorizationError('Users who can impersonate cannot be impersonated');
+    }
+
+    const token = generateImpersonationToken(user, impersonator);
+
+    logger.info(`Impersonation started: admin ${impersonator.email} as user ${user.email}`);
+
+    return {
+      user: {
+        ...formatAuthUser(user),
+        impersonadoPor: { id: impersonator.id, nombre: impersonator.nombre, email: impersonator.email }
+      },
+      token
+    };
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError ||
+        error instanceof NotFoundError ||
+        error instanceof AuthorizationError) {
+      throw error;
+    }
+
+    logger.error('Error in impersonateUser:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stop Impersonation
+ * Denylists the impersonation token, the admin goes back to their own session
+ * @param {Object} user - Impersonated user (req.user, with impersonadoPor)
+ * @param {Object} tokenPayload - Decoded impersonation token
+ * @returns {Boolean} Success status
+ * @throws {ValidationError} If the request is not impersonating anyone
+ */
+const stopImpersonation = async (user, tokenPayload) => {
+  try {
+    if (!user.impersonadoPor) {
+      throw new ValidationError('You are not impersonating anyone');
+    }
+
+    await tokenDenylistService.revokeToken(tokenPayload);
+
+    logger.info(`Impersonation ended: admin ${user.impersonadoPor.email} as user ${user.email}`);
+
+    return true;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in stopImpersonation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Logout User Everywhere
+ * Revokes every session and every access token of a user (all devices)
+ * @param {Number} userId - User ID
+ * @returns {Number} Number of sessions revoked
+ */
+const logoutUserEverywhere = async (userId) => {
+  try {
+    const revokedSessions = await sessionService.revokeUserSessions(userId);
+    await tokenDenylistService.revokeUserTokens(userId);
+
+    logger.info(`All sessions revoked for user ID ${userId} (${revokedSessions} sessions)`);
+
+    return revokedSessions;
+  } catch (error) {
+    logger.error('Error in logoutUserEverywhere:', error);
+    throw error;
+  }
+};
+
 /**
  * Get User Profile
  * Returns detailed user profile by ID
@@ -141,12 +499,13 @@ const getUserProfile = async (userId) => {
   try {
     // Find user by ID with role
     const user = await User.findByPk(userId, {
-      attributes: ['id', 'nombre', 'email', 'rolId', 'createdAt', 'updatedAt'],
+      attributes: ['id', 'nombre', 'email', 'rolId', 'mfaHabilitado', 'createdAt', 'updatedAt'],
       include: [
         {
           model: Role,
           as: 'rol',
-          attributes: ['id', 'nombre', 'descripcion']
+          attributes: ['id', 'nombre', 'descripcion', 'requiereMfa'],
+          include: [permissionsInclude()]
         }
       ]
     });
@@ -158,12 +517,7 @@ const getUserProfile = async (userId) => {
 
     // Return user profile
     return {
-      id: user.id,
-      nombre: user.nombre,
-      email: user.email,
-      rolId: user.rolId,
-      rolNombre: user.rol.nombre,
-      rolDescripcion: user.rol.descripcion,
+      ...formatAuthUser(user),
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
     };
@@ -181,7 +535,7 @@ const getUserProfile = async (userId) => {
 
 /**
  * Change User Password
- * Updates user password after validating current password
+ * Updates user password after validating current password and the password policy
  * @param {Number} userId - User ID
  * @param {String} currentPassword - Current password
  * @param {String} newPassword - New password
@@ -208,9 +562,7 @@ const changeUserPassword = async (userId, currentPassword, newPassword) => {
       throw new AuthenticationError('Current password is incorrect');
     }
 
-    // Update password (will be hashed by beforeUpdate hook)
-    user.password = newPassword;
-    await user.save();
+    await passwordPolicyService.setPassword(user, newPassword, { field: 'newPassword' });
 
     logger.info(`Password changed successfully for user ID: ${userId}`);
 
@@ -230,6 +582,13 @@ const changeUserPassword = async (userId, currentPassword, newPassword) => {
 module.exports = {
   authenticateUser,
   verifyUserToken,
+  refreshUserSession,
+  verifyMfaLogin,
+  startUserSession,
+  logoutUser,
+  impersonateUser,
+  stopImpersonation,
+  logoutUserEverywhere,
   getUserProfile,
   changeUserPassword
 };
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * Branch Service
+ * Handles bank branch (sucursal) operations (catalog:manage)
+ * Branches with users or sales can only be deactivated, not deleted
+ */
+
+'use strict';
+
+const { Branch, Sale, User } = require('../models');
+const { Op } = require('sequelize');
+const {
+  NotFoundError,
+  ValidationError,
+  DuplicateEntryError,
+  ConflictError
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Format Branch
+ * @param {Object} branch - Branch instance
+ * @returns {Object} Branch data
+ */
+const formatBranch = (branch) => ({
+  id: branch.id,
+  nombre: branch.nombre,
+  ciudad: branch.ciudad,
+  activo: branch.activo,
+  createdAt: branch.createdAt,
+  updatedAt: branch.updatedAt
+});
+
+/**
+ * Find Branch or Fail
+ * @param {Number} id - Branch ID
+ * @returns {Object} Branch instance
+ * @throws {NotFoundError} If the branch does not exist
+ */
+const findBranchOrFail = async (id) => {
+  const branch = await Branch.findByPk(id);
+
+  if (!branch) {
+    throw new NotFoundError('Branch not found');
+  }
+
+  return branch;
+};
+
+/**
+ * Assert Unique Name
+ * @param {String} nombre - Branch name
+ * @param {Number} excludeId - Branch ID to ignore (on update)
+ * @throws {DuplicateEntryError} If another branch has the name
+ */
+const assertUniqueName = async (nombre, excludeId = null) => {
+  const where = { nombre };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const existingBranch = await Branch.findOne({ where });
+  if (existingBranch) {
+    throw new DuplicateEntryError('A branch with this name already exists');
+  }
+};
+
+/**
+ * Assert Assignable Branch
+ * Users can only be assigned to active branches
+ * @param {Number} id - Branch ID
+ * @throws {ValidationError} If the branch does not exist or is inactive
+ */
+const assertAssignableBranch = async (id) => {
+  const branch = await Branch.findByPk(parseInt(id), { attributes: ['id', 'activo'] });
+
+  if (!branch || !branch.activo) {
+    throw new ValidationError(
+      'Invalid branch',
+      [{ field: 'sucursalId', message: 'Branch does not exist or is inactive' }]
+    );
+  }
+};
+
+/**
+ * Find All Branches
+ * Inactive branches are included so historical sales keep their names
+ * @param {Object} filters - Filter options (activo)
+ * @returns {Array} Branches list
+ */
+const findAllBranches = async (filters = {}) => {
+  try {
+    const whereClause = {};
+
+    if (filters.activo !== undefined) {
+      whereClause.activo = filters.activo;
+    }
+
+    const branches = await Branch.findAll({
+      where: whereClause,
+      order: [['nombre', 'ASC']]
+    });
+
+    logger.debug(`Retrieved ${branches.length} branches`);
+
+    return branches.map(formatBranch);
+  } catch (error) {
+    logger.error('Error in findAllBranches:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find Branch by ID
+ * @param {Number} id - Branch ID
+ * @returns {Object} Branch data
+ */
+const findBranchById = async (id) => {
+  try {
+    const branch = await findBranchOrFail(id);
+
+    return formatBranch(branch);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+
+    logger.error('Error in findBranchById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create New Branch
+ * @param {Object} branchData - Branch data (nombre, ciudad, activo)
+ * @returns {Object} Created branch data
+ */
+const createNewBranch = async (branchData) => {
+  try {
+    const nombre = branchData.nombre ? branchData.nombre.trim() : '';
+
+    if (!nombre) {
+      throw new ValidationError('Name is required');
+    }
+
+    await assertUniqueName(nombre);
+
+    const branch = await Branch.create({
+      nombre,
+      ciudad: branchData.ciudad || null,
+      activo: branchData.activo !== undefined ? branchData.activo : true
+    });
+
+    logger.info(`Branch created: ${branch.nombre} (ID: ${branch.id})`);
+
+    return formatBranch(branch);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError || error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in createNewBranch:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update Branch by ID
+ * @param {Number} id - Branch ID
+ * @param {Object} branchData - Branch data to update (nombre, ciudad, activo)
+ * @returns {Object} Updated branch data
+ */
+const updateBranchById = async (id, branchData) => {
+  try {
+    const branch = await findBranchOrFail(id);
+
+    // Build update object
+    const updateData = {};
+
+    if (branchData.nombre !== undefined) {
+      updateData.nombre = branchData.nombre.trim();
+      await assertUniqueName(updateData.nombre, id);
+    }
+
+    if (branchData.ciudad !== undefined) {
+      updateData.ciudad = branchData.ciudad || null;
+    }
+
+    if (branchData.activo !== undefined) {
+      updateData.activo = branchData.activo;
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      throw new ValidationError('No fields to update');
+    }
+
+    await branch.update(updateData);
+
+    logger.info(`Branch updated: ID ${id}`);
+
+    return formatBranch(branch);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError ||
+        error instanceof ValidationError ||
+        error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in updateBranchById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete Branch by ID
+ * Only branches without users or sales can be deleted; the rest must be deactivated
+ * @param {Number} id - Branch ID
+ * @returns {Boolean} Success status
+ */
+const deleteBranchById = async (id) => {
+  try {
+    const branch = await findBranchOrFail(id);
+
+    // Soft-deleted users and sales still reference the branch
+    const usersCount = await User.count({
+      where: { sucursalId: id },
+      paranoid: false
+    });
+    const salesCount = await Sale.count({
+      where: { sucursalId: id },
+      paranoid: false
+    });
+
+    if (usersCount > 0 || salesCount > 0) {
+      throw new ConflictError(
+        'Branch has users or sales and cannot be deleted, deactivate it instead',
+        { usersCount, salesCount }
+      );
+    }
+
+    await branch.destroy();
+
+    logger.info(`Branch deleted: ID ${id}`);
+
+    return true;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof ConflictError) {
+      throw error;
+    }
+
+    logger.error('Error in deleteBranchById:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  assertAssignableBranch,
+  findAllBranches,
+  findBranchById,
+  createNewBranch,
+  updateBranchById,
+  deleteBranchById
+};
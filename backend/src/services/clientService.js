@@ -0,0 +1,404 @@
+/**
+ * Client Service
+ * Handles client (customer) CRUD operations with permission-based access control
+ * Users with clients:read:any see all clients; everyone else the clients they registered or sold to
+ */
+
+'use strict';
+
+const { Client, Sale, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  DuplicateEntryError,
+  ConflictError
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+const { PERMISSIONS } = require('../utils/constants');
+const { hasPermission } = require('../utils/permissions');
+const { normalizeDocumentNumber, getDocumentError } = require('../utils/identityDocuments');
+
+/**
+ * Build Client Scope
+ * Without clients:read:any only clients the user registered or that have one of their sales
+ * @param {Array} userPermissions - User's permission keys
+ * @param {Number} userId - User's ID
+ * @returns {Object|null} Where condition, null when no restriction applies
+ */
+const buildClientScope = (userPermissions, userId) => {
+  if (hasPermission(userPermissions, PERMISSIONS.CLIENTS_READ_ANY)) {
+    return null;
+  }
+
+  const advisorId = parseInt(userId);
+
+  return {
+    [Op.or]: [
+      { usuarioCreadorId: advisorId },
+      {
+        id: {
+          [Op.in]: sequelize.literal(
+            `(SELECT clienteId FROM ventas WHERE usuarioCreadorId = ${advisorId} AND deletedAt IS NULL)`
+          )
+        }
+      }
+    ]
+  };
+};
+
+/**
+ * Assert Client Access
+ * Throws if a user without clients:read:any tries to access a client outside their scope
+ * @param {Object} client - Client instance
+ * @param {Array} userPermissions - User's permission keys
+ * @param {Number} userId - User's ID
+ * @throws {AuthorizationError} If the user has no relation with the client
+ */
+const assertClientAccess = async (client, userPermissions, userId) => {
+  if (hasPermission(userPermissions, PERMISSIONS.CLIENTS_READ_ANY) || client.usuarioCreadorId === userId) {
+    return;
+  }
+
+  const salesCount = await Sale.count({
+    where: { clienteId: client.id, usuarioCreadorId: userId }
+  });
+
+  if (salesCount === 0) {
+    throw new AuthorizationError('You can only access your own clients');
+  }
+};
+
+/**
+ * Format Client
+ * @param {Object} client - Client instance
+ * @returns {Object} Client data
+ */
+const formatClient = (client) => ({
+  id: client.id,
+  tipoDocumento: client.tipoDocumento,
+  numeroDocumento: client.numeroDocumento,
+  nombreCompleto: client.nombreCompleto,
+  telefono: client.telefono,
+  email: client.email,
+  ingresosMensuales: client.ingresosMensuales !== null ? parseFloat(client.ingresosMensuales) : null,
+  usuarioCreadorId: client.usuarioCreadorId,
+  usuarioCreadorNombre: client.usuarioCreador ? client.usuarioCreador.nombre : null,
+  createdAt: client.createdAt,
+  updatedAt: client.updatedAt
+});
+
+/**
+ * Find All Clients
+ * Retrieves clients with permission-based scoping, search and pagination
+ * An exact document number search also finds clients outside the advisor's scope,
+ * so the same customer is not registered twice; selling to them still requires
+ * access to the client (see assertClientAccess)
+ * @param {Object} filters - Filter options (search, tipoDocumento)
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @param {Object} pagination - Pagination options (page, limit)
+ * @returns {Object} Clients list with pagination metadata
+ */
+const findAllClients = async (filters = {}, userPermissions, userId, pagination = {}) => {
+  try {
+    const { search, tipoDocumento } = filters;
+    const { page = 1, limit = 10 } = pagination;
+
+    const conditions = [];
+
+    // Search by name or document number
+    if (search) {
+      conditions.push({
+        [Op.or]: [
+          { nombreCompleto: { [Op.like]: `%${search}%` } },
+          { numeroDocumento: { [Op.like]: `%${search}%` } }
+        ]
+      });
+    }
+
+    if (tipoDocumento) {
+      conditions.push({ tipoDocumento });
+    }
+
+    // Permission-based scoping
+    const scope = buildClientScope(userPermissions, userId);
+    if (scope) {
+      conditions.push(search
+        ? { [Op.or]: [scope, { numeroDocumento: search.trim() }] }
+        : scope);
+    }
+
+    // Calculate offset
+    const offset = (page - 1) * limit;
+
+    const { count, rows: clients } = await Client.findAndCountAll({
+      where: { [Op.and]: conditions },
+      include: [
+        {
+          model: User,
+          as: 'usuarioCreador',
+          attributes: ['id', 'nombre'],
+          paranoid: false
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['nombreCompleto', 'ASC']],
+      distinct: true
+    });
+
+    logger.debug(`Retrieved ${clients.length} clients (total: ${count}) for user: ${userId}`);
+
+    return {
+      clients: clients.map(formatClient),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Error in findAllClients:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find Client by ID
+ * Retrieves a single client with permission-based access check
+ * @param {Number} id - Client ID
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @returns {Object} Client data
+ */
+const findClientById = async (id, userPermissions, userId) => {
+  try {
+    const client = await Client.findByPk(id, {
+      include: [
+        {
+          model: User,
+          as: 'usuarioCreador',
+          attributes: ['id', 'nombre'],
+          paranoid: false
+        }
+      ]
+    });
+
+    if (!client) {
+      throw new NotFoundError('Client not found');
+    }
+
+    await assertClientAccess(client, userPermissions, userId);
+
+    logger.debug(`Retrieved client ID: ${id}`);
+
+    return formatClient(client);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+      throw error;
+    }
+
+    logger.error('Error in findClientById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create New Client
+ * Creates a new client; the document must not be registered yet
+ * @param {Object} clientData - Client data
+ * @param {Number} actorId - User really acting, set as creator (an admin impersonating an advisor)
+ * @returns {Object} Created client data
+ */
+const createNewClient = async (clientData, actorId) => {
+  try {
+    const { tipoDocumento, numeroDocumento, nombreCompleto, telefono, email, ingresosMensuales } = clientData;
+
+    // Validate required fields
+    if (!tipoDocumento || !numeroDocumento || !nombreCompleto) {
+      throw new ValidationError('Document type, document number and full name are required');
+    }
+
+    const documentNumber = normalizeDocumentNumber(tipoDocumento, numeroDocumento);
+    const documentError = getDocumentError(tipoDocumento, documentNumber);
+    if (documentError) {
+      throw new ValidationError(documentError);
+    }
+
+    // Check if document already exists
+    const existingClient = await Client.findOne({
+      where: { tipoDocumento, numeroDocumento: documentNumber }
+    });
+
+    if (existingClient) {
+      throw new DuplicateEntryError('A client with this document already exists');
+    }
+
+    const client = await Client.create({
+      tipoDocumento,
+      numeroDocumento: documentNumber,
+      nombreCompleto: nombreCompleto.trim(),
+      telefono: telefono || null,
+      email: email || null,
+      ingresosMensuales: ingresosMensuales !== undefined && ingresosMensuales !== null
+        ? parseFloat(ingresosMensuales)
+        : null,
+      usuarioCreadorId: actorId
+    });
+
+    logger.info(`Client created: ID ${client.id} by user ${actorId}`);
+
+    return formatClient(client);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError || error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in createNewClient:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update Client by ID
+ * Updates client data with permission-based access check
+ * @param {Number} id - Client ID
+ * @param {Object} clientData - Client data to update
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @param {Number} actorId - User really acting, recorded as the author (an admin impersonating userId)
+ * @returns {Object} Updated client data
+ */
+const updateClientById = async (id, clientData, userPermissions, userId, actorId = userId) => {
+  try {
+    const client = await Client.findByPk(id);
+
+    if (!client) {
+      throw new NotFoundError('Client not found');
+    }
+
+    await assertClientAccess(client, userPermissions, userId);
+
+    // Build update object
+    const updateData = {};
+    const fields = ['tipoDocumento', 'numeroDocumento', 'nombreCompleto', 'telefono', 'email'];
+
+    fields.forEach(field => {
+      if (clientData[field] !== undefined) {
+        const value = typeof clientData[field] === 'string' ? clientData[field].trim() : clientData[field];
+        updateData[field] = value === '' ? null : value;
+      }
+    });
+
+    if (clientData.ingresosMensuales !== undefined) {
+      updateData.ingresosMensuales = clientData.ingresosMensuales !== null
+        ? parseFloat(clientData.ingresosMensuales)
+        : null;
+    }
+
+    // Check if there's anything to update
+    if (Object.keys(updateData).length === 0) {
+      throw new ValidationError('No fields to update');
+    }
+
+    // The type and number are validated together, either may change alone
+    if (updateData.tipoDocumento !== undefined || updateData.numeroDocumento !== undefined) {
+      const tipoDocumento = updateData.tipoDocumento || client.tipoDocumento;
+      const numeroDocumento = normalizeDocumentNumber(
+        tipoDocumento,
+        updateData.numeroDocumento || client.numeroDocumento
+      );
+
+      const documentError = getDocumentError(tipoDocumento, numeroDocumento);
+      if (documentError) {
+        throw new ValidationError(documentError);
+      }
+
+      updateData.numeroDocumento = numeroDocumento;
+
+      // Check the new document is not taken by another client
+      const existingClient = await Client.findOne({
+        where: {
+          tipoDocumento,
+          numeroDocumento,
+          id: { [Op.ne]: id }
+        }
+      });
+
+      if (existingClient) {
+        throw new DuplicateEntryError('A client with this document already exists');
+      }
+    }
+
+    await client.update(updateData);
+
+    logger.info(`Client updated: ID ${id} by user ${actorId}`);
+
+    return findClientById(id, userPermissions, userId);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError ||
+        error instanceof AuthorizationError ||
+        error instanceof ValidationError ||
+        error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in updateClientById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete Client by ID
+ * Deletes a client that has no sales (clients:delete)
+ * @param {Number} id - Client ID
+ * @returns {Boolean} Success status
+ */
+const deleteClientById = async (id) => {
+  try {
+    const client = await Client.findByPk(id);
+
+    if (!client) {
+      throw new NotFoundError('Client not found');
+    }
+
+    // Soft-deleted sales still reference the client
+    const salesCount = await Sale.count({
+      where: { clienteId: id },
+      paranoid: false
+    });
+
+    if (salesCount > 0) {
+      throw new ConflictError('Client has sales and cannot be deleted', { salesCount });
+    }
+
+    await client.destroy();
+
+    logger.info(`Client deleted: ID ${id}`);
+
+    return true;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof ConflictError) {
+      throw error;
+    }
+
+    logger.error('Error in deleteClientById:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  findAllClients,
+  findClientById,
+  createNewClient,
+  updateClientById,
+  deleteClientById,
+  assertClientAccess
+};
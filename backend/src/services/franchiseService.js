@@ -0,0 +1,238 @@
+/**
+ * Franchise Service
+ * Handles credit card franchise operations (Admin-managed)
+ * Franchises in use can only be deactivated, not deleted
+ */
+
+'use strict';
+
+const { Franchise, Sale } = require('../models');
+const { Op } = require('sequelize');
+const {
+  NotFoundError,
+  ValidationError,
+  DuplicateEntryError,
+  ConflictError
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Format Franchise
+ * @param {Object} franchise - Franchise instance
+ * @returns {Object} Franchise data
+ */
+const formatFranchise = (franchise) => ({
+  id: franchise.id,
+  nombre: franchise.nombre,
+  activo: franchise.activo,
+  createdAt: franchise.createdAt,
+  updatedAt: franchise.updatedAt
+});
+
+/**
+ * Find Franchise or Fail
+ * @param {Number} id - Franchise ID
+ * @returns {Object} Franchise instance
+ * @throws {NotFoundError} If the franchise does not exist
+ */
+const findFranchiseOrFail = async (id) => {
+  const franchise = await Franchise.findByPk(id);
+
+  if (!franchise) {
+    throw new NotFoundError('Franchise not found');
+  }
+
+  return franchise;
+};
+
+/**
+ * Assert Unique Name
+ * @param {String} nombre - Franchise name
+ * @param {Number} excludeId - Franchise ID to ignore (on update)
+ * @throws {DuplicateEntryError} If another franchise has the name
+ */
+const assertUniqueName = async (nombre, excludeId = null) => {
+  const where = { nombre };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const existingFranchise = await Franchise.findOne({ where });
+  if (existingFranchise) {
+    throw new DuplicateEntryError('A franchise with this name already exists');
+  }
+};
+
+/**
+ * Find All Franchises
+ * Inactive franchises are included so historical sales keep their names
+ * @param {Object} filters - Filter options (activo)
+ * @returns {Array} Franchises list
+ */
+const findAllFranchises = async (filters = {}) => {
+  try {
+    const whereClause = {};
+
+    if (filters.activo !== undefined) {
+      whereClause.activo = filters.activo;
+    }
+
+    const franchises = await Franchise.findAll({
+      where: whereClause,
+      order: [['nombre', 'ASC']]
+    });
+
+    logger.debug(`Retrieved ${franchises.length} franchises`);
+
+    return franchises.map(formatFranchise);
+  } catch (error) {
+    logger.error('Error in findAllFranchises:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find Franchise by ID
+ * @param {Number} id - Franchise ID
+ * @returns {Object} Franchise data
+ */
+const findFranchiseById = async (id) => {
+  try {
+    const franchise = await findFranchiseOrFail(id);
+
+    return formatFranchise(franchise);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+
+    logger.error('Error in findFranchiseById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create New Franchise
+ * @param {Object} franchiseData - Franchise data (nombre, activo)
+ * @returns {Object} Created franchise data
+ */
+const createNewFranchise = async (franchiseData) => {
+  try {
+    const nombre = franchiseData.nombre ? franchiseData.nombre.trim() : '';
+
+    if (!nombre) {
+      throw new ValidationError('Name is required');
+    }
+
+    await assertUniqueName(nombre);
+
+    const franchise = await Franchise.create({
+      nombre,
+      activo: franchiseData.activo !== undefined ? franchiseData.activo : true
+    });
+
+    logger.info(`Franchise created: ${franchise.nombre} (ID: ${franchise.id})`);
+
+    return formatFranchise(franchise);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError || error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in createNewFranchise:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update Franchise by ID
+ * @param {Number} id - Franchise ID
+ * @param {Object} franchiseData - Franchise data to update (nombre, activo)
+ * @returns {Object} Updated franchise data
+ */
+const updateFranchiseById = async (id, franchiseData) => {
+  try {
+    const franchise = await findFranchiseOrFail(id);
+
+    // Build update object
+    const updateData = {};
+
+    if (franchiseData.nombre !== undefined) {
+      updateData.nombre = franchiseData.nombre.trim();
+      await assertUniqueName(updateData.nombre, id);
+    }
+
+    if (franchiseData.activo !== undefined) {
+      updateData.activo = franchiseData.activo;
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      throw new ValidationError('No fields to update');
+    }
+
+    await franchise.update(updateData);
+
+    logger.info(`Franchise updated: ID ${id}`);
+
+    return formatFranchise(franchise);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError ||
+        error instanceof ValidationError ||
+        error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in updateFranchiseById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete Franchise by ID
+ * Only franchises never used in a sale can be deleted; the rest must be deactivated
+ * @param {Number} id - Franchise ID
+ * @returns {Boolean} Success status
+ */
+const deleteFranchiseById = async (id) => {
+  try {
+    const franchise = await findFranchiseOrFail(id);
+
+    // Soft-deleted sales still reference the franchise
+    const salesCount = await Sale.count({
+      where: { franquiciaId: id },
+      paranoid: false
+    });
+
+    if (salesCount > 0) {
+      throw new ConflictError(
+        'Franchise is used by sales and cannot be deleted, deactivate it instead',
+        { salesCount }
+      );
+    }
+
+    await franchise.destroy();
+
+    logger.info(`Franchise deleted: ID ${id}`);
+
+    return true;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof ConflictError) {
+      throw error;
+    }
+
+    logger.error('Error in deleteFranchiseById:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  findAllFranchises,
+  findFranchiseById,
+  createNewFranchise,
+  updateFranchiseById,
+  deleteFranchiseById
+};
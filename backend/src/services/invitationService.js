@@ -0,0 +1,376 @@
+/**
+ * Invitation Service
+ * Onboarding of new users: an admin enters name, email and role, the user is
+ * created without a password and chooses it from an emailed link
+ * Tokens are random, single-use and time-limited; only their SHA-256 hash is
+ * stored. Resending replaces the token, revoking removes the pending user
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { Invitation, User, Role, sequelize } = require('../models');
+const { ForeignKeyConstraintError } = require('sequelize');
+const { durationToMs } = require('../config/jwt');
+const { INVITATION } = require('../utils/constants');
+const { NotFoundError, ValidationError, DuplicateEntryError, ConflictError } = require('../utils/errors');
+const mailService = require('./mailService');
+const passwordPolicyService = require('./passwordPolicyService');
+const { assertRoleExists, assertEmailAvailable } = require('./userService');
+const { assertAssignableBranch } = require('./branchService');
+const logger = require('../utils/logger');
+
+/**
+ * Hash Token
+ * @param {String} token - Plain invitation token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate Token
+ * @returns {Object} { token, tokenHash, expiraEn } for a new or resent invitation
+ */
+const generateToken = () => {
+  const token = crypto.randomBytes(INVITATION.TOKEN_BYTES).toString('base64url');
+
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiraEn: new Date(Date.now() + durationToMs(INVITATION.EXPIRATION))
+  };
+};
+
+/**
+ * Invitation Include Options
+ * @returns {Array} Includes for the invited user with role and the inviting admin
+ */
+const invitationIncludes = () => [
+  {
+    model: User,
+    as: 'usuario',
+    attributes: ['id', 'nombre', 'email', 'rolId'],
+    required: true,
+    include: [
+      {
+        model: Role,
+        as: 'rol',
+        attributes: ['id', 'nombre']
+      }
+    ]
+  },
+  {
+    model: User,
+    as: 'invitadoPor',
+    attributes: ['id', 'nombre'],
+    required: false,
+    paranoid: false
+  }
+];
+
+/**
+ * Format Invitation
+ * @param {Object} invitation - Invitation instance loaded with invitationIncludes
+ * @returns {Object} Invitation data
+ */
+const formatInvitation = (invitation) => ({
+  id: invitation.id,
+  usuarioId: invitation.usuarioId,
+  nombre: invitation.usuario.nombre,
+  email: invitation.usuario.email,
+  rolId: invitation.usuario.rolId,
+  rolNombre: invitation.usuario.rol.nombre,
+  invitadoPorId: invitation.invitadoPorId,
+  invitadoPorNombre: invitation.invitadoPor ? invitation.invitadoPor.nombre : null,
+  expiraEn: invitation.expiraEn,
+  vencida: invitation.expiraEn < new Date(),
+  createdAt: invitation.createdAt,
+  updatedAt: invitation.updatedAt
+});
+
+/**
+ * Find Pending Invitation or Fail
+ * @param {Number} id - Invitation ID
+ * @returns {Object} Invitation instance with its user
+ * @throws {NotFoundError} If the invitation does not exist or was already accepted
+ */
+const findPendingInvitationOrFail = async (id) => {
+  const invitation = await Invitation.findOne({
+    where: { id, aceptadoEn: null },
+    include: invitationIncludes()
+  });
+
+  if (!invitation) {
+    throw new NotFoundError('Pending invitation not found');
+  }
+
+  return invitation;
+};
+
+/**
+ * Find Invitation by Token
+ * @param {String} token - Plain invitation token from the link
+ * @returns {Object} Invitation instance with its user
+ * @throws {ValidationError} If the token is unknown, expired or already used
+ */
+const findInvitationByToken = async (token) => {
+  const invitation = await Invitation.findOne({
+    where: { tokenHash: hashToken(token) },
+    include: invitationIncludes()
+  });
+
+  if (!invitation || invitation.aceptadoEn || invitation.expiraEn < new Date()) {
+    throw new ValidationError('The invitation link is invalid or has expired');
+  }
+
+  return invitation;
+};
+
+/**
+ * Send Invitation Mail
+ * @param {Object} user - Invited user ({ nombre, email })
+ * @param {String} token - Plain invitation token
+ */
+const sendInvitationMail = (user, token) => mailService.sendMail({
+  to: user.email,
+  subject: 'Invitación a Products Bank',
+  text: [
+    `Hola ${user.nombre},`,
+    '',
+    'Te crearon una cuenta en Products Bank.',
+    'Abre el siguiente enlace para elegir tu contraseña y activarla:',
+    '',
+    mailService.buildAppLink(`/accept-invite/${token}`),
+    '',
+    `El enlace vence en ${INVITATION.EXPIRATION} y solo puede usarse una vez.`,
+    'Si no esperabas esta invitación, ignora este mensaje.'
+  ].join('\n')
+});
+
+/**
+ * Find Pending Invitations
+ * Invitations not accepted yet, expired ones included so they can be resent
+ * @returns {Array} Pending invitations, newest first
+ */
+const findPendingInvitations = async () => {
+  try {
+    const invitations = await Invitation.findAll({
+      where: { aceptadoEn: null },
+      include: invitationIncludes(),
+      order: [['createdAt', 'DESC']]
+    });
+
+    logger.debug(`Retrieved ${invitations.length} pending invitations`);
+
+    return invitations.map(formatInvitation);
+  } catch (error) {
+    logger.error('Error in findPendingInvitations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Invite User
+ * Creates the user without a password and emails the invitation link
+ * @param {Object} userData - User data (nombre, email, rolId, sucursalId)
+ * @param {Number} invitedById - Admin sending the invitation
+ * @returns {Object} Created invitation data
+ */
+const inviteUser = async (userData, invitedById) => {
+  try {
+    const { nombre, email, rolId, sucursalId } = userData;
+
+    if (!nombre || !email || !rolId) {
+      throw new ValidationError('All fields are required: nombre, email, rolId');
+    }
+
+    await assertRoleExists(rolId);
+
+    if (sucursalId) {
+      await assertAssignableBranch(sucursalId);
+    }
+
+    await assertEmailAvailable(email);
+
+    const { token, tokenHash, expiraEn } = generateToken();
+
+    const invitationId = await sequelize.transaction(async (transaction) => {
+      const user = await User.create({
+        nombre: nombre.trim(),
+        email: email.toLowerCase().trim(),
+        password: null,
+        rolId: parseInt(rolId),
+        sucursalId: sucursalId ? parseInt(sucursalId) : null
+      }, { transaction });
+
+      const invitation = await Invitation.create({
+        usuarioId: user.id,
+        invitadoPorId: invitedById,
+        tokenHash,
+        expiraEn
+      }, { transaction });
+
+      return invitation.id;
+    });
+
+    const invitation = await findPendingInvitationOrFail(invitationId);
+
+    // The invitation is kept if the mail fails, it can be resent
+    await sendInvitationMail(invitation.usuario, token);
+
+    logger.info(`User invited: ${invitation.usuario.email} (${invitation.usuario.rol.nombre})`);
+
+    return formatInvitation(invitation);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError ||
+        error instanceof DuplicateEntryError ||
+        error instanceof NotFoundError) {
+      throw error;
+    }
+
+    logger.error('Error in inviteUser:', error);
+    throw error;
+  }
+};
+
+/**
+ * Resend Invitation
+ * Emails a new link; the previous one stops working and the expiry starts again
+ * @param {Number} id - Invitation ID
+ * @returns {Object} Updated invitation data
+ */
+const resendInvitation = async (id) => {
+  try {
+    const invitation = await findPendingInvitationOrFail(id);
+
+    const { token, tokenHash, expiraEn } = generateToken();
+    await invitation.update({ tokenHash, expiraEn });
+
+    await sendInvitationMail(invitation.usuario, token);
+
+    logger.info(`Invitation resent to ${invitation.usuario.email}`);
+
+    return formatInvitation(invitation);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+
+    logger.error('Error in resendInvitation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke Invitation
+ * Removes the pending user for good (never logged in, the email is freed)
+ * @param {Number} id - Invitation ID
+ * @returns {Boolean} Success status
+ * @throws {ConflictError} If the pending user is already referenced (e.g. supervises a team)
+ */
+const revokeInvitation = async (id) => {
+  try {
+    const invitation = await findPendingInvitationOrFail(id);
+    const { email } = invitation.usuario;
+
+    try {
+      // The invitation goes with the user (invitaciones cascade)
+      await User.destroy({ where: { id: invitation.usuarioId }, force: true });
+    } catch (error) {
+      if (error instanceof ForeignKeyConstraintError) {
+        throw new ConflictError('The invited user is already in use (team, sales), delete the user instead');
+      }
+      throw error;
+    }
+
+    logger.info(`Invitation revoked: ${email}`);
+
+    return true;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof ConflictError) {
+      throw error;
+    }
+
+    logger.error('Error in revokeInvitation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get Invitation by Token
+ * Public data shown on the accept page
+ * @param {String} token - Plain invitation token from the link
+ * @returns {Object} { nombre, email, expiraEn }
+ */
+const getInvitationByToken = async (token) => {
+  try {
+    const invitation = await findInvitationByToken(token);
+
+    return {
+      nombre: invitation.usuario.nombre,
+      email: invitation.usuario.email,
+      expiraEn: invitation.expiraEn
+    };
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in getInvitationByToken:', error);
+    throw error;
+  }
+};
+
+/**
+ * Accept Invitation
+ * Consumes the token and sets the password chosen by the invited user
+ * @param {String} token - Plain invitation token from the link
+ * @param {String} password - Chosen password
+ * @returns {Object} { email } to log in with
+ * @throws {ValidationError} If the token is unknown, expired or already used
+ */
+const acceptInvitation = async (token, password) => {
+  try {
+    const invitation = await findInvitationByToken(token);
+    const user = await User.findByPk(invitation.usuarioId);
+
+    await sequelize.transaction(async (transaction) => {
+      // Conditional update: of two concurrent requests with the same token only one wins
+      const [consumed] = await Invitation.update(
+        { aceptadoEn: new Date() },
+        { where: { id: invitation.id, aceptadoEn: null }, transaction }
+      );
+
+      if (consumed === 0) {
+        throw new ValidationError('The invitation link is invalid or has expired');
+      }
+
+      await passwordPolicyService.setPassword(user, password, { transaction });
+    });
+
+    logger.info(`Invitation accepted by user ID ${user.id}`);
+
+    return { email: user.email };
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in acceptInvitation:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  findPendingInvitations,
+  inviteUser,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation
+};
@@ -0,0 +1,287 @@
+/**
+ * Login Attempt Service
+ * Per-account protection against password guessing, and the login audit trail
+ * The IP rate limiter doesn't stop a distributed attack on one account, so
+ * failures are also counted per user: after LOGIN_LOCKOUT.DELAY_AFTER failures
+ * each new attempt must wait a delay that doubles with every failure, and after
+ * MAX_ATTEMPTS the account is locked for LOCK_DURATION. A successful login or
+ * an admin unlock resets the count
+ */
+
+'use strict';
+
+const { LoginAttempt, User } = require('../models');
+const { Op } = require('sequelize');
+const { durationToMs } = require('../config/jwt');
+const { LOGIN_LOCKOUT, LOGIN_ATTEMPT_REASONS } = require('../utils/constants');
+const { AccountLockedError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Column size of login_intentos.dispositivo
+const DEVICE_MAX_LENGTH = 255;
+
+/**
+ * Get Delay Seconds
+ * @param {Number} failures - Consecutive failed attempts
+ * @returns {Number} Seconds the account must wait before the next attempt
+ */
+const getDelaySeconds = (failures) => {
+  if (failures >= LOGIN_LOCKOUT.MAX_ATTEMPTS) {
+    return durationToMs(LOGIN_LOCKOUT.LOCK_DURATION) / 1000;
+  }
+
+  if (failures >= LOGIN_LOCKOUT.DELAY_AFTER) {
+    return LOGIN_LOCKOUT.BASE_DELAY_SECONDS * 2 ** (failures - LOGIN_LOCKOUT.DELAY_AFTER);
+  }
+
+  return 0;
+};
+
+/**
+ * Is Locked
+ * Short progressive delays don't count, only the lockout after MAX_ATTEMPTS
+ * @param {Object} user - User instance
+ * @returns {Boolean} Whether the account is locked
+ */
+const isLocked = (user) => (
+  user.intentosFallidos >= LOGIN_LOCKOUT.MAX_ATTEMPTS &&
+  !!user.bloqueadoHasta &&
+  new Date(user.bloqueadoHasta) > new Date()
+);
+
+/**
+ * Record Login Attempt
+ * @param {Object} attempt - { userId, email, exitoso, motivo }
+ * @param {Object} context - Request context ({ userAgent, ip })
+ */
+const recordLoginAttempt = async ({ userId = null, email, exitoso, motivo }, context = {}) => {
+  try {
+    await LoginAttempt.create({
+      usuarioId: userId,
+      email,
+      exitoso,
+      motivo,
+      ip: context.ip || null,
+      dispositivo: context.userAgent ? context.userAgent.slice(0, DEVICE_MAX_LENGTH) : null
+    });
+  } catch (error) {
+    logger.error('Error in recordLoginAttempt:', error);
+    throw error;
+  }
+};
+
+/**
+ * Assert Can Attempt
+ * Rejects attempts made before the account's delay or lockout is over
+ * @param {Object} user - User instance
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @throws {AccountLockedError} If the account must still wait
+ */
+const assertCanAttempt = async (user, context = {}) => {
+  const lockedUntil = user.bloqueadoHasta ? new Date(user.bloqueadoHasta) : null;
+
+  if (!lockedUntil || lockedUntil <= new Date()) {
+    return;
+  }
+
+  await recordLoginAttempt({
+    userId: user.id,
+    email: user.email,
+    exitoso: false,
+    motivo: LOGIN_ATTEMPT_REASONS.LOCKED
+  }, context);
+
+  const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+  const message = isLocked(user)
+    ? 'Account temporarily locked after too many failed login attempts'
+    : `Too many failed login attempts, try again in ${retryAfter} seconds`;
+
+  logger.warn(`Login attempt rejected, account waiting until ${lockedUntil.toISOString()} - User ID: ${user.id}`);
+
+  throw new AccountLockedError(message, { retryAfter, lockedUntil });
+};
+
+/**
+ * Register Failure
+ * Counts a failed attempt against the account and applies the next delay or lockout
+ * @param {Object} user - User instance
+ * @param {String} motivo - LOGIN_ATTEMPT_REASONS value
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Object} { failures, delaySeconds }
+ */
+const registerFailure = async (user, motivo, context = {}) => {
+  try {
+    // Atomic increment: concurrent failures are all counted
+    await User.increment('intentosFallidos', { where: { id: user.id } });
+    await user.reload({ attributes: ['id', 'intentosFallidos', 'bloqueadoHasta'] });
+
+    const failures = user.intentosFallidos;
+    const delaySeconds = getDelaySeconds(failures);
+
+    if (delaySeconds > 0) {
+      await User.update(
+        { bloqueadoHasta: new Date(Date.now() + delaySeconds * 1000) },
+        { where: { id: user.id } }
+      );
+    }
+
+    if (failures === LOGIN_LOCKOUT.MAX_ATTEMPTS) {
+      logger.warn(`Account locked after ${failures} failed login attempts - User ID: ${user.id}`);
+    }
+
+    await recordLoginAttempt({ userId: user.id, email: user.email, exitoso: false, motivo }, context);
+
+    return { failures, delaySeconds };
+  } catch (error) {
+    logger.error('Error in registerFailure:', error);
+    throw error;
+  }
+};
+
+/**
+ * Register Success
+ * Resets the failure count once a session is started
+ * @param {Object} user - User instance
+ * @param {Object} context - Request context ({ userAgent, ip })
+ */
+const registerSuccess = async (user, context = {}) => {
+  try {
+    if (user.intentosFallidos > 0 || user.bloqueadoHasta) {
+      await User.update(
+        { intentosFallidos: 0, bloqueadoHasta: null },
+        { where: { id: user.id } }
+      );
+    }
+
+    await recordLoginAttempt({
+      userId: user.id,
+      email: user.email,
+      exitoso: true,
+      motivo: LOGIN_ATTEMPT_REASONS.SUCCESS
+    }, context);
+  } catch (error) {
+    logger.error('Error in registerSuccess:', error);
+    throw error;
+  }
+};
+
+/**
+ * Unlock User
+ * Clears the failure count and any delay or lockout
+ * @param {Number} userId - User ID
+ * @returns {Boolean} Whether the account was locked
+ */
+const unlockUser = async (userId) => {
+  try {
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'intentosFallidos', 'bloqueadoHasta']
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const wasLocked = isLocked(user);
+
+    await User.update(
+      { intentosFallidos: 0, bloqueadoHasta: null },
+      { where: { id: userId } }
+    );
+
+    return wasLocked;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+
+    logger.error('Error in unlockUser:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find Login Attempts
+ * Retrieves the login audit trail, newest first
+ * @param {Object} filters - { usuarioId, email, exitoso, startDate, endDate }
+ * @param {Object} pagination - { page, limit }
+ * @returns {Object} { attempts, pagination }
+ */
+const findLoginAttempts = async (filters = {}, pagination = {}) => {
+  try {
+    const { usuarioId, email, exitoso, startDate, endDate } = filters;
+    const { page = 1, limit = 10 } = pagination;
+
+    const whereClause = {};
+
+    if (usuarioId) {
+      whereClause.usuarioId = usuarioId;
+    }
+
+    if (email) {
+      whereClause.email = { [Op.like]: `%${email}%` };
+    }
+
+    if (exitoso !== undefined) {
+      whereClause.exitoso = exitoso;
+    }
+
+    if (startDate || endDate) {
+      whereClause.createdAt = {};
+      if (startDate) whereClause.createdAt[Op.gte] = startDate;
+      if (endDate) whereClause.createdAt[Op.lte] = endDate;
+    }
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows: attempts } = await LoginAttempt.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: User,
+          as: 'usuario',
+          attributes: ['id', 'nombre'],
+          paranoid: false
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC'], ['id', 'DESC']]
+    });
+
+    const formattedAttempts = attempts.map(attempt => ({
+      id: attempt.id,
+      usuarioId: attempt.usuarioId,
+      usuarioNombre: attempt.usuario ? attempt.usuario.nombre : null,
+      email: attempt.email,
+      exitoso: attempt.exitoso,
+      motivo: attempt.motivo,
+      ip: attempt.ip,
+      dispositivo: attempt.dispositivo,
+      createdAt: attempt.createdAt
+    }));
+
+    return {
+      attempts: formattedAttempts,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Error in findLoginAttempts:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  isLocked,
+  recordLoginAttempt,
+  assertCanAttempt,
+  registerFailure,
+  registerSuccess,
+  unlockUser,
+  findLoginAttempts
+};
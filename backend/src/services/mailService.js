@@ -0,0 +1,102 @@
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport chosen with MAIL_TRANSPORT:
+ * - console (default): writes the message to the application log
+ * - file: writes each message to a file in MAIL_FILE_DIR (default logs/mail)
+ * Both are meant for local use. A transport is an object with send(message);
+ * production transports (SMTP, provider API) are added to TRANSPORTS
+ */
+
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Products Bank <no-reply@productsbank.com>';
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+/**
+ * Format Message
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {String} Plain-text message with headers
+ */
+const formatMessage = ({ from, to, subject, text }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  `Date: ${new Date().toUTCString()}`,
+  '',
+  text
+].join('\n');
+
+/**
+ * Console Transport
+ * @returns {Object} Transport with send(message)
+ */
+const createConsoleTransport = () => ({
+  async send(message) {
+    logger.info(`Mail (console transport):\n${formatMessage(message)}`);
+  }
+});
+
+/**
+ * File Transport
+ * @returns {Object} Transport with send(message)
+ */
+const createFileTransport = () => {
+  const directory = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../logs/mail');
+
+  return {
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      await fs.writeFile(path.join(directory, fileName), formatMessage(message), 'utf8');
+
+      logger.debug(`Mail written to ${fileName}`);
+    }
+  };
+};
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+const transportName = process.env.MAIL_TRANSPORT || 'console';
+
+if (!TRANSPORTS[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}", use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+}
+
+const transport = TRANSPORTS[transportName]();
+
+/**
+ * Build App Link
+ * Absolute link to a frontend page, for use in emails
+ * @param {String} pathname - Page path (e.g. /reset-password/abc)
+ * @returns {String} URL under APP_URL
+ */
+const buildAppLink = (pathname) => `${APP_URL}${pathname}`;
+
+/**
+ * Send Mail
+ * @param {Object} message - { to, subject, text }
+ */
+const sendMail = async ({ to, subject, text }) => {
+  try {
+    await transport.send({ from: MAIL_FROM, to, subject, text });
+
+    logger.info(`Mail sent to ${to}: ${subject}`);
+  } catch (error) {
+    logger.error('Error in sendMail:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  buildAppLink,
+  sendMail
+};
@@ -0,0 +1,317 @@
+/**
+ * MFA Service
+ * Two-factor authentication with TOTP (RFC 6238) and one-time recovery codes
+ * Enrolment stores the secret first and only enables 2FA once a code from the
+ * authenticator app is confirmed. Recovery codes are stored hashed and
+ * removed when used
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { User, Role } = require('../models');
+const { generateToken, verifyToken } = require('../config/jwt');
+const totp = require('../utils/totp');
+const { MFA } = require('../utils/constants');
+const {
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Normalize Recovery Code
+ * Users may type recovery codes in lower case, with or without the hyphen
+ * @param {String} code - Recovery code
+ * @returns {String} Upper-case code without separators
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Hash Recovery Code
+ * @param {String} code - Recovery code
+ * @returns {String} SHA-256 hex digest of the normalized code
+ */
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Generate Recovery Codes
+ * @returns {Array<String>} Codes formatted as XXXX-XXXX
+ */
+const generateRecoveryCodes = () => Array.from({ length: MFA.RECOVERY_CODES }, () => {
+  const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+});
+
+/**
+ * Find User with Role or Fail
+ * @param {Number} userId - User ID
+ * @returns {Object} User instance with rol
+ * @throws {NotFoundError} If the user does not exist
+ */
+const findUserOrFail = async (userId) => {
+  const user = await User.findByPk(userId, {
+    include: [
+      {
+        model: Role,
+        as: 'rol',
+        attributes: ['id', 'nombre', 'requiereMfa']
+      }
+    ]
+  });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return user;
+};
+
+/**
+ * Is MFA Required
+ * @param {Object} user - User instance with rol
+ * @returns {Boolean} Whether login needs a second step (enrolled, or forced by the role)
+ */
+const isMfaRequired = (user) => Boolean(user.mfaHabilitado || (user.rol && user.rol.requiereMfa));
+
+/**
+ * Create Pending Token
+ * Short-lived token that only proves the password step, it is rejected by verifyAuth
+ * @param {Number} userId - User ID
+ * @param {String} purpose - MFA.TOKEN_PURPOSES value
+ * @returns {String} Pending token
+ */
+const createPendingToken = (userId, purpose) => generateToken({ id: userId, purpose }, MFA.PENDING_EXPIRATION);
+
+/**
+ * Verify Pending Token
+ * @param {String} token - Pending token
+ * @param {String} purpose - Expected MFA.TOKEN_PURPOSES value
+ * @returns {Number} User ID
+ * @throws {AuthenticationError} If the token is invalid, expired or for another purpose
+ */
+const verifyPendingToken = (token, purpose) => {
+  const decoded = verifyToken(token);
+
+  if (decoded.purpose !== purpose) {
+    throw new AuthenticationError('Invalid two-factor authentication token');
+  }
+
+  return decoded.id;
+};
+
+/**
+ * Build Challenge
+ * Login response when the password is correct but a second step is needed
+ * @param {Object} user - User instance with rol
+ * @returns {Object} { mfaRequired, mfaSetupRequired, mfaToken }
+ */
+const buildChallenge = (user) => {
+  const setupRequired = !user.mfaHabilitado;
+  const purpose = setupRequired ? MFA.TOKEN_PURPOSES.SETUP : MFA.TOKEN_PURPOSES.VERIFY;
+
+  return {
+    mfaRequired: true,
+    mfaSetupRequired: setupRequired,
+    mfaToken: createPendingToken(user.id, purpose)
+  };
+};
+
+/**
+ * Start Enrollment
+ * Generates a new secret; 2FA stays disabled until confirmEnrollment
+ * @param {Number} userId - User ID
+ * @returns {Object} { secret, otpauthUrl }
+ */
+const startEnrollment = async (userId) => {
+  try {
+    const user = await findUserOrFail(userId);
+
+    if (user.mfaHabilitado) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    await user.update({ mfaSecreto: secret });
+
+    logger.info(`MFA enrolment started for user ID ${userId}`);
+
+    return {
+      secret,
+      otpauthUrl: totp.buildProvisioningUri(secret, user.email)
+    };
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof ConflictError) {
+      throw error;
+    }
+
+    logger.error('Error in startEnrollment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm Enrollment
+ * Enables 2FA once the user proves the authenticator app works
+ * @param {Number} userId - User ID
+ * @param {String} code - Current code from the authenticator app
+ * @returns {Array<String>} Recovery codes (shown only once)
+ */
+const confirmEnrollment = async (userId, code) => {
+  try {
+    const user = await findUserOrFail(userId);
+
+    if (user.mfaHabilitado) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.mfaSecreto) {
+      throw new ValidationError('Two-factor enrolment has not been started');
+    }
+
+    const step = totp.verifyCode(user.mfaSecreto, code);
+    if (step === null) {
+      throw new ValidationError('Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await user.update({
+      mfaHabilitado: true,
+      mfaUltimoPaso: step,
+      mfaCodigosRecuperacion: recoveryCodes.map(hashRecoveryCode)
+    });
+
+    logger.info(`MFA enabled for user ID ${userId}`);
+
+    return recoveryCodes;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError ||
+        error instanceof ConflictError ||
+        error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in confirmEnrollment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Verify Second Factor
+ * Accepts a TOTP code (each time step only once) or an unused recovery code
+ * @param {Number} userId - User ID
+ * @param {String} code - TOTP or recovery code
+ * @returns {Object} { usedRecoveryCode, remainingRecoveryCodes }
+ * @throws {AuthenticationError} If the code is wrong or already used
+ */
+const verifySecondFactor = async (userId, code) => {
+  try {
+    const user = await User.findByPk(userId);
+
+    if (!user || !user.mfaHabilitado) {
+      throw new AuthenticationError('Two-factor authentication is not enabled');
+    }
+
+    const recoveryCodes = user.mfaCodigosRecuperacion || [];
+    const step = totp.verifyCode(user.mfaSecreto, code);
+
+    if (step !== null && step > (user.mfaUltimoPaso || 0)) {
+      await user.update({ mfaUltimoPaso: step });
+
+      return { usedRecoveryCode: false, remainingRecoveryCodes: recoveryCodes.length };
+    }
+
+    const codeHash = hashRecoveryCode(code);
+    if (step === null && recoveryCodes.includes(codeHash)) {
+      const remaining = recoveryCodes.filter(hash => hash !== codeHash);
+      await user.update({ mfaCodigosRecuperacion: remaining });
+
+      logger.warn(`Recovery code used by user ID ${userId}, ${remaining.length} left`);
+
+      return { usedRecoveryCode: true, remainingRecoveryCodes: remaining.length };
+    }
+
+    logger.warn(`Invalid second factor for user ID ${userId}`);
+    throw new AuthenticationError('Invalid verification code');
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof AuthenticationError) {
+      throw error;
+    }
+
+    logger.error('Error in verifySecondFactor:', error);
+    throw error;
+  }
+};
+
+/**
+ * Disable MFA
+ * Requires the password and a current code; not allowed when the role requires 2FA
+ * @param {Number} userId - User ID
+ * @param {String} password - Current password
+ * @param {String} code - TOTP or recovery code
+ * @returns {Boolean} Success status
+ */
+const disableMfa = async (userId, password, code) => {
+  try {
+    const user = await findUserOrFail(userId);
+
+    if (!user.mfaHabilitado) {
+      throw new ConflictError('Two-factor authentication is not enabled');
+    }
+
+    if (user.rol.requiereMfa) {
+      throw new ConflictError(`Two-factor authentication is required for the ${user.rol.nombre} role`);
+    }
+
+    // Wrong credentials are 400, not 401: the user is logged in
+    if (!(await user.comparePassword(password))) {
+      throw new ValidationError('Password is incorrect');
+    }
+
+    try {
+      await verifySecondFactor(userId, code);
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        throw new ValidationError('Invalid verification code');
+      }
+      throw error;
+    }
+
+    await user.update({
+      mfaHabilitado: false,
+      mfaSecreto: null,
+      mfaCodigosRecuperacion: null,
+      mfaUltimoPaso: null
+    });
+
+    logger.info(`MFA disabled for user ID ${userId}`);
+
+    return true;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError ||
+        error instanceof ConflictError ||
+        error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in disableMfa:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  isMfaRequired,
+  verifyPendingToken,
+  buildChallenge,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableMfa
+};
@@ -0,0 +1,173 @@
+/**
+ * Password Policy Service
+ * Applies the password policy wherever a password is set: the rules of
+ * utils/passwordPolicy.js, no reuse of the last PASSWORD_POLICY.HISTORY_SIZE
+ * passwords and optional expiry after MAX_AGE_DAYS, which makes the login
+ * return a change-required challenge instead of a session
+ */
+
+'use strict';
+
+const bcrypt = require('bcrypt');
+const { PasswordHistory } = require('../models');
+const { Op } = require('sequelize');
+const { generateToken, verifyToken } = require('../config/jwt');
+const { assertPasswordPolicy } = require('../utils/passwordPolicy');
+const { PASSWORD_POLICY } = require('../utils/constants');
+const { AuthenticationError, ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Policy settings that can be tuned per environment
+const HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE || PASSWORD_POLICY.HISTORY_SIZE, 10);
+const MAX_AGE_DAYS = parseInt(process.env.PASSWORD_MAX_AGE_DAYS || PASSWORD_POLICY.MAX_AGE_DAYS, 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Assert Not Recently Used
+ * Compares the password with the current one and the stored history
+ * @param {Object} user - User instance with its password hash
+ * @param {String} password - New password
+ * @param {String} field - Request field reported in the error details
+ * @throws {ValidationError} If the password is one of the last HISTORY_SIZE passwords
+ */
+const assertNotRecentlyUsed = async (user, password, field) => {
+  if (HISTORY_SIZE <= 0) {
+    return;
+  }
+
+  const history = await PasswordHistory.findAll({
+    where: { usuarioId: user.id },
+    attributes: ['passwordHash'],
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit: HISTORY_SIZE - 1
+  });
+
+  const hashes = [user.password, ...history.map((entry) => entry.passwordHash)].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      const message = HISTORY_SIZE === 1
+        ? 'New password must be different from the current one'
+        : `Password must not match any of your last ${HISTORY_SIZE} passwords`;
+      throw new ValidationError(message, [{ field, message }]);
+    }
+  }
+};
+
+/**
+ * Assert Password Allowed
+ * @param {Object} user - User instance, or { nombre, email } for a user not created yet
+ * @param {String} password - New password
+ * @param {String} field - Request field reported in the error details
+ * @throws {ValidationError} If the password breaks the policy or was used recently
+ */
+const assertPasswordAllowed = async (user, password, field = 'password') => {
+  assertPasswordPolicy(password, user, field);
+
+  if (user.id) {
+    await assertNotRecentlyUsed(user, password, field);
+  }
+};
+
+/**
+ * Set Password
+ * Checks the policy, saves the new password and keeps the replaced one in the history
+ * @param {Object} user - User instance with its password hash
+ * @param {String} password - New password
+ * @param {Object} options - { transaction, field }
+ */
+const setPassword = async (user, password, { transaction, field = 'password' } = {}) => {
+  try {
+    await assertPasswordAllowed(user, password, field);
+
+    const previousHash = user.password;
+
+    // Hashed by the beforeUpdate hook
+    user.password = password;
+    user.passwordCambiadoEn = new Date();
+    await user.save({ transaction });
+
+    if (HISTORY_SIZE > 1 && previousHash) {
+      await PasswordHistory.create({ usuarioId: user.id, passwordHash: previousHash }, { transaction });
+
+      // Only the entries still checked by assertNotRecentlyUsed are kept
+      const kept = await PasswordHistory.findAll({
+        where: { usuarioId: user.id },
+        attributes: ['id'],
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: HISTORY_SIZE - 1,
+        transaction
+      });
+
+      await PasswordHistory.destroy({
+        where: {
+          usuarioId: user.id,
+          id: { [Op.notIn]: kept.map((entry) => entry.id) }
+        },
+        transaction
+      });
+    }
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in setPassword:', error);
+    throw error;
+  }
+};
+
+/**
+ * Is Password Expired
+ * @param {Object} user - User instance
+ * @returns {Boolean} Whether the password is older than MAX_AGE_DAYS (false when expiry is off)
+ */
+const isPasswordExpired = (user) => {
+  if (MAX_AGE_DAYS <= 0) {
+    return false;
+  }
+
+  const changedAt = new Date(user.passwordCambiadoEn || user.createdAt);
+
+  return Date.now() - changedAt.getTime() > MAX_AGE_DAYS * DAY_MS;
+};
+
+/**
+ * Build Password Change Challenge
+ * Login response when the credentials are valid but the password expired
+ * @param {Object} user - User instance
+ * @returns {Object} { passwordChangeRequired, passwordToken }
+ */
+const buildPasswordChangeChallenge = (user) => ({
+  passwordChangeRequired: true,
+  passwordToken: generateToken(
+    { id: user.id, purpose: PASSWORD_POLICY.CHANGE_TOKEN_PURPOSE },
+    PASSWORD_POLICY.CHANGE_TOKEN_EXPIRATION
+  )
+});
+
+/**
+ * Verify Password Change Token
+ * @param {String} token - passwordToken returned by the login
+ * @returns {Number} User ID
+ * @throws {AuthenticationError} If the token is invalid, expired or for another purpose
+ */
+const verifyPasswordChangeToken = (token) => {
+  const decoded = verifyToken(token);
+
+  if (decoded.purpose !== PASSWORD_POLICY.CHANGE_TOKEN_PURPOSE) {
+    throw new AuthenticationError('Invalid password change token');
+  }
+
+  return decoded.id;
+};
+
+module.exports = {
+  assertPasswordAllowed,
+  setPassword,
+  isPasswordExpired,
+  buildPasswordChangeChallenge,
+  verifyPasswordChangeToken
+};
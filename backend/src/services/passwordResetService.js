@@ -0,0 +1,158 @@
+/**
+ * Password Reset Service
+ * Self-service reset of forgotten passwords through an emailed link
+ * Tokens are random, single-use and time-limited; only their SHA-256 hash is
+ * stored. Requests for unknown emails are ignored silently so the endpoint
+ * does not reveal which emails have an account
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { PasswordResetToken, User, sequelize } = require('../models');
+const { durationToMs } = require('../config/jwt');
+const { PASSWORD_RESET } = require('../utils/constants');
+const { ValidationError } = require('../utils/errors');
+const mailService = require('./mailService');
+const passwordPolicyService = require('./passwordPolicyService');
+const sessionService = require('./sessionService');
+const { revokeUserTokens } = require('./tokenDenylistService');
+const logger = require('../utils/logger');
+
+/**
+ * Hash Token
+ * @param {String} token - Plain reset token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Request Password Reset
+ * Emails a reset link when the email belongs to a user; earlier links stop working
+ * @param {String} email - Email typed by the user
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Boolean} Whether a link was sent (never exposed to the client)
+ */
+const requestPasswordReset = async (email, context = {}) => {
+  try {
+    // Soft-deleted users are not found
+    const user = await User.findOne({ where: { email } });
+
+    if (!user) {
+      logger.info('Password reset requested for an unknown email');
+      return false;
+    }
+
+    // Invited users choose their first password from the invitation link
+    if (!user.password) {
+      logger.info(`Password reset requested for user ID ${user.id} with a pending invitation`);
+      return false;
+    }
+
+    // Deactivated users could not log in with the new password anyway
+    if (!user.activo) {
+      logger.info(`Password reset requested for deactivated user ID ${user.id}`);
+      return false;
+    }
+
+    // Only the latest link is valid
+    await PasswordResetToken.destroy({ where: { usuarioId: user.id } });
+
+    const token = crypto.randomBytes(PASSWORD_RESET.TOKEN_BYTES).toString('base64url');
+
+    await PasswordResetToken.create({
+      usuarioId: user.id,
+      tokenHash: hashToken(token),
+      ip: context.ip || null,
+      expiraEn: new Date(Date.now() + durationToMs(PASSWORD_RESET.EXPIRATION))
+    });
+
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Restablecer tu contraseña - Products Bank',
+      text: [
+        `Hola ${user.nombre},`,
+        '',
+        'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+        'Abre el siguiente enlace para elegir una nueva contraseña:',
+        '',
+        mailService.buildAppLink(`/reset-password/${token}`),
+        '',
+        `El enlace vence en ${PASSWORD_RESET.EXPIRATION} y solo puede usarse una vez.`,
+        'Si no solicitaste este cambio, ignora este mensaje: tu contraseña no se modificará.'
+      ].join('\n')
+    });
+
+    logger.info(`Password reset link sent to user ID ${user.id}`);
+
+    return true;
+  } catch (error) {
+    logger.error('Error in requestPasswordReset:', error);
+    throw error;
+  }
+};
+
+/**
+ * Reset Password
+ * Consumes a reset token and sets the new password
+ * Every session and access token of the user is revoked afterwards
+ * @param {String} token - Plain reset token from the link
+ * @param {String} newPassword - New password
+ * @returns {Boolean} Success status
+ * @throws {ValidationError} If the token is unknown, expired or already used
+ */
+const resetPassword = async (token, newPassword) => {
+  try {
+    const resetToken = await PasswordResetToken.findOne({
+      where: { tokenHash: hashToken(token) },
+      include: [
+        {
+          model: User,
+          as: 'usuario',
+          required: true
+        }
+      ]
+    });
+
+    if (!resetToken || resetToken.usadoEn || resetToken.expiraEn < new Date()) {
+      throw new ValidationError('The reset link is invalid or has expired');
+    }
+
+    const user = resetToken.usuario;
+
+    await sequelize.transaction(async (transaction) => {
+      // Conditional update: of two concurrent requests with the same token only one wins
+      const [consumed] = await PasswordResetToken.update(
+        { usadoEn: new Date() },
+        { where: { id: resetToken.id, usadoEn: null }, transaction }
+      );
+
+      if (consumed === 0) {
+        throw new ValidationError('The reset link is invalid or has expired');
+      }
+
+      await passwordPolicyService.setPassword(user, newPassword, { transaction, field: 'newPassword' });
+    });
+
+    // Whoever knew the old password is logged out
+    await sessionService.revokeUserSessions(user.id);
+    await revokeUserTokens(user.id);
+
+    logger.info(`Password reset for user ID ${user.id}`);
+
+    return true;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in resetPassword:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,268 @@
+/**
+ * Product Service
+ * Handles product catalog operations (Admin-managed)
+ * Products are deactivated instead of deleted because sales reference them
+ */
+
+'use strict';
+
+const { Product } = require('../models');
+const { Op } = require('sequelize');
+const {
+  NotFoundError,
+  ValidationError,
+  DuplicateEntryError
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Fields an admin can set on a product
+const PRODUCT_FIELDS = [
+  'nombre',
+  'activo',
+  'requiresFranchise',
+  'requiresRate',
+  'minAmount',
+  'maxAmount',
+  'minRate',
+  'maxRate'
+];
+
+/**
+ * Parse Decimal
+ * @param {*} value - DECIMAL value as returned by MySQL (string) or null
+ * @returns {Number|null} Parsed number, null when not set
+ */
+const parseDecimal = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+
+/**
+ * Format Product
+ * @param {Object} product - Product instance
+ * @returns {Object} Product data
+ */
+const formatProduct = (product) => ({
+  id: product.id,
+  nombre: product.nombre,
+  activo: product.activo,
+  requiresFranchise: product.requiresFranchise,
+  requiresRate: product.requiresRate,
+  minAmount: parseDecimal(product.minAmount),
+  maxAmount: parseDecimal(product.maxAmount),
+  minRate: parseDecimal(product.minRate),
+  maxRate: parseDecimal(product.maxRate),
+  createdAt: product.createdAt,
+  updatedAt: product.updatedAt
+});
+
+/**
+ * Assert Limits
+ * Checks that every configured minimum is not greater than its maximum
+ * @param {Object} productData - Resulting product data
+ * @throws {ValidationError} If a range is inverted
+ */
+const assertLimits = (productData) => {
+  const { minAmount, maxAmount, minRate, maxRate } = productData;
+
+  if (minAmount !== null && maxAmount !== null && parseFloat(minAmount) > parseFloat(maxAmount)) {
+    throw new ValidationError('Minimum amount cannot be greater than maximum amount');
+  }
+
+  if (minRate !== null && maxRate !== null && parseFloat(minRate) > parseFloat(maxRate)) {
+    throw new ValidationError('Minimum rate cannot be greater than maximum rate');
+  }
+};
+
+/**
+ * Find All Products
+ * Retrieves the product catalog, inactive products included so old sales keep their names
+ * @param {Object} filters - Filter options (activo)
+ * @returns {Array} Products list
+ */
+const findAllProducts = async (filters = {}) => {
+  try {
+    const whereClause = {};
+
+    if (filters.activo !== undefined) {
+      whereClause.activo = filters.activo;
+    }
+
+    const products = await Product.findAll({
+      where: whereClause,
+      order: [['id', 'ASC']]
+    });
+
+    logger.debug(`Retrieved ${products.length} products`);
+
+    return products.map(formatProduct);
+  } catch (error) {
+    logger.error('Error in findAllProducts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find Product by ID
+ * @param {Number} id - Product ID
+ * @returns {Object} Product data
+ */
+const findProductById = async (id) => {
+  try {
+    const product = await Product.findByPk(id);
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    return formatProduct(product);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+
+    logger.error('Error in findProductById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create New Product
+ * @param {Object} productData - Product data (name and rules)
+ * @returns {Object} Created product data
+ */
+const createNewProduct = async (productData) => {
+  try {
+    const nombre = productData.nombre ? productData.nombre.trim() : '';
+
+    if (!nombre) {
+      throw new ValidationError('Name is required');
+    }
+
+    const existingProduct = await Product.findOne({ where: { nombre } });
+    if (existingProduct) {
+      throw new DuplicateEntryError('A product with this name already exists');
+    }
+
+    const data = {
+      nombre,
+      activo: productData.activo !== undefined ? productData.activo : true,
+      requiresFranchise: !!productData.requiresFranchise,
+      requiresRate: !!productData.requiresRate,
+      minAmount: productData.minAmount ?? null,
+      maxAmount: productData.maxAmount ?? null,
+      minRate: productData.minRate ?? null,
+      maxRate: productData.maxRate ?? null
+    };
+
+    assertLimits(data);
+
+    const product = await Product.create(data);
+
+    logger.info(`Product created: ${product.nombre} (ID: ${product.id})`);
+
+    return formatProduct(product);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError || error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in createNewProduct:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update Product by ID
+ * Rule changes apply to new sales and to later edits of existing sales
+ * @param {Number} id - Product ID
+ * @param {Object} productData - Product data to update
+ * @returns {Object} Updated product data
+ */
+const updateProductById = async (id, productData) => {
+  try {
+    const product = await Product.findByPk(id);
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    // Build update object
+    const updateData = {};
+    PRODUCT_FIELDS.forEach(field => {
+      if (productData[field] !== undefined) {
+        updateData[field] = productData[field];
+      }
+    });
+
+    if (Object.keys(updateData).length === 0) {
+      throw new ValidationError('No fields to update');
+    }
+
+    if (updateData.nombre !== undefined) {
+      updateData.nombre = updateData.nombre.trim();
+
+      const existingProduct = await Product.findOne({
+        where: { nombre: updateData.nombre, id: { [Op.ne]: id } }
+      });
+      if (existingProduct) {
+        throw new DuplicateEntryError('A product with this name already exists');
+      }
+    }
+
+    assertLimits({ ...product.get({ plain: true }), ...updateData });
+
+    await product.update(updateData);
+
+    logger.info(`Product updated: ID ${id}`);
+
+    return formatProduct(product);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError ||
+        error instanceof ValidationError ||
+        error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in updateProductById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deactivate Product by ID
+ * Inactive products are kept for existing sales but cannot be used in new ones
+ * @param {Number} id - Product ID
+ * @returns {Object} Updated product data
+ */
+const deactivateProductById = async (id) => {
+  try {
+    const product = await Product.findByPk(id);
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    await product.update({ activo: false });
+
+    logger.info(`Product deactivated: ID ${id}`);
+
+    return formatProduct(product);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+
+    logger.error('Error in deactivateProductById:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  findAllProducts,
+  findProductById,
+  createNewProduct,
+  updateProductById,
+  deactivateProductById
+};
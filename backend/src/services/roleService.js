@@ -0,0 +1,343 @@
+/**
+ * Role Service
+ * Handles roles and the permissions granted to them (Admin-managed)
+ * The permission catalog is fixed by migration, only the grants per role change
+ */
+
+'use strict';
+
+const { Role, Permission, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const {
+  NotFoundError,
+  ValidationError,
+  DuplicateEntryError,
+  ConflictError
+} = require('../utils/errors');
+const { PERMISSIONS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Permissions Include
+ * Sequelize include that loads the permission keys of a role
+ * @returns {Object} Include options for Role queries
+ */
+const permissionsInclude = () => ({
+  model: Permission,
+  as: 'permisos',
+  attributes: ['clave'],
+  through: { attributes: [] }
+});
+
+/**
+ * Get Permission Keys
+ * @param {Object} role - Role instance loaded with permissionsInclude
+ * @returns {Array} Permission keys granted to the role
+ */
+const getPermissionKeys = (role) => (role && role.permisos ? role.permisos.map(permission => permission.clave) : []);
+
+/**
+ * Format Role
+ * @param {Object} role - Role instance loaded with permissionsInclude
+ * @param {Number} usersCount - Users assigned to the role
+ * @returns {Object} Role data
+ */
+const formatRole = (role, usersCount = 0) => ({
+  id: role.id,
+  nombre: role.nombre,
+  descripcion: role.descripcion,
+  requiereMfa: role.requiereMfa,
+  permisos: getPermissionKeys(role),
+  totalUsuarios: usersCount
+});
+
+/**
+ * Find Role or Fail
+ * @param {Number} id - Role ID
+ * @param {Object} transaction - Optional transaction
+ * @returns {Object} Role instance with its permissions
+ * @throws {NotFoundError} If the role does not exist
+ */
+const findRoleOrFail = async (id, transaction) => {
+  const role = await Role.findByPk(id, {
+    include: [permissionsInclude()],
+    transaction
+  });
+
+  if (!role) {
+    throw new NotFoundError('Role not found');
+  }
+
+  return role;
+};
+
+/**
+ * Count Role Users
+ * Soft-deleted users count too, they keep their role and can be restored
+ * @param {Number} rolId - Role ID
+ * @returns {Number} Users assigned to the role
+ */
+const countRoleUsers = (rolId) => User.count({
+  where: { rolId },
+  paranoid: false
+});
+
+/**
+ * Assert Unique Name
+ * @param {String} nombre - Role name
+ * @param {Number} excludeId - Role ID to ignore (on update)
+ * @throws {DuplicateEntryError} If another role has the name
+ */
+const assertUniqueName = async (nombre, excludeId = null) => {
+  const where = { nombre };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const existingRole = await Role.findOne({ where });
+  if (existingRole) {
+    throw new DuplicateEntryError('A role with this name already exists');
+  }
+};
+
+/**
+ * Resolve Permissions
+ * @param {Array} keys - Permission keys
+ * @returns {Array} Permission instances
+ * @throws {ValidationError} If a key is not in the permission catalog
+ */
+const resolvePermissions = async (keys) => {
+  const uniqueKeys = [...new Set(keys)];
+
+  const permissions = await Permission.findAll({
+    where: { clave: uniqueKeys }
+  });
+
+  const known = new Set(permissions.map(permission => permission.clave));
+  const unknown = uniqueKeys.filter(key => !known.has(key));
+
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown permission: ${unknown[0]}`,
+      unknown.map(key => ({ field: 'permisos', message: `Unknown permission: ${key}` }))
+    );
+  }
+
+  return permissions;
+};
+
+/**
+ * Find All Roles
+ * @returns {Array} Roles with their permission keys and number of users
+ */
+const findAllRoles = async () => {
+  try {
+    const roles = await Role.findAll({
+      include: [permissionsInclude()],
+      order: [['id', 'ASC']]
+    });
+
+    const counts = await User.findAll({
+      attributes: ['rolId', [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+      group: ['rolId'],
+      paranoid: false,
+      raw: true
+    });
+    const totals = new Map(counts.map(row => [row.rolId, parseInt(row.total)]));
+
+    logger.debug(`Retrieved ${roles.length} roles`);
+
+    return roles.map(role => formatRole(role, totals.get(role.id) || 0));
+  } catch (error) {
+    logger.error('Error in findAllRoles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find All Permissions
+ * @returns {Array} Permission catalog
+ */
+const findAllPermissions = async () => {
+  try {
+    const permissions = await Permission.findAll({
+      attributes: ['id', 'clave', 'descripcion'],
+      order: [['id', 'ASC']]
+    });
+
+    return permissions.map(permission => ({
+      id: permission.id,
+      clave: permission.clave,
+      descripcion: permission.descripcion
+    }));
+  } catch (error) {
+    logger.error('Error in findAllPermissions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create New Role
+ * @param {Object} roleData - Role data (nombre, descripcion, requiereMfa, permisos)
+ * @returns {Object} Created role data
+ */
+const createNewRole = async (roleData) => {
+  try {
+    const nombre = roleData.nombre ? roleData.nombre.trim() : '';
+
+    if (!nombre) {
+      throw new ValidationError('Name is required');
+    }
+
+    await assertUniqueName(nombre);
+    const permissions = await resolvePermissions(roleData.permisos || []);
+
+    const roleId = await sequelize.transaction(async (transaction) => {
+      const role = await Role.create({
+        nombre,
+        descripcion: roleData.descripcion || null,
+        requiereMfa: !!roleData.requiereMfa
+      }, { transaction });
+
+      await role.setPermisos(permissions, { transaction });
+
+      return role.id;
+    });
+
+    const role = await findRoleOrFail(roleId);
+
+    logger.info(`Role created: ${role.nombre} (ID: ${role.id})`);
+
+    return formatRole(role);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError || error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in createNewRole:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update Role by ID
+ * Replaces the role's permissions when permisos is given
+ * @param {Number} id - Role ID
+ * @param {Object} roleData - Role data to update (nombre, descripcion, requiereMfa, permisos)
+ * @param {Object} currentUser - Acting user (req.user)
+ * @returns {Object} Updated role data
+ * @throws {ValidationError} If the user would remove roles:manage from their own role
+ */
+const updateRoleById = async (id, roleData, currentUser) => {
+  try {
+    const role = await findRoleOrFail(id);
+
+    // Build update object
+    const updateData = {};
+
+    if (roleData.nombre !== undefined) {
+      updateData.nombre = roleData.nombre.trim();
+      await assertUniqueName(updateData.nombre, id);
+    }
+
+    if (roleData.descripcion !== undefined) {
+      updateData.descripcion = roleData.descripcion || null;
+    }
+
+    if (roleData.requiereMfa !== undefined) {
+      updateData.requiereMfa = roleData.requiereMfa;
+    }
+
+    let permissions = null;
+    if (roleData.permisos !== undefined) {
+      permissions = await resolvePermissions(roleData.permisos);
+
+      // Nobody could manage roles anymore if the last way in was removed by mistake
+      const keepsRoleAdmin = permissions.some(permission => permission.clave === PERMISSIONS.ROLES_MANAGE);
+      if (role.id === currentUser.rolId && !keepsRoleAdmin) {
+        throw new ValidationError(
+          'You cannot remove roles:manage from your own role',
+          [{ field: 'permisos', message: 'You cannot remove roles:manage from your own role' }]
+        );
+      }
+    }
+
+    if (Object.keys(updateData).length === 0 && !permissions) {
+      throw new ValidationError('No fields to update');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (Object.keys(updateData).length > 0) {
+        await role.update(updateData, { transaction });
+      }
+
+      if (permissions) {
+        await role.setPermisos(permissions, { transaction });
+      }
+    });
+
+    const updatedRole = await findRoleOrFail(id);
+    const usersCount = await countRoleUsers(id);
+
+    logger.info(`Role updated: ${updatedRole.nombre} (ID: ${id})`);
+
+    return formatRole(updatedRole, usersCount);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError ||
+        error instanceof ValidationError ||
+        error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in updateRoleById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete Role by ID
+ * Only roles without users can be deleted
+ * @param {Number} id - Role ID
+ * @returns {Boolean} Success status
+ */
+const deleteRoleById = async (id) => {
+  try {
+    const role = await findRoleOrFail(id);
+
+    const usersCount = await countRoleUsers(id);
+
+    if (usersCount > 0) {
+      throw new ConflictError(
+        'Role has users and cannot be deleted, assign them another role first',
+        { usersCount }
+      );
+    }
+
+    // Grants are removed by the rol_permisos foreign key cascade
+    await role.destroy();
+
+    logger.info(`Role deleted: ${role.nombre} (ID: ${id})`);
+
+    return true;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof ConflictError) {
+      throw error;
+    }
+
+    logger.error('Error in deleteRoleById:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  permissionsInclude,
+  getPermissionKeys,
+  findAllRoles,
+  findAllPermissions,
+  createNewRole,
+  updateRoleById,
+  deleteRoleById
+};
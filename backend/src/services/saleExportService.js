@@ -0,0 +1,392 @@
+/**
+ * Sale Export Service
+ * Writes the filtered sales list as CSV, XLSX or PDF to a stream
+ * Sales are read in batches so large exports never hold every row in memory
+ */
+
+'use strict';
+
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { Op } = require('sequelize');
+const { Sale, Client, Product, Franchise, Branch, User } = require('../models');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { SALE_EXPORT_FORMATS } = require('../utils/constants');
+const { buildWhereClause, buildSearchClause } = require('./saleService');
+
+// Rows read from the database per query
+const EXPORT_BATCH_SIZE = 500;
+
+// Content type per format
+const CONTENT_TYPES = {
+  [SALE_EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [SALE_EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  [SALE_EXPORT_FORMATS.PDF]: 'application/pdf'
+};
+
+// Exported columns; width is used by XLSX (characters) and PDF (relative)
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', width: 8 },
+  { key: 'fecha', header: 'Fecha', width: 17 },
+  { key: 'cliente', header: 'Cliente', width: 28 },
+  { key: 'documento', header: 'Documento', width: 18 },
+  { key: 'producto', header: 'Producto', width: 22 },
+  { key: 'cupoSolicitado', header: 'Monto', width: 16 },
+  { key: 'franquicia', header: 'Franquicia', width: 13 },
+  { key: 'tasa', header: 'Tasa (%)', width: 9 },
+  { key: 'estado', header: 'Estado', width: 12 },
+  { key: 'asesor', header: 'Asesor', width: 22 },
+  { key: 'sucursal', header: 'Sucursal', width: 16 }
+];
+
+/**
+ * Format Date
+ * @param {Date} date - Date to format
+ * @returns {String} Date as "YYYY-MM-DD HH:mm"
+ */
+const formatDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Format Currency
+ * @param {Number} value - Amount in COP
+ * @returns {String} Amount formatted for Colombia
+ */
+const formatCurrency = (value) => new Intl.NumberFormat('es-CO', {
+  style: 'currency',
+  currency: 'COP',
+  minimumFractionDigits: 0
+}).format(value);
+
+/**
+ * Format Export Row
+ * @param {Object} sale - Sale instance with its associations
+ * @returns {Object} Row keyed by EXPORT_COLUMNS
+ */
+const formatExportRow = (sale) => ({
+  id: sale.id,
+  fecha: sale.createdAt,
+  cliente: sale.cliente.nombreCompleto,
+  documento: `${sale.cliente.tipoDocumento} ${sale.cliente.numeroDocumento}`,
+  producto: sale.producto.nombre,
+  cupoSolicitado: parseFloat(sale.cupoSolicitado),
+  franquicia: sale.franquicia ? sale.franquicia.nombre : null,
+  tasa: sale.tasa ? parseFloat(sale.tasa) : null,
+  estado: sale.estado,
+  asesor: sale.usuarioCreador.nombre,
+  sucursal: sale.sucursal ? sale.sucursal.nombre : null
+});
+
+/**
+ * Iterate Sales
+ * Yields the matching sales newest first, reading EXPORT_BATCH_SIZE rows at a time
+ * Uses keyset pagination on the ID so later batches stay as fast as the first one
+ * @param {Object} whereClause - Sequelize where clause (already role-scoped)
+ * @param {Object} stream - Destination stream, iteration stops if it is closed
+ * @yields {Object} Export rows
+ */
+async function* iterateSales(whereClause, stream) {
+  let lastId = null;
+
+  while (!stream.destroyed) {
+    const where = lastId
+      ? { [Op.and]: [whereClause, { id: { [Op.lt]: lastId } }] }
+      : whereClause;
+
+    const sales = await Sale.findAll({
+      where,
+      include: [
+        {
+          model: Client,
+          as: 'cliente',
+          attributes: ['nombreCompleto', 'tipoDocumento', 'numeroDocumento']
+        },
+        {
+          model: Product,
+          as: 'producto',
+          attributes: ['nombre']
+        },
+        {
+          model: Franchise,
+          as: 'franquicia',
+          attributes: ['nombre'],
+          required: false
+        },
+        {
+          model: Branch,
+          as: 'sucursal',
+          attributes: ['nombre'],
+          required: false
+        },
+        {
+          model: User,
+          as: 'usuarioCreador',
+          attributes: ['nombre'],
+          paranoid: false
+        }
+      ],
+      order: [['id', 'DESC']],
+      limit: EXPORT_BATCH_SIZE
+    });
+
+    for (const sale of sales) {
+      yield formatExportRow(sale);
+    }
+
+    if (sales.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+
+    lastId = sales[sales.length - 1].id;
+  }
+}
+
+/**
+ * Read First Batch
+ * Runs the first query before anything is written, then hands back every row
+ * @param {AsyncGenerator} rows - Export rows from iterateSales
+ * @returns {Promise<AsyncIterable>} The same rows, the first batch already read
+ */
+const readFirstBatch = async (rows) => {
+  const first = await rows.next();
+
+  return (async function* () {
+    if (first.done) {
+      return;
+    }
+
+    yield first.value;
+    yield* rows;
+  })();
+};
+
+/**
+ * Escape CSV Value
+ * @param {*} value - Cell value
+ * @returns {String} Value quoted when it contains separators, quotes or line breaks
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? formatDate(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write CSV
+ * Starts with a BOM so Excel opens the file as UTF-8
+ * @param {AsyncIterable} rows - Export rows
+ * @param {Object} stream - Writable stream
+ * @returns {Number} Rows written
+ */
+const writeCsv = async (rows, stream) => {
+  let count = 0;
+
+  stream.write('\uFEFF' + EXPORT_COLUMNS.map(column => escapeCsv(column.header)).join(',') + '\r\n');
+
+  for await (const row of rows) {
+    const line = EXPORT_COLUMNS.map(column => escapeCsv(row[column.key])).join(',') + '\r\n';
+    count++;
+
+    // Respect backpressure from slow clients
+    if (!stream.write(line)) {
+      await once(stream, 'drain');
+    }
+  }
+
+  stream.end();
+  await finished(stream);
+
+  return count;
+};
+
+/**
+ * Write XLSX
+ * Uses the ExcelJS streaming writer, every row is committed as soon as it is added
+ * @param {AsyncIterable} rows - Export rows
+ * @param {Object} stream - Writable stream
+ * @returns {Number} Rows written
+ */
+const writeXlsx = async (rows, stream) => {
+  let count = 0;
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const worksheet = workbook.addWorksheet('Ventas');
+
+  worksheet.columns = EXPORT_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+  worksheet.getColumn('fecha').numFmt = 'yyyy-mm-dd hh:mm';
+  worksheet.getColumn('cupoSolicitado').numFmt = '#,##0';
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  for await (const row of rows) {
+    worksheet.addRow(row).commit();
+    count++;
+  }
+
+  await worksheet.commit();
+  await workbook.commit();
+
+  return count;
+};
+
+/**
+ * Write PDF
+ * Landscape table report; the header row is repeated on every page
+ * @param {AsyncIterable} rows - Export rows
+ * @param {Object} stream - Writable stream
+ * @param {String} subtitle - Applied filters description
+ * @returns {Number} Rows written
+ */
+const writePdf = async (rows, stream, subtitle) => {
+  let count = 0;
+
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+  doc.pipe(stream);
+
+  const { left, right, bottom } = doc.page.margins;
+  const tableWidth = doc.page.width - left - right;
+  const totalWidth = EXPORT_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+  const columnWidths = EXPORT_COLUMNS.map(column => (column.width / totalWidth) * tableWidth);
+  const rowHeight = 14;
+
+  const drawRow = (values, font) => {
+    if (doc.y + rowHeight > doc.page.height - bottom) {
+      doc.addPage();
+      drawRow(EXPORT_COLUMNS.map(column => column.header), 'Helvetica-Bold');
+    }
+
+    const y = doc.y;
+    let x = left;
+    doc.font(font).fontSize(8);
+    values.forEach((value, index) => {
+      doc.text(value, x + 2, y + 3, { width: columnWidths[index] - 4, height: rowHeight, ellipsis: true, lineBreak: false });
+      x += columnWidths[index];
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + tableWidth, y + rowHeight).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(14).text('Reporte de Ventas');
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Generado: ${formatDate(new Date())}${subtitle ? ` - ${subtitle}` : ''}`)
+    .fillColor('#000000');
+  doc.moveDown();
+
+  drawRow(EXPORT_COLUMNS.map(column => column.header), 'Helvetica-Bold');
+
+  for await (const row of rows) {
+    drawRow([
+      String(row.id),
+      formatDate(row.fecha),
+      row.cliente,
+      row.documento,
+      row.producto,
+      formatCurrency(row.cupoSolicitado),
+      row.franquicia || '-',
+      row.tasa !== null ? String(row.tasa) : '-',
+      row.estado,
+      row.asesor,
+      row.sucursal || '-'
+    ], 'Helvetica');
+    count++;
+  }
+
+  doc.moveDown().font('Helvetica').fontSize(9).text(`Total de ventas: ${count}`, left);
+  doc.end();
+  await finished(stream);
+
+  return count;
+};
+
+/**
+ * Get Export Content Type
+ * @param {String} format - Export format (csv, xlsx, pdf)
+ * @returns {String} MIME type of the generated file
+ * @throws {ValidationError} If the format is not supported
+ */
+const getExportContentType = (format) => {
+  const contentType = CONTENT_TYPES[format];
+
+  if (!contentType) {
+    throw new ValidationError(`Format must be one of: ${Object.values(SALE_EXPORT_FORMATS).join(', ')}`);
+  }
+
+  return contentType;
+};
+
+/**
+ * Describe Filters
+ * @param {Object} filters - Applied filters
+ * @returns {String} Human readable summary for the PDF header
+ */
+const describeFilters = (filters) => {
+  const parts = [];
+
+  if (filters.q) parts.push(`Búsqueda: "${filters.q}"`);
+  if (filters.estado) parts.push(`Estado: ${filters.estado}`);
+  if (filters.startDate) parts.push(`Desde: ${formatDate(new Date(filters.startDate)).slice(0, 10)}`);
+  if (filters.endDate) parts.push(`Hasta: ${formatDate(new Date(filters.endDate)).slice(0, 10)}`);
+
+  return parts.join(', ');
+};
+
+/**
+ * Export Sales
+ * Streams the sales matching the filters in the requested format
+ * Uses the same permission-based scoping as findAllSales (without sales:read:any only own or team sales)
+ * @param {String} format - Export format (csv, xlsx, pdf)
+ * @param {Object} filters - Filter options (clienteId, productoId, estado, startDate, endDate, usuarioCreadorId, sucursalId, q)
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @param {Object} stream - Writable stream (the HTTP response), ended when done
+ * @param {Function} onStart - Called once the first batch is read, before anything is written
+ * @returns {Number} Number of exported sales
+ */
+const exportSales = async (format, filters, userPermissions, userId, stream, onStart = () => {}) => {
+  try {
+    getExportContentType(format);
+
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
+    if (filters.q) {
+      whereClause[Op.and] = [buildSearchClause(filters.q)];
+    }
+    const rows = await readFirstBatch(iterateSales(whereClause, stream));
+    onStart();
+
+    let count;
+    if (format === SALE_EXPORT_FORMATS.XLSX) {
+      count = await writeXlsx(rows, stream);
+    } else if (format === SALE_EXPORT_FORMATS.PDF) {
+      count = await writePdf(rows, stream, describeFilters(filters));
+    } else {
+      count = await writeCsv(rows, stream);
+    }
+
+    logger.info(`Sales exported: ${count} rows as ${format} by user ${userId}`);
+
+    return count;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in exportSales:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getExportContentType,
+  exportSales
+};
@@ -0,0 +1,429 @@
+/**
+ * Sale Import Service
+ * Bulk creation of sales from CSV/XLSX spreadsheets
+ * Every row goes through the same checks as createNewSale; a dry run only reports
+ * per-row errors, a real import stores the valid rows in a single transaction
+ */
+
+'use strict';
+
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { Sale, Client, Product, Franchise, sequelize } = require('../models');
+const { ValidationError, AuthorizationError, InvalidStatusTransitionError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { DOCUMENT_TYPES, VALIDATION, SALE_IMPORT } = require('../utils/constants');
+const { normalizeDocumentNumber, getDocumentError } = require('../utils/identityDocuments');
+const { validateNewSale, findUserBranchId } = require('./saleService');
+const { assertClientAccess } = require('./clientService');
+
+// Columns that must be present in the header row
+const REQUIRED_COLUMNS = ['tipoDocumento', 'numeroDocumento', 'producto', 'cupoSolicitado'];
+
+/**
+ * Normalize Name
+ * Headers and catalog names are matched ignoring case, accents and spacing
+ * @param {*} value - Text as written in the file
+ * @returns {String} Normalized text
+ */
+const normalizeName = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Check if Value is Empty
+ * @param {*} value - Cell value
+ * @returns {Boolean} True for undefined, null and blank strings
+ */
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Get XLSX Cell Value
+ * Flattens formulas, rich text and hyperlinks to their displayed value
+ * @param {*} value - ExcelJS cell value
+ * @returns {*} Plain value (string, number or null)
+ */
+const getCellValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.result !== undefined) {
+      return value.result;
+    }
+    if (value.text !== undefined) {
+      return value.text;
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Parse CSV
+ * Excel saves CSV files with ";" under Spanish locales (where "," is the decimal
+ * separator), so the delimiter is taken from the header line
+ * @param {Buffer} buffer - File content
+ * @returns {Array} Rows as [{ rowNumber, cells }]
+ */
+const parseCsv = (buffer) => {
+  const headerLine = buffer.toString('utf8').split(/\r?\n/, 1)[0];
+
+  const records = parse(buffer, {
+    bom: true,
+    delimiter: headerLine.includes(';') ? ';' : ',',
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true
+  });
+
+  return records.map(({ record, info }) => ({
+    rowNumber: info.lines,
+    cells: record
+  }));
+};
+
+/**
+ * Parse XLSX
+ * Only the first worksheet is read
+ * @param {Buffer} buffer - File content
+ * @returns {Array} Rows as [{ rowNumber, cells }]
+ */
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    // row.values is 1-based
+    rows.push({
+      rowNumber,
+      cells: row.values.slice(1).map(getCellValue)
+    });
+  });
+
+  return rows;
+};
+
+/**
+ * Parse Import File
+ * Reads the uploaded file and maps every data row to the import columns
+ * @param {Object} file - Multer file ({ originalname, buffer })
+ * @returns {Array} Records as [{ rowNumber, values }]
+ * @throws {ValidationError} If the file can't be read or required columns are missing
+ */
+const parseImportFile = async (file) => {
+  let rows;
+
+  try {
+    rows = path.extname(file.originalname).toLowerCase() === '.xlsx'
+      ? await parseXlsx(file.buffer)
+      : parseCsv(file.buffer);
+  } catch (error) {
+    logger.warn(`Sale import file could not be read: ${error.message}`);
+    throw new ValidationError('The file could not be read, check that it is a valid CSV or XLSX file');
+  }
+
+  if (rows.length === 0) {
+    throw new ValidationError('The file is empty');
+  }
+
+  // Map header positions to import columns
+  const [header, ...dataRows] = rows;
+  const columnsByHeader = {};
+  SALE_IMPORT.COLUMNS.forEach(column => {
+    columnsByHeader[normalizeName(column)] = column;
+  });
+
+  const columnIndexes = {};
+  header.cells.forEach((cell, index) => {
+    const column = columnsByHeader[normalizeName(cell)];
+    if (column && columnIndexes[column] === undefined) {
+      columnIndexes[column] = index;
+    }
+  });
+
+  const missingColumns = REQUIRED_COLUMNS.filter(column => columnIndexes[column] === undefined);
+  if (missingColumns.length > 0) {
+    throw new ValidationError(
+      `Missing required columns: ${missingColumns.join(', ')}`,
+      { missingColumns, expectedColumns: SALE_IMPORT.COLUMNS }
+    );
+  }
+
+  return dataRows
+    .map(({ rowNumber, cells }) => {
+      const values = {};
+      Object.entries(columnIndexes).forEach(([column, index]) => {
+        const value = cells[index];
+        values[column] = isEmpty(value) ? null : value;
+      });
+      return { rowNumber, values };
+    })
+    .filter(({ values }) => Object.values(values).some(value => value !== null));
+};
+
+/**
+ * Parse Number
+ * Accepts plain numbers and the Colombian format ("1.500.000,50", "12,5")
+ * @param {*} value - Cell value
+ * @returns {Number} Parsed number, NaN when invalid
+ */
+const parseNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  let text = String(value).replace(/[\s$]/g, '');
+
+  if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (/^\d+,\d+$/.test(text)) {
+    text = text.replace(',', '.');
+  }
+
+  return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+};
+
+/**
+ * Build Catalog Lookup
+ * Products and franchises can be referenced by ID or by name (see normalizeName)
+ * @param {Array} items - Catalog instances
+ * @returns {Map} Lookup from ID or normalized name to instance
+ */
+const buildCatalogLookup = (items) => {
+  const lookup = new Map();
+
+  items.forEach(item => {
+    lookup.set(String(item.id), item);
+    lookup.set(normalizeName(item.nombre), item);
+  });
+
+  return lookup;
+};
+
+/**
+ * Validate Import Row
+ * Resolves the row references and runs the createNewSale checks on it
+ * @param {Object} record - Parsed record ({ rowNumber, values })
+ * @param {Object} catalogs - Lookups ({ products, franchises })
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @returns {Object} Row report ({ row, valid, errors, data, sale })
+ */
+const validateImportRow = async ({ rowNumber, values }, catalogs, userPermissions, userId) => {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  const tipoDocumento = values.tipoDocumento ? String(values.tipoDocumento).trim().toUpperCase() : null;
+  const numeroDocumento = values.numeroDocumento
+    ? normalizeDocumentNumber(tipoDocumento, values.numeroDocumento)
+    : null;
+
+  // Client, identified by its document
+  let client = null;
+  if (!tipoDocumento || !Object.values(DOCUMENT_TYPES).includes(tipoDocumento)) {
+    addError('tipoDocumento', `Document type must be one of: ${Object.values(DOCUMENT_TYPES).join(', ')}`);
+  } else if (!numeroDocumento) {
+    addError('numeroDocumento', 'Document number is required');
+  } else {
+    const documentError = getDocumentError(tipoDocumento, numeroDocumento);
+    if (documentError) {
+      addError('numeroDocumento', documentError);
+    } else {
+      client = await Client.findOne({ where: { tipoDocumento, numeroDocumento } });
+      if (!client) {
+        addError('numeroDocumento', 'Client not found, register the client before importing its sales');
+      } else {
+        // Same client scope as a sale created from the form
+        try {
+          await assertClientAccess(client, userPermissions, userId);
+        } catch (error) {
+          if (!(error instanceof AuthorizationError)) {
+            throw error;
+          }
+          addError('numeroDocumento', 'Client is outside your scope, you can only import sales of your own clients');
+        }
+      }
+    }
+  }
+
+  // Product and franchise, by ID or name
+  const product = values.producto !== null
+    ? catalogs.products.get(normalizeName(values.producto))
+    : null;
+  if (!product) {
+    addError('producto', values.producto !== null ? `Unknown product '${values.producto}'` : 'Product is required');
+  }
+
+  let franchise = null;
+  if (values.franquicia !== null && values.franquicia !== undefined) {
+    franchise = catalogs.franchises.get(normalizeName(values.franquicia));
+    if (!franchise) {
+      addError('franquicia', `Unknown franchise '${values.franquicia}'`);
+    }
+  }
+
+  // Amount and rate formats (same limits as validateSaleCreate)
+  const cupoSolicitado = values.cupoSolicitado !== null ? parseNumber(values.cupoSolicitado) : null;
+  if (cupoSolicitado === null) {
+    addError('cupoSolicitado', 'Requested amount is required');
+  } else if (Number.isNaN(cupoSolicitado)) {
+    addError('cupoSolicitado', 'Requested amount must be a number');
+  } else if (cupoSolicitado < VALIDATION.AMOUNT_MIN) {
+    addError('cupoSolicitado', `Amount must be at least ${VALIDATION.AMOUNT_MIN}`);
+  }
+
+  const tasa = values.tasa !== null && values.tasa !== undefined ? parseNumber(values.tasa) : null;
+  if (Number.isNaN(tasa)) {
+    addError('tasa', 'Rate must be a number');
+  } else if (tasa !== null && (tasa < VALIDATION.RATE_MIN || tasa > VALIDATION.RATE_MAX)) {
+    addError('tasa', `Rate must be between ${VALIDATION.RATE_MIN} and ${VALIDATION.RATE_MAX}`);
+  }
+
+  const data = {
+    tipoDocumento,
+    numeroDocumento,
+    clienteNombre: client ? client.nombreCompleto : null,
+    productoNombre: product ? product.nombre : values.producto,
+    cupoSolicitado: Number.isNaN(cupoSolicitado) ? values.cupoSolicitado : cupoSolicitado,
+    franquiciaNombre: franchise ? franchise.nombre : values.franquicia,
+    tasa: Number.isNaN(tasa) ? values.tasa : tasa
+  };
+
+  if (errors.length > 0) {
+    return { row: rowNumber, valid: false, errors, data, sale: null };
+  }
+
+  // Same product, franchise and status rules as a sale created from the form
+  try {
+    const sale = await validateNewSale({
+      clienteId: client.id,
+      productoId: product.id,
+      cupoSolicitado,
+      franquiciaId: franchise ? franchise.id : null,
+      tasa
+    }, userPermissions, userId);
+
+    return { row: rowNumber, valid: true, errors: [], data, sale };
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof InvalidStatusTransitionError) {
+      const ruleErrors = Array.isArray(error.details) && error.details.length > 0
+        ? error.details.map(({ field, message }) => ({ field, message }))
+        : [{ field: null, message: error.message }];
+
+      return { row: rowNumber, valid: false, errors: ruleErrors, data, sale: null };
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Import Sales
+ * Validates every row of the file and, unless it is a dry run, creates the valid ones
+ * All sales of an import are created in one transaction: either all valid rows are
+ * stored or none are
+ * @param {Object} file - Multer file ({ originalname, buffer })
+ * @param {Object} options - Import options ({ dryRun })
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID (will be set as creator)
+ * @param {Number} actorId - User really acting, recorded in the history (an admin impersonating userId)
+ * @returns {Object} Import report ({ dryRun, totalRows, validRows, invalidRows, createdIds, rows })
+ */
+const importSales = async (file, options = {}, userPermissions, userId, actorId = userId) => {
+  try {
+    const { dryRun = false } = options;
+
+    const records = await parseImportFile(file);
+
+    if (records.length === 0) {
+      throw new ValidationError('The file has no data rows');
+    }
+
+    if (records.length > SALE_IMPORT.MAX_ROWS) {
+      throw new ValidationError(`The file has ${records.length} rows, the maximum is ${SALE_IMPORT.MAX_ROWS}`);
+    }
+
+    const [products, franchises] = await Promise.all([
+      Product.findAll(),
+      Franchise.findAll()
+    ]);
+    const catalogs = {
+      products: buildCatalogLookup(products),
+      franchises: buildCatalogLookup(franchises)
+    };
+
+    // Rows are checked one by one to keep the number of open queries low
+    const results = [];
+    for (const record of records) {
+      results.push(await validateImportRow(record, catalogs, userPermissions, userId));
+    }
+
+    const validResults = results.filter(result => result.valid);
+    const report = {
+      dryRun,
+      totalRows: results.length,
+      validRows: validResults.length,
+      invalidRows: results.length - validResults.length,
+      createdIds: [],
+      rows: results.map(({ sale, ...result }) => result)
+    };
+
+    if (dryRun) {
+      logger.debug(`Sale import dry run by user ${userId}: ${report.validRows}/${report.totalRows} valid rows`);
+      return report;
+    }
+
+    if (validResults.length === 0) {
+      throw new ValidationError(
+        'The file has no valid rows to import',
+        report.rows.map(({ row, errors }) => ({ row, errors }))
+      );
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const sucursalId = await findUserBranchId(userId, transaction);
+
+      for (const { sale: values } of validResults) {
+        const sale = await Sale.create({
+          ...values,
+          sucursalId,
+          usuarioCreadorId: userId,
+          usuarioActualizadorId: actorId
+        }, { userId: actorId, transaction });
+
+        report.createdIds.push(sale.id);
+      }
+    });
+
+    logger.info(`Sales imported: ${report.createdIds.length} created, ${report.invalidRows} skipped by user ${actorId}`);
+
+    return report;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in importSales:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  importSales
+};
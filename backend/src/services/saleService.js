@@ -1,37 +1,82 @@
 /**
  * Sale Service
- * Handles sale CRUD operations with role-based access control
+ * Handles sale CRUD operations with permission-based access control
  */
 
 'use strict';
 
-const { Sale, Product, Franchise, User, Role } = require('../models');
-const { Op } = require('sequelize');
+const { Sale, SaleHistory, Client, Product, Franchise, Branch, User, Role } = require('../models');
+const { Op, OptimisticLockError } = require('sequelize');
 const sequelize = require('../config/database');
-const { NotFoundError, ValidationError, AuthorizationError } = require('../utils/errors');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  ConflictError,
+  InvalidStatusTransitionError
+} = require('../utils/errors');
 const logger = require('../utils/logger');
-const { ROLES, PRODUCTS, SALE_STATUSES } = require('../utils/constants');
+const {
+  PERMISSIONS,
+  SALE_STATUSES,
+  SALE_HISTORY_ACTIONS,
+  SALE_BULK,
+  SORT_DIRECTIONS,
+  ERROR_CODES
+} = require('../utils/constants');
+const { hasPermission, hasAnyPermission } = require('../utils/permissions');
+const { INITIAL_SALE_STATUS, getAllStatuses, isTerminalStatus, assertTransition } = require('../utils/saleStateMachine');
+const { assertProductRules } = require('../utils/productRules');
+const { resolveScopeUserIds, hasScopedAccess } = require('./teamService');
+const { permissionsInclude, getPermissionKeys } = require('./roleService');
+const { assertClientAccess } = require('./clientService');
+
+// Permission per scope level for each action on a sale (see teamService.hasScopedAccess)
+const SALE_SCOPES = {
+  read: { any: PERMISSIONS.SALES_READ_ANY, team: PERMISSIONS.SALES_READ_TEAM, own: PERMISSIONS.SALES_READ_OWN },
+  update: { any: PERMISSIONS.SALES_UPDATE_ANY, team: PERMISSIONS.SALES_UPDATE_TEAM, own: PERMISSIONS.SALES_UPDATE_OWN },
+  delete: { any: PERMISSIONS.SALES_DELETE_ANY, team: PERMISSIONS.SALES_DELETE_TEAM, own: PERMISSIONS.SALES_DELETE_OWN }
+};
+
+// Permissions that allow each bulk action (same as the single-sale routes)
+const BULK_ACTION_PERMISSIONS = {
+  [SALE_BULK.ACTIONS.STATUS]: [
+    ...Object.values(SALE_SCOPES.update),
+    PERMISSIONS.SALES_STATUS_ANY
+  ],
+  [SALE_BULK.ACTIONS.REASSIGN]: [PERMISSIONS.SALES_REASSIGN],
+  [SALE_BULK.ACTIONS.DELETE]: Object.values(SALE_SCOPES.delete)
+};
 
 /**
- * Build Where Clause with Role-Based Filtering
- * Admins see all sales, Advisors only see their own
- * @param {Number} userRolId - User's role ID
+ * Build Where Clause with Permission-Based Filtering
+ * Users with sales:read:any see all sales, with sales:read:team their own and
+ * their teams' sales, everyone else only their own
+ * @param {Array} userPermissions - User's permission keys
  * @param {Number} userId - User's ID
  * @param {Object} additionalFilters - Additional filter options
- * @returns {Object} Where clause for Sequelize query
+ * @returns {Promise<Object>} Where clause for Sequelize query
  */
-const buildWhereClause = (userRolId, userId, additionalFilters = {}) => {
+const buildWhereClause = async (userPermissions, userId, additionalFilters = {}) => {
   const whereClause = {};
 
-  // Role-based filtering
-  if (userRolId === ROLES.ADVISOR.ID) {
-    // Advisors only see their own sales
-    whereClause.usuarioCreadorId = userId;
+  const scopeUserIds = await resolveScopeUserIds(
+    userPermissions,
+    userId,
+    PERMISSIONS.SALES_READ_ANY,
+    PERMISSIONS.SALES_READ_TEAM
+  );
+
+  if (scopeUserIds) {
+    whereClause.usuarioCreadorId = scopeUserIds.length === 1 ? scopeUserIds[0] : { [Op.in]: scopeUserIds };
   }
-  // Admins see all sales (no additional where clause needed)
 
   // Apply additional filters
-  const { productoId, estado, startDate, endDate, usuarioCreadorId } = additionalFilters;
+  const { clienteId, productoId, estado, startDate, endDate, usuarioCreadorId, sucursalId } = additionalFilters;
+
+  if (clienteId) {
+    whereClause.clienteId = parseInt(clienteId);
+  }
 
   if (productoId) {
     whereClause.productoId = parseInt(productoId);
@@ -41,6 +86,10 @@ const buildWhereClause = (userRolId, userId, additionalFilters = {}) => {
     whereClause.estado = estado;
   }
 
+  if (sucursalId) {
+    whereClause.sucursalId = parseInt(sucursalId);
+  }
+
   if (startDate || endDate) {
     whereClause.createdAt = {};
     if (startDate) {
@@ -51,29 +100,89 @@ const buildWhereClause = (userRolId, userId, additionalFilters = {}) => {
     }
   }
 
-  // Allow admin to filter by specific advisor
-  if (usuarioCreadorId && userRolId === ROLES.ADMIN.ID) {
-    whereClause.usuarioCreadorId = parseInt(usuarioCreadorId);
+  // Filter by a specific advisor; one outside the user's scope matches no sales
+  // instead of being dropped, which would return every sale in scope
+  if (usuarioCreadorId) {
+    const advisorId = parseInt(usuarioCreadorId);
+    whereClause.usuarioCreadorId = !scopeUserIds || scopeUserIds.includes(advisorId)
+      ? advisorId
+      : { [Op.in]: [] };
   }
 
   return whereClause;
 };
 
+/**
+ * Build Search Clause
+ * Free-text search on advisor name/email, product and franchise names and sale ID
+ * Uses $nested$ columns, so the query must include usuarioCreador, producto and franquicia
+ * @param {String} q - Search text
+ * @returns {Object} Where condition
+ */
+const buildSearchClause = (q) => {
+  const search = q.trim();
+  const conditions = [
+    { '$usuarioCreador.nombre$': { [Op.like]: `%${search}%` } },
+    { '$usuarioCreador.email$': { [Op.like]: `%${search}%` } },
+    { '$producto.nombre$': { [Op.like]: `%${search}%` } },
+    { '$franquicia.nombre$': { [Op.like]: `%${search}%` } }
+  ];
+
+  if (/^\d+$/.test(search)) {
+    conditions.push({ id: parseInt(search) });
+  }
+
+  return { [Op.or]: conditions };
+};
+
+// Fields only users allowed to edit the sale may change (amounts and details)
+const SALE_DETAIL_FIELDS = ['clienteId', 'productoId', 'cupoSolicitado', 'franquiciaId', 'tasa'];
+
+// Order clause per sortable column (whitelist, see SALE_SORT_FIELDS)
+const SORT_COLUMNS = {
+  createdAt: ['createdAt'],
+  updatedAt: ['updatedAt'],
+  cupoSolicitado: ['cupoSolicitado'],
+  tasa: ['tasa'],
+  estado: ['estado'],
+  productoNombre: [{ model: Product, as: 'producto' }, 'nombre'],
+  usuarioCreadorNombre: [{ model: User, as: 'usuarioCreador' }, 'nombre']
+};
+
+/**
+ * Build Sale Order
+ * Unknown columns fall back to the newest sales first; the ID breaks ties so
+ * pages stay stable when many rows share the sorted value
+ * @param {String} sortBy - Column to sort by (key of SORT_COLUMNS)
+ * @param {String} sortDir - Sort direction (asc, desc)
+ * @returns {Array} Sequelize order
+ */
+const buildSaleOrder = (sortBy, sortDir) => {
+  const column = SORT_COLUMNS[sortBy] || SORT_COLUMNS.createdAt;
+  const direction = sortDir === SORT_DIRECTIONS.ASC ? 'ASC' : 'DESC';
+
+  return [[...column, direction], ['id', direction]];
+};
+
 /**
  * Find All Sales
- * Retrieves sales with role-based filtering and pagination
- * @param {Object} filters - Filter options (productoId, estado, startDate, endDate, usuarioCreadorId)
- * @param {Number} userRolId - Current user's role ID
+ * Retrieves sales with permission-based filtering, search, sorting and pagination
+ * @param {Object} filters - Filter options (clienteId, productoId, estado, startDate, endDate, usuarioCreadorId, sucursalId, q)
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
- * @param {Object} pagination - Pagination options (page, limit)
+ * @param {Object} pagination - Pagination and sorting options (page, limit, sortBy, sortDir)
  * @returns {Object} Sales list with pagination metadata
  */
-const findAllSales = async (filters = {}, userRolId, userId, pagination = {}) => {
+const findAllSales = async (filters = {}, userPermissions, userId, pagination = {}) => {
   try {
-    const { page = 1, limit = 10 } = pagination;
+    const { page = 1, limit = 10, sortBy, sortDir } = pagination;
 
-    // Build where clause with role-based filtering
-    const whereClause = buildWhereClause(userRolId, userId, filters);
+    // Build where clause with permission-based filtering
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
+
+    if (filters.q) {
+      whereClause[Op.and] = [buildSearchClause(filters.q)];
+    }
 
     // Calculate offset
     const offset = (page - 1) * limit;
@@ -81,64 +190,16 @@ const findAllSales = async (filters = {}, userRolId, userId, pagination = {}) =>
     // Query sales
     const { count, rows: sales } = await Sale.findAndCountAll({
       where: whereClause,
-      include: [
-        {
-          model: Product,
-          as: 'producto',
-          attributes: ['id', 'nombre']
-        },
-        {
-          model: Franchise,
-          as: 'franquicia',
-          attributes: ['id', 'nombre'],
-          required: false // Left join (some sales don't have franchise)
-        },
-        {
-          model: User,
-          as: 'usuarioCreador',
-          attributes: ['id', 'nombre', 'email'],
-          include: [
-            {
-              model: Role,
-              as: 'rol',
-              attributes: ['nombre']
-            }
-          ]
-        },
-        {
-          model: User,
-          as: 'usuarioActualizador',
-          attributes: ['id', 'nombre'],
-          required: false // Left join (may not have been updated yet)
-        }
-      ],
+      include: saleDetailIncludes(),
       limit: parseInt(limit),
       offset: parseInt(offset),
-      order: [['createdAt', 'DESC']],
+      order: buildSaleOrder(sortBy, sortDir),
       distinct: true
     });
 
-    // Format sales
-    const formattedSales = sales.map(sale => ({
-      id: sale.id,
-      productoId: sale.productoId,
-      productoNombre: sale.producto.nombre,
-      cupoSolicitado: parseFloat(sale.cupoSolicitado),
-      franquiciaId: sale.franquiciaId,
-      franquiciaNombre: sale.franquicia ? sale.franquicia.nombre : null,
-      tasa: sale.tasa ? parseFloat(sale.tasa) : null,
-      estado: sale.estado,
-      usuarioCreadorId: sale.usuarioCreadorId,
-      usuarioCreadorNombre: sale.usuarioCreador.nombre,
-      usuarioCreadorEmail: sale.usuarioCreador.email,
-      usuarioCreadorRol: sale.usuarioCreador.rol.nombre,
-      usuarioActualizadorId: sale.usuarioActualizadorId,
-      usuarioActualizadorNombre: sale.usuarioActualizador ? sale.usuarioActualizador.nombre : null,
-      createdAt: sale.createdAt,
-      updatedAt: sale.updatedAt
-    }));
+    const formattedSales = sales.map(formatSaleDetail);
 
-    logger.debug(`Retrieved ${sales.length} sales (total: ${count}) for user role: ${userRolId}`);
+    logger.debug(`Retrieved ${sales.length} sales (total: ${count}) for user: ${userId}`);
 
     // Return with pagination metadata
     return {
@@ -156,79 +217,127 @@ const findAllSales = async (filters = {}, userRolId, userId, pagination = {}) =>
   }
 };
 
+/**
+ * Sale Detail Include Options
+ * @returns {Array} Includes for a sale with its catalogs and users (lists and single sale)
+ */
+const saleDetailIncludes = () => [
+  {
+    model: Client,
+    as: 'cliente',
+    attributes: ['id', 'nombreCompleto', 'tipoDocumento', 'numeroDocumento']
+  },
+  {
+    model: Product,
+    as: 'producto',
+    attributes: ['id', 'nombre']
+  },
+  {
+    model: Franchise,
+    as: 'franquicia',
+    attributes: ['id', 'nombre'],
+    required: false // Left join (some sales don't have franchise)
+  },
+  {
+    model: Branch,
+    as: 'sucursal',
+    attributes: ['id', 'nombre'],
+    required: false
+  },
+  {
+    model: User,
+    as: 'usuarioCreador',
+    attributes: ['id', 'nombre', 'email'],
+    paranoid: false, // Keep the name of soft-deleted advisors
+    include: [
+      {
+        model: Role,
+        as: 'rol',
+        attributes: ['nombre']
+      }
+    ]
+  },
+  {
+    model: User,
+    as: 'usuarioActualizador',
+    attributes: ['id', 'nombre', 'email'],
+    required: false, // Left join (may not have been updated yet)
+    paranoid: false
+  }
+];
+
+/**
+ * Format Sale Detail
+ * @param {Object} sale - Sale instance loaded with saleDetailIncludes
+ * @returns {Object} Sale data
+ */
+const formatSaleDetail = (sale) => ({
+  id: sale.id,
+  clienteId: sale.clienteId,
+  clienteNombre: sale.cliente.nombreCompleto,
+  clienteDocumento: `${sale.cliente.tipoDocumento} ${sale.cliente.numeroDocumento}`,
+  productoId: sale.productoId,
+  productoNombre: sale.producto.nombre,
+  cupoSolicitado: parseFloat(sale.cupoSolicitado),
+  franquiciaId: sale.franquiciaId,
+  franquiciaNombre: sale.franquicia ? sale.franquicia.nombre : null,
+  sucursalId: sale.sucursalId,
+  sucursalNombre: sale.sucursal ? sale.sucursal.nombre : null,
+  tasa: sale.tasa ? parseFloat(sale.tasa) : null,
+  estado: sale.estado,
+  usuarioCreadorId: sale.usuarioCreadorId,
+  usuarioCreadorNombre: sale.usuarioCreador.nombre,
+  usuarioCreadorEmail: sale.usuarioCreador.email,
+  usuarioCreadorRol: sale.usuarioCreador.rol.nombre,
+  usuarioActualizadorId: sale.usuarioActualizadorId,
+  usuarioActualizadorNombre: sale.usuarioActualizador ? sale.usuarioActualizador.nombre : null,
+  version: sale.version,
+  createdAt: sale.createdAt,
+  updatedAt: sale.updatedAt
+});
+
+/**
+ * Stale Version Error
+ * Built when an update was based on an older version of the sale
+ * @param {Number} id - Sale ID
+ * @returns {ConflictError} 409 with the current version and state of the sale
+ */
+const staleVersionError = async (id) => {
+  const current = await Sale.findByPk(id, { include: saleDetailIncludes() });
+
+  return new ConflictError(
+    'The sale was modified by another user, reload it and try again',
+    {
+      currentVersion: current ? current.version : null,
+      current: current ? formatSaleDetail(current) : null
+    }
+  );
+};
+
 /**
  * Find Sale by ID
- * Retrieves a single sale with role-based access check
+ * Retrieves a single sale with permission-based access check
  * @param {Number} id - Sale ID
- * @param {Number} userRolId - Current user's role ID
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
- * @returns {Object} Sale data
+ * @returns {Object} Sale data (version is the sale ETag)
  */
-const findSaleById = async (id, userRolId, userId) => {
+const findSaleById = async (id, userPermissions, userId) => {
   try {
-    const sale = await Sale.findByPk(id, {
-      include: [
-        {
-          model: Product,
-          as: 'producto',
-          attributes: ['id', 'nombre']
-        },
-        {
-          model: Franchise,
-          as: 'franquicia',
-          attributes: ['id', 'nombre'],
-          required: false
-        },
-        {
-          model: User,
-          as: 'usuarioCreador',
-          attributes: ['id', 'nombre', 'email'],
-          include: [
-            {
-              model: Role,
-              as: 'rol',
-              attributes: ['nombre']
-            }
-          ]
-        },
-        {
-          model: User,
-          as: 'usuarioActualizador',
-          attributes: ['id', 'nombre', 'email'],
-          required: false
-        }
-      ]
-    });
+    const sale = await Sale.findByPk(id, { include: saleDetailIncludes() });
 
     if (!sale) {
       throw new NotFoundError('Sale not found');
     }
 
-    // Check authorization: Advisors can only view their own sales
-    if (userRolId === ROLES.ADVISOR.ID && sale.usuarioCreadorId !== userId) {
+    // Check authorization: without sales:read:any only own (or team) sales can be viewed
+    if (!await hasScopedAccess(userPermissions, userId, sale.usuarioCreadorId, SALE_SCOPES.read)) {
       throw new AuthorizationError('You can only view your own sales');
     }
 
     logger.debug(`Retrieved sale ID: ${id}`);
 
-    return {
-      id: sale.id,
-      productoId: sale.productoId,
-      productoNombre: sale.producto.nombre,
-      cupoSolicitado: parseFloat(sale.cupoSolicitado),
-      franquiciaId: sale.franquiciaId,
-      franquiciaNombre: sale.franquicia ? sale.franquicia.nombre : null,
-      tasa: sale.tasa ? parseFloat(sale.tasa) : null,
-      estado: sale.estado,
-      usuarioCreadorId: sale.usuarioCreadorId,
-      usuarioCreadorNombre: sale.usuarioCreador.nombre,
-      usuarioCreadorEmail: sale.usuarioCreador.email,
-      usuarioCreadorRol: sale.usuarioCreador.rol.nombre,
-      usuarioActualizadorId: sale.usuarioActualizadorId,
-      usuarioActualizadorNombre: sale.usuarioActualizador ? sale.usuarioActualizador.nombre : null,
-      createdAt: sale.createdAt,
-      updatedAt: sale.updatedAt
-    };
+    return formatSaleDetail(sale);
   } catch (error) {
     // Re-throw known errors
     if (error instanceof NotFoundError || error instanceof AuthorizationError) {
@@ -241,110 +350,123 @@ const findSaleById = async (id, userRolId, userId) => {
 };
 
 /**
- * Create New Sale
- * Creates a new sale with validation
+ * Validate New Sale
+ * Checks a new sale against the client, product and franchise catalogs
+ * Shared by createNewSale and the bulk import so both apply the same rules
  * @param {Object} saleData - Sale data
- * @param {Number} userId - Current user's ID (will be set as creator)
- * @returns {Object} Created sale data
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @returns {Object} Normalized values ready to be stored
+ * @throws {ValidationError} If a reference or a product rule is invalid
+ * @throws {AuthorizationError} If the client is outside the user's scope (see clientService.assertClientAccess)
+ * @throws {InvalidStatusTransitionError} If the sale does not start in the initial status
  */
-const createNewSale = async (saleData, userId) => {
-  try {
-    const { productoId, cupoSolicitado, franquiciaId, tasa, estado } = saleData;
+const validateNewSale = async (saleData, userPermissions, userId) => {
+  const { clienteId, productoId, cupoSolicitado, franquiciaId, tasa, estado } = saleData;
 
-    // Validate required fields
-    if (!productoId || !cupoSolicitado) {
-      throw new ValidationError('Product and requested amount are required');
-    }
+  // Validate required fields
+  if (!clienteId || !productoId || !cupoSolicitado) {
+    throw new ValidationError('Client, product and requested amount are required');
+  }
 
-    // Validate product exists
-    const product = await Product.findByPk(productoId);
-    if (!product) {
-      throw new ValidationError('Invalid product ID');
-    }
+  // Validate client exists and is one the user may work with
+  const client = await Client.findByPk(clienteId);
+  if (!client) {
+    throw new ValidationError('Invalid client ID');
+  }
+  await assertClientAccess(client, userPermissions, userId);
 
-    // Conditional validation: Franchise required for credit cards
-    if (parseInt(productoId) === PRODUCTS.CREDIT_CARD.ID && !franquiciaId) {
-      throw new ValidationError('Franchise is required for credit cards');
-    }
+  // Validate product exists and is still sold
+  const product = await Product.findByPk(productoId);
+  if (!product) {
+    throw new ValidationError('Invalid product ID');
+  }
+  if (!product.activo) {
+    throw new ValidationError('Product is not active');
+  }
 
-    // Conditional validation: Franchise only allowed for credit cards
-    if (parseInt(productoId) !== PRODUCTS.CREDIT_CARD.ID && franquiciaId) {
-      throw new ValidationError('Franchise is only applicable to credit cards');
-    }
+  // Franchise, rate and amount rules configured on the product
+  assertProductRules(product, { cupoSolicitado, franquiciaId, tasa });
 
-    // Validate franchise if provided
-    if (franquiciaId) {
-      const franchise = await Franchise.findByPk(franquiciaId);
-      if (!franchise) {
-        throw new ValidationError('Invalid franchise ID');
-      }
+  // Validate franchise if provided
+  if (franquiciaId) {
+    const franchise = await Franchise.findByPk(franquiciaId);
+    if (!franchise) {
+      throw new ValidationError('Invalid franchise ID');
     }
-
-    // Conditional validation: Rate required for credits and payrolls
-    const productId = parseInt(productoId);
-    if ((productId === PRODUCTS.CONSUMER_CREDIT.ID ||
-         productId === PRODUCTS.FREE_INVESTMENT_PAYROLL.ID) && !tasa) {
-      throw new ValidationError('Rate is required for credits and payrolls');
+    if (!franchise.activo) {
+      throw new ValidationError('Franchise is not active');
     }
+  }
 
-    // Conditional validation: Rate only allowed for credits and payrolls
-    if (productId !== PRODUCTS.CONSUMER_CREDIT.ID &&
-        productId !== PRODUCTS.FREE_INVESTMENT_PAYROLL.ID &&
-        tasa !== undefined && tasa !== null) {
-      throw new ValidationError('Rate is only applicable to credits and payrolls');
-    }
+  // New sales always start in the initial status of the state machine
+  if (estado && estado !== INITIAL_SALE_STATUS) {
+    throw new InvalidStatusTransitionError(
+      `New sales must start in '${INITIAL_SALE_STATUS}' status`,
+      { requestedStatus: estado, allowedStatuses: [INITIAL_SALE_STATUS] }
+    );
+  }
+
+  return {
+    clienteId: parseInt(clienteId),
+    productoId: parseInt(productoId),
+    cupoSolicitado: parseFloat(cupoSolicitado),
+    franquiciaId: franquiciaId ? parseInt(franquiciaId) : null,
+    tasa: tasa ? parseFloat(tasa) : null,
+    estado: INITIAL_SALE_STATUS
+  };
+};
+
+/**
+ * Find User Branch ID
+ * Sales are stamped with the branch of their creator when they are created, so
+ * moving an advisor to another branch later does not move their past sales
+ * @param {Number} userId - User ID
+ * @param {Object} transaction - Optional transaction
+ * @returns {Number|null} Branch ID of the user, null if unassigned
+ */
+const findUserBranchId = async (userId, transaction) => {
+  const user = await User.findByPk(userId, {
+    attributes: ['id', 'sucursalId'],
+    transaction
+  });
+
+  return user ? user.sucursalId : null;
+};
+
+/**
+ * Create New Sale
+ * Creates a new sale with validation
+ * @param {Object} saleData - Sale data
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID (will be set as creator)
+ * @param {Number} actorId - User really acting, recorded in the history (an admin impersonating userId)
+ * @returns {Object} Created sale data
+ */
+const createNewSale = async (saleData, userPermissions, userId, actorId = userId) => {
+  try {
+    const values = await validateNewSale(saleData, userPermissions, userId);
+    const sucursalId = await findUserBranchId(userId);
 
     // Create sale
     const sale = await Sale.create({
-      productoId: parseInt(productoId),
-      cupoSolicitado: parseFloat(cupoSolicitado),
-      franquiciaId: franquiciaId ? parseInt(franquiciaId) : null,
-      tasa: tasa ? parseFloat(tasa) : null,
-      estado: estado || SALE_STATUSES.OPEN,
+      ...values,
+      sucursalId,
       usuarioCreadorId: userId,
-      usuarioActualizadorId: userId
-    });
+      usuarioActualizadorId: actorId
+    }, { userId: actorId });
 
     // Load created sale with associations
-    const createdSale = await Sale.findByPk(sale.id, {
-      include: [
-        {
-          model: Product,
-          as: 'producto',
-          attributes: ['id', 'nombre']
-        },
-        {
-          model: Franchise,
-          as: 'franquicia',
-          attributes: ['id', 'nombre'],
-          required: false
-        },
-        {
-          model: User,
-          as: 'usuarioCreador',
-          attributes: ['id', 'nombre', 'email']
-        }
-      ]
-    });
+    const createdSale = await Sale.findByPk(sale.id, { include: saleDetailIncludes() });
 
-    logger.info(`Sale created: ID ${createdSale.id} by user ${userId}`);
+    logger.info(`Sale created: ID ${createdSale.id} by user ${actorId}`);
 
-    return {
-      id: createdSale.id,
-      productoId: createdSale.productoId,
-      productoNombre: createdSale.producto.nombre,
-      cupoSolicitado: parseFloat(createdSale.cupoSolicitado),
-      franquiciaId: createdSale.franquiciaId,
-      franquiciaNombre: createdSale.franquicia ? createdSale.franquicia.nombre : null,
-      tasa: createdSale.tasa ? parseFloat(createdSale.tasa) : null,
-      estado: createdSale.estado,
-      usuarioCreadorId: createdSale.usuarioCreadorId,
-      usuarioCreadorNombre: createdSale.usuarioCreador.nombre,
-      createdAt: createdSale.createdAt
-    };
+    return formatSaleDetail(createdSale);
   } catch (error) {
     // Re-throw known errors
-    if (error instanceof ValidationError) {
+    if (error instanceof ValidationError ||
+        error instanceof AuthorizationError ||
+        error instanceof InvalidStatusTransitionError) {
       throw error;
     }
 
@@ -356,13 +478,17 @@ const createNewSale = async (saleData, userId) => {
 /**
  * Update Sale by ID
  * Updates sale with validation and authorization check
+ * Users with sales:status:any but no update permission on the sale can only change its status
+ * When saleData.version is given the update only applies to that version of the sale
  * @param {Number} id - Sale ID
- * @param {Object} saleData - Sale data to update
- * @param {Number} userRolId - Current user's role ID
+ * @param {Object} saleData - Sale data to update (version: expected current version, optional)
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
+ * @param {Number} actorId - User really acting, recorded in the history (an admin impersonating userId)
  * @returns {Object} Updated sale data
+ * @throws {ConflictError} If the sale is no longer at the expected version (details: current state)
  */
-const updateSaleById = async (id, saleData, userRolId, userId) => {
+const updateSaleById = async (id, saleData, userPermissions, userId, actorId = userId) => {
   try {
     // Find sale
     const sale = await Sale.findByPk(id);
@@ -371,20 +497,44 @@ const updateSaleById = async (id, saleData, userRolId, userId) => {
       throw new NotFoundError('Sale not found');
     }
 
-    // Check authorization: Advisors can only update their own sales
-    if (userRolId === ROLES.ADVISOR.ID && sale.usuarioCreadorId !== userId) {
+    // Check authorization: edit the sale, or at least change its status
+    const canEdit = await hasScopedAccess(userPermissions, userId, sale.usuarioCreadorId, SALE_SCOPES.update);
+
+    if (!canEdit && !hasPermission(userPermissions, PERMISSIONS.SALES_STATUS_ANY)) {
       throw new AuthorizationError('You can only update your own sales');
     }
 
+    if (!canEdit && SALE_DETAIL_FIELDS.some(field => saleData[field] !== undefined)) {
+      throw new AuthorizationError('You can only change the status of this sale');
+    }
+
+    // Optimistic locking: the client edited an older version of the sale
+    if (saleData.version !== undefined && saleData.version !== sale.version) {
+      throw await staleVersionError(id);
+    }
+
     // Build update object
     const updateData = {};
 
-    if (saleData.productoId !== undefined) {
-      // Validate product exists
+    if (saleData.clienteId !== undefined && parseInt(saleData.clienteId) !== sale.clienteId) {
+      // Validate client exists and is one the user may work with
+      const client = await Client.findByPk(saleData.clienteId);
+      if (!client) {
+        throw new ValidationError('Invalid client ID');
+      }
+      await assertClientAccess(client, userPermissions, userId);
+      updateData.clienteId = parseInt(saleData.clienteId);
+    }
+
+    if (saleData.productoId !== undefined && parseInt(saleData.productoId) !== sale.productoId) {
+      // Validate product exists and is still sold
       const product = await Product.findByPk(saleData.productoId);
       if (!product) {
         throw new ValidationError('Invalid product ID');
       }
+      if (!product.activo) {
+        throw new ValidationError('Product is not active');
+      }
       updateData.productoId = parseInt(saleData.productoId);
     }
 
@@ -394,11 +544,14 @@ const updateSaleById = async (id, saleData, userRolId, userId) => {
 
     if (saleData.franquiciaId !== undefined) {
       if (saleData.franquiciaId !== null) {
-        // Validate franchise exists
+        // Validate franchise exists; an inactive one is only kept if the sale already had it
         const franchise = await Franchise.findByPk(saleData.franquiciaId);
         if (!franchise) {
           throw new ValidationError('Invalid franchise ID');
         }
+        if (!franchise.activo && franchise.id !== sale.franquiciaId) {
+          throw new ValidationError('Franchise is not active');
+        }
         updateData.franquiciaId = parseInt(saleData.franquiciaId);
       } else {
         updateData.franquiciaId = null;
@@ -409,12 +562,27 @@ const updateSaleById = async (id, saleData, userRolId, userId) => {
       updateData.tasa = saleData.tasa !== null ? parseFloat(saleData.tasa) : null;
     }
 
-    if (saleData.estado !== undefined) {
+    // Check the resulting sale against the rules of its (possibly new) product
+    const ruleFields = ['productoId', 'cupoSolicitado', 'franquiciaId', 'tasa'];
+    if (ruleFields.some(field => updateData[field] !== undefined)) {
+      const product = await Product.findByPk(updateData.productoId || sale.productoId);
+      const resulting = { ...sale.get({ plain: true }), ...updateData };
+
+      assertProductRules(product, {
+        cupoSolicitado: resulting.cupoSolicitado,
+        franquiciaId: resulting.franquiciaId,
+        tasa: resulting.tasa
+      });
+    }
+
+    if (saleData.estado !== undefined && saleData.estado !== sale.estado) {
       // Validate status
-      const validStatuses = [SALE_STATUSES.OPEN, SALE_STATUSES.IN_PROCESS, SALE_STATUSES.FINISHED];
-      if (!validStatuses.includes(saleData.estado)) {
+      if (!getAllStatuses().includes(saleData.estado)) {
         throw new ValidationError('Invalid status');
       }
+
+      // Enforce state machine (transition exists and the user has its permission)
+      assertTransition(sale.estado, saleData.estado, userPermissions);
       updateData.estado = saleData.estado;
     }
 
@@ -424,53 +592,34 @@ const updateSaleById = async (id, saleData, userRolId, userId) => {
     }
 
     // Set updater
-    updateData.usuarioActualizadorId = userId;
-
-    // Update sale
-    await sale.update(updateData);
+    updateData.usuarioActualizadorId = actorId;
+
+    // Update sale and its history entry together, so a failed history insert rolls the change back;
+    // the version column also catches a write that lands between the read and this update
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await sale.update(updateData, { userId: actorId, transaction });
+      });
+    } catch (error) {
+      if (error instanceof OptimisticLockError) {
+        throw await staleVersionError(id);
+      }
+      throw error;
+    }
 
     // Load updated sale with associations
-    const updatedSale = await Sale.findByPk(id, {
-      include: [
-        {
-          model: Product,
-          as: 'producto',
-          attributes: ['id', 'nombre']
-        },
-        {
-          model: Franchise,
-          as: 'franquicia',
-          attributes: ['id', 'nombre'],
-          required: false
-        },
-        {
-          model: User,
-          as: 'usuarioActualizador',
-          attributes: ['id', 'nombre']
-        }
-      ]
-    });
+    const updatedSale = await Sale.findByPk(id, { include: saleDetailIncludes() });
 
-    logger.info(`Sale updated: ID ${id} by user ${userId}`);
+    logger.info(`Sale updated: ID ${id} by user ${actorId}`);
 
-    return {
-      id: updatedSale.id,
-      productoId: updatedSale.productoId,
-      productoNombre: updatedSale.producto.nombre,
-      cupoSolicitado: parseFloat(updatedSale.cupoSolicitado),
-      franquiciaId: updatedSale.franquiciaId,
-      franquiciaNombre: updatedSale.franquicia ? updatedSale.franquicia.nombre : null,
-      tasa: updatedSale.tasa ? parseFloat(updatedSale.tasa) : null,
-      estado: updatedSale.estado,
-      usuarioActualizadorId: updatedSale.usuarioActualizadorId,
-      usuarioActualizadorNombre: updatedSale.usuarioActualizador.nombre,
-      updatedAt: updatedSale.updatedAt
-    };
+    return formatSaleDetail(updatedSale);
   } catch (error) {
     // Re-throw known errors
     if (error instanceof NotFoundError ||
         error instanceof AuthorizationError ||
-        error instanceof ValidationError) {
+        error instanceof ValidationError ||
+        error instanceof ConflictError ||
+        error instanceof InvalidStatusTransitionError) {
       throw error;
     }
 
@@ -481,13 +630,14 @@ const updateSaleById = async (id, saleData, userRolId, userId) => {
 
 /**
  * Delete Sale by ID
- * Deletes a sale with authorization check
+ * Soft deletes a sale (sets deletedAt) with authorization check
  * @param {Number} id - Sale ID
- * @param {Number} userRolId - Current user's role ID
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
+ * @param {Number} actorId - User really acting, recorded in the history (an admin impersonating userId)
  * @returns {Boolean} Success status
  */
-const deleteSaleById = async (id, userRolId, userId) => {
+const deleteSaleById = async (id, userPermissions, userId, actorId = userId) => {
   try {
     // Find sale
     const sale = await Sale.findByPk(id);
@@ -496,15 +646,15 @@ const deleteSaleById = async (id, userRolId, userId) => {
       throw new NotFoundError('Sale not found');
     }
 
-    // Check authorization: Advisors can only delete their own sales
-    if (userRolId === ROLES.ADVISOR.ID && sale.usuarioCreadorId !== userId) {
+    // Check authorization: without sales:delete:any only own (or team) sales can be deleted
+    if (!await hasScopedAccess(userPermissions, userId, sale.usuarioCreadorId, SALE_SCOPES.delete)) {
       throw new AuthorizationError('You can only delete your own sales');
     }
 
-    // Delete sale
-    await sale.destroy();
+    // Delete sale (acting user is recorded in the history)
+    await sale.destroy({ userId: actorId });
 
-    logger.info(`Sale deleted: ID ${id} by user ${userId}`);
+    logger.info(`Sale deleted: ID ${id} by user ${actorId}`);
 
     return true;
   } catch (error) {
@@ -518,18 +668,381 @@ const deleteSaleById = async (id, userRolId, userId) => {
   }
 };
 
+/**
+ * Find Deleted Sales
+ * Retrieves soft-deleted sales with pagination (sales:restore)
+ * @param {Object} pagination - Pagination options (page, limit)
+ * @returns {Object} Deleted sales list with pagination metadata
+ */
+const findDeletedSales = async (pagination = {}) => {
+  try {
+    const { page = 1, limit = 10 } = pagination;
+
+    // Calculate offset
+    const offset = (page - 1) * limit;
+
+    // Query only soft-deleted sales
+    const { count, rows: sales } = await Sale.findAndCountAll({
+      where: { deletedAt: { [Op.ne]: null } },
+      paranoid: false,
+      include: saleDetailIncludes(),
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['deletedAt', 'DESC']],
+      distinct: true
+    });
+
+    // Deleted sales also report when they were deleted
+    const formattedSales = sales.map(sale => ({
+      ...formatSaleDetail(sale),
+      deletedAt: sale.deletedAt
+    }));
+
+    logger.debug(`Retrieved ${sales.length} deleted sales (total: ${count})`);
+
+    return {
+      sales: formattedSales,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Error in findDeletedSales:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore Sale by ID
+ * Restores a soft-deleted sale (sales:restore)
+ * @param {Number} id - Sale ID
+ * @param {Number} userId - Current user's ID (recorded in the history)
+ * @returns {Object} Restored sale data
+ */
+const restoreSaleById = async (id, userId) => {
+  try {
+    const sale = await Sale.findByPk(id, { paranoid: false });
+
+    if (!sale) {
+      throw new NotFoundError('Sale not found');
+    }
+
+    if (!sale.deletedAt) {
+      throw new ValidationError('Sale is not deleted');
+    }
+
+    // Restore sale (acting user is recorded in the history)
+    await sale.restore({ userId });
+
+    logger.info(`Sale restored: ID ${id} by user ${userId}`);
+
+    return findSaleById(id, [PERMISSIONS.SALES_READ_ANY], userId);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in restoreSaleById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find Reassign Target
+ * @param {Number} toUserId - Advisor that will own the sales
+ * @returns {Object} User instance ({ id, nombre })
+ * @throws {ValidationError} If the user is missing, deactivated or cannot own sales
+ */
+const findReassignTarget = async (toUserId) => {
+  const target = await User.findByPk(toUserId, {
+    attributes: ['id', 'nombre', 'activo'],
+    include: [
+      {
+        model: Role,
+        as: 'rol',
+        attributes: ['id'],
+        include: [permissionsInclude()]
+      }
+    ]
+  });
+
+  if (!target || !target.activo) {
+    throw new ValidationError('The target advisor does not exist or is deactivated');
+  }
+
+  if (!getPermissionKeys(target.rol).includes(PERMISSIONS.SALES_CREATE)) {
+    throw new ValidationError('The target user cannot own sales');
+  }
+
+  return target;
+};
+
+/**
+ * Reassign Sales
+ * Moves the given sales, or every open sale of one advisor, to another advisor
+ * in a single transaction; each sale records the previous and new advisor in its
+ * history. Only open sales (non-terminal status) can be reassigned, the branch
+ * the sale was registered in is kept
+ * @param {Object} reassignData - { saleIds } or { fromUserId }, and toUserId
+ * @param {Number} actorId - User performing the reassignment (recorded in the history)
+ * @returns {Object} { reasignadas, ventaIds, usuarioDestinoId, usuarioDestinoNombre }
+ */
+const reassignSales = async ({ saleIds, fromUserId, toUserId }, actorId) => {
+  try {
+    const target = await findReassignTarget(toUserId);
+
+    const openStatuses = getAllStatuses().filter(status => !isTerminalStatus(status));
+
+    const sales = await sequelize.transaction(async (transaction) => {
+      const found = await Sale.findAll({
+        where: saleIds
+          ? { id: saleIds }
+          : { usuarioCreadorId: fromUserId, estado: openStatuses },
+        order: [['id', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (saleIds) {
+        const missing = saleIds.filter(id => !found.some(sale => sale.id === id));
+        if (missing.length > 0) {
+          throw new NotFoundError(`Sales not found: ${missing.join(', ')}`);
+        }
+
+        const closed = found.filter(sale => isTerminalStatus(sale.estado));
+        if (closed.length > 0) {
+          throw new ValidationError(`Only open sales can be reassigned: ${closed.map(sale => sale.id).join(', ')}`);
+        }
+      }
+
+      const toMove = found.filter(sale => sale.usuarioCreadorId !== target.id);
+
+      // One history entry per sale with the previous advisor (usuarioCreadorId)
+      for (const sale of toMove) {
+        await sale.update(
+          { usuarioCreadorId: target.id, usuarioActualizadorId: actorId },
+          { userId: actorId, historyAction: SALE_HISTORY_ACTIONS.REASSIGN, transaction }
+        );
+      }
+
+      return toMove;
+    });
+
+    logger.info(`Sales reassigned to user ${target.id}: ${sales.length} by user ${actorId}`);
+
+    return {
+      reasignadas: sales.length,
+      ventaIds: sales.map(sale => sale.id),
+      usuarioDestinoId: target.id,
+      usuarioDestinoNombre: target.nombre
+    };
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in reassignSales:', error);
+    throw error;
+  }
+};
+
+/**
+ * Bulk Sale Action
+ * Changes the status of, reassigns or deletes several sales one by one with the
+ * same rules as the single-sale operations; a sale that fails does not stop the
+ * others, each ID gets its own result. Reassigning is also limited to the sales the
+ * user may update (own/team/any), unlike POST /reassign
+ * @param {Object} bulkData - { action, saleIds, estado (status), toUserId (reassign) }
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @param {Number} actorId - User really acting, recorded in the history (an admin impersonating userId)
+ * @returns {Object} { accion, total, exitosas, fallidas, resultados: [{ id, exito, error }] }
+ * @throws {AuthorizationError} If the user has no permission for the action at all
+ */
+const bulkUpdateSales = async ({ action, saleIds, estado, toUserId }, userPermissions, userId, actorId = userId) => {
+  try {
+    if (!hasAnyPermission(userPermissions, BULK_ACTION_PERMISSIONS[action])) {
+      throw new AuthorizationError('You do not have permission for this bulk action');
+    }
+
+    // A wrong target fails the whole request instead of every sale
+    if (action === SALE_BULK.ACTIONS.REASSIGN) {
+      await findReassignTarget(toUserId);
+    }
+
+    const applyAction = {
+      [SALE_BULK.ACTIONS.STATUS]: id => updateSaleById(id, { estado }, userPermissions, userId, actorId),
+      [SALE_BULK.ACTIONS.REASSIGN]: async (id) => {
+        // sales:reassign alone does not reach every sale here, only the ones the user may update
+        const sale = await Sale.findByPk(id, { attributes: ['id', 'usuarioCreadorId'] });
+
+        if (!sale) {
+          throw new NotFoundError('Sale not found');
+        }
+
+        if (!await hasScopedAccess(userPermissions, userId, sale.usuarioCreadorId, SALE_SCOPES.update)) {
+          throw new AuthorizationError('You can only reassign your own or your team sales');
+        }
+
+        return reassignSales({ saleIds: [id], toUserId }, actorId);
+      },
+      [SALE_BULK.ACTIONS.DELETE]: id => deleteSaleById(id, userPermissions, userId, actorId)
+    }[action];
+
+    const resultados = [];
+
+    for (const id of [...new Set(saleIds)]) {
+      try {
+        await applyAction(id);
+        resultados.push({ id, exito: true, error: null });
+      } catch (error) {
+        // Known errors are reported for the sale, unexpected ones are logged
+        if (!error.isOperational) {
+          logger.error(`Error in bulkUpdateSales (sale ${id}):`, error);
+        }
+
+        resultados.push({
+          id,
+          exito: false,
+          error: error.isOperational
+            ? { message: error.message, code: error.errorCode }
+            : { message: 'Unexpected error', code: ERROR_CODES.SERVER_ERROR }
+        });
+      }
+    }
+
+    const exitosas = resultados.filter(result => result.exito).length;
+
+    logger.info(`Bulk sale ${action}: ${exitosas}/${resultados.length} succeeded by user ${actorId}`);
+
+    return {
+      accion: action,
+      total: resultados.length,
+      exitosas,
+      fallidas: resultados.length - exitosas,
+      resultados
+    };
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof AuthorizationError || error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in bulkUpdateSales:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find Client Sales
+ * Lists the sales of a client; without sales:read:any only the user's own (or team) sales of that client
+ * @param {Number} id - Client ID
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @param {Object} pagination - Pagination options (page, limit)
+ * @returns {Object} Sales list with pagination metadata
+ */
+const findClientSales = async (id, userPermissions, userId, pagination = {}) => {
+  try {
+    const client = await Client.findByPk(id);
+
+    if (!client) {
+      throw new NotFoundError('Client not found');
+    }
+
+    await assertClientAccess(client, userPermissions, userId);
+
+    return findAllSales({ clienteId: id }, userPermissions, userId, pagination);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+      throw error;
+    }
+
+    logger.error('Error in findClientSales:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get Sale History
+ * Retrieves the audit trail of a sale, oldest entry first
+ * Same access rule as findSaleById: without sales:read:any only own (or team) sales
+ * @param {Number} id - Sale ID
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @returns {Array} History entries with field-level changes
+ */
+const getSaleHistory = async (id, userPermissions, userId) => {
+  try {
+    // History stays available after the sale is soft-deleted
+    const sale = await Sale.findByPk(id, {
+      attributes: ['id', 'usuarioCreadorId'],
+      paranoid: false
+    });
+
+    if (!sale) {
+      throw new NotFoundError('Sale not found');
+    }
+
+    // Check authorization: without sales:read:any only own (or team) sales can be viewed
+    if (!await hasScopedAccess(userPermissions, userId, sale.usuarioCreadorId, SALE_SCOPES.read)) {
+      throw new AuthorizationError('You can only view your own sales');
+    }
+
+    const entries = await SaleHistory.findAll({
+      where: { ventaId: id },
+      include: [
+        {
+          model: User,
+          as: 'usuario',
+          attributes: ['id', 'nombre', 'email'],
+          paranoid: false
+        }
+      ],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    logger.debug(`Retrieved ${entries.length} history entries for sale ID: ${id}`);
+
+    return entries.map(entry => ({
+      id: entry.id,
+      ventaId: entry.ventaId,
+      accion: entry.accion,
+      cambios: entry.cambios,
+      usuarioId: entry.usuarioId,
+      usuarioNombre: entry.usuario ? entry.usuario.nombre : null,
+      usuarioEmail: entry.usuario ? entry.usuario.email : null,
+      createdAt: entry.createdAt
+    }));
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+      throw error;
+    }
+
+    logger.error('Error in getSaleHistory:', error);
+    throw error;
+  }
+};
+
 /**
  * Calculate Total Amount
- * Calculates sum of cupoSolicitado with role-based filtering
- * @param {Number} userRolId - Current user's role ID
+ * Calculates sum of cupoSolicitado with permission-based filtering
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
  * @param {Object} filters - Filter options
  * @returns {Number} Total amount
  */
-const calculateTotalAmount = async (userRolId, userId, filters = {}) => {
+const calculateTotalAmount = async (userPermissions, userId, filters = {}) => {
   try {
-    // Build where clause with role-based filtering
-    const whereClause = buildWhereClause(userRolId, userId, filters);
+    // Build where clause with permission-based filtering
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
 
     // Calculate sum
     const result = await Sale.sum('cupoSolicitado', {
@@ -538,7 +1051,7 @@ const calculateTotalAmount = async (userRolId, userId, filters = {}) => {
 
     const total = result || 0;
 
-    logger.debug(`Calculated total amount: ${total} for user role: ${userRolId}`);
+    logger.debug(`Calculated total amount: ${total} for user: ${userId}`);
 
     return parseFloat(total);
   } catch (error) {
@@ -549,15 +1062,15 @@ const calculateTotalAmount = async (userRolId, userId, filters = {}) => {
 
 /**
  * Get Sales Count by Status
- * Returns count of sales grouped by status with role-based filtering
- * @param {Number} userRolId - Current user's role ID
+ * Returns count of sales grouped by status with permission-based filtering
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
  * @returns {Object} Sale counts by status
  */
-const getSalesCountByStatus = async (userRolId, userId) => {
+const getSalesCountByStatus = async (userPermissions, userId) => {
   try {
-    // Build base where clause with role-based filtering
-    const baseWhereClause = buildWhereClause(userRolId, userId);
+    // Build base where clause with permission-based filtering
+    const baseWhereClause = await buildWhereClause(userPermissions, userId);
 
     const openCount = await Sale.count({
       where: { ...baseWhereClause, estado: SALE_STATUSES.OPEN }
@@ -571,11 +1084,16 @@ const getSalesCountByStatus = async (userRolId, userId) => {
       where: { ...baseWhereClause, estado: SALE_STATUSES.FINISHED }
     });
 
+    const rejectedCount = await Sale.count({
+      where: { ...baseWhereClause, estado: SALE_STATUSES.REJECTED }
+    });
+
     return {
       open: openCount,
       inProcess: inProcessCount,
       finished: finishedCount,
-      total: openCount + inProcessCount + finishedCount
+      rejected: rejectedCount,
+      total: openCount + inProcessCount + finishedCount + rejectedCount
     };
   } catch (error) {
     logger.error('Error in getSalesCountByStatus:', error);
@@ -584,11 +1102,21 @@ const getSalesCountByStatus = async (userRolId, userId) => {
 };
 
 module.exports = {
+  buildWhereClause,
+  buildSearchClause,
   findAllSales,
   findSaleById,
+  validateNewSale,
+  findUserBranchId,
   createNewSale,
   updateSaleById,
   deleteSaleById,
+  findDeletedSales,
+  restoreSaleById,
+  reassignSales,
+  bulkUpdateSales,
+  findClientSales,
+  getSaleHistory,
   calculateTotalAmount,
   getSalesCountByStatus
 };
\ No newline at end of file
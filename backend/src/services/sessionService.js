@@ -0,0 +1,229 @@
+/**
+ * Session Service
+ * Issues, rotates and revokes opaque refresh tokens stored in sesiones
+ * Only a SHA-256 hash of each token is persisted. A token that was already
+ * rotated and is presented again is treated as stolen: the whole family
+ * (every session descending from the same login) is revoked
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { Session, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { JWT_REFRESH_EXPIRATION, durationToMs } = require('../config/jwt');
+const { AuthenticationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Random bytes per refresh token (64 base64url characters)
+const REFRESH_TOKEN_BYTES = 48;
+
+// Column size of sesiones.dispositivo
+const DEVICE_MAX_LENGTH = 255;
+
+/**
+ * Hash Token
+ * @param {String} token - Plain refresh token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Build Session Data
+ * @param {Number} userId - Session owner
+ * @param {String} familia - Session family ID
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Object} Plain refresh token and the row to insert
+ */
+const buildSessionData = (userId, familia, context = {}) => {
+  const refreshToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+
+  return {
+    refreshToken,
+    data: {
+      usuarioId: userId,
+      familia,
+      tokenHash: hashToken(refreshToken),
+      dispositivo: context.userAgent ? context.userAgent.slice(0, DEVICE_MAX_LENGTH) : null,
+      ip: context.ip || null,
+      expiraEn: new Date(Date.now() + durationToMs(JWT_REFRESH_EXPIRATION))
+    }
+  };
+};
+
+/**
+ * Revoke Family
+ * @param {String} familia - Session family ID
+ * @returns {Number} Number of sessions revoked
+ */
+const revokeFamily = async (familia) => {
+  const [revoked] = await Session.update(
+    { revocadaEn: new Date() },
+    { where: { familia, revocadaEn: null } }
+  );
+
+  return revoked;
+};
+
+/**
+ * Create Session
+ * Starts a new session family after a successful login
+ * Expired sessions of the user are purged on the way
+ * @param {Number} userId - User ID
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {String} Plain refresh token (only returned once)
+ */
+const createSession = async (userId, context = {}) => {
+  try {
+    await Session.destroy({
+      where: { usuarioId: userId, expiraEn: { [Op.lt]: new Date() } }
+    });
+
+    const { refreshToken, data } = buildSessionData(userId, crypto.randomUUID(), context);
+    const session = await Session.create(data);
+
+    logger.debug(`Session created: ID ${session.id} for user ID ${userId}`);
+
+    return refreshToken;
+  } catch (error) {
+    logger.error('Error in createSession:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rotate Session
+ * Exchanges a refresh token for a new one in the same family
+ * @param {String} refreshToken - Plain refresh token
+ * @param {Object} context - Request context ({ userAgent, ip })
+ * @returns {Object} { userId, refreshToken }
+ * @throws {AuthenticationError} If the token is unknown, expired or reused
+ */
+const rotateSession = async (refreshToken, context = {}) => {
+  try {
+    // Sessions of soft-deleted users are not found
+    const session = await Session.findOne({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: [
+        {
+          model: User,
+          as: 'usuario',
+          attributes: ['id'],
+          required: true
+        }
+      ]
+    });
+
+    if (!session) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    if (session.revocadaEn) {
+      const revoked = await revokeFamily(session.familia);
+      logger.warn(`Refresh token reuse detected for user ID ${session.usuarioId}, ${revoked} sessions revoked`);
+      throw new AuthenticationError('Refresh token has been revoked');
+    }
+
+    if (session.expiraEn < new Date()) {
+      throw new AuthenticationError('Refresh token has expired');
+    }
+
+    const rotated = await sequelize.transaction(async (transaction) => {
+      // Conditional update: of two concurrent requests with the same token only one wins
+      const [revoked] = await Session.update(
+        { revocadaEn: new Date() },
+        { where: { id: session.id, revocadaEn: null }, transaction }
+      );
+
+      if (revoked === 0) {
+        return null;
+      }
+
+      const next = buildSessionData(session.usuarioId, session.familia, context);
+      const nextSession = await Session.create(next.data, { transaction });
+
+      await Session.update(
+        { reemplazadaPorId: nextSession.id },
+        { where: { id: session.id }, transaction }
+      );
+
+      return next.refreshToken;
+    });
+
+    if (!rotated) {
+      await revokeFamily(session.familia);
+      logger.warn(`Concurrent refresh token reuse for user ID ${session.usuarioId}, family revoked`);
+      throw new AuthenticationError('Refresh token has been revoked');
+    }
+
+    logger.debug(`Session rotated: ID ${session.id} for user ID ${session.usuarioId}`);
+
+    return {
+      userId: session.usuarioId,
+      refreshToken: rotated
+    };
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof AuthenticationError) {
+      throw error;
+    }
+
+    logger.error('Error in rotateSession:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke Session
+ * Ends the session family of a refresh token (logout on one device)
+ * Unknown tokens are ignored so logout always succeeds
+ * @param {String} refreshToken - Plain refresh token
+ * @returns {Boolean} Whether a session was found
+ */
+const revokeSession = async (refreshToken) => {
+  try {
+    const session = await Session.findOne({
+      where: { tokenHash: hashToken(refreshToken) }
+    });
+
+    if (!session) {
+      return false;
+    }
+
+    await revokeFamily(session.familia);
+
+    logger.debug(`Session family revoked for user ID ${session.usuarioId}`);
+
+    return true;
+  } catch (error) {
+    logger.error('Error in revokeSession:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke User Sessions
+ * Ends every active session of a user (all devices)
+ * @param {Number} userId - User ID
+ * @returns {Number} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId) => {
+  try {
+    const [revoked] = await Session.update(
+      { revocadaEn: new Date() },
+      { where: { usuarioId: userId, revocadaEn: null } }
+    );
+
+    return revoked;
+  } catch (error) {
+    logger.error('Error in revokeUserSessions:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+};
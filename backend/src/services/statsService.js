@@ -1,35 +1,42 @@
 /**
  * Statistics Service
- * Handles dashboard statistics and analytics with role-based access control
+ * Handles dashboard statistics and analytics with permission-based access control
  */
 
 'use strict';
 
-const { Sale, Product, User, Role, sequelize } = require('../models');
+const { Sale, Product, Branch, User, Role, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
-const { ROLES, SALE_STATUSES } = require('../utils/constants');
+const { PERMISSIONS, SALE_STATUSES } = require('../utils/constants');
+const { hasPermission } = require('../utils/permissions');
+const { resolveScopeUserIds, findTeamMemberIds } = require('./teamService');
 
 /**
- * Build Where Clause with Role-Based Filtering
- * Admins see all sales, Advisors only see their own
- * @param {Number} userRolId - User's role ID
+ * Build Where Clause with Permission-Based Filtering
+ * Users with sales:read:any see all sales, with sales:read:team their own and
+ * their teams' sales, everyone else only their own
+ * @param {Array} userPermissions - User's permission keys
  * @param {Number} userId - User's ID
  * @param {Object} additionalFilters - Additional filter options
- * @returns {Object} Where clause for Sequelize query
+ * @returns {Promise<Object>} Where clause for Sequelize query
  */
-const buildWhereClause = (userRolId, userId, additionalFilters = {}) => {
+const buildWhereClause = async (userPermissions, userId, additionalFilters = {}) => {
   const whereClause = {};
 
-  // Role-based filtering
-  if (userRolId === ROLES.ADVISOR.ID) {
-    // Advisors only see their own sales
-    whereClause.usuarioCreadorId = userId;
+  const scopeUserIds = await resolveScopeUserIds(
+    userPermissions,
+    userId,
+    PERMISSIONS.SALES_READ_ANY,
+    PERMISSIONS.SALES_READ_TEAM
+  );
+
+  if (scopeUserIds) {
+    whereClause.usuarioCreadorId = scopeUserIds.length === 1 ? scopeUserIds[0] : { [Op.in]: scopeUserIds };
   }
-  // Admins see all sales
 
   // Apply additional filters
-  const { startDate, endDate, productoId, estado } = additionalFilters;
+  const { startDate, endDate, productoId, estado, sucursalId } = additionalFilters;
 
   if (startDate || endDate) {
     whereClause.createdAt = {};
@@ -49,21 +56,25 @@ const buildWhereClause = (userRolId, userId, additionalFilters = {}) => {
     whereClause.estado = estado;
   }
 
+  if (sucursalId) {
+    whereClause.sucursalId = parseInt(sucursalId);
+  }
+
   return whereClause;
 };
 
 /**
  * Get Dashboard Metrics
- * Returns key metrics for dashboard with role-based filtering
- * @param {Number} userRolId - Current user's role ID
+ * Returns key metrics for dashboard with permission-based filtering
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
- * @param {Object} filters - Filter options (startDate, endDate)
+ * @param {Object} filters - Filter options (startDate, endDate, sucursalId)
  * @returns {Object} Dashboard metrics
  */
-const getDashboardMetrics = async (userRolId, userId, filters = {}) => {
+const getDashboardMetrics = async (userPermissions, userId, filters = {}) => {
   try {
-    // Build where clause with role-based filtering
-    const whereClause = buildWhereClause(userRolId, userId, filters);
+    // Build where clause with permission-based filtering
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
 
     // Total sales count
     const totalSales = await Sale.count({
@@ -85,13 +96,16 @@ const getDashboardMetrics = async (userRolId, userId, filters = {}) => {
       }),
       finished: await Sale.count({
         where: { ...whereClause, estado: SALE_STATUSES.FINISHED }
+      }),
+      rejected: await Sale.count({
+        where: { ...whereClause, estado: SALE_STATUSES.REJECTED }
       })
     };
 
     // Average sale amount
     const averageAmount = totalSales > 0 ? totalAmount / totalSales : 0;
 
-    logger.debug(`Dashboard metrics retrieved for user role: ${userRolId}`);
+    logger.debug(`Dashboard metrics retrieved for user: ${userId}`);
 
     return {
       totalSales,
@@ -100,7 +114,8 @@ const getDashboardMetrics = async (userRolId, userId, filters = {}) => {
       salesByStatus: {
         open: salesByStatus.open,
         inProcess: salesByStatus.inProcess,
-        finished: salesByStatus.finished
+        finished: salesByStatus.finished,
+        rejected: salesByStatus.rejected
       }
     };
   } catch (error) {
@@ -111,16 +126,16 @@ const getDashboardMetrics = async (userRolId, userId, filters = {}) => {
 
 /**
  * Get Sales Grouped by Product
- * Returns sales aggregated by product type with role-based filtering
- * @param {Number} userRolId - Current user's role ID
+ * Returns sales aggregated by product type with permission-based filtering
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
- * @param {Object} filters - Filter options (startDate, endDate)
+ * @param {Object} filters - Filter options (startDate, endDate, sucursalId)
  * @returns {Array} Sales grouped by product
  */
-const getSalesGroupedByProduct = async (userRolId, userId, filters = {}) => {
+const getSalesGroupedByProduct = async (userPermissions, userId, filters = {}) => {
   try {
-    // Build where clause with role-based filtering
-    const whereClause = buildWhereClause(userRolId, userId, filters);
+    // Build where clause with permission-based filtering
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
 
     // Query sales grouped by product
     const salesByProduct = await Sale.findAll({
@@ -154,7 +169,7 @@ const getSalesGroupedByProduct = async (userRolId, userId, filters = {}) => {
     // Sort by count descending
     formattedResults.sort((a, b) => b.count - a.count);
 
-    logger.debug(`Sales by product retrieved for user role: ${userRolId}`);
+    logger.debug(`Sales by product retrieved for user: ${userId}`);
 
     return formattedResults;
   } catch (error) {
@@ -165,21 +180,37 @@ const getSalesGroupedByProduct = async (userRolId, userId, filters = {}) => {
 
 /**
  * Get Sales Grouped by Advisor
- * Returns sales aggregated by advisor (Admin only)
- * @param {Number} userRolId - Current user's role ID
- * @param {Object} filters - Filter options (startDate, endDate)
+ * Returns sales aggregated by advisor (stats:read:advisors), limited to the
+ * advisors whose sales the user can see
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @param {Object} filters - Filter options (startDate, endDate, sucursalId, equipoId)
  * @returns {Array} Sales grouped by advisor
  */
-const getSalesGroupedByAdvisor = async (userRolId, filters = {}) => {
+const getSalesGroupedByAdvisor = async (userPermissions, userId, filters = {}) => {
   try {
-    // Only admins can access this data
-    if (userRolId !== ROLES.ADMIN.ID) {
+    // Only users with stats:read:advisors can access this data
+    if (!hasPermission(userPermissions, PERMISSIONS.STATS_READ_ADVISORS)) {
       logger.warn('Unauthorized attempt to access sales by advisor');
       return [];
     }
 
-    // Build where clause (no user filtering for admin)
-    const whereClause = buildWhereClause(ROLES.ADMIN.ID, null, filters);
+    // Build where clause with permission-based filtering
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
+
+    // Team filter: only the team's members, within the advisors the user can see
+    if (filters.equipoId) {
+      const memberIds = await findTeamMemberIds(parseInt(filters.equipoId));
+      const scope = whereClause.usuarioCreadorId;
+      const scopeUserIds = scope === undefined ? null : (scope[Op.in] || [scope]);
+      const teamUserIds = scopeUserIds ? memberIds.filter(id => scopeUserIds.includes(id)) : memberIds;
+
+      if (teamUserIds.length === 0) {
+        return [];
+      }
+
+      whereClause.usuarioCreadorId = { [Op.in]: teamUserIds };
+    }
 
     // Query sales grouped by advisor
     const salesByAdvisor = await Sale.findAll({
@@ -195,6 +226,7 @@ const getSalesGroupedByAdvisor = async (userRolId, filters = {}) => {
           model: User,
           as: 'usuarioCreador',
           attributes: ['id', 'nombre', 'email'],
+          paranoid: false, // Keep the name of soft-deleted advisors
           include: [
             {
               model: Role,
@@ -231,18 +263,75 @@ const getSalesGroupedByAdvisor = async (userRolId, filters = {}) => {
   }
 };
 
+/**
+ * Get Sales Grouped by Branch
+ * Returns sales aggregated by the branch they were stamped with, limited to the
+ * sales the user can see. Sales created before branches existed, or by users
+ * without a branch, are grouped under a null branch
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @param {Object} filters - Filter options (startDate, endDate, sucursalId)
+ * @returns {Array} Sales grouped by branch
+ */
+const getSalesGroupedByBranch = async (userPermissions, userId, filters = {}) => {
+  try {
+    // Build where clause with permission-based filtering
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
+
+    // Query sales grouped by branch
+    const salesByBranch = await Sale.findAll({
+      attributes: [
+        'sucursalId',
+        [sequelize.fn('COUNT', sequelize.col('Sale.id')), 'count'],
+        [sequelize.fn('SUM', sequelize.col('cupoSolicitado')), 'totalAmount'],
+        [sequelize.fn('AVG', sequelize.col('cupoSolicitado')), 'averageAmount']
+      ],
+      where: whereClause,
+      include: [
+        {
+          model: Branch,
+          as: 'sucursal',
+          attributes: ['id', 'nombre'],
+          required: false // Left join (older sales have no branch)
+        }
+      ],
+      group: ['sucursalId', 'sucursal.id'],
+      raw: false
+    });
+
+    // Format results
+    const formattedResults = salesByBranch.map(item => ({
+      sucursalId: item.sucursalId,
+      sucursalNombre: item.sucursal ? item.sucursal.nombre : null,
+      count: parseInt(item.dataValues.count),
+      totalAmount: parseFloat(item.dataValues.totalAmount || 0),
+      averageAmount: parseFloat(parseFloat(item.dataValues.averageAmount || 0).toFixed(2))
+    }));
+
+    // Sort by total amount descending
+    formattedResults.sort((a, b) => b.totalAmount - a.totalAmount);
+
+    logger.debug(`Sales by branch retrieved for user: ${userId}`);
+
+    return formattedResults;
+  } catch (error) {
+    logger.error('Error in getSalesGroupedByBranch:', error);
+    throw error;
+  }
+};
+
 /**
  * Get Sales Grouped by Status
- * Returns sales aggregated by status with role-based filtering
- * @param {Number} userRolId - Current user's role ID
+ * Returns sales aggregated by status with permission-based filtering
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
- * @param {Object} filters - Filter options (startDate, endDate)
+ * @param {Object} filters - Filter options (startDate, endDate, sucursalId)
  * @returns {Array} Sales grouped by status
  */
-const getSalesGroupedByStatus = async (userRolId, userId, filters = {}) => {
+const getSalesGroupedByStatus = async (userPermissions, userId, filters = {}) => {
   try {
-    // Build where clause with role-based filtering
-    const whereClause = buildWhereClause(userRolId, userId, filters);
+    // Build where clause with permission-based filtering
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
 
     // Query sales grouped by status
     const salesByStatus = await Sale.findAll({
@@ -263,7 +352,7 @@ const getSalesGroupedByStatus = async (userRolId, userId, filters = {}) => {
       totalAmount: parseFloat(item.totalAmount || 0)
     }));
 
-    logger.debug(`Sales by status retrieved for user role: ${userRolId}`);
+    logger.debug(`Sales by status retrieved for user: ${userId}`);
 
     return formattedResults;
   } catch (error) {
@@ -274,17 +363,17 @@ const getSalesGroupedByStatus = async (userRolId, userId, filters = {}) => {
 
 /**
  * Get Sales Grouped by Period
- * Returns sales aggregated by time period (daily, weekly, monthly) with role-based filtering
+ * Returns sales aggregated by time period (daily, weekly, monthly) with permission-based filtering
  * @param {String} period - Time period ('day', 'week', 'month')
- * @param {Number} userRolId - Current user's role ID
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
- * @param {Object} filters - Filter options (startDate, endDate)
+ * @param {Object} filters - Filter options (startDate, endDate, sucursalId)
  * @returns {Array} Sales grouped by period
  */
-const getSalesGroupedByPeriod = async (period, userRolId, userId, filters = {}) => {
+const getSalesGroupedByPeriod = async (period, userPermissions, userId, filters = {}) => {
   try {
-    // Build where clause with role-based filtering
-    const whereClause = buildWhereClause(userRolId, userId, filters);
+    // Build where clause with permission-based filtering
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
 
     // Determine date format based on period
     let dateFormat;
@@ -322,7 +411,7 @@ const getSalesGroupedByPeriod = async (period, userRolId, userId, filters = {})
       totalAmount: parseFloat(item.totalAmount || 0)
     }));
 
-    logger.debug(`Sales by period (${period}) retrieved for user role: ${userRolId}`);
+    logger.debug(`Sales by period (${period}) retrieved for user: ${userId}`);
 
     return formattedResults;
   } catch (error) {
@@ -333,16 +422,17 @@ const getSalesGroupedByPeriod = async (period, userRolId, userId, filters = {})
 
 /**
  * Get Recent Sales
- * Returns most recent sales with role-based filtering
- * @param {Number} userRolId - Current user's role ID
+ * Returns most recent sales with permission-based filtering
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
  * @param {Number} limit - Number of sales to retrieve (default: 5)
+ * @param {Object} filters - Filter options (sucursalId)
  * @returns {Array} Recent sales
  */
-const getRecentSales = async (userRolId, userId, limit = 5) => {
+const getRecentSales = async (userPermissions, userId, limit = 5, filters = {}) => {
   try {
-    // Build where clause with role-based filtering
-    const whereClause = buildWhereClause(userRolId, userId);
+    // Build where clause with permission-based filtering
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
 
     // Query recent sales
     const recentSales = await Sale.findAll({
@@ -356,7 +446,8 @@ const getRecentSales = async (userRolId, userId, limit = 5) => {
         {
           model: User,
           as: 'usuarioCreador',
-          attributes: ['id', 'nombre']
+          attributes: ['id', 'nombre'],
+          paranoid: false
         }
       ],
       limit: parseInt(limit),
@@ -373,7 +464,7 @@ const getRecentSales = async (userRolId, userId, limit = 5) => {
       createdAt: sale.createdAt
     }));
 
-    logger.debug(`Retrieved ${formattedResults.length} recent sales for user role: ${userRolId}`);
+    logger.debug(`Retrieved ${formattedResults.length} recent sales for user: ${userId}`);
 
     return formattedResults;
   } catch (error) {
@@ -384,17 +475,17 @@ const getRecentSales = async (userRolId, userId, limit = 5) => {
 
 /**
  * Get Top Products
- * Returns products ranked by sales count with role-based filtering
- * @param {Number} userRolId - Current user's role ID
+ * Returns products ranked by sales count with permission-based filtering
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
  * @param {Number} limit - Number of products to retrieve (default: 5)
- * @param {Object} filters - Filter options (startDate, endDate)
+ * @param {Object} filters - Filter options (startDate, endDate, sucursalId)
  * @returns {Array} Top products
  */
-const getTopProducts = async (userRolId, userId, limit = 5, filters = {}) => {
+const getTopProducts = async (userPermissions, userId, limit = 5, filters = {}) => {
   try {
-    // Build where clause with role-based filtering
-    const whereClause = buildWhereClause(userRolId, userId, filters);
+    // Build where clause with permission-based filtering
+    const whereClause = await buildWhereClause(userPermissions, userId, filters);
 
     // Query top products
     const topProducts = await Sale.findAll({
@@ -425,7 +516,7 @@ const getTopProducts = async (userRolId, userId, limit = 5, filters = {}) => {
       totalAmount: parseFloat(item.dataValues.totalAmount || 0)
     }));
 
-    logger.debug(`Retrieved top ${formattedResults.length} products for user role: ${userRolId}`);
+    logger.debug(`Retrieved top ${formattedResults.length} products for user: ${userId}`);
 
     return formattedResults;
   } catch (error) {
@@ -437,13 +528,15 @@ const getTopProducts = async (userRolId, userId, limit = 5, filters = {}) => {
 /**
  * Get Comprehensive Dashboard
  * Returns all dashboard data in a single response
- * @param {Number} userRolId - Current user's role ID
+ * @param {Array} userPermissions - Current user's permission keys
  * @param {Number} userId - Current user's ID
- * @param {Object} filters - Filter options (startDate, endDate)
+ * @param {Object} filters - Filter options (startDate, endDate, sucursalId)
  * @returns {Object} Comprehensive dashboard data
  */
-const getComprehensiveDashboard = async (userRolId, userId, filters = {}) => {
+const getComprehensiveDashboard = async (userPermissions, userId, filters = {}) => {
   try {
+    const canReadAdvisors = hasPermission(userPermissions, PERMISSIONS.STATS_READ_ADVISORS);
+
     // Execute all queries in parallel
     const [
       metrics,
@@ -451,20 +544,23 @@ const getComprehensiveDashboard = async (userRolId, userId, filters = {}) => {
       salesByStatus,
       recentSales,
       topProducts,
+      salesByBranch,
       salesByAdvisor
     ] = await Promise.all([
-      getDashboardMetrics(userRolId, userId, filters),
-      getSalesGroupedByProduct(userRolId, userId, filters),
-      getSalesGroupedByStatus(userRolId, userId, filters),
-      getRecentSales(userRolId, userId, 5),
-      getTopProducts(userRolId, userId, 5, filters),
-      // Only fetch salesByAdvisor for admins
-      userRolId === ROLES.ADMIN.ID
-        ? getSalesGroupedByAdvisor(userRolId, filters)
+      getDashboardMetrics(userPermissions, userId, filters),
+      getSalesGroupedByProduct(userPermissions, userId, filters),
+      getSalesGroupedByStatus(userPermissions, userId, filters),
+      // Recent sales ignore the date range but follow the branch filter
+      getRecentSales(userPermissions, userId, 5, { sucursalId: filters.sucursalId }),
+      getTopProducts(userPermissions, userId, 5, filters),
+      getSalesGroupedByBranch(userPermissions, userId, filters),
+      // Only fetch salesByAdvisor for users with stats:read:advisors
+      canReadAdvisors
+        ? getSalesGroupedByAdvisor(userPermissions, userId, filters)
         : Promise.resolve([])
     ]);
 
-    logger.info(`Comprehensive dashboard retrieved for user role: ${userRolId}`);
+    logger.info(`Comprehensive dashboard retrieved for user: ${userId}`);
 
     return {
       metrics,
@@ -472,7 +568,8 @@ const getComprehensiveDashboard = async (userRolId, userId, filters = {}) => {
       salesByStatus,
       recentSales,
       topProducts,
-      ...(userRolId === ROLES.ADMIN.ID && { salesByAdvisor })
+      salesByBranch,
+      ...(canReadAdvisors && { salesByAdvisor })
     };
   } catch (error) {
     logger.error('Error in getComprehensiveDashboard:', error);
@@ -484,6 +581,7 @@ module.exports = {
   getDashboardMetrics,
   getSalesGroupedByProduct,
   getSalesGroupedByAdvisor,
+  getSalesGroupedByBranch,
   getSalesGroupedByStatus,
   getSalesGroupedByPeriod,
   getRecentSales,
@@ -0,0 +1,447 @@
+/**
+ * Team Service
+ * Handles teams (a supervisor and their advisors) and the team scope of the
+ * ":team" permissions: a user's own records plus those of the members of the
+ * teams they supervise
+ */
+
+'use strict';
+
+const { Team, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const {
+  NotFoundError,
+  ValidationError,
+  DuplicateEntryError,
+  AuthorizationError
+} = require('../utils/errors');
+const { PERMISSIONS } = require('../utils/constants');
+const { hasPermission, hasAnyPermission } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * Find Supervised User IDs
+ * Soft-deleted members count too, their sales stay with the team
+ * @param {Number} supervisorId - Supervisor's user ID
+ * @param {Number} equipoId - Optional team to restrict to
+ * @returns {Array} IDs of the members of the teams the user supervises
+ */
+const findSupervisedUserIds = async (supervisorId, equipoId = null) => {
+  const teamWhere = { supervisorId };
+  if (equipoId) {
+    teamWhere.id = equipoId;
+  }
+
+  const members = await User.findAll({
+    attributes: ['id'],
+    include: [
+      {
+        model: Team,
+        as: 'equipo',
+        attributes: [],
+        where: teamWhere
+      }
+    ],
+    paranoid: false,
+    raw: true
+  });
+
+  return members.map(member => member.id);
+};
+
+/**
+ * Find Team Member IDs
+ * @param {Number} equipoId - Team ID
+ * @returns {Array} IDs of the team's members, soft-deleted ones included
+ */
+const findTeamMemberIds = async (equipoId) => {
+  const members = await User.findAll({
+    attributes: ['id'],
+    where: { equipoId },
+    paranoid: false,
+    raw: true
+  });
+
+  return members.map(member => member.id);
+};
+
+/**
+ * Resolve Scope User IDs
+ * Users whose records the user may act on for one action (read, update, delete)
+ * @param {Array} userPermissions - User's permission keys
+ * @param {Number} userId - User's ID
+ * @param {String} anyPermission - Permission that applies to every record
+ * @param {String} teamPermission - Permission that applies to the supervised teams
+ * @returns {Array|null} User IDs, null when every record is allowed
+ */
+const resolveScopeUserIds = async (userPermissions, userId, anyPermission, teamPermission) => {
+  if (hasPermission(userPermissions, anyPermission)) {
+    return null;
+  }
+
+  if (hasPermission(userPermissions, teamPermission)) {
+    const memberIds = await findSupervisedUserIds(userId);
+    return [userId, ...memberIds.filter(id => id !== userId)];
+  }
+
+  return [userId];
+};
+
+/**
+ * Has Scoped Access
+ * Whether the user may act on a record owned by ownerId
+ * @param {Array} userPermissions - User's permission keys
+ * @param {Number} userId - User's ID
+ * @param {Number} ownerId - Record owner's ID
+ * @param {Object} scope - Permission per level ({ any, team, own })
+ * @returns {Boolean} Whether access is granted
+ */
+const hasScopedAccess = async (userPermissions, userId, ownerId, scope) => {
+  if (hasPermission(userPermissions, scope.any)) {
+    return true;
+  }
+
+  if (ownerId === userId) {
+    return hasAnyPermission(userPermissions, [scope.own, scope.team]);
+  }
+
+  if (!hasPermission(userPermissions, scope.team)) {
+    return false;
+  }
+
+  const memberIds = await findSupervisedUserIds(userId);
+  return memberIds.includes(ownerId);
+};
+
+/**
+ * Format Team
+ * @param {Object} team - Team instance with supervisor and miembros
+ * @returns {Object} Team data
+ */
+const formatTeam = (team) => ({
+  id: team.id,
+  nombre: team.nombre,
+  descripcion: team.descripcion,
+  supervisorId: team.supervisorId,
+  supervisorNombre: team.supervisor ? team.supervisor.nombre : null,
+  miembros: (team.miembros || []).map(member => ({
+    id: member.id,
+    nombre: member.nombre,
+    email: member.email
+  })),
+  totalMiembros: (team.miembros || []).length,
+  createdAt: team.createdAt,
+  updatedAt: team.updatedAt
+});
+
+/**
+ * Team Includes
+ * @returns {Array} Sequelize includes for the supervisor and active members
+ */
+const teamIncludes = () => [
+  {
+    model: User,
+    as: 'supervisor',
+    attributes: ['id', 'nombre', 'email']
+  },
+  {
+    model: User,
+    as: 'miembros',
+    attributes: ['id', 'nombre', 'email'],
+    required: false
+  }
+];
+
+/**
+ * Find Team or Fail
+ * @param {Number} id - Team ID
+ * @returns {Object} Team instance with supervisor and members
+ * @throws {NotFoundError} If the team does not exist
+ */
+const findTeamOrFail = async (id) => {
+  const team = await Team.findByPk(id, {
+    include: teamIncludes(),
+    order: [[{ model: User, as: 'miembros' }, 'nombre', 'ASC']]
+  });
+
+  if (!team) {
+    throw new NotFoundError('Team not found');
+  }
+
+  return team;
+};
+
+/**
+ * Can Read Every Team
+ * @param {Array} userPermissions - User's permission keys
+ * @returns {Boolean} Whether the user sees every team, not only the ones they supervise
+ */
+const canReadEveryTeam = (userPermissions) =>
+  hasAnyPermission(userPermissions, [PERMISSIONS.TEAMS_MANAGE, PERMISSIONS.SALES_READ_ANY]);
+
+/**
+ * Assert Unique Name
+ * @param {String} nombre - Team name
+ * @param {Number} excludeId - Team ID to ignore (on update)
+ * @throws {DuplicateEntryError} If another team has the name
+ */
+const assertUniqueName = async (nombre, excludeId = null) => {
+  const where = { nombre };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const existingTeam = await Team.findOne({ where });
+  if (existingTeam) {
+    throw new DuplicateEntryError('A team with this name already exists');
+  }
+};
+
+/**
+ * Assert Users Exist
+ * @param {Array} ids - User IDs
+ * @param {String} field - Request field, for the error details
+ * @throws {ValidationError} If a user does not exist
+ */
+const assertUsersExist = async (ids, field) => {
+  const uniqueIds = [...new Set(ids)];
+  const users = await User.findAll({
+    where: { id: uniqueIds },
+    attributes: ['id'],
+    raw: true
+  });
+
+  const found = new Set(users.map(user => user.id));
+  const missing = uniqueIds.filter(id => !found.has(id));
+
+  if (missing.length > 0) {
+    throw new ValidationError(
+      `User not found: ${missing[0]}`,
+      missing.map(id => ({ field, message: `User not found: ${id}` }))
+    );
+  }
+};
+
+/**
+ * Set Team Members
+ * Users keep a single team, so members of another team are moved to this one
+ * @param {Number} equipoId - Team ID
+ * @param {Array} memberIds - User IDs
+ * @param {Object} transaction - Transaction
+ */
+const setTeamMembers = async (equipoId, memberIds, transaction) => {
+  const removedWhere = { equipoId };
+  if (memberIds.length > 0) {
+    removedWhere.id = { [Op.notIn]: memberIds };
+  }
+
+  await User.update({ equipoId: null }, { where: removedWhere, transaction });
+
+  if (memberIds.length > 0) {
+    await User.update({ equipoId }, { where: { id: memberIds }, transaction });
+  }
+};
+
+/**
+ * Find All Teams
+ * Users without teams:manage or sales:read:any only see the teams they supervise
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @returns {Array} Teams with their supervisor and members
+ */
+const findAllTeams = async (userPermissions, userId) => {
+  try {
+    const where = canReadEveryTeam(userPermissions) ? {} : { supervisorId: userId };
+
+    const teams = await Team.findAll({
+      where,
+      include: teamIncludes(),
+      order: [['nombre', 'ASC'], [{ model: User, as: 'miembros' }, 'nombre', 'ASC']]
+    });
+
+    logger.debug(`Retrieved ${teams.length} teams for user: ${userId}`);
+
+    return teams.map(formatTeam);
+  } catch (error) {
+    logger.error('Error in findAllTeams:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find Team by ID
+ * @param {Number} id - Team ID
+ * @param {Array} userPermissions - Current user's permission keys
+ * @param {Number} userId - Current user's ID
+ * @returns {Object} Team data
+ */
+const findTeamById = async (id, userPermissions, userId) => {
+  try {
+    const team = await findTeamOrFail(id);
+
+    if (!canReadEveryTeam(userPermissions) && team.supervisorId !== userId) {
+      throw new AuthorizationError('You can only access the teams you supervise');
+    }
+
+    return formatTeam(team);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof AuthorizationError) {
+      throw error;
+    }
+
+    logger.error('Error in findTeamById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create New Team
+ * @param {Object} teamData - Team data (nombre, descripcion, supervisorId, miembros)
+ * @returns {Object} Created team data
+ */
+const createNewTeam = async (teamData) => {
+  try {
+    const nombre = teamData.nombre.trim();
+    const supervisorId = parseInt(teamData.supervisorId);
+    const memberIds = (teamData.miembros || []).map(id => parseInt(id));
+
+    await assertUniqueName(nombre);
+    await assertUsersExist([supervisorId], 'supervisorId');
+    await assertUsersExist(memberIds, 'miembros');
+
+    const teamId = await sequelize.transaction(async (transaction) => {
+      const team = await Team.create({
+        nombre,
+        descripcion: teamData.descripcion || null,
+        supervisorId
+      }, { transaction });
+
+      await setTeamMembers(team.id, memberIds, transaction);
+
+      return team.id;
+    });
+
+    const team = await findTeamOrFail(teamId);
+
+    logger.info(`Team created: ${team.nombre} (ID: ${team.id})`);
+
+    return formatTeam(team);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof ValidationError || error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in createNewTeam:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update Team by ID
+ * Replaces the team's members when miembros is given
+ * @param {Number} id - Team ID
+ * @param {Object} teamData - Team data to update (nombre, descripcion, supervisorId, miembros)
+ * @returns {Object} Updated team data
+ */
+const updateTeamById = async (id, teamData) => {
+  try {
+    const team = await findTeamOrFail(id);
+
+    // Build update object
+    const updateData = {};
+
+    if (teamData.nombre !== undefined) {
+      updateData.nombre = teamData.nombre.trim();
+      await assertUniqueName(updateData.nombre, id);
+    }
+
+    if (teamData.descripcion !== undefined) {
+      updateData.descripcion = teamData.descripcion || null;
+    }
+
+    if (teamData.supervisorId !== undefined) {
+      updateData.supervisorId = parseInt(teamData.supervisorId);
+      await assertUsersExist([updateData.supervisorId], 'supervisorId');
+    }
+
+    let memberIds = null;
+    if (teamData.miembros !== undefined) {
+      memberIds = teamData.miembros.map(memberId => parseInt(memberId));
+      await assertUsersExist(memberIds, 'miembros');
+    }
+
+    if (Object.keys(updateData).length === 0 && !memberIds) {
+      throw new ValidationError('No fields to update');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (Object.keys(updateData).length > 0) {
+        await team.update(updateData, { transaction });
+      }
+
+      if (memberIds) {
+        await setTeamMembers(id, memberIds, transaction);
+      }
+    });
+
+    const updatedTeam = await findTeamOrFail(id);
+
+    logger.info(`Team updated: ${updatedTeam.nombre} (ID: ${id})`);
+
+    return formatTeam(updatedTeam);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError ||
+        error instanceof ValidationError ||
+        error instanceof DuplicateEntryError) {
+      throw error;
+    }
+
+    logger.error('Error in updateTeamById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete Team by ID
+ * Members stay, without a team (usuarios.equipoId foreign key sets null)
+ * @param {Number} id - Team ID
+ * @returns {Boolean} Success status
+ */
+const deleteTeamById = async (id) => {
+  try {
+    const team = await findTeamOrFail(id);
+
+    await sequelize.transaction(async (transaction) => {
+      // Soft-deleted members are released too
+      await User.update({ equipoId: null }, { where: { equipoId: id }, paranoid: false, transaction });
+      await team.destroy({ transaction });
+    });
+
+    logger.info(`Team deleted: ${team.nombre} (ID: ${id})`);
+
+    return true;
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+
+    logger.error('Error in deleteTeamById:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  findSupervisedUserIds,
+  findTeamMemberIds,
+  resolveScopeUserIds,
+  hasScopedAccess,
+  findAllTeams,
+  findTeamById,
+  createNewTeam,
+  updateTeamById,
+  deleteTeamById
+};
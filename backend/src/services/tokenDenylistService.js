@@ -0,0 +1,178 @@
+/**
+ * Token Denylist Service
+ * Revokes access tokens before they expire (logout, log out everywhere)
+ * The backend is chosen with TOKEN_DENYLIST_STORE:
+ * - database (default): tokens_revocados table, shared by every server instance
+ * - memory: process memory, for a single instance; revocations are lost on restart
+ * Entries are only kept until the revoked tokens would have expired anyway
+ */
+
+'use strict';
+
+const { RevokedToken } = require('../models');
+const { Op } = require('sequelize');
+const { JWT_EXPIRATION, durationToMs } = require('../config/jwt');
+const logger = require('../utils/logger');
+
+/**
+ * Memory Store
+ * @returns {Object} Store with add(entry) and isRevoked(token)
+ */
+const createMemoryStore = () => {
+  // jti -> expiresAt, userId -> { revokedAt, expiresAt }
+  const tokens = new Map();
+  const users = new Map();
+
+  const prune = () => {
+    const now = new Date();
+    tokens.forEach((expiresAt, jti) => {
+      if (expiresAt < now) tokens.delete(jti);
+    });
+    users.forEach((entry, userId) => {
+      if (entry.expiresAt < now) users.delete(userId);
+    });
+  };
+
+  return {
+    async add({ jti, userId, revokedAt, expiresAt }) {
+      prune();
+
+      if (jti) {
+        tokens.set(jti, expiresAt);
+      } else {
+        users.set(userId, { revokedAt, expiresAt });
+      }
+    },
+
+    async isRevoked({ jti, userId, issuedAt }) {
+      const now = new Date();
+
+      if (jti && tokens.has(jti) && tokens.get(jti) > now) {
+        return true;
+      }
+
+      const userEntry = users.get(userId);
+      return !!userEntry && userEntry.expiresAt > now && issuedAt < userEntry.revokedAt;
+    }
+  };
+};
+
+/**
+ * Database Store
+ * @returns {Object} Store with add(entry) and isRevoked(token)
+ */
+const createDatabaseStore = () => ({
+  async add({ jti, userId, revokedAt, expiresAt }) {
+    await RevokedToken.destroy({ where: { expiraEn: { [Op.lt]: new Date() } } });
+
+    await RevokedToken.create({
+      jti: jti || null,
+      usuarioId: jti ? null : userId,
+      expiraEn: expiresAt,
+      ...(revokedAt && { createdAt: revokedAt })
+    });
+  },
+
+  async isRevoked({ jti, userId, issuedAt }) {
+    const conditions = [{ jti: null, usuarioId: userId, createdAt: { [Op.gt]: issuedAt } }];
+    if (jti) {
+      conditions.push({ jti });
+    }
+
+    const count = await RevokedToken.count({
+      where: {
+        [Op.or]: conditions,
+        expiraEn: { [Op.gt]: new Date() }
+      }
+    });
+
+    return count > 0;
+  }
+});
+
+const STORES = {
+  memory: createMemoryStore,
+  database: createDatabaseStore
+};
+
+const storeName = process.env.TOKEN_DENYLIST_STORE || 'database';
+
+if (!STORES[storeName]) {
+  throw new Error(`Unknown TOKEN_DENYLIST_STORE "${storeName}", use one of: ${Object.keys(STORES).join(', ')}`);
+}
+
+const store = STORES[storeName]();
+
+/**
+ * Revoke Token
+ * Denylists a single access token until its own expiration
+ * Tokens without jti (issued before revocation existed) cannot be revoked one by one
+ * @param {Object} payload - Decoded access token ({ jti, exp })
+ * @returns {Boolean} Whether the token was denylisted
+ */
+const revokeToken = async (payload) => {
+  try {
+    if (!payload || !payload.jti) {
+      return false;
+    }
+
+    await store.add({
+      jti: payload.jti,
+      expiresAt: new Date(payload.exp * 1000)
+    });
+
+    logger.debug(`Access token revoked: ${payload.jti}`);
+
+    return true;
+  } catch (error) {
+    logger.error('Error in revokeToken:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke User Tokens
+ * Denylists every access token issued to the user before the current second
+ * Token iat only has whole seconds, so the revocation is stamped the same way and a
+ * token is revoked when issued strictly before it; a token issued in the same second
+ * (e.g. the new session after a password reset) stays valid
+ * @param {Number} userId - User ID
+ */
+const revokeUserTokens = async (userId) => {
+  try {
+    await store.add({
+      userId,
+      revokedAt: new Date(Math.floor(Date.now() / 1000) * 1000),
+      expiresAt: new Date(Date.now() + durationToMs(JWT_EXPIRATION))
+    });
+
+    logger.debug(`All access tokens revoked for user ID ${userId}`);
+  } catch (error) {
+    logger.error('Error in revokeUserTokens:', error);
+    throw error;
+  }
+};
+
+/**
+ * Is Token Revoked
+ * @param {Object} payload - Decoded access token ({ id, jti, iat })
+ * @returns {Boolean} Whether the token is denylisted
+ */
+const isTokenRevoked = async (payload) => {
+  try {
+    return await store.isRevoked({
+      jti: payload.jti,
+      userId: payload.id,
+      issuedAt: new Date(payload.iat * 1000)
+    });
+  } catch (error) {
+    logger.error('Error in isTokenRevoked:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  revokeToken,
+  revokeUserTokens,
+  isTokenRevoked
+};
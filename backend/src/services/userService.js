@@ -5,22 +5,43 @@
 
 'use strict';
 
-const { User, Role } = require('../models');
+const { User, Role, Branch, Invitation, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const { NotFoundError, DuplicateEntryError, ValidationError } = require('../utils/errors');
 const logger = require('../utils/logger');
-const { ROLES } = require('../utils/constants');
+const { isLocked } = require('./loginAttemptService');
+const passwordPolicyService = require('./passwordPolicyService');
+const { assertAssignableBranch } = require('./branchService');
+
+/**
+ * Invitation Include
+ * Loads the invitation of invited users, to tell the ones still pending
+ * @returns {Object} Include options for User queries
+ */
+const invitationInclude = () => ({
+  model: Invitation,
+  as: 'invitacion',
+  attributes: ['id', 'aceptadoEn'],
+  required: false
+});
+
+/**
+ * Is Invitation Pending
+ * @param {Object} user - User instance loaded with invitationInclude
+ * @returns {Boolean} Whether the user was invited and has not chosen a password yet
+ */
+const isInvitationPending = (user) => !!user.invitacion && !user.invitacion.aceptadoEn;
 
 /**
  * Find All Users
  * Retrieves users with optional filtering and pagination
- * @param {Object} filters - Filter options (search, rolId)
+ * @param {Object} filters - Filter options (search, rolId, sucursalId, activo)
  * @param {Object} pagination - Pagination options (page, limit)
  * @returns {Object} Users list with pagination metadata
  */
 const findAllUsers = async (filters = {}, pagination = {}) => {
   try {
-    const { search, rolId } = filters;
+    const { search, rolId, sucursalId, activo } = filters;
     const { page = 1, limit = 10 } = pagination;
 
     // Build where clause
@@ -39,19 +60,36 @@ const findAllUsers = async (filters = {}, pagination = {}) => {
       whereClause.rolId = rolId;
     }
 
+    // Filter by branch
+    if (sucursalId) {
+      whereClause.sucursalId = sucursalId;
+    }
+
+    // Filter by active status
+    if (activo !== undefined) {
+      whereClause.activo = activo;
+    }
+
     // Calculate offset
     const offset = (page - 1) * limit;
 
     // Query users
     const { count, rows: users } = await User.findAndCountAll({
       where: whereClause,
-      attributes: ['id', 'nombre', 'email', 'rolId', 'createdAt', 'updatedAt'],
+      attributes: ['id', 'nombre', 'email', 'rolId', 'equipoId', 'sucursalId', 'activo', 'mfaHabilitado', 'intentosFallidos', 'bloqueadoHasta', 'createdAt', 'updatedAt'],
       include: [
         {
           model: Role,
           as: 'rol',
           attributes: ['id', 'nombre', 'descripcion']
-        }
+        },
+        {
+          model: Branch,
+          as: 'sucursal',
+          attributes: ['id', 'nombre'],
+          required: false
+        },
+        invitationInclude()
       ],
       limit: parseInt(limit),
       offset: parseInt(offset),
@@ -66,6 +104,13 @@ const findAllUsers = async (filters = {}, pagination = {}) => {
       email: user.email,
       rolId: user.rolId,
       rolNombre: user.rol.nombre,
+      equipoId: user.equipoId,
+      sucursalId: user.sucursalId,
+      sucursalNombre: user.sucursal ? user.sucursal.nombre : null,
+      activo: user.activo,
+      mfaHabilitado: user.mfaHabilitado,
+      bloqueadoHasta: isLocked(user) ? user.bloqueadoHasta : null,
+      invitacionPendiente: isInvitationPending(user),
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
     }));
@@ -97,13 +142,20 @@ const findAllUsers = async (filters = {}, pagination = {}) => {
 const findUserById = async (id) => {
   try {
     const user = await User.findByPk(id, {
-      attributes: ['id', 'nombre', 'email', 'rolId', 'createdAt', 'updatedAt'],
+      attributes: ['id', 'nombre', 'email', 'rolId', 'equipoId', 'sucursalId', 'activo', 'mfaHabilitado', 'intentosFallidos', 'bloqueadoHasta', 'createdAt', 'updatedAt'],
       include: [
         {
           model: Role,
           as: 'rol',
           attributes: ['id', 'nombre', 'descripcion']
-        }
+        },
+        {
+          model: Branch,
+          as: 'sucursal',
+          attributes: ['id', 'nombre'],
+          required: false
+        },
+        invitationInclude()
       ]
     });
 
@@ -120,6 +172,13 @@ const findUserById = async (id) => {
       rolId: user.rolId,
       rolNombre: user.rol.nombre,
       rolDescripcion: user.rol.descripcion,
+      equipoId: user.equipoId,
+      sucursalId: user.sucursalId,
+      sucursalNombre: user.sucursal ? user.sucursal.nombre : null,
+      activo: user.activo,
+      mfaHabilitado: user.mfaHabilitado,
+      bloqueadoHasta: isLocked(user) ? user.bloqueadoHasta : null,
+      invitacionPendiente: isInvitationPending(user),
       createdAt: user.createdAt,
       updatedAt: user.updatedAt
     };
@@ -134,47 +193,76 @@ const findUserById = async (id) => {
   }
 };
 
+/**
+ * Assert Role Exists
+ * @param {Number} rolId - Role ID
+ * @throws {ValidationError} If no role has the ID
+ */
+const assertRoleExists = async (rolId) => {
+  const role = await Role.findByPk(parseInt(rolId), { attributes: ['id'] });
+
+  if (!role) {
+    throw new ValidationError('Invalid role ID');
+  }
+};
+
+/**
+ * Assert Email Available
+ * @param {String} email - Email of the new user
+ * @throws {DuplicateEntryError} If a user, even a deleted one, has the email
+ */
+const assertEmailAvailable = async (email) => {
+  // Deleted users keep their email reserved
+  const existingUser = await User.findOne({
+    where: { email: email.toLowerCase().trim() },
+    paranoid: false
+  });
+
+  if (existingUser) {
+    throw new DuplicateEntryError(existingUser.deletedAt
+      ? 'Email belongs to a deleted user, restore it instead'
+      : 'Email already exists');
+  }
+};
+
 /**
  * Create New User
  * Creates a new user with validation
- * @param {Object} userData - User data (nombre, email, password, rolId)
+ * @param {Object} userData - User data (nombre, email, password, rolId, sucursalId)
  * @returns {Object} Created user data
  */
 const createNewUser = async (userData) => {
   try {
-    const { nombre, email, password, rolId } = userData;
+    const { nombre, email, password, rolId, sucursalId } = userData;
 
     // Validate required fields
     if (!nombre || !email || !password || !rolId) {
       throw new ValidationError('All fields are required: nombre, email, password, rolId');
     }
 
-    // Validate role exists
-    const validRoles = [ROLES.ADMIN.ID, ROLES.ADVISOR.ID];
-    if (!validRoles.includes(parseInt(rolId))) {
-      throw new ValidationError('Invalid role ID');
+    await assertRoleExists(rolId);
+
+    if (sucursalId) {
+      await assertAssignableBranch(sucursalId);
     }
 
-    // Check if email already exists
-    const existingUser = await User.findOne({
-      where: { email: email.toLowerCase().trim() }
-    });
+    await assertEmailAvailable(email);
 
-    if (existingUser) {
-      throw new DuplicateEntryError('Email already exists');
-    }
+    await passwordPolicyService.assertPasswordAllowed({ nombre, email }, password);
 
     // Create user (password will be hashed by beforeCreate hook)
     const user = await User.create({
       nombre: nombre.trim(),
       email: email.toLowerCase().trim(),
       password,
-      rolId: parseInt(rolId)
+      passwordCambiadoEn: new Date(),
+      rolId: parseInt(rolId),
+      sucursalId: sucursalId ? parseInt(sucursalId) : null
     });
 
     // Load user with role
     const createdUser = await User.findByPk(user.id, {
-      attributes: ['id', 'nombre', 'email', 'rolId', 'createdAt'],
+      attributes: ['id', 'nombre', 'email', 'rolId', 'sucursalId', 'createdAt'],
       include: [
         {
           model: Role,
@@ -192,6 +280,7 @@ const createNewUser = async (userData) => {
       email: createdUser.email,
       rolId: createdUser.rolId,
       rolNombre: createdUser.rol.nombre,
+      sucursalId: createdUser.sucursalId,
       createdAt: createdUser.createdAt
     };
   } catch (error) {
@@ -209,7 +298,7 @@ const createNewUser = async (userData) => {
  * Update User by ID
  * Updates user data with validation
  * @param {Number} id - User ID
- * @param {Object} userData - User data to update (nombre, email, password, rolId)
+ * @param {Object} userData - User data to update (nombre, email, password, rolId, sucursalId)
  * @returns {Object} Updated user data
  */
 const updateUserById = async (id, userData) => {
@@ -235,7 +324,8 @@ const updateUserById = async (id, userData) => {
           where: {
             email: userData.email.toLowerCase().trim(),
             id: { [Op.ne]: id }
-          }
+          },
+          paranoid: false
         });
 
         if (existingUser) {
@@ -246,32 +336,44 @@ const updateUserById = async (id, userData) => {
       }
     }
 
-    if (userData.password !== undefined) {
-      // Password will be hashed by beforeUpdate hook
-      updateData.password = userData.password;
+    if (userData.rolId !== undefined) {
+      await assertRoleExists(userData.rolId);
+
+      updateData.rolId = parseInt(userData.rolId);
     }
 
-    if (userData.rolId !== undefined) {
-      // Validate role
-      const validRoles = [ROLES.ADMIN.ID, ROLES.ADVISOR.ID];
-      if (!validRoles.includes(parseInt(userData.rolId))) {
-        throw new ValidationError('Invalid role ID');
+    // null unassigns the branch; a user may keep a branch deactivated after it was assigned
+    if (userData.sucursalId !== undefined) {
+      if (userData.sucursalId && parseInt(userData.sucursalId) !== user.sucursalId) {
+        await assertAssignableBranch(userData.sucursalId);
       }
 
-      updateData.rolId = parseInt(userData.rolId);
+      updateData.sucursalId = userData.sucursalId ? parseInt(userData.sucursalId) : null;
     }
 
     // Check if there's anything to update
-    if (Object.keys(updateData).length === 0) {
+    if (Object.keys(updateData).length === 0 && userData.password === undefined) {
       throw new ValidationError('No fields to update');
     }
 
-    // Update user
-    await user.update(updateData);
+    // Update user; the password is checked against the policy with the updated name and email
+    await sequelize.transaction(async (transaction) => {
+      await user.update(updateData, { transaction });
+
+      if (userData.password !== undefined) {
+        await passwordPolicyService.setPassword(user, userData.password, { transaction });
+
+        // A password set by an admin also ends a pending invitation
+        await Invitation.update(
+          { aceptadoEn: new Date() },
+          { where: { usuarioId: id, aceptadoEn: null }, transaction }
+        );
+      }
+    });
 
     // Load updated user with role
     const updatedUser = await User.findByPk(id, {
-      attributes: ['id', 'nombre', 'email', 'rolId', 'updatedAt'],
+      attributes: ['id', 'nombre', 'email', 'rolId', 'sucursalId', 'updatedAt'],
       include: [
         {
           model: Role,
@@ -289,6 +391,7 @@ const updateUserById = async (id, userData) => {
       email: updatedUser.email,
       rolId: updatedUser.rolId,
       rolNombre: updatedUser.rol.nombre,
+      sucursalId: updatedUser.sucursalId,
       updatedAt: updatedUser.updatedAt
     };
   } catch (error) {
@@ -304,9 +407,42 @@ const updateUserById = async (id, userData) => {
   }
 };
 
+/**
+ * Update User Status
+ * Activates or deactivates a user; deactivated users cannot log in but keep
+ * their sales, history and team
+ * @param {Number} id - User ID
+ * @param {Boolean} activo - New status
+ * @returns {Object} Updated user data
+ */
+const updateUserStatus = async (id, activo) => {
+  try {
+    const user = await User.findByPk(id, { attributes: ['id', 'email', 'activo'] });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    await user.update({ activo });
+
+    logger.info(`User ${activo ? 'activated' : 'deactivated'}: ${user.email}`);
+
+    return findUserById(id);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+
+    logger.error('Error in updateUserStatus:', error);
+    throw error;
+  }
+};
+
 /**
  * Delete User by ID
- * Deletes a user (soft delete if configured, hard delete otherwise)
+ * Soft deletes a user (sets deletedAt); the user can no longer log in
+ * but their historical sales are kept
  * @param {Number} id - User ID
  * @returns {Boolean} Success status
  */
@@ -339,6 +475,99 @@ const deleteUserById = async (id) => {
   }
 };
 
+/**
+ * Find Deleted Users
+ * Retrieves soft-deleted users with pagination
+ * @param {Object} pagination - Pagination options (page, limit)
+ * @returns {Object} Deleted users list with pagination metadata
+ */
+const findDeletedUsers = async (pagination = {}) => {
+  try {
+    const { page = 1, limit = 10 } = pagination;
+
+    // Calculate offset
+    const offset = (page - 1) * limit;
+
+    // Query only soft-deleted users
+    const { count, rows: users } = await User.findAndCountAll({
+      where: { deletedAt: { [Op.ne]: null } },
+      paranoid: false,
+      attributes: ['id', 'nombre', 'email', 'rolId', 'createdAt', 'deletedAt'],
+      include: [
+        {
+          model: Role,
+          as: 'rol',
+          attributes: ['id', 'nombre']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['deletedAt', 'DESC']],
+      distinct: true
+    });
+
+    // Format users
+    const formattedUsers = users.map(user => ({
+      id: user.id,
+      nombre: user.nombre,
+      email: user.email,
+      rolId: user.rolId,
+      rolNombre: user.rol.nombre,
+      createdAt: user.createdAt,
+      deletedAt: user.deletedAt
+    }));
+
+    logger.debug(`Retrieved ${users.length} deleted users (total: ${count})`);
+
+    return {
+      users: formattedUsers,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Error in findDeletedUsers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore User by ID
+ * Restores a soft-deleted user, who can log in again
+ * @param {Number} id - User ID
+ * @returns {Object} Restored user data
+ */
+const restoreUserById = async (id) => {
+  try {
+    const user = await User.findByPk(id, { paranoid: false });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!user.deletedAt) {
+      throw new ValidationError('User is not deleted');
+    }
+
+    await user.restore();
+
+    logger.info(`User restored: ${user.email}`);
+
+    return findUserById(id);
+  } catch (error) {
+    // Re-throw known errors
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+
+    logger.error('Error in restoreUserById:', error);
+    throw error;
+  }
+};
+
 /**
  * Check if Email Exists
  * Checks if an email is already in use
@@ -356,7 +585,8 @@ const checkEmailExists = async (email, excludeUserId = null) => {
       whereClause.id = { [Op.ne]: excludeUserId };
     }
 
-    const user = await User.findOne({ where: whereClause });
+    // Deleted users keep their email reserved
+    const user = await User.findOne({ where: whereClause, paranoid: false });
 
     return !!user;
   } catch (error) {
@@ -367,23 +597,32 @@ const checkEmailExists = async (email, excludeUserId = null) => {
 
 /**
  * Get Users Count by Role
- * Returns count of users grouped by role
- * @returns {Object} User counts by role
+ * Returns count of users grouped by role, roles without users included
+ * @returns {Object} { roles: [{ id, nombre, total }], total }
  */
 const getUsersCountByRole = async () => {
   try {
-    const adminCount = await User.count({
-      where: { rolId: ROLES.ADMIN.ID }
+    const roles = await Role.findAll({
+      attributes: ['id', 'nombre'],
+      order: [['id', 'ASC']]
     });
 
-    const advisorCount = await User.count({
-      where: { rolId: ROLES.ADVISOR.ID }
+    const counts = await User.findAll({
+      attributes: ['rolId', [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+      group: ['rolId'],
+      raw: true
     });
 
+    const totals = new Map(counts.map(row => [row.rolId, parseInt(row.total)]));
+    const byRole = roles.map(role => ({
+      id: role.id,
+      nombre: role.nombre,
+      total: totals.get(role.id) || 0
+    }));
+
     return {
-      admin: adminCount,
-      advisor: advisorCount,
-      total: adminCount + advisorCount
+      roles: byRole,
+      total: byRole.reduce((sum, role) => sum + role.total, 0)
     };
   } catch (error) {
     logger.error('Error in getUsersCountByRole:', error);
@@ -392,11 +631,16 @@ const getUsersCountByRole = async () => {
 };
 
 module.exports = {
+  assertRoleExists,
+  assertEmailAvailable,
   findAllUsers,
   findUserById,
   createNewUser,
   updateUserById,
+  updateUserStatus,
   deleteUserById,
+  findDeletedUsers,
+  restoreUserById,
   checkEmailExists,
   getUsersCountByRole
 };
\ No newline at end of file
@@ -15,46 +15,79 @@ const ROLES = {
   ADVISOR: {
     ID: 2,
     NAME: 'Asesor'
+  },
+  SUPERVISOR: {
+    ID: 3,
+    NAME: 'Supervisor'
+  },
+  AUDITOR: {
+    ID: 4,
+    NAME: 'Auditor'
+  },
+  BACK_OFFICE: {
+    ID: 5,
+    NAME: 'Back-office'
   }
 };
 
+// Permission keys (permisos.clave) granted to roles through rol_permisos
+// ":own" permissions only apply to records created by the user, ":any" to every record
+const PERMISSIONS = {
+  SALES_READ_OWN: 'sales:read:own',
+  // Team scope: the user's own records and those of the members of the teams they supervise
+  SALES_READ_TEAM: 'sales:read:team',
+  SALES_READ_ANY: 'sales:read:any',
+  SALES_CREATE: 'sales:create',
+  SALES_UPDATE_OWN: 'sales:update:own',
+  SALES_UPDATE_TEAM: 'sales:update:team',
+  SALES_UPDATE_ANY: 'sales:update:any',
+  // Change the status of any sale without editing its amounts or details
+  SALES_STATUS_ANY: 'sales:status:any',
+  SALES_STATUS_ADVANCE: 'sales:status:advance',
+  SALES_STATUS_REVIEW: 'sales:status:review',
+  SALES_DELETE_OWN: 'sales:delete:own',
+  SALES_DELETE_TEAM: 'sales:delete:team',
+  SALES_DELETE_ANY: 'sales:delete:any',
+  SALES_RESTORE: 'sales:restore',
+  // Move sales to another advisor (e.g. when one leaves)
+  SALES_REASSIGN: 'sales:reassign',
+  CLIENTS_READ_OWN: 'clients:read:own',
+  CLIENTS_READ_ANY: 'clients:read:any',
+  CLIENTS_CREATE: 'clients:create',
+  CLIENTS_UPDATE: 'clients:update',
+  CLIENTS_DELETE: 'clients:delete',
+  STATS_READ_ADVISORS: 'stats:read:advisors',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  CATALOG_MANAGE: 'catalog:manage',
+  ROLES_MANAGE: 'roles:manage',
+  TEAMS_MANAGE: 'teams:manage',
+  USERS_IMPERSONATE: 'users:impersonate'
+};
+
 // Sale statuses
 const SALE_STATUSES = {
   OPEN: 'Abierto',
   IN_PROCESS: 'En Proceso',
-  FINISHED: 'Finalizado'
+  FINISHED: 'Finalizado',
+  REJECTED: 'Rechazado'
 };
 
-// Product type IDs (synced with database seeds)
-const PRODUCTS = {
-  CONSUMER_CREDIT: {
-    ID: 1,
-    NAME: 'Credito de Consumo'
-  },
-  FREE_INVESTMENT_PAYROLL: {
-    ID: 2,
-    NAME: 'Libranza Libre Inversión'
-  },
-  CREDIT_CARD: {
-    ID: 3,
-    NAME: 'Tarjeta de Credito'
-  }
+// Sale history (audit trail) actions
+const SALE_HISTORY_ACTIONS = {
+  CREATE: 'Creacion',
+  UPDATE: 'Actualizacion',
+  DELETE: 'Eliminacion',
+  RESTORE: 'Restauracion',
+  REASSIGN: 'Reasignacion'
 };
 
-// Franchise IDs (synced with database seeds)
-const FRANCHISES = {
-  AMEX: {
-    ID: 1,
-    NAME: 'AMEX'
-  },
-  VISA: {
-    ID: 2,
-    NAME: 'VISA'
-  },
-  MASTERCARD: {
-    ID: 3,
-    NAME: 'MASTERCARD'
-  }
+// Customer document types (Colombia)
+const DOCUMENT_TYPES = {
+  CC: 'CC', // Cedula de ciudadania
+  CE: 'CE', // Cedula de extranjeria
+  PASSPORT: 'PA',
+  NIT: 'NIT'
 };
 
 // HTTP Status codes
@@ -68,6 +101,7 @@ const HTTP_STATUS = {
   NOT_FOUND: 404,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500
 };
 
@@ -80,7 +114,10 @@ const ERROR_CODES = {
   DUPLICATE_ENTRY: 'DUPLICATE_ENTRY',
   SERVER_ERROR: 'SERVER_ERROR',
   CAPTCHA_ERROR: 'CAPTCHA_ERROR',
-  DATABASE_ERROR: 'DATABASE_ERROR'
+  DATABASE_ERROR: 'DATABASE_ERROR',
+  CONFLICT: 'CONFLICT',
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED'
 };
 
 // Validation rules
@@ -92,7 +129,24 @@ const VALIDATION = {
   EMAIL_MAX_LENGTH: 50,
   AMOUNT_MIN: 0.01,
   RATE_MIN: 0,
-  RATE_MAX: 100
+  RATE_MAX: 100,
+  CLIENT_NAME_MIN_LENGTH: 3,
+  CLIENT_NAME_MAX_LENGTH: 100,
+  CLIENT_EMAIL_MAX_LENGTH: 100,
+  DOCUMENT_NUMBER_MAX_LENGTH: 20,
+  PHONE_MAX_LENGTH: 20,
+  INCOME_MIN: 0,
+  PRODUCT_NAME_MIN_LENGTH: 3,
+  PRODUCT_NAME_MAX_LENGTH: 100,
+  FRANCHISE_NAME_MIN_LENGTH: 2,
+  FRANCHISE_NAME_MAX_LENGTH: 50,
+  ROLE_NAME_MIN_LENGTH: 3,
+  ROLE_NAME_MAX_LENGTH: 50,
+  TEAM_NAME_MIN_LENGTH: 3,
+  TEAM_NAME_MAX_LENGTH: 50,
+  BRANCH_NAME_MIN_LENGTH: 3,
+  BRANCH_NAME_MAX_LENGTH: 100,
+  SEARCH_MAX_LENGTH: 100
 };
 
 // Pagination defaults
@@ -102,20 +156,138 @@ const PAGINATION = {
   MAX_LIMIT: 100
 };
 
+// Bulk sale import (CSV/XLSX upload)
+const SALE_IMPORT = {
+  MAX_FILE_SIZE: 2 * 1024 * 1024, // 2 MB
+  MAX_ROWS: 500,
+  ALLOWED_EXTENSIONS: ['.csv', '.xlsx'],
+  COLUMNS: ['tipoDocumento', 'numeroDocumento', 'producto', 'cupoSolicitado', 'franquicia', 'tasa']
+};
+
+// Operations on several sales at once (POST /api/sales/reassign, PATCH /api/sales/bulk)
+const SALE_BULK = {
+  MAX_SALES: 500,
+  ACTIONS: {
+    STATUS: 'status',
+    REASSIGN: 'reassign',
+    DELETE: 'delete'
+  }
+};
+
+// Sale export formats (GET /api/sales/export)
+const SALE_EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  PDF: 'pdf'
+};
+
+// Sortable sale list columns (sortBy) and directions (sortDir)
+const SALE_SORT_FIELDS = ['createdAt', 'updatedAt', 'cupoSolicitado', 'tasa', 'estado', 'productoNombre', 'usuarioCreadorNombre'];
+
+const SORT_DIRECTIONS = {
+  ASC: 'asc',
+  DESC: 'desc'
+};
+
 // JWT Configuration
+// Access tokens are short-lived, refresh tokens are rotated on every use
 const JWT = {
-  DEFAULT_EXPIRATION: '24h',
+  ACCESS_EXPIRATION: '15m',
   REFRESH_EXPIRATION: '7d'
 };
 
+// Two-factor authentication (TOTP, RFC 6238)
+const MFA = {
+  ISSUER: 'Products Bank',
+  CODE_LENGTH: 6,
+  PERIOD_SECONDS: 30,
+  // Accepted clock drift, in periods before and after the current one
+  WINDOW: 1,
+  RECOVERY_CODES: 8,
+  // Lifetime of the token exchanged for a session after the second step
+  PENDING_EXPIRATION: '5m',
+  // purpose claim of pending tokens: code verification or forced enrolment
+  TOKEN_PURPOSES: {
+    VERIFY: 'mfa-verify',
+    SETUP: 'mfa-setup'
+  }
+};
+
+// Per-account protection against password guessing
+const LOGIN_LOCKOUT = {
+  // Failures after which every further attempt must wait a growing delay
+  DELAY_AFTER: 2,
+  // Delay after DELAY_AFTER failures, doubled on every further failure
+  BASE_DELAY_SECONDS: 2,
+  // Failures that lock the account for LOCK_DURATION (or until an admin unlocks it)
+  MAX_ATTEMPTS: 5,
+  LOCK_DURATION: '15m'
+};
+
+// login_intentos.motivo values
+const LOGIN_ATTEMPT_REASONS = {
+  SUCCESS: 'success',
+  MFA_PENDING: 'mfa_pending',
+  UNKNOWN_EMAIL: 'unknown_email',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_MFA_CODE: 'invalid_mfa_code',
+  PASSWORD_EXPIRED: 'password_expired',
+  LOCKED: 'locked',
+  INACTIVE: 'inactive'
+};
+
+// Password policy, mirrored by the frontend strength feedback
+// HISTORY_SIZE and MAX_AGE_DAYS can be overridden with PASSWORD_HISTORY_SIZE and PASSWORD_MAX_AGE_DAYS
+const PASSWORD_POLICY = {
+  // Required classes out of lowercase, uppercase, digit and symbol
+  MIN_CHARACTER_CLASSES: 3,
+  // Name and email parts at least this long must not appear in the password
+  PERSONAL_INFO_MIN_LENGTH: 4,
+  // Recent passwords that cannot be reused, the current one included (0 disables the check)
+  HISTORY_SIZE: 5,
+  // Days after which the password must be changed at the next login (0 disables expiry)
+  MAX_AGE_DAYS: 0,
+  // Token returned by the login when the password expired, it only allows changing it
+  CHANGE_TOKEN_EXPIRATION: '10m',
+  CHANGE_TOKEN_PURPOSE: 'password-change'
+};
+
+// Self-service password reset
+const PASSWORD_RESET = {
+  // Lifetime of a reset link
+  EXPIRATION: '1h',
+  // Random bytes per reset token (43 base64url characters)
+  TOKEN_BYTES: 32
+};
+
+// User invitations: the invited user chooses their password from an emailed link
+const INVITATION = {
+  // Lifetime of an invitation link, resending starts it again
+  EXPIRATION: '7d',
+  // Random bytes per invitation token (43 base64url characters)
+  TOKEN_BYTES: 32
+};
+
 module.exports = {
   ROLES,
+  PERMISSIONS,
   SALE_STATUSES,
-  PRODUCTS,
-  FRANCHISES,
+  SALE_HISTORY_ACTIONS,
+  DOCUMENT_TYPES,
   HTTP_STATUS,
   ERROR_CODES,
   VALIDATION,
   PAGINATION,
-  JWT
+  SALE_IMPORT,
+  SALE_BULK,
+  SALE_EXPORT_FORMATS,
+  SALE_SORT_FIELDS,
+  SORT_DIRECTIONS,
+  JWT,
+  MFA,
+  LOGIN_LOCKOUT,
+  LOGIN_ATTEMPT_REASONS,
+  PASSWORD_POLICY,
+  PASSWORD_RESET,
+  INVITATION
 };
\ No newline at end of file
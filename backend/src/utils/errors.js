@@ -72,6 +72,41 @@ class DuplicateEntryError extends AppError {
   }
 }
 
+/**
+ * Conflict Error - 409
+ * Used when an operation conflicts with the current state of a resource
+ * (e.g. deleting a record that is still referenced)
+ */
+class ConflictError extends AppError {
+  constructor(message = 'Resource conflict', details = null) {
+    super(message, HTTP_STATUS.CONFLICT, ERROR_CODES.CONFLICT);
+    this.details = details;
+  }
+}
+
+/**
+ * Invalid Status Transition Error - 422
+ * Used when a sale is moved to a status not reachable from its current one
+ */
+class InvalidStatusTransitionError extends AppError {
+  constructor(message = 'Invalid status transition', details = null) {
+    super(message, HTTP_STATUS.UNPROCESSABLE_ENTITY, ERROR_CODES.INVALID_STATUS_TRANSITION);
+    this.details = details;
+  }
+}
+
+/**
+ * Account Locked Error - 429
+ * Used when an account must wait before the next login attempt
+ * (progressive delay or lockout after repeated failures)
+ */
+class AccountLockedError extends AppError {
+  constructor(message = 'Account temporarily locked', details = null) {
+    super(message, HTTP_STATUS.TOO_MANY_REQUESTS, ERROR_CODES.ACCOUNT_LOCKED);
+    this.details = details;
+  }
+}
+
 /**
  * Database Error - 500
  * Used for database-related errors
@@ -109,6 +144,9 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   DuplicateEntryError,
+  ConflictError,
+  AccountLockedError,
+  InvalidStatusTransitionError,
   DatabaseError,
   CaptchaError,
   ServerError
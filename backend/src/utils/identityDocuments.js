@@ -0,0 +1,157 @@
+/**
+ * Colombian Identity Documents
+ * Format rules for cedulas de ciudadania (CC), cedulas de extranjeria (CE),
+ * passports (PA) and NITs, including the DIAN verification digit
+ * Synchronized with frontend/src/utils/identityDocuments.js
+ */
+
+'use strict';
+
+const { DOCUMENT_TYPES } = require('./constants');
+
+// Format rules per document type, applied to the normalized number
+const DOCUMENT_RULES = {
+  [DOCUMENT_TYPES.CC]: {
+    pattern: /^[1-9][0-9]{5,9}$/,
+    message: 'Cedula de ciudadania must have 6 to 10 digits and cannot start with 0'
+  },
+  [DOCUMENT_TYPES.CE]: {
+    pattern: /^[0-9]{6,10}$/,
+    message: 'Cedula de extranjeria must have 6 to 10 digits'
+  },
+  [DOCUMENT_TYPES.PASSPORT]: {
+    pattern: /^[A-Z0-9]{6,20}$/,
+    message: 'Passport must have 6 to 20 letters or digits'
+  },
+  [DOCUMENT_TYPES.NIT]: {
+    pattern: /^[0-9]{8,15}-[0-9]$/,
+    message: 'NIT must have 8 to 15 digits followed by its verification digit'
+  }
+};
+
+// DIAN weights, applied from the rightmost digit of the NIT base
+const NIT_WEIGHTS = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71];
+
+/**
+ * Calculate NIT Check Digit
+ * DIAN modulo 11 algorithm
+ * @param {String} base - NIT digits without the verification digit
+ * @returns {Number} Verification digit (0-9)
+ */
+const calculateNitCheckDigit = (base) => {
+  const digits = String(base).split('').reverse();
+
+  const sum = digits.reduce(
+    (total, digit, index) => total + parseInt(digit) * NIT_WEIGHTS[index],
+    0
+  );
+
+  const remainder = sum % 11;
+  return remainder > 1 ? 11 - remainder : remainder;
+};
+
+/**
+ * Normalize Document Number
+ * Removes separators users usually type (dots, spaces) and upper-cases passports
+ * A NIT is returned as "base-dv"; without a hyphen the last digit is taken as the dv
+ * @param {String} type - Document type
+ * @param {String} number - Document number as typed
+ * @returns {String} Normalized document number
+ */
+const normalizeDocumentNumber = (type, number) => {
+  if (number === undefined || number === null) {
+    return number;
+  }
+
+  const value = String(number).trim().toUpperCase().replace(/[\s.]/g, '');
+
+  if (type === DOCUMENT_TYPES.NIT && /^[0-9]+$/.test(value) && value.length > 1) {
+    return `${value.slice(0, -1)}-${value.slice(-1)}`;
+  }
+
+  if (type === DOCUMENT_TYPES.PASSPORT) {
+    return value.replace(/-/g, '');
+  }
+
+  return value;
+};
+
+/**
+ * Get Document Error
+ * @param {String} type - Document type
+ * @param {String} number - Document number (normalized or as typed)
+ * @returns {String|null} Error message, null when the document is valid
+ */
+const getDocumentError = (type, number) => {
+  const rule = DOCUMENT_RULES[type];
+
+  if (!rule) {
+    return 'Invalid document type';
+  }
+
+  const value = normalizeDocumentNumber(type, number);
+
+  if (!value || !rule.pattern.test(value)) {
+    return rule.message;
+  }
+
+  if (type === DOCUMENT_TYPES.NIT) {
+    const [base, checkDigit] = value.split('-');
+    if (calculateNitCheckDigit(base) !== parseInt(checkDigit)) {
+      return 'NIT verification digit is incorrect';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check if Document is Valid
+ * @param {String} type - Document type
+ * @param {String} number - Document number
+ * @returns {Boolean} True if the number is valid for the type
+ */
+const isValidDocument = (type, number) => getDocumentError(type, number) === null;
+
+/**
+ * Document Number Validator
+ * express-validator custom validator; reads the type from req.body.tipoDocumento
+ * Skips the check when the type is missing, the service validates partial updates
+ * @param {String} value - Document number
+ * @param {Object} meta - express-validator meta ({ req })
+ * @returns {Boolean} True if valid
+ * @throws {Error} With the rule message if invalid
+ */
+const documentNumberValidator = (value, { req }) => {
+  const type = req.body.tipoDocumento;
+
+  if (!type) {
+    return true;
+  }
+
+  const error = getDocumentError(type, value);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return true;
+};
+
+/**
+ * Document Number Sanitizer
+ * express-validator custom sanitizer, stores numbers in normalized form
+ * @param {String} value - Document number
+ * @param {Object} meta - express-validator meta ({ req })
+ * @returns {String} Normalized document number
+ */
+const documentNumberSanitizer = (value, { req }) => normalizeDocumentNumber(req.body.tipoDocumento, value);
+
+module.exports = {
+  DOCUMENT_RULES,
+  calculateNitCheckDigit,
+  normalizeDocumentNumber,
+  getDocumentError,
+  isValidDocument,
+  documentNumberValidator,
+  documentNumberSanitizer
+};
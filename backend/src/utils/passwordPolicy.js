@@ -0,0 +1,135 @@
+/**
+ * Password Policy
+ * Rules every new password must meet: length, character classes, no name or
+ * email parts and not in the bundled list of common passwords
+ * History and expiry need the database, see services/passwordPolicyService.js
+ * Synchronized with frontend/src/utils/passwordPolicy.js
+ */
+
+'use strict';
+
+const { VALIDATION, PASSWORD_POLICY } = require('./constants');
+const { ValidationError } = require('./errors');
+const COMMON_PASSWORDS = new Set(require('./commonPasswords.json'));
+
+// Character classes counted against PASSWORD_POLICY.MIN_CHARACTER_CLASSES
+const CHARACTER_CLASSES = {
+  lowercase: /\p{Ll}/u,
+  uppercase: /\p{Lu}/u,
+  digit: /\d/,
+  symbol: /[^\p{L}\d]/u
+};
+
+// Common character substitutions ("P@ssw0rd" is still "password")
+const SUBSTITUTIONS = {
+  '@': 'a',
+  '4': 'a',
+  '3': 'e',
+  '1': 'i',
+  '!': 'i',
+  '0': 'o',
+  '$': 's',
+  '5': 's',
+  '7': 't'
+};
+
+/**
+ * Normalize Text
+ * @param {String} text - Text to normalize
+ * @returns {String} Lowercase text without accents
+ */
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Get Character Classes
+ * @param {String} password - Password
+ * @returns {Array} Names of the CHARACTER_CLASSES present in the password
+ */
+const getCharacterClasses = (password) => Object.keys(CHARACTER_CLASSES)
+  .filter((name) => CHARACTER_CLASSES[name].test(password));
+
+/**
+ * Get Personal Info Parts
+ * @param {Object} user - { nombre, email }
+ * @returns {Array} Normalized name words and email parts long enough to be checked
+ */
+const getPersonalInfoParts = ({ nombre, email } = {}) => {
+  const localPart = normalize(email).split('@')[0];
+  const parts = [
+    ...normalize(nombre).split(/\s+/),
+    localPart,
+    ...localPart.split(/[._+-]+/)
+  ];
+
+  return [...new Set(parts)].filter((part) => part.length >= PASSWORD_POLICY.PERSONAL_INFO_MIN_LENGTH);
+};
+
+/**
+ * Is Common Password
+ * Also catches common passwords with leading/trailing digits or symbols
+ * and the usual character substitutions ("Password123!", "P@ssw0rd")
+ * @param {String} password - Password
+ * @returns {Boolean} Whether the password is in the common password list
+ */
+const isCommonPassword = (password) => {
+  const lower = normalize(password);
+  const base = lower.replace(/^\d+/, '').replace(/[\d\W_]+$/, '');
+  const unsubstituted = base.replace(/[@4310!$57]/g, (char) => SUBSTITUTIONS[char]);
+
+  return [lower, base, unsubstituted].some((candidate) => candidate && COMMON_PASSWORDS.has(candidate));
+};
+
+/**
+ * Get Password Policy Errors
+ * @param {String} password - Password to check
+ * @param {Object} user - { nombre, email } of the account, omitted parts are not checked
+ * @returns {Array} Error messages, empty when the password meets the policy
+ */
+const getPasswordPolicyErrors = (password, user = {}) => {
+  const errors = [];
+  const value = String(password || '');
+
+  if (value.length < VALIDATION.PASSWORD_MIN_LENGTH || value.length > VALIDATION.PASSWORD_MAX_LENGTH) {
+    errors.push(`Password must be between ${VALIDATION.PASSWORD_MIN_LENGTH} and ${VALIDATION.PASSWORD_MAX_LENGTH} characters`);
+  }
+
+  if (getCharacterClasses(value).length < PASSWORD_POLICY.MIN_CHARACTER_CLASSES) {
+    errors.push(`Password must contain at least ${PASSWORD_POLICY.MIN_CHARACTER_CLASSES} of: lowercase letters, uppercase letters, numbers and symbols`);
+  }
+
+  const normalized = normalize(value);
+  if (getPersonalInfoParts(user).some((part) => normalized.includes(part))) {
+    errors.push('Password must not contain your name or email');
+  }
+
+  if (isCommonPassword(value)) {
+    errors.push('Password is too common, choose a less predictable one');
+  }
+
+  return errors;
+};
+
+/**
+ * Assert Password Policy
+ * @param {String} password - Password to check
+ * @param {Object} user - { nombre, email } of the account
+ * @param {String} field - Request field reported in the error details
+ * @throws {ValidationError} If the password does not meet the policy
+ */
+const assertPasswordPolicy = (password, user = {}, field = 'password') => {
+  const errors = getPasswordPolicyErrors(password, user);
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors[0], errors.map((message) => ({ field, message })));
+  }
+};
+
+module.exports = {
+  getCharacterClasses,
+  isCommonPassword,
+  getPasswordPolicyErrors,
+  assertPasswordPolicy
+};
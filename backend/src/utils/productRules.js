@@ -0,0 +1,85 @@
+/**
+ * Product Rules
+ * Checks a sale against the rules configured on its product
+ * (franchise required, rate required, amount and rate limits)
+ */
+
+'use strict';
+
+const { ValidationError } = require('./errors');
+
+/**
+ * Check if Value is Set
+ * @param {*} value - Value to check
+ * @returns {Boolean} True if the value is neither undefined, null nor an empty string
+ */
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Get Product Rule Errors
+ * @param {Object} product - Product instance or plain object with its rules
+ * @param {Object} sale - Sale values ({ cupoSolicitado, franquiciaId, tasa })
+ * @returns {Array} Field errors as [{ field, message }], empty when the sale is valid
+ */
+const getProductRuleErrors = (product, sale) => {
+  const errors = [];
+  const { cupoSolicitado, franquiciaId, tasa } = sale;
+
+  // Franchise
+  if (product.requiresFranchise && !isSet(franquiciaId)) {
+    errors.push({ field: 'franquiciaId', message: `Franchise is required for ${product.nombre}` });
+  }
+  if (!product.requiresFranchise && isSet(franquiciaId)) {
+    errors.push({ field: 'franquiciaId', message: `Franchise is not applicable to ${product.nombre}` });
+  }
+
+  // Rate
+  if (product.requiresRate && !isSet(tasa)) {
+    errors.push({ field: 'tasa', message: `Rate is required for ${product.nombre}` });
+  }
+  if (!product.requiresRate && isSet(tasa)) {
+    errors.push({ field: 'tasa', message: `Rate is not applicable to ${product.nombre}` });
+  }
+  if (product.requiresRate && isSet(tasa)) {
+    const rate = parseFloat(tasa);
+    if (isSet(product.minRate) && rate < parseFloat(product.minRate)) {
+      errors.push({ field: 'tasa', message: `Rate must be at least ${parseFloat(product.minRate)}` });
+    }
+    if (isSet(product.maxRate) && rate > parseFloat(product.maxRate)) {
+      errors.push({ field: 'tasa', message: `Rate must not exceed ${parseFloat(product.maxRate)}` });
+    }
+  }
+
+  // Amount
+  if (isSet(cupoSolicitado)) {
+    const amount = parseFloat(cupoSolicitado);
+    if (isSet(product.minAmount) && amount < parseFloat(product.minAmount)) {
+      errors.push({ field: 'cupoSolicitado', message: `Amount must be at least ${parseFloat(product.minAmount)}` });
+    }
+    if (isSet(product.maxAmount) && amount > parseFloat(product.maxAmount)) {
+      errors.push({ field: 'cupoSolicitado', message: `Amount must not exceed ${parseFloat(product.maxAmount)}` });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Assert Product Rules
+ * Throws if the sale does not follow the rules of its product
+ * @param {Object} product - Product instance
+ * @param {Object} sale - Sale values ({ cupoSolicitado, franquiciaId, tasa })
+ * @throws {ValidationError} With the first rule message and every field error as details
+ */
+const assertProductRules = (product, sale) => {
+  const errors = getProductRuleErrors(product, sale);
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors[0].message, errors);
+  }
+};
+
+module.exports = {
+  getProductRuleErrors,
+  assertProductRules
+};
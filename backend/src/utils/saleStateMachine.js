@@ -0,0 +1,121 @@
+/**
+ * Sale Status State Machine
+ * Defines the allowed sale status transitions and the permission each one requires
+ * Synchronized with SALE_STATUS_TRANSITIONS in shared/constants.js
+ */
+
+'use strict';
+
+const { PERMISSIONS, SALE_STATUSES } = require('./constants');
+const { hasPermission } = require('./permissions');
+const { InvalidStatusTransitionError, AuthorizationError } = require('./errors');
+
+// Status every new sale starts in
+const INITIAL_SALE_STATUS = SALE_STATUSES.OPEN;
+
+// Transition table: from status -> { to status: permission required to perform it }
+// Abierto → En Proceso → Finalizado, with a rejection path from the open states
+const SALE_STATUS_TRANSITIONS = {
+  [SALE_STATUSES.OPEN]: {
+    [SALE_STATUSES.IN_PROCESS]: PERMISSIONS.SALES_STATUS_ADVANCE,
+    [SALE_STATUSES.REJECTED]: PERMISSIONS.SALES_STATUS_ADVANCE
+  },
+  [SALE_STATUSES.IN_PROCESS]: {
+    [SALE_STATUSES.OPEN]: PERMISSIONS.SALES_STATUS_REVIEW,
+    [SALE_STATUSES.FINISHED]: PERMISSIONS.SALES_STATUS_REVIEW,
+    [SALE_STATUSES.REJECTED]: PERMISSIONS.SALES_STATUS_REVIEW
+  },
+  [SALE_STATUSES.FINISHED]: {},
+  [SALE_STATUSES.REJECTED]: {}
+};
+
+/**
+ * Get All Sale Statuses
+ * @returns {Array} Every status known to the state machine
+ */
+const getAllStatuses = () => Object.keys(SALE_STATUS_TRANSITIONS);
+
+/**
+ * Check if Status is Terminal
+ * @param {String} status - Sale status
+ * @returns {Boolean} True if no transition leaves this status
+ */
+const isTerminalStatus = (status) => {
+  const transitions = SALE_STATUS_TRANSITIONS[status];
+  return !!transitions && Object.keys(transitions).length === 0;
+};
+
+/**
+ * Get Allowed Transitions
+ * Returns the statuses a user with the given permissions can move a sale to
+ * @param {String} fromStatus - Current sale status
+ * @param {Array} userPermissions - User's permission keys
+ * @returns {Array} Reachable statuses (excluding the current one)
+ */
+const getAllowedTransitions = (fromStatus, userPermissions) => {
+  const transitions = SALE_STATUS_TRANSITIONS[fromStatus] || {};
+
+  return Object.keys(transitions)
+    .filter(toStatus => hasPermission(userPermissions, transitions[toStatus]));
+};
+
+/**
+ * Check Transition
+ * Keeping the current status is always allowed
+ * @param {String} fromStatus - Current sale status
+ * @param {String} toStatus - Requested sale status
+ * @param {Array} userPermissions - User's permission keys
+ * @returns {Boolean} True if the user may perform the transition
+ */
+const canTransition = (fromStatus, toStatus, userPermissions) => {
+  if (fromStatus === toStatus) {
+    return true;
+  }
+
+  return getAllowedTransitions(fromStatus, userPermissions).includes(toStatus);
+};
+
+/**
+ * Assert Transition
+ * Throws if the requested transition is not allowed
+ * @param {String} fromStatus - Current sale status
+ * @param {String} toStatus - Requested sale status
+ * @param {Array} userPermissions - User's permission keys
+ * @throws {InvalidStatusTransitionError} If the transition does not exist
+ * @throws {AuthorizationError} If the transition exists but the user lacks its permission
+ */
+const assertTransition = (fromStatus, toStatus, userPermissions) => {
+  if (fromStatus === toStatus) {
+    return;
+  }
+
+  const transitions = SALE_STATUS_TRANSITIONS[fromStatus] || {};
+  const requiredPermission = transitions[toStatus];
+
+  if (!requiredPermission) {
+    throw new InvalidStatusTransitionError(
+      `Cannot change sale status from '${fromStatus}' to '${toStatus}'`,
+      {
+        currentStatus: fromStatus,
+        requestedStatus: toStatus,
+        allowedStatuses: getAllowedTransitions(fromStatus, userPermissions)
+      }
+    );
+  }
+
+  if (!hasPermission(userPermissions, requiredPermission)) {
+    throw new AuthorizationError(
+      `You are not allowed to change sale status from '${fromStatus}' to '${toStatus}'`
+    );
+  }
+};
+
+module.exports = {
+  INITIAL_SALE_STATUS,
+  SALE_STATUS_TRANSITIONS,
+  getAllStatuses,
+  isTerminalStatus,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition
+};
@@ -0,0 +1,164 @@
+/**
+ * TOTP (RFC 6238)
+ * Time-based one-time passwords compatible with Google Authenticator,
+ * Microsoft Authenticator and similar apps: HMAC-SHA1, 6 digits, 30 s periods
+ * Secrets are exchanged in base32 (RFC 4648) as authenticator apps expect
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { MFA } = require('./constants');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 160-bit secrets, the size recommended by RFC 4226
+const SECRET_BYTES = 20;
+
+/**
+ * Base32 Encode
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string without padding
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Base32 Decode
+ * Spaces, padding and lower case are tolerated
+ * @param {String} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate Secret
+ * @returns {String} Random base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Generate Code
+ * HOTP (RFC 4226) value for a time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step (Unix time / period)
+ * @returns {String} Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** MFA.CODE_LENGTH)).padStart(MFA.CODE_LENGTH, '0');
+};
+
+/**
+ * Get Current Step
+ * @param {Number} now - Timestamp in milliseconds (defaults to now)
+ * @returns {Number} Current time step
+ */
+const getCurrentStep = (now = Date.now()) => Math.floor(now / 1000 / MFA.PERIOD_SECONDS);
+
+/**
+ * Verify Code
+ * Accepts codes from MFA.WINDOW periods around the current one (clock drift)
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code typed by the user
+ * @param {Number} now - Timestamp in milliseconds (defaults to now)
+ * @returns {Number|null} Matching time step, null when the code is wrong
+ */
+const verifyCode = (secret, code, now = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== MFA.CODE_LENGTH) {
+    return null;
+  }
+
+  const currentStep = getCurrentStep(now);
+
+  for (let drift = -MFA.WINDOW; drift <= MFA.WINDOW; drift++) {
+    const step = currentStep + drift;
+    const expected = generateCode(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build Provisioning URI
+ * otpauth:// URI shown as a QR code by the enrolment screen
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Account label (user email)
+ * @returns {String} otpauth URI
+ */
+const buildProvisioningUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${MFA.ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: MFA.ISSUER,
+    algorithm: 'SHA1',
+    digits: String(MFA.CODE_LENGTH),
+    period: String(MFA.PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getCurrentStep,
+  verifyCode,
+  buildProvisioningUri
+};
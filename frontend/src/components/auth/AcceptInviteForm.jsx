@@ -0,0 +1,216 @@
+/**
+ * Accept Invite Form Component
+ * An invited user chooses their password with the token from the emailed link
+ */
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Paper,
+  Container,
+  InputAdornment,
+  IconButton,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
+import authService from '../../services/authService';
+import {
+  acceptInvitation,
+  resetAuth,
+  clearError,
+  selectAuthLoading,
+  selectAuthError
+} from '../../store/slices/authSlice';
+import { showSuccess } from '../../store/slices/uiSlice';
+import PasswordStrengthMeter from '../common/PasswordStrengthMeter';
+import { getPasswordPolicyError } from '../../utils/passwordPolicy';
+
+const AcceptInviteForm = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { token } = useParams();
+  const loading = useSelector(selectAuthLoading);
+  const error = useSelector(selectAuthError);
+
+  // Invited { nombre, email }, null while loading
+  const [invitation, setInvitation] = useState(null);
+  const [invitationError, setInvitationError] = useState('');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [validationError, setValidationError] = useState('');
+
+  useEffect(() => {
+    dispatch(clearError());
+
+    authService.getInvitation(token)
+      .then((response) => setInvitation(response.data))
+      .catch((err) => {
+        setInvitationError(err.response?.data?.error?.message || 'No se pudo verificar la invitación');
+      });
+  }, [dispatch, token]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setValidationError('');
+  };
+
+  const validateForm = () => {
+    const policyError = getPasswordPolicyError(formData.password, invitation);
+    if (policyError) {
+      setValidationError(policyError);
+      return false;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      setValidationError('Las contraseñas no coinciden');
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    const result = await dispatch(acceptInvitation({ token, password: formData.password }));
+
+    if (acceptInvitation.fulfilled.match(result)) {
+      // The link may have been opened while someone else was logged in this browser
+      dispatch(resetAuth());
+      dispatch(showSuccess('Cuenta activada. Inicia sesión con tu nueva contraseña'));
+      navigate('/login');
+    }
+  };
+
+  const passwordAdornment = {
+    endAdornment: (
+      <InputAdornment position="end">
+        <IconButton onClick={() => setShowPassword(!showPassword)} edge="end">
+          {showPassword ? <VisibilityOffIcon /> : <VisibilityIcon />}
+        </IconButton>
+      </InputAdornment>
+    )
+  };
+
+  const renderContent = () => {
+    if (invitationError) {
+      return (
+        <>
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {invitationError}
+          </Alert>
+          <Typography variant="body2" color="text.secondary" align="center">
+            Pide a un administrador que te envíe una nueva invitación.
+          </Typography>
+        </>
+      );
+    }
+
+    if (!invitation) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+
+    return (
+      <>
+        <Typography variant="body1" sx={{ mb: 2 }}>
+          Hola <strong>{invitation.nombre}</strong>, elige la contraseña de tu cuenta{' '}
+          <strong>{invitation.email}</strong>.
+        </Typography>
+
+        {(error || validationError) && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {validationError || error}
+          </Alert>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <TextField
+            fullWidth
+            label="Contraseña"
+            name="password"
+            type={showPassword ? 'text' : 'password'}
+            value={formData.password}
+            onChange={handleChange}
+            required
+            margin="normal"
+            autoComplete="new-password"
+            InputProps={passwordAdornment}
+          />
+          <PasswordStrengthMeter password={formData.password} user={invitation} historyHint={false} />
+
+          <TextField
+            fullWidth
+            label="Confirmar Contraseña"
+            name="confirmPassword"
+            type={showPassword ? 'text' : 'password'}
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            required
+            margin="normal"
+            autoComplete="new-password"
+          />
+
+          <Button
+            type="submit"
+            fullWidth
+            variant="contained"
+            size="large"
+            sx={{ mt: 3 }}
+            disabled={loading}
+          >
+            {loading ? 'Guardando...' : 'Activar Cuenta'}
+          </Button>
+        </form>
+      </>
+    );
+  };
+
+  return (
+    <Container maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center'
+        }}
+      >
+        <Paper sx={{ p: 4, width: '100%' }}>
+          <Box sx={{ textAlign: 'center', mb: 4 }}>
+            <Typography variant="h4" gutterBottom color="primary" fontWeight="bold">
+              Products Bank
+            </Typography>
+            <Typography variant="h6" color="text.secondary">
+              Activar Cuenta
+            </Typography>
+          </Box>
+
+          {renderContent()}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default AcceptInviteForm;
@@ -0,0 +1,136 @@
+/**
+ * Expired Password Form Component
+ * Login step shown when the password expired: a new one must be chosen
+ * before the session starts
+ */
+
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  TextField,
+  Button,
+  Alert,
+  InputAdornment,
+  IconButton
+} from '@mui/material';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
+import PasswordStrengthMeter from '../common/PasswordStrengthMeter';
+import { changeExpiredPassword, selectAuthLoading, selectAuthError } from '../../store/slices/authSlice';
+import { getPasswordPolicyError } from '../../utils/passwordPolicy';
+
+const ExpiredPasswordForm = ({ passwordToken, email, currentPassword, onComplete, onCancel }) => {
+  const dispatch = useDispatch();
+  const loading = useSelector(selectAuthLoading);
+  const error = useSelector(selectAuthError);
+
+  const [formData, setFormData] = useState({
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [validationError, setValidationError] = useState('');
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setValidationError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const policyError = getPasswordPolicyError(formData.newPassword, { email });
+    if (policyError) {
+      setValidationError(policyError);
+      return;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setValidationError('Las contraseñas no coinciden');
+      return;
+    }
+
+    const result = await dispatch(changeExpiredPassword({
+      passwordToken,
+      currentPassword,
+      newPassword: formData.newPassword
+    }));
+
+    if (changeExpiredPassword.fulfilled.match(result)) {
+      onComplete();
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Tu contraseña venció. Elige una nueva para continuar.
+      </Alert>
+
+      {(error || validationError) && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {validationError || error}
+        </Alert>
+      )}
+
+      <TextField
+        fullWidth
+        label="Nueva Contraseña"
+        name="newPassword"
+        type={showPassword ? 'text' : 'password'}
+        value={formData.newPassword}
+        onChange={handleChange}
+        required
+        autoFocus
+        margin="normal"
+        autoComplete="new-password"
+        InputProps={{
+          endAdornment: (
+            <InputAdornment position="end">
+              <IconButton onClick={() => setShowPassword(!showPassword)} edge="end">
+                {showPassword ? <VisibilityOffIcon /> : <VisibilityIcon />}
+              </IconButton>
+            </InputAdornment>
+          )
+        }}
+      />
+      <PasswordStrengthMeter password={formData.newPassword} user={{ email }} />
+
+      <TextField
+        fullWidth
+        label="Confirmar Nueva Contraseña"
+        name="confirmPassword"
+        type={showPassword ? 'text' : 'password'}
+        value={formData.confirmPassword}
+        onChange={handleChange}
+        required
+        margin="normal"
+        autoComplete="new-password"
+      />
+
+      <Button
+        type="submit"
+        fullWidth
+        variant="contained"
+        size="large"
+        sx={{ mt: 3 }}
+        disabled={loading}
+      >
+        {loading ? 'Guardando...' : 'Cambiar Contraseña'}
+      </Button>
+      <Button
+        fullWidth
+        sx={{ mt: 1 }}
+        onClick={onCancel}
+        disabled={loading}
+      >
+        Volver
+      </Button>
+    </form>
+  );
+};
+
+export default ExpiredPasswordForm;
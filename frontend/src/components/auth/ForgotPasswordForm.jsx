@@ -0,0 +1,170 @@
+/**
+ * Forgot Password Form Component
+ * Requests a password reset link by email, with reCAPTCHA
+ */
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Paper,
+  Container,
+  InputAdornment,
+  Alert,
+  Link
+} from '@mui/material';
+import EmailIcon from '@mui/icons-material/Email';
+import ReCAPTCHA from 'react-google-recaptcha';
+import {
+  forgotPassword,
+  clearError,
+  selectAuthLoading,
+  selectAuthError
+} from '../../store/slices/authSlice';
+
+const ForgotPasswordForm = () => {
+  const dispatch = useDispatch();
+  const loading = useSelector(selectAuthLoading);
+  const error = useSelector(selectAuthError);
+
+  const [formData, setFormData] = useState({
+    email: '',
+    captchaToken: ''
+  });
+  const [captchaError, setCaptchaError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  const RECAPTCHA_SITE_KEY = process.env.REACT_APP_RECAPTCHA_SITE_KEY;
+
+  useEffect(() => {
+    dispatch(clearError());
+  }, [dispatch]);
+
+  const handleCaptchaChange = (token) => {
+    setFormData({
+      ...formData,
+      captchaToken: token
+    });
+    setCaptchaError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Validate captcha
+    if (!formData.captchaToken) {
+      setCaptchaError('Por favor completa el captcha');
+      return;
+    }
+
+    const result = await dispatch(forgotPassword(formData));
+
+    if (forgotPassword.fulfilled.match(result)) {
+      setSent(true);
+    }
+  };
+
+  return (
+    <Container maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center'
+        }}
+      >
+        <Paper sx={{ p: 4, width: '100%' }}>
+          <Box sx={{ textAlign: 'center', mb: 4 }}>
+            <Typography variant="h4" gutterBottom color="primary" fontWeight="bold">
+              Products Bank
+            </Typography>
+            <Typography variant="h6" color="text.secondary">
+              Recuperar Contraseña
+            </Typography>
+          </Box>
+
+          {sent ? (
+            <Alert severity="success">
+              Si el email está registrado, recibirás un enlace para restablecer tu contraseña.
+              Revisa tu bandeja de entrada; el enlace vence en una hora.
+            </Alert>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <Typography variant="body2" color="text.secondary" paragraph>
+                Ingresa el email de tu cuenta y te enviaremos un enlace para elegir una nueva contraseña.
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
+              <TextField
+                fullWidth
+                label="Email"
+                name="email"
+                type="email"
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                required
+                margin="normal"
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <EmailIcon color="action" />
+                    </InputAdornment>
+                  )
+                }}
+              />
+
+              <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
+                {RECAPTCHA_SITE_KEY && RECAPTCHA_SITE_KEY !== 'your_recaptcha_site_key_from_google' ? (
+                  <ReCAPTCHA
+                    sitekey={RECAPTCHA_SITE_KEY}
+                    onChange={handleCaptchaChange}
+                    hl="es"
+                  />
+                ) : (
+                  <Alert severity="warning" sx={{ width: '100%' }}>
+                    reCAPTCHA no configurado. Por favor configura REACT_APP_RECAPTCHA_SITE_KEY en el archivo .env
+                  </Alert>
+                )}
+              </Box>
+
+              {captchaError && (
+                <Alert severity="error" sx={{ mt: 2 }}>
+                  {captchaError}
+                </Alert>
+              )}
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                sx={{ mt: 3 }}
+                disabled={loading}
+              >
+                {loading ? 'Enviando...' : 'Enviar enlace'}
+              </Button>
+            </form>
+          )}
+
+          <Box sx={{ mt: 3, textAlign: 'center' }}>
+            <Link component={RouterLink} to="/login" variant="body2">
+              Volver a iniciar sesión
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ForgotPasswordForm;
@@ -1,11 +1,13 @@
 /**
  * Login Form Component
  * User authentication form with reCAPTCHA
+ * Second step for two-factor authentication (code, or enrolment when the role requires it)
+ * and the change of an expired password
  */
 
 import { useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
 import {
   Box,
   TextField,
@@ -15,21 +17,37 @@ import {
   Container,
   InputAdornment,
   IconButton,
-  Alert
+  Alert,
+  Link
 } from '@mui/material';
 import EmailIcon from '@mui/icons-material/Email';
 import LockIcon from '@mui/icons-material/Lock';
 import VisibilityIcon from '@mui/icons-material/Visibility';
 import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
+import SecurityIcon from '@mui/icons-material/Security';
 import ReCAPTCHA from 'react-google-recaptcha';
-import { login, selectAuthLoading, selectAuthError } from '../../store/slices/authSlice';
+import {
+  login,
+  verifyMfa,
+  completeMfaLogin,
+  cancelMfa,
+  cancelPasswordChange,
+  selectAuthLoading,
+  selectAuthError,
+  selectMfaChallenge,
+  selectPasswordChange
+} from '../../store/slices/authSlice';
 import { showSuccess } from '../../store/slices/uiSlice';
+import MfaEnrollment from './MfaEnrollment';
+import ExpiredPasswordForm from './ExpiredPasswordForm';
 
 const LoginForm = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const loading = useSelector(selectAuthLoading);
   const error = useSelector(selectAuthError);
+  const mfa = useSelector(selectMfaChallenge);
+  const passwordChange = useSelector(selectPasswordChange);
 
   const [formData, setFormData] = useState({
     email: '',
@@ -38,6 +56,7 @@ const LoginForm = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [captchaError, setCaptchaError] = useState('');
+  const [mfaCode, setMfaCode] = useState('');
 
   const RECAPTCHA_SITE_KEY = process.env.REACT_APP_RECAPTCHA_SITE_KEY;
 
@@ -68,12 +87,49 @@ const LoginForm = () => {
     // Dispatch login action
     const result = await dispatch(login(formData));
 
-    if (login.fulfilled.match(result)) {
+    // Stay on the form when a second factor or a password change is needed
+    if (login.fulfilled.match(result) && !result.payload.mfaRequired && !result.payload.passwordChangeRequired) {
+      dispatch(showSuccess('Inicio de sesión exitoso'));
+      navigate('/dashboard');
+    }
+  };
+
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+
+    const result = await dispatch(verifyMfa({ mfaToken: mfa.token, code: mfaCode }));
+
+    if (verifyMfa.fulfilled.match(result) && !result.payload.passwordChangeRequired) {
+      dispatch(showSuccess('Inicio de sesión exitoso'));
+      navigate('/dashboard');
+    }
+  };
+
+  const handleMfaEnrolled = (session) => {
+    dispatch(completeMfaLogin(session));
+
+    if (!session.passwordChangeRequired) {
       dispatch(showSuccess('Inicio de sesión exitoso'));
       navigate('/dashboard');
     }
   };
 
+  const handlePasswordChanged = () => {
+    dispatch(showSuccess('Contraseña actualizada. Inicio de sesión exitoso'));
+    navigate('/dashboard');
+  };
+
+  const handlePasswordChangeCancel = () => {
+    setFormData({ ...formData, password: '' });
+    dispatch(cancelPasswordChange());
+  };
+
+  const handleMfaCancel = () => {
+    setMfaCode('');
+    setFormData({ ...formData, password: '' });
+    dispatch(cancelMfa());
+  };
+
   const handleTogglePassword = () => {
     setShowPassword(!showPassword);
   };
@@ -98,87 +154,169 @@ const LoginForm = () => {
             </Typography>
           </Box>
 
-          {error && (
+          {passwordChange && (
+            <ExpiredPasswordForm
+              passwordToken={passwordChange.token}
+              email={formData.email}
+              currentPassword={formData.password}
+              onComplete={handlePasswordChanged}
+              onCancel={handlePasswordChangeCancel}
+            />
+          )}
+
+          {mfa && mfa.setupRequired && (
+            <>
+              <Alert severity="info" icon={<SecurityIcon />} sx={{ mb: 2 }}>
+                Tu rol requiere autenticación de dos factores. Configúrala para continuar.
+              </Alert>
+              <MfaEnrollment
+                mfaToken={mfa.token}
+                onComplete={handleMfaEnrolled}
+                onCancel={handleMfaCancel}
+              />
+            </>
+          )}
+
+          {mfa && !mfa.setupRequired && (
+            <form onSubmit={handleMfaSubmit}>
+              <Typography variant="body2" color="text.secondary" paragraph>
+                Ingresa el código de tu aplicación de autenticación o uno de tus códigos de recuperación.
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
+              <TextField
+                fullWidth
+                label="Código de verificación"
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                margin="normal"
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <SecurityIcon color="action" />
+                    </InputAdornment>
+                  )
+                }}
+              />
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                sx={{ mt: 3 }}
+                disabled={loading || !mfaCode.trim()}
+              >
+                {loading ? 'Verificando...' : 'Verificar'}
+              </Button>
+              <Button
+                fullWidth
+                sx={{ mt: 1 }}
+                onClick={handleMfaCancel}
+                disabled={loading}
+              >
+                Volver
+              </Button>
+            </form>
+          )}
+
+          {!mfa && !passwordChange && error && (
             <Alert severity="error" sx={{ mb: 2 }}>
               {error}
             </Alert>
           )}
 
-          <form onSubmit={handleSubmit}>
-            <TextField
-              fullWidth
-              label="Email"
-              name="email"
-              type="email"
-              value={formData.email}
-              onChange={handleChange}
-              required
-              margin="normal"
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <EmailIcon color="action" />
-                  </InputAdornment>
-                )
-              }}
-            />
+          {!mfa && !passwordChange && (
+            <form onSubmit={handleSubmit}>
+              <TextField
+                fullWidth
+                label="Email"
+                name="email"
+                type="email"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                margin="normal"
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <EmailIcon color="action" />
+                    </InputAdornment>
+                  )
+                }}
+              />
 
-            <TextField
-              fullWidth
-              label="Contraseña"
-              name="password"
-              type={showPassword ? 'text' : 'password'}
-              value={formData.password}
-              onChange={handleChange}
-              required
-              margin="normal"
-              InputProps={{
-                startAdornment: (
-                  <InputAdornment position="start">
-                    <LockIcon color="action" />
-                  </InputAdornment>
-                ),
-                endAdornment: (
-                  <InputAdornment position="end">
-                    <IconButton onClick={handleTogglePassword} edge="end">
-                      {showPassword ? <VisibilityOffIcon /> : <VisibilityIcon />}
-                    </IconButton>
-                  </InputAdornment>
-                )
-              }}
-            />
+              <TextField
+                fullWidth
+                label="Contraseña"
+                name="password"
+                type={showPassword ? 'text' : 'password'}
+                value={formData.password}
+                onChange={handleChange}
+                required
+                margin="normal"
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <LockIcon color="action" />
+                    </InputAdornment>
+                  ),
+                  endAdornment: (
+                    <InputAdornment position="end">
+                      <IconButton onClick={handleTogglePassword} edge="end">
+                        {showPassword ? <VisibilityOffIcon /> : <VisibilityIcon />}
+                      </IconButton>
+                    </InputAdornment>
+                  )
+                }}
+              />
+
+              <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
+                {RECAPTCHA_SITE_KEY && RECAPTCHA_SITE_KEY !== 'your_recaptcha_site_key_from_google' ? (
+                  <ReCAPTCHA
+                    sitekey={RECAPTCHA_SITE_KEY}
+                    onChange={handleCaptchaChange}
+                    hl="es"
+                  />
+                ) : (
+                  <Alert severity="warning" sx={{ width: '100%' }}>
+                    reCAPTCHA no configurado. Por favor configura REACT_APP_RECAPTCHA_SITE_KEY en el archivo .env
+                  </Alert>
+                )}
+              </Box>
 
-            <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
-              {RECAPTCHA_SITE_KEY && RECAPTCHA_SITE_KEY !== 'your_recaptcha_site_key_from_google' ? (
-                <ReCAPTCHA
-                  sitekey={RECAPTCHA_SITE_KEY}
-                  onChange={handleCaptchaChange}
-                  hl="es"
-                />
-              ) : (
-                <Alert severity="warning" sx={{ width: '100%' }}>
-                  reCAPTCHA no configurado. Por favor configura REACT_APP_RECAPTCHA_SITE_KEY en el archivo .env
+              {captchaError && (
+                <Alert severity="error" sx={{ mt: 2 }}>
+                  {captchaError}
                 </Alert>
               )}
-            </Box>
 
-            {captchaError && (
-              <Alert severity="error" sx={{ mt: 2 }}>
-                {captchaError}
-              </Alert>
-            )}
-
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              size="large"
-              sx={{ mt: 3 }}
-              disabled={loading}
-            >
-              {loading ? 'Iniciando sesión...' : 'Iniciar Sesión'}
-            </Button>
-          </form>
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                sx={{ mt: 3 }}
+                disabled={loading}
+              >
+                {loading ? 'Iniciando sesión...' : 'Iniciar Sesión'}
+              </Button>
+
+              <Box sx={{ mt: 2, textAlign: 'center' }}>
+                <Link component={RouterLink} to="/forgot-password" variant="body2">
+                  ¿Olvidaste tu contraseña?
+                </Link>
+              </Box>
+            </form>
+          )}
 
           <Box sx={{ mt: 3, textAlign: 'center' }}>
             <Typography variant="caption" color="text.secondary">
@@ -0,0 +1,188 @@
+/**
+ * MFA Enrollment Component
+ * Two-factor setup: QR code for the authenticator app, confirmation code
+ * and the one-time display of the recovery codes
+ * Used from the profile and from the login when the role requires 2FA
+ */
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { QRCodeSVG } from 'qrcode.react';
+import { setupMfa, enableMfa, selectAuthLoading, selectAuthError } from '../../store/slices/authSlice';
+import { showSuccess } from '../../store/slices/uiSlice';
+import { MFA } from '../../constants';
+
+const MfaEnrollment = ({ mfaToken, onComplete, onCancel }) => {
+  const dispatch = useDispatch();
+  const loading = useSelector(selectAuthLoading);
+  const error = useSelector(selectAuthError);
+
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+
+  // Start enrolment when the component is shown
+  useEffect(() => {
+    let cancelled = false;
+
+    const startSetup = async () => {
+      const response = await dispatch(setupMfa(mfaToken));
+      if (!cancelled && setupMfa.fulfilled.match(response)) {
+        setSetup(response.payload);
+      }
+    };
+
+    startSetup();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch, mfaToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const response = await dispatch(enableMfa(mfaToken ? { code, mfaToken } : { code }));
+
+    if (enableMfa.fulfilled.match(response)) {
+      dispatch(showSuccess('Autenticación de dos factores activada'));
+      setResult(response.payload);
+    }
+  };
+
+  const handleCopyCodes = () => {
+    navigator.clipboard?.writeText(result.recoveryCodes.join('\n'));
+  };
+
+  // Step 3: recovery codes, shown only once
+  if (result) {
+    return (
+      <Box>
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Guarda estos códigos de recuperación en un lugar seguro. Cada uno sirve una sola vez
+          si pierdes acceso a tu aplicación de autenticación y no se volverán a mostrar.
+        </Alert>
+
+        <Box
+          sx={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(2, 1fr)',
+            gap: 1,
+            p: 2,
+            mb: 2,
+            bgcolor: 'grey.100',
+            borderRadius: 1,
+            fontFamily: 'monospace',
+            textAlign: 'center'
+          }}
+        >
+          {result.recoveryCodes.map((recoveryCode) => (
+            <Typography key={recoveryCode} variant="body1" fontFamily="monospace">
+              {recoveryCode}
+            </Typography>
+          ))}
+        </Box>
+
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button variant="outlined" startIcon={<ContentCopyIcon />} onClick={handleCopyCodes}>
+            Copiar
+          </Button>
+          <Button variant="contained" onClick={() => onComplete(result)}>
+            Ya guardé los códigos
+          </Button>
+        </Box>
+      </Box>
+    );
+  }
+
+  // Step 1: waiting for the secret
+  if (!setup) {
+    return (
+      <Box>
+        {error ? (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        ) : (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+        {onCancel && (
+          <Button onClick={onCancel}>Cancelar</Button>
+        )}
+      </Box>
+    );
+  }
+
+  // Step 2: scan and confirm
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Escanea el código QR con Google Authenticator, Microsoft Authenticator u otra aplicación
+        compatible e ingresa el código de {MFA.CODE_LENGTH} dígitos que muestra.
+      </Typography>
+
+      <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
+        <QRCodeSVG value={setup.otpauthUrl} size={180} />
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" align="center">
+        ¿No puedes escanearlo? Ingresa esta clave manualmente:
+      </Typography>
+      <Typography
+        variant="body2"
+        align="center"
+        fontFamily="monospace"
+        sx={{ wordBreak: 'break-all', mb: 2 }}
+      >
+        {setup.secret}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <TextField
+          fullWidth
+          label="Código de verificación"
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, MFA.CODE_LENGTH))}
+          required
+          autoFocus
+          autoComplete="one-time-code"
+          inputProps={{ inputMode: 'numeric' }}
+        />
+
+        <Box sx={{ mt: 2, display: 'flex', gap: 2 }}>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={loading || code.length !== MFA.CODE_LENGTH}
+          >
+            {loading ? 'Verificando...' : 'Activar'}
+          </Button>
+          {onCancel && (
+            <Button variant="outlined" onClick={onCancel} disabled={loading}>
+              Cancelar
+            </Button>
+          )}
+        </Box>
+      </form>
+    </Box>
+  );
+};
+
+export default MfaEnrollment;
@@ -0,0 +1,179 @@
+/**
+ * Reset Password Form Component
+ * Sets a new password with the token from the emailed reset link
+ */
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate, useParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  TextField,
+  Button,
+  Typography,
+  Paper,
+  Container,
+  InputAdornment,
+  IconButton,
+  Alert,
+  Link
+} from '@mui/material';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
+import {
+  resetPassword,
+  resetAuth,
+  clearError,
+  selectAuthLoading,
+  selectAuthError
+} from '../../store/slices/authSlice';
+import { showSuccess } from '../../store/slices/uiSlice';
+import PasswordStrengthMeter from '../common/PasswordStrengthMeter';
+import { getPasswordPolicyError } from '../../utils/passwordPolicy';
+
+const ResetPasswordForm = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { token } = useParams();
+  const loading = useSelector(selectAuthLoading);
+  const error = useSelector(selectAuthError);
+
+  const [formData, setFormData] = useState({
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [validationError, setValidationError] = useState('');
+
+  useEffect(() => {
+    dispatch(clearError());
+  }, [dispatch]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setValidationError('');
+  };
+
+  const validateForm = () => {
+    // Name and email are checked by the server, the reset link doesn't carry them
+    const policyError = getPasswordPolicyError(formData.newPassword);
+    if (policyError) {
+      setValidationError(policyError);
+      return false;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setValidationError('Las contraseñas no coinciden');
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    const result = await dispatch(resetPassword({ token, newPassword: formData.newPassword }));
+
+    if (resetPassword.fulfilled.match(result)) {
+      // Every session was revoked, including one open in this browser
+      dispatch(resetAuth());
+      dispatch(showSuccess('Contraseña restablecida. Inicia sesión con tu nueva contraseña'));
+      navigate('/login');
+    }
+  };
+
+  const passwordAdornment = {
+    endAdornment: (
+      <InputAdornment position="end">
+        <IconButton onClick={() => setShowPassword(!showPassword)} edge="end">
+          {showPassword ? <VisibilityOffIcon /> : <VisibilityIcon />}
+        </IconButton>
+      </InputAdornment>
+    )
+  };
+
+  return (
+    <Container maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center'
+        }}
+      >
+        <Paper sx={{ p: 4, width: '100%' }}>
+          <Box sx={{ textAlign: 'center', mb: 4 }}>
+            <Typography variant="h4" gutterBottom color="primary" fontWeight="bold">
+              Products Bank
+            </Typography>
+            <Typography variant="h6" color="text.secondary">
+              Nueva Contraseña
+            </Typography>
+          </Box>
+
+          {(error || validationError) && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {validationError || error}
+            </Alert>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <TextField
+              fullWidth
+              label="Nueva Contraseña"
+              name="newPassword"
+              type={showPassword ? 'text' : 'password'}
+              value={formData.newPassword}
+              onChange={handleChange}
+              required
+              margin="normal"
+              autoComplete="new-password"
+              InputProps={passwordAdornment}
+            />
+            <PasswordStrengthMeter password={formData.newPassword} />
+
+            <TextField
+              fullWidth
+              label="Confirmar Nueva Contraseña"
+              name="confirmPassword"
+              type={showPassword ? 'text' : 'password'}
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              required
+              margin="normal"
+              autoComplete="new-password"
+            />
+
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              size="large"
+              sx={{ mt: 3 }}
+              disabled={loading}
+            >
+              {loading ? 'Guardando...' : 'Restablecer Contraseña'}
+            </Button>
+          </form>
+
+          <Box sx={{ mt: 3, textAlign: 'center' }}>
+            <Link component={RouterLink} to="/forgot-password" variant="body2">
+              Solicitar un nuevo enlace
+            </Link>
+          </Box>
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ResetPasswordForm;
@@ -0,0 +1,121 @@
+/**
+ * Branch Form Component
+ * Form for creating and editing bank branches (catalog:manage)
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  TextField,
+  Grid,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import FormDialog from '../common/FormDialog';
+import { VALIDATION } from '../../constants';
+
+const EMPTY_FORM = {
+  nombre: '',
+  ciudad: '',
+  activo: true
+};
+
+const BranchForm = ({
+  open = false,
+  onClose = () => {},
+  onSubmit = () => {},
+  initialData = null,
+  loading = false
+}) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  // Set initial data when editing
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        nombre: initialData.nombre || '',
+        ciudad: initialData.ciudad || '',
+        activo: initialData.activo
+      });
+    } else {
+      setFormData(EMPTY_FORM);
+    }
+  }, [initialData, open]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSwitchChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.checked
+    });
+  };
+
+  const handleSubmit = () => {
+    onSubmit({
+      nombre: formData.nombre.trim(),
+      ciudad: formData.ciudad.trim() || null,
+      activo: formData.activo
+    });
+  };
+
+  return (
+    <FormDialog
+      open={open}
+      title={initialData ? 'Editar Sucursal' : 'Nueva Sucursal'}
+      onClose={onClose}
+      onSubmit={handleSubmit}
+      loading={loading}
+      maxWidth="xs"
+    >
+      <Grid container spacing={2}>
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            label="Nombre"
+            name="nombre"
+            value={formData.nombre}
+            onChange={handleChange}
+            required
+            inputProps={{
+              minLength: VALIDATION.BRANCH_NAME_MIN_LENGTH,
+              maxLength: VALIDATION.BRANCH_NAME_MAX_LENGTH
+            }}
+          />
+        </Grid>
+
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            label="Ciudad"
+            name="ciudad"
+            value={formData.ciudad}
+            onChange={handleChange}
+            inputProps={{ maxLength: 100 }}
+          />
+        </Grid>
+
+        {initialData && (
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={
+                <Switch
+                  name="activo"
+                  checked={formData.activo}
+                  onChange={handleSwitchChange}
+                />
+              }
+              label="Activa (se le pueden asignar usuarios)"
+            />
+          </Grid>
+        )}
+      </Grid>
+    </FormDialog>
+  );
+};
+
+export default BranchForm;
@@ -0,0 +1,189 @@
+/**
+ * Client Form Component
+ * Form for creating and editing clients (customers)
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  TextField,
+  MenuItem,
+  Grid
+} from '@mui/material';
+import FormDialog from '../common/FormDialog';
+import { DOCUMENT_TYPES, DOCUMENT_TYPE_LABELS } from '../../constants';
+import { normalizeDocumentNumber } from '../../utils/identityDocuments';
+import { clientSchema, getValidationErrors } from '../../utils/validationSchemas';
+
+const EMPTY_FORM = {
+  tipoDocumento: DOCUMENT_TYPES.CC,
+  numeroDocumento: '',
+  nombreCompleto: '',
+  telefono: '',
+  email: '',
+  ingresosMensuales: ''
+};
+
+const ClientForm = ({
+  open = false,
+  onClose = () => {},
+  onSubmit = () => {},
+  initialData = null,
+  loading = false
+}) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+
+  // Set initial data when editing
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        tipoDocumento: initialData.tipoDocumento || DOCUMENT_TYPES.CC,
+        numeroDocumento: initialData.numeroDocumento || '',
+        nombreCompleto: initialData.nombreCompleto || '',
+        telefono: initialData.telefono || '',
+        email: initialData.email || '',
+        ingresosMensuales: initialData.ingresosMensuales ?? ''
+      });
+    } else {
+      setFormData(EMPTY_FORM);
+    }
+    setErrors({});
+  }, [initialData, open]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value
+    });
+
+    // The document number is validated against the type, so both errors go together
+    const clearedFields = name === 'tipoDocumento' ? [name, 'numeroDocumento'] : [name];
+    setErrors(prev => {
+      const next = { ...prev };
+      clearedFields.forEach(field => delete next[field]);
+      return next;
+    });
+  };
+
+  const handleSubmit = () => {
+    const validationErrors = getValidationErrors(clientSchema, formData);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    const submitData = {
+      tipoDocumento: formData.tipoDocumento,
+      numeroDocumento: normalizeDocumentNumber(formData.tipoDocumento, formData.numeroDocumento),
+      nombreCompleto: formData.nombreCompleto.trim(),
+      telefono: formData.telefono.trim() || null,
+      email: formData.email.trim().toLowerCase() || null,
+      ingresosMensuales: formData.ingresosMensuales !== ''
+        ? parseFloat(formData.ingresosMensuales)
+        : null
+    };
+
+    onSubmit(submitData);
+  };
+
+  return (
+    <FormDialog
+      open={open}
+      title={initialData ? 'Editar Cliente' : 'Nuevo Cliente'}
+      onClose={onClose}
+      onSubmit={handleSubmit}
+      loading={loading}
+      maxWidth="sm"
+    >
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={5}>
+          <TextField
+            fullWidth
+            select
+            label="Tipo de Documento"
+            name="tipoDocumento"
+            value={formData.tipoDocumento}
+            onChange={handleChange}
+            error={!!errors.tipoDocumento}
+            helperText={errors.tipoDocumento}
+            required
+          >
+            {Object.values(DOCUMENT_TYPES).map((type) => (
+              <MenuItem key={type} value={type}>
+                {DOCUMENT_TYPE_LABELS[type]}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+
+        <Grid item xs={12} sm={7}>
+          <TextField
+            fullWidth
+            label="Número de Documento"
+            name="numeroDocumento"
+            value={formData.numeroDocumento}
+            onChange={handleChange}
+            error={!!errors.numeroDocumento}
+            helperText={errors.numeroDocumento || (formData.tipoDocumento === DOCUMENT_TYPES.NIT ? 'Incluya el dígito de verificación, p. ej. 900123456-8' : '')}
+            required
+          />
+        </Grid>
+
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            label="Nombre Completo"
+            name="nombreCompleto"
+            value={formData.nombreCompleto}
+            onChange={handleChange}
+            error={!!errors.nombreCompleto}
+            helperText={errors.nombreCompleto}
+            required
+          />
+        </Grid>
+
+        <Grid item xs={12} sm={6}>
+          <TextField
+            fullWidth
+            label="Teléfono"
+            name="telefono"
+            value={formData.telefono}
+            onChange={handleChange}
+            error={!!errors.telefono}
+            helperText={errors.telefono}
+          />
+        </Grid>
+
+        <Grid item xs={12} sm={6}>
+          <TextField
+            fullWidth
+            label="Email"
+            name="email"
+            type="email"
+            value={formData.email}
+            onChange={handleChange}
+            error={!!errors.email}
+            helperText={errors.email}
+          />
+        </Grid>
+
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            label="Ingresos Mensuales"
+            name="ingresosMensuales"
+            type="number"
+            value={formData.ingresosMensuales}
+            onChange={handleChange}
+            error={!!errors.ingresosMensuales}
+            helperText={errors.ingresosMensuales}
+            inputProps={{ min: 0, step: 1000 }}
+          />
+        </Grid>
+      </Grid>
+    </FormDialog>
+  );
+};
+
+export default ClientForm;
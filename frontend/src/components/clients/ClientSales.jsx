@@ -0,0 +1,115 @@
+/**
+ * Client Sales Component
+ * Dialog listing the sales made to a client
+ */
+
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Chip } from '@mui/material';
+import FormDialog from '../common/FormDialog';
+import DataTable from '../common/DataTable';
+import {
+  fetchClientSales,
+  clearClientSales,
+  selectClientSales,
+  selectClientSalesPagination,
+  selectClientSalesLoading
+} from '../../store/slices/clientSlice';
+
+const ClientSales = ({
+  open = false,
+  onClose = () => {},
+  client = null
+}) => {
+  const dispatch = useDispatch();
+  const sales = useSelector(selectClientSales);
+  const pagination = useSelector(selectClientSalesPagination);
+  const loading = useSelector(selectClientSalesLoading);
+
+  // Load the client's sales when opened
+  useEffect(() => {
+    if (open && client) {
+      dispatch(fetchClientSales({ id: client.id, params: { page: 1, limit: 10 } }));
+    }
+  }, [open, client, dispatch]);
+
+  const handleClose = () => {
+    dispatch(clearClientSales());
+    onClose();
+  };
+
+  const handlePageChange = (page) => {
+    dispatch(fetchClientSales({ id: client.id, params: { page, limit: pagination.limit } }));
+  };
+
+  const handleRowsPerPageChange = (limit) => {
+    dispatch(fetchClientSales({ id: client.id, params: { page: 1, limit } }));
+  };
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('es-CO', {
+      style: 'currency',
+      currency: 'COP',
+      minimumFractionDigits: 0
+    }).format(value);
+  };
+
+  const columns = [
+    {
+      id: 'id',
+      label: 'ID',
+      minWidth: 50
+    },
+    {
+      id: 'productoNombre',
+      label: 'Producto',
+      minWidth: 150
+    },
+    {
+      id: 'cupoSolicitado',
+      label: 'Monto',
+      minWidth: 120,
+      align: 'right',
+      render: (row) => formatCurrency(row.cupoSolicitado)
+    },
+    {
+      id: 'estado',
+      label: 'Estado',
+      minWidth: 120,
+      render: (row) => <Chip label={row.estado} size="small" />
+    },
+    {
+      id: 'usuarioCreadorNombre',
+      label: 'Asesor',
+      minWidth: 150
+    },
+    {
+      id: 'createdAt',
+      label: 'Fecha',
+      minWidth: 120,
+      render: (row) => new Date(row.createdAt).toLocaleDateString('es-CO')
+    }
+  ];
+
+  return (
+    <FormDialog
+      open={open}
+      title={client ? `Ventas de ${client.nombreCompleto}` : 'Ventas del Cliente'}
+      onClose={handleClose}
+      maxWidth="md"
+      showActions={false}
+    >
+      <DataTable
+        columns={columns}
+        data={sales}
+        loading={loading}
+        pagination={pagination}
+        onPageChange={handlePageChange}
+        onRowsPerPageChange={handleRowsPerPageChange}
+        emptyMessage="Este cliente no tiene ventas registradas"
+      />
+    </FormDialog>
+  );
+};
+
+export default ClientSales;
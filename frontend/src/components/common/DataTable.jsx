@@ -1,6 +1,9 @@
 /**
  * DataTable Component
  * Reusable table with pagination and sorting
+ * Extra row actions: actions = [{ id, label, icon, color, onClick(row), hidden(row) }]
+ * Row selection (selectable): selected is the array of selected row ids, kept by the
+ * parent across pages; onSelectionChange(ids) receives the new array
  */
 
 import {
@@ -11,6 +14,8 @@ import {
   TableHead,
   TableRow,
   TablePagination,
+  TableSortLabel,
+  Checkbox,
   Paper,
   IconButton,
   Tooltip,
@@ -32,7 +37,14 @@ const DataTable = ({
   onEdit = null,
   onDelete = null,
   onView = null,
-  emptyMessage = 'No hay datos disponibles'
+  actions = [],
+  emptyMessage = 'No hay datos disponibles',
+  sortBy = null,
+  sortDir = 'desc',
+  onSort = null,
+  selectable = false,
+  selected = [],
+  onSelectionChange = () => {}
 }) => {
   const handleChangePage = (event, newPage) => {
     onPageChange(newPage + 1);
@@ -42,22 +54,69 @@ const DataTable = ({
     onRowsPerPageChange(parseInt(event.target.value, 10));
   };
 
+  // Clicking the sorted column flips the direction, a new column starts descending
+  const handleSort = (columnId) => {
+    const direction = sortBy === columnId && sortDir === 'desc' ? 'asc' : 'desc';
+    onSort(columnId, direction);
+  };
+
+  const hasActions = Boolean(onEdit || onDelete || onView || actions.length > 0);
+  const colSpan = columns.length + 1 + (selectable ? 1 : 0);
+
+  // Header checkbox acts on the rows of the current page only
+  const pageIds = data.map((row) => row.id);
+  const selectedOnPage = pageIds.filter((id) => selected.includes(id)).length;
+
+  const handleSelectPage = (event) => {
+    onSelectionChange(event.target.checked
+      ? [...selected, ...pageIds.filter((id) => !selected.includes(id))]
+      : selected.filter((id) => !pageIds.includes(id)));
+  };
+
+  const handleSelectRow = (id) => {
+    onSelectionChange(selected.includes(id)
+      ? selected.filter((selectedId) => selectedId !== id)
+      : [...selected, id]);
+  };
+
   return (
     <Paper>
       <TableContainer>
         <Table>
           <TableHead>
             <TableRow>
+              {selectable && (
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    checked={data.length > 0 && selectedOnPage === data.length}
+                    indeterminate={selectedOnPage > 0 && selectedOnPage < data.length}
+                    onChange={handleSelectPage}
+                    disabled={loading || data.length === 0}
+                    inputProps={{ 'aria-label': 'Seleccionar página' }}
+                  />
+                </TableCell>
+              )}
               {columns.map((column) => (
                 <TableCell
                   key={column.id}
                   align={column.align || 'left'}
                   style={{ minWidth: column.minWidth }}
+                  sortDirection={sortBy === column.id ? sortDir : false}
                 >
-                  {column.label}
+                  {column.sortable && onSort ? (
+                    <TableSortLabel
+                      active={sortBy === column.id}
+                      direction={sortBy === column.id ? sortDir : 'desc'}
+                      onClick={() => handleSort(column.id)}
+                    >
+                      {column.label}
+                    </TableSortLabel>
+                  ) : (
+                    column.label
+                  )}
                 </TableCell>
               ))}
-              {(onEdit || onDelete || onView) && (
+              {hasActions && (
                 <TableCell align="center">Acciones</TableCell>
               )}
             </TableRow>
@@ -65,7 +124,7 @@ const DataTable = ({
           <TableBody>
             {loading ? (
               <TableRow>
-                <TableCell colSpan={columns.length + 1} align="center">
+                <TableCell colSpan={colSpan} align="center">
                   <Box sx={{ py: 4 }}>
                     <CircularProgress />
                   </Box>
@@ -73,7 +132,7 @@ const DataTable = ({
               </TableRow>
             ) : data.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={columns.length + 1} align="center">
+                <TableCell colSpan={colSpan} align="center">
                   <Box sx={{ py: 4 }}>
                     <Typography color="text.secondary">{emptyMessage}</Typography>
                   </Box>
@@ -81,13 +140,22 @@ const DataTable = ({
               </TableRow>
             ) : (
               data.map((row, index) => (
-                <TableRow hover key={row.id || index}>
+                <TableRow hover key={row.id || index} selected={selectable && selected.includes(row.id)}>
+                  {selectable && (
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        checked={selected.includes(row.id)}
+                        onChange={() => handleSelectRow(row.id)}
+                        inputProps={{ 'aria-label': `Seleccionar fila ${row.id}` }}
+                      />
+                    </TableCell>
+                  )}
                   {columns.map((column) => (
                     <TableCell key={column.id} align={column.align || 'left'}>
                       {column.render ? column.render(row) : row[column.id]}
                     </TableCell>
                   ))}
-                  {(onEdit || onDelete || onView) && (
+                  {hasActions && (
                     <TableCell align="center">
                       <Box sx={{ display: 'flex', justifyContent: 'center', gap: 1 }}>
                         {onView && (
@@ -123,6 +191,19 @@ const DataTable = ({
                             </IconButton>
                           </Tooltip>
                         )}
+                        {actions
+                          .filter((action) => !action.hidden || !action.hidden(row))
+                          .map((action) => (
+                            <Tooltip key={action.id} title={action.label}>
+                              <IconButton
+                                size="small"
+                                color={action.color || 'default'}
+                                onClick={() => action.onClick(row)}
+                              >
+                                {action.icon}
+                              </IconButton>
+                            </Tooltip>
+                          ))}
                       </Box>
                     </TableCell>
                   )}
@@ -0,0 +1,61 @@
+/**
+ * Password Strength Meter Component
+ * Strength bar and password policy checklist shown under a new password field
+ */
+
+import { Box, LinearProgress, Typography } from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import RadioButtonUncheckedIcon from '@mui/icons-material/RadioButtonUnchecked';
+import { getPasswordChecks, getPasswordStrength } from '../../utils/passwordPolicy';
+
+const PasswordStrengthMeter = ({ password = '', user = {}, historyHint = true }) => {
+  if (!password) {
+    return null;
+  }
+
+  const strength = getPasswordStrength(password, user);
+  const checks = getPasswordChecks(password, user);
+
+  return (
+    <Box sx={{ mt: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <LinearProgress
+          variant="determinate"
+          value={strength.score * 25}
+          color={strength.color}
+          sx={{ flex: 1, height: 6, borderRadius: 3 }}
+        />
+        <Typography variant="caption" color={`${strength.color}.main`} sx={{ minWidth: 64 }}>
+          {strength.label}
+        </Typography>
+      </Box>
+
+      <Box component="ul" sx={{ listStyle: 'none', p: 0, m: 0, mt: 1 }}>
+        {checks.map((check) => (
+          <Box
+            component="li"
+            key={check.id}
+            sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}
+          >
+            {check.passed ? (
+              <CheckCircleIcon color="success" sx={{ fontSize: 16 }} />
+            ) : (
+              <RadioButtonUncheckedIcon color="disabled" sx={{ fontSize: 16 }} />
+            )}
+            <Typography variant="caption" color={check.passed ? 'text.primary' : 'text.secondary'}>
+              {check.label}
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+
+      {historyHint && (
+        <Typography variant="caption" color="text.secondary">
+          Tampoco puedes repetir tus contraseñas recientes.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default PasswordStrengthMeter;
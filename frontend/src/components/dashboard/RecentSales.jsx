@@ -26,6 +26,8 @@ const RecentSales = ({ sales = [], loading = false }) => {
         return 'warning';
       case 'Finalizado':
         return 'success';
+      case 'Rechazado':
+        return 'error';
       default:
         return 'default';
     }
@@ -0,0 +1,101 @@
+/**
+ * Sales by Advisor Component
+ * Display the advisor ranking, optionally for a single team
+ */
+
+import {
+  Paper,
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import Loading from '../common/Loading';
+
+const SalesByAdvisor = ({
+  data = [],
+  teams = [],
+  equipoId = '',
+  onTeamChange = () => {},
+  loading = false
+}) => {
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('es-CO', {
+      style: 'currency',
+      currency: 'COP',
+      minimumFractionDigits: 0
+    }).format(value);
+  };
+
+  return (
+    <Paper>
+      <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2 }}>
+        <Typography variant="h6">Ventas por Asesor</Typography>
+        {teams.length > 0 && (
+          <TextField
+            select
+            size="small"
+            label="Equipo"
+            value={equipoId}
+            onChange={(e) => onTeamChange(e.target.value)}
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value="">Todos</MenuItem>
+            {teams.map((team) => (
+              <MenuItem key={team.id} value={team.id}>
+                {team.nombre}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+      </Box>
+
+      {loading ? (
+        <Loading message="Cargando asesores..." />
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Asesor</TableCell>
+              <TableCell>Rol</TableCell>
+              <TableCell align="right">Ventas</TableCell>
+              <TableCell align="right">Monto Total</TableCell>
+              <TableCell align="right">Promedio</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {data.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5}>
+                  <Typography color="text.secondary" align="center">
+                    No hay datos disponibles
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              data.map((advisor) => (
+                <TableRow key={advisor.usuarioId}>
+                  <TableCell>
+                    <Typography variant="body2">{advisor.usuarioNombre}</Typography>
+                    <Typography variant="caption" color="text.secondary">{advisor.usuarioEmail}</Typography>
+                  </TableCell>
+                  <TableCell>{advisor.usuarioRol}</TableCell>
+                  <TableCell align="right">{advisor.count}</TableCell>
+                  <TableCell align="right">{formatCurrency(advisor.totalAmount)}</TableCell>
+                  <TableCell align="right">{formatCurrency(advisor.averageAmount)}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      )}
+    </Paper>
+  );
+};
+
+export default SalesByAdvisor;
@@ -0,0 +1,91 @@
+/**
+ * Sales by Branch Component
+ * Bar chart comparing the number of sales and the amount sold per branch
+ */
+
+import { Paper, Box, Typography } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import Loading from '../common/Loading';
+
+const SalesByBranch = ({ data = [], loading = false }) => {
+  const theme = useTheme();
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('es-CO', {
+      style: 'currency',
+      currency: 'COP',
+      minimumFractionDigits: 0
+    }).format(value);
+  };
+
+  // Compact axis labels ($1,2 M) so large amounts fit
+  const formatCompactCurrency = (value) => {
+    return new Intl.NumberFormat('es-CO', {
+      style: 'currency',
+      currency: 'COP',
+      notation: 'compact',
+      maximumFractionDigits: 1
+    }).format(value);
+  };
+
+  // Sales created before branches existed have no branch
+  const chartData = data.map((branch) => ({
+    ...branch,
+    nombre: branch.sucursalNombre || 'Sin sucursal'
+  }));
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Comparativo por Sucursal
+      </Typography>
+
+      {loading ? (
+        <Loading message="Cargando sucursales..." />
+      ) : chartData.length === 0 ? (
+        <Typography color="text.secondary" align="center" sx={{ py: 4 }}>
+          No hay datos disponibles
+        </Typography>
+      ) : (
+        <Box sx={{ width: '100%', height: 320 }}>
+          <ResponsiveContainer>
+            <BarChart data={chartData} margin={{ top: 8, right: 16, left: 16, bottom: 8 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="nombre" />
+              <YAxis yAxisId="count" allowDecimals={false} />
+              <YAxis yAxisId="amount" orientation="right" tickFormatter={formatCompactCurrency} />
+              <Tooltip
+                formatter={(value, name) => (name === 'Monto Total' ? formatCurrency(value) : value)}
+              />
+              <Legend />
+              <Bar
+                yAxisId="count"
+                dataKey="count"
+                name="Ventas"
+                fill={theme.palette.primary.main}
+              />
+              <Bar
+                yAxisId="amount"
+                dataKey="totalAmount"
+                name="Monto Total"
+                fill={theme.palette.success.main}
+              />
+            </BarChart>
+          </ResponsiveContainer>
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default SalesByBranch;
@@ -7,6 +7,7 @@ import { Paper, Box, Typography, Grid, Chip } from '@mui/material';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import HourglassEmptyIcon from '@mui/icons-material/HourglassEmpty';
 import PlayCircleIcon from '@mui/icons-material/PlayCircle';
+import CancelIcon from '@mui/icons-material/Cancel';
 import Loading from '../common/Loading';
 
 const SalesByStatus = ({ data = [], loading = false }) => {
@@ -38,6 +39,12 @@ const SalesByStatus = ({ data = [], loading = false }) => {
           color: 'success',
           label: 'Finalizadas'
         };
+      case 'Rechazado':
+        return {
+          icon: CancelIcon,
+          color: 'error',
+          label: 'Rechazadas'
+        };
       default:
         return {
           icon: HourglassEmptyIcon,
@@ -76,7 +83,7 @@ const SalesByStatus = ({ data = [], loading = false }) => {
             const Icon = config.icon;
 
             return (
-              <Grid item xs={12} sm={4} key={item.estado}>
+              <Grid item xs={12} sm={6} md={3} key={item.estado}>
                 <Box
                   sx={{
                     p: 2,
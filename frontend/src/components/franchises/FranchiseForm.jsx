@@ -0,0 +1,107 @@
+/**
+ * Franchise Form Component
+ * Form for creating and editing credit card franchises (catalog:manage)
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  TextField,
+  Grid,
+  FormControlLabel,
+  Switch
+} from '@mui/material';
+import FormDialog from '../common/FormDialog';
+import { VALIDATION } from '../../constants';
+
+const EMPTY_FORM = {
+  nombre: '',
+  activo: true
+};
+
+const FranchiseForm = ({
+  open = false,
+  onClose = () => {},
+  onSubmit = () => {},
+  initialData = null,
+  loading = false
+}) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  // Set initial data when editing
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        nombre: initialData.nombre || '',
+        activo: initialData.activo
+      });
+    } else {
+      setFormData(EMPTY_FORM);
+    }
+  }, [initialData, open]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSwitchChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.checked
+    });
+  };
+
+  const handleSubmit = () => {
+    onSubmit({
+      nombre: formData.nombre.trim(),
+      activo: formData.activo
+    });
+  };
+
+  return (
+    <FormDialog
+      open={open}
+      title={initialData ? 'Editar Franquicia' : 'Nueva Franquicia'}
+      onClose={onClose}
+      onSubmit={handleSubmit}
+      loading={loading}
+      maxWidth="xs"
+    >
+      <Grid container spacing={2}>
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            label="Nombre"
+            name="nombre"
+            value={formData.nombre}
+            onChange={handleChange}
+            required
+            inputProps={{
+              minLength: VALIDATION.FRANCHISE_NAME_MIN_LENGTH,
+              maxLength: VALIDATION.FRANCHISE_NAME_MAX_LENGTH
+            }}
+          />
+        </Grid>
+
+        {initialData && (
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={
+                <Switch
+                  name="activo"
+                  checked={formData.activo}
+                  onChange={handleSwitchChange}
+                />
+              }
+              label="Activa (disponible para nuevas ventas)"
+            />
+          </Grid>
+        )}
+      </Grid>
+    </FormDialog>
+  );
+};
+
+export default FranchiseForm;
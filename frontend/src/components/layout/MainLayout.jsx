@@ -7,6 +7,7 @@ import { Outlet } from 'react-router-dom';
 import { Box } from '@mui/material';
 import { useSelector } from 'react-redux';
 import { selectDrawer } from '../../store/slices/uiSlice';
+import { selectImpersonator } from '../../store/slices/authSlice';
 
 // Layout Components
 import Navbar from './Navbar';
@@ -16,6 +17,8 @@ const DRAWER_WIDTH = 240;
 
 const MainLayout = () => {
   const { open: drawerOpen } = useSelector(selectDrawer);
+  // The impersonation banner adds a dense toolbar under the navbar
+  const impersonating = Boolean(useSelector(selectImpersonator));
 
   return (
     <Box sx={{ display: 'flex' }}>
@@ -31,7 +34,7 @@ const MainLayout = () => {
         sx={{
           flexGrow: 1,
           p: 3,
-          mt: 8,
+          mt: impersonating ? 14 : 8,
           ml: drawerOpen ? 0 : `-${DRAWER_WIDTH}px`,
           transition: (theme) =>
             theme.transitions.create('margin', {
@@ -1,22 +1,41 @@
 /**
  * Navbar Component
  * Top navigation bar with menu button and user info
+ * While an admin impersonates another user, a banner offers to return to their account
  */
 
-import { AppBar, Toolbar, Typography, IconButton, Box, Avatar, Menu, MenuItem, Divider } from '@mui/material';
+import {
+  AppBar,
+  Toolbar,
+  Typography,
+  IconButton,
+  Box,
+  Avatar,
+  Menu,
+  MenuItem,
+  Divider,
+  Button
+} from '@mui/material';
 import MenuIcon from '@mui/icons-material/Menu';
 import AccountCircleIcon from '@mui/icons-material/AccountCircle';
 import LogoutIcon from '@mui/icons-material/Logout';
+import VisibilityIcon from '@mui/icons-material/Visibility';
 import { useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
-import { toggleDrawer } from '../../store/slices/uiSlice';
-import { logout, selectUser } from '../../store/slices/authSlice';
+import { toggleDrawer, showSuccess, showError } from '../../store/slices/uiSlice';
+import {
+  logout,
+  stopImpersonation,
+  selectUser,
+  selectImpersonator
+} from '../../store/slices/authSlice';
 
 const Navbar = ({ drawerWidth, drawerOpen }) => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const user = useSelector(selectUser);
+  const impersonator = useSelector(selectImpersonator);
 
   const [anchorEl, setAnchorEl] = useState(null);
   const open = Boolean(anchorEl);
@@ -40,6 +59,19 @@ const Navbar = ({ drawerWidth, drawerOpen }) => {
     navigate('/login');
   };
 
+  const handleStopImpersonation = async () => {
+    const impersonatedName = user?.nombre;
+    const result = await dispatch(stopImpersonation());
+
+    if (stopImpersonation.fulfilled.match(result)) {
+      dispatch(showSuccess(`Dejaste de ver el sistema como "${impersonatedName}"`));
+      navigate('/users');
+    } else {
+      dispatch(showError('Tu sesión expiró, inicia sesión de nuevo'));
+      navigate('/login');
+    }
+  };
+
   const handleToggleDrawer = () => {
     dispatch(toggleDrawer());
   };
@@ -127,6 +159,28 @@ const Navbar = ({ drawerWidth, drawerOpen }) => {
           </MenuItem>
         </Menu>
       </Toolbar>
+
+      {/* Impersonation Banner */}
+      {impersonator && (
+        <Toolbar
+          variant="dense"
+          sx={{ bgcolor: 'warning.main', color: 'warning.contrastText', gap: 1 }}
+        >
+          <VisibilityIcon fontSize="small" />
+          <Typography variant="body2" sx={{ flexGrow: 1 }}>
+            Estás viendo el sistema como <strong>{user?.nombre}</strong> ({user?.rolNombre}).
+            Los cambios quedan registrados a nombre de {impersonator.nombre}.
+          </Typography>
+          <Button
+            color="inherit"
+            variant="outlined"
+            size="small"
+            onClick={handleStopImpersonation}
+          >
+            Volver a mi cuenta
+          </Button>
+        </Toolbar>
+      )}
     </AppBar>
   );
 };
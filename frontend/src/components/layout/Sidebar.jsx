@@ -7,20 +7,25 @@ import { Drawer, List, ListItem, ListItemButton, ListItemIcon, ListItemText, Div
 import DashboardIcon from '@mui/icons-material/Dashboard';
 import ShoppingCartIcon from '@mui/icons-material/ShoppingCart';
 import PeopleIcon from '@mui/icons-material/People';
+import ContactsIcon from '@mui/icons-material/Contacts';
+import CategoryIcon from '@mui/icons-material/Category';
+import CreditCardIcon from '@mui/icons-material/CreditCard';
+import StoreIcon from '@mui/icons-material/Store';
+import AdminPanelSettingsIcon from '@mui/icons-material/AdminPanelSettings';
+import GroupsIcon from '@mui/icons-material/Groups';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import { selectDrawer } from '../../store/slices/uiSlice';
-import { selectUser } from '../../store/slices/authSlice';
-import { ROLES } from '../../constants';
+import { selectUser, selectPermissions } from '../../store/slices/authSlice';
+import { PERMISSIONS } from '../../constants';
+import { hasPermission } from '../../utils/permissions';
 
 const Sidebar = ({ drawerWidth }) => {
   const navigate = useNavigate();
   const location = useLocation();
   const { open } = useSelector(selectDrawer);
   const user = useSelector(selectUser);
-
-  // Check if user is admin
-  const isAdmin = user?.rolId === ROLES.ADMIN.ID;
+  const permissions = useSelector(selectPermissions);
 
   // Menu items
   const menuItems = [
@@ -36,11 +41,47 @@ const Sidebar = ({ drawerWidth }) => {
       path: '/sales',
       show: true
     },
+    {
+      text: 'Clientes',
+      icon: <ContactsIcon />,
+      path: '/clients',
+      show: true
+    },
     {
       text: 'Usuarios',
       icon: <PeopleIcon />,
       path: '/users',
-      show: isAdmin // Only show for admin
+      show: hasPermission(permissions, PERMISSIONS.USERS_READ)
+    },
+    {
+      text: 'Productos',
+      icon: <CategoryIcon />,
+      path: '/products',
+      show: hasPermission(permissions, PERMISSIONS.CATALOG_MANAGE)
+    },
+    {
+      text: 'Franquicias',
+      icon: <CreditCardIcon />,
+      path: '/franchises',
+      show: hasPermission(permissions, PERMISSIONS.CATALOG_MANAGE)
+    },
+    {
+      text: 'Sucursales',
+      icon: <StoreIcon />,
+      path: '/branches',
+      show: hasPermission(permissions, PERMISSIONS.CATALOG_MANAGE)
+    },
+    {
+      text: 'Roles',
+      icon: <AdminPanelSettingsIcon />,
+      path: '/roles',
+      show: hasPermission(permissions, PERMISSIONS.ROLES_MANAGE)
+    },
+    {
+      text: 'Equipos',
+      icon: <GroupsIcon />,
+      path: '/teams',
+      show: hasPermission(permissions, PERMISSIONS.TEAMS_MANAGE)
     }
   ];
 
@@ -0,0 +1,214 @@
+/**
+ * Product Form Component
+ * Form for creating and editing products and their sale rules (catalog:manage)
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  TextField,
+  Grid,
+  FormControlLabel,
+  Switch,
+  Typography
+} from '@mui/material';
+import FormDialog from '../common/FormDialog';
+import { VALIDATION } from '../../constants';
+
+const EMPTY_FORM = {
+  nombre: '',
+  activo: true,
+  requiresFranchise: false,
+  requiresRate: false,
+  minAmount: '',
+  maxAmount: '',
+  minRate: '',
+  maxRate: ''
+};
+
+const ProductForm = ({
+  open = false,
+  onClose = () => {},
+  onSubmit = () => {},
+  initialData = null,
+  loading = false
+}) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  // Set initial data when editing
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        nombre: initialData.nombre || '',
+        activo: initialData.activo,
+        requiresFranchise: initialData.requiresFranchise,
+        requiresRate: initialData.requiresRate,
+        minAmount: initialData.minAmount ?? '',
+        maxAmount: initialData.maxAmount ?? '',
+        minRate: initialData.minRate ?? '',
+        maxRate: initialData.maxRate ?? ''
+      });
+    } else {
+      setFormData(EMPTY_FORM);
+    }
+  }, [initialData, open]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSwitchChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.checked
+    });
+  };
+
+  const toNumberOrNull = (value) => (value === '' ? null : parseFloat(value));
+
+  const handleSubmit = () => {
+    const submitData = {
+      nombre: formData.nombre.trim(),
+      activo: formData.activo,
+      requiresFranchise: formData.requiresFranchise,
+      requiresRate: formData.requiresRate,
+      minAmount: toNumberOrNull(formData.minAmount),
+      maxAmount: toNumberOrNull(formData.maxAmount),
+      // Rate limits only apply to products that require a rate
+      minRate: formData.requiresRate ? toNumberOrNull(formData.minRate) : null,
+      maxRate: formData.requiresRate ? toNumberOrNull(formData.maxRate) : null
+    };
+
+    onSubmit(submitData);
+  };
+
+  return (
+    <FormDialog
+      open={open}
+      title={initialData ? 'Editar Producto' : 'Nuevo Producto'}
+      onClose={onClose}
+      onSubmit={handleSubmit}
+      loading={loading}
+      maxWidth="sm"
+    >
+      <Grid container spacing={2}>
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            label="Nombre"
+            name="nombre"
+            value={formData.nombre}
+            onChange={handleChange}
+            required
+            inputProps={{ maxLength: VALIDATION.PRODUCT_NAME_MAX_LENGTH }}
+          />
+        </Grid>
+
+        <Grid item xs={12}>
+          <Typography variant="subtitle2" color="text.secondary">
+            Reglas de venta
+          </Typography>
+        </Grid>
+
+        <Grid item xs={12} sm={6}>
+          <FormControlLabel
+            control={
+              <Switch
+                name="requiresFranchise"
+                checked={formData.requiresFranchise}
+                onChange={handleSwitchChange}
+              />
+            }
+            label="Requiere franquicia"
+          />
+        </Grid>
+
+        <Grid item xs={12} sm={6}>
+          <FormControlLabel
+            control={
+              <Switch
+                name="requiresRate"
+                checked={formData.requiresRate}
+                onChange={handleSwitchChange}
+              />
+            }
+            label="Requiere tasa"
+          />
+        </Grid>
+
+        <Grid item xs={12} sm={6}>
+          <TextField
+            fullWidth
+            label="Monto Mínimo"
+            name="minAmount"
+            type="number"
+            value={formData.minAmount}
+            onChange={handleChange}
+            inputProps={{ min: 0, step: 1000 }}
+            helperText="Vacío para no limitar"
+          />
+        </Grid>
+
+        <Grid item xs={12} sm={6}>
+          <TextField
+            fullWidth
+            label="Monto Máximo"
+            name="maxAmount"
+            type="number"
+            value={formData.maxAmount}
+            onChange={handleChange}
+            inputProps={{ min: 0, step: 1000 }}
+            helperText="Vacío para no limitar"
+          />
+        </Grid>
+
+        {formData.requiresRate && (
+          <>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Tasa Mínima (%)"
+                name="minRate"
+                type="number"
+                value={formData.minRate}
+                onChange={handleChange}
+                inputProps={{ min: VALIDATION.RATE_MIN, max: VALIDATION.RATE_MAX, step: 0.1 }}
+              />
+            </Grid>
+
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Tasa Máxima (%)"
+                name="maxRate"
+                type="number"
+                value={formData.maxRate}
+                onChange={handleChange}
+                inputProps={{ min: VALIDATION.RATE_MIN, max: VALIDATION.RATE_MAX, step: 0.1 }}
+              />
+            </Grid>
+          </>
+        )}
+
+        {initialData && (
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={
+                <Switch
+                  name="activo"
+                  checked={formData.activo}
+                  onChange={handleSwitchChange}
+                />
+              }
+              label="Activo (disponible para nuevas ventas)"
+            />
+          </Grid>
+        )}
+      </Grid>
+    </FormDialog>
+  );
+};
+
+export default ProductForm;
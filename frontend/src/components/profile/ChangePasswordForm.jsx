@@ -17,11 +17,14 @@ import {
 } from '@mui/material';
 import VisibilityIcon from '@mui/icons-material/Visibility';
 import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
-import { changePassword, selectAuthLoading, selectAuthError } from '../../store/slices/authSlice';
+import PasswordStrengthMeter from '../common/PasswordStrengthMeter';
+import { changePassword, selectUser, selectAuthLoading, selectAuthError } from '../../store/slices/authSlice';
 import { showSuccess, showError } from '../../store/slices/uiSlice';
+import { getPasswordPolicyError } from '../../utils/passwordPolicy';
 
 const ChangePasswordForm = () => {
   const dispatch = useDispatch();
+  const user = useSelector(selectUser);
   const loading = useSelector(selectAuthLoading);
   const error = useSelector(selectAuthError);
 
@@ -65,23 +68,9 @@ const ChangePasswordForm = () => {
       return false;
     }
 
-    if (formData.newPassword.length < 8) {
-      setValidationError('La nueva contraseña debe tener al menos 8 caracteres');
-      return false;
-    }
-
-    if (!/(?=.*[a-z])/.test(formData.newPassword)) {
-      setValidationError('La nueva contraseña debe contener al menos una letra minúscula');
-      return false;
-    }
-
-    if (!/(?=.*[A-Z])/.test(formData.newPassword)) {
-      setValidationError('La nueva contraseña debe contener al menos una letra mayúscula');
-      return false;
-    }
-
-    if (!/(?=.*\d)/.test(formData.newPassword)) {
-      setValidationError('La nueva contraseña debe contener al menos un número');
+    const policyError = getPasswordPolicyError(formData.newPassword, user || {});
+    if (policyError) {
+      setValidationError(policyError);
       return false;
     }
 
@@ -118,7 +107,7 @@ const ChangePasswordForm = () => {
         confirmPassword: ''
       });
     } else {
-      dispatch(showError('Error al cambiar la contraseña'));
+      dispatch(showError(result.payload?.error?.message || 'Error al cambiar la contraseña'));
     }
   };
 
@@ -128,7 +117,8 @@ const ChangePasswordForm = () => {
         Cambiar Contraseña
       </Typography>
       <Typography variant="body2" color="text.secondary" paragraph>
-        Asegúrate de usar una contraseña segura que incluya mayúsculas, minúsculas y números.
+        Usa una contraseña que no hayas usado antes, sin tu nombre ni tu email, y que combine
+        minúsculas, mayúsculas, números o símbolos.
       </Typography>
 
       {(error || validationError) && (
@@ -176,8 +166,8 @@ const ChangePasswordForm = () => {
               </InputAdornment>
             )
           }}
-          helperText="Mínimo 8 caracteres, debe incluir mayúsculas, minúsculas y números"
         />
+        <PasswordStrengthMeter password={formData.newPassword} user={user || {}} />
 
         <TextField
           fullWidth
@@ -0,0 +1,159 @@
+/**
+ * Two-Factor Settings Component
+ * Enable or disable TOTP two-factor authentication for the current user
+ */
+
+import { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Paper,
+  Box,
+  Typography,
+  Button,
+  Chip,
+  TextField,
+  Alert
+} from '@mui/material';
+import SecurityIcon from '@mui/icons-material/Security';
+import {
+  disableMfa,
+  clearError,
+  selectUser,
+  selectAuthLoading,
+  selectAuthError
+} from '../../store/slices/authSlice';
+import { showSuccess } from '../../store/slices/uiSlice';
+import MfaEnrollment from '../auth/MfaEnrollment';
+import FormDialog from '../common/FormDialog';
+
+const TwoFactorSettings = () => {
+  const dispatch = useDispatch();
+  const user = useSelector(selectUser);
+  const loading = useSelector(selectAuthLoading);
+  const error = useSelector(selectAuthError);
+
+  const [enrolling, setEnrolling] = useState(false);
+  const [disableOpen, setDisableOpen] = useState(false);
+  const [disableData, setDisableData] = useState({ password: '', code: '' });
+
+  const enabled = Boolean(user?.mfaHabilitado);
+  const required = Boolean(user?.mfaRequerido);
+
+  const handleEnrollStart = () => {
+    dispatch(clearError());
+    setEnrolling(true);
+  };
+
+  const handleDisableOpen = () => {
+    dispatch(clearError());
+    setDisableData({ password: '', code: '' });
+    setDisableOpen(true);
+  };
+
+  const handleDisableChange = (e) => {
+    setDisableData({
+      ...disableData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleDisableSubmit = async () => {
+    const result = await dispatch(disableMfa(disableData));
+
+    if (disableMfa.fulfilled.match(result)) {
+      dispatch(showSuccess('Autenticación de dos factores desactivada'));
+      setDisableOpen(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="h6">
+          Autenticación de Dos Factores
+        </Typography>
+        <Chip
+          label={enabled ? 'Activada' : 'Desactivada'}
+          color={enabled ? 'success' : 'default'}
+          size="small"
+        />
+      </Box>
+
+      {enrolling ? (
+        <MfaEnrollment
+          onComplete={() => setEnrolling(false)}
+          onCancel={() => setEnrolling(false)}
+        />
+      ) : (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Además de tu contraseña, al iniciar sesión se te pedirá un código de tu aplicación de
+            autenticación.
+          </Typography>
+
+          {required && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Tu rol requiere autenticación de dos factores, no puedes desactivarla.
+            </Alert>
+          )}
+
+          {enabled ? (
+            <Button
+              variant="outlined"
+              color="warning"
+              onClick={handleDisableOpen}
+              disabled={required}
+            >
+              Desactivar
+            </Button>
+          ) : (
+            <Button
+              variant="contained"
+              startIcon={<SecurityIcon />}
+              onClick={handleEnrollStart}
+            >
+              Activar
+            </Button>
+          )}
+        </>
+      )}
+
+      <FormDialog
+        open={disableOpen}
+        title="Desactivar Autenticación de Dos Factores"
+        onClose={() => setDisableOpen(false)}
+        onSubmit={handleDisableSubmit}
+        loading={loading}
+        submitText="Desactivar"
+      >
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          fullWidth
+          label="Contraseña Actual"
+          name="password"
+          type="password"
+          value={disableData.password}
+          onChange={handleDisableChange}
+          required
+          margin="normal"
+        />
+        <TextField
+          fullWidth
+          label="Código de verificación o de recuperación"
+          name="code"
+          value={disableData.code}
+          onChange={handleDisableChange}
+          required
+          autoComplete="one-time-code"
+          margin="normal"
+        />
+      </FormDialog>
+    </Paper>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,193 @@
+/**
+ * Role Form Component
+ * Form for creating and editing roles and the permissions granted to them (roles:manage)
+ */
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  TextField,
+  Grid,
+  FormControlLabel,
+  FormGroup,
+  Switch,
+  Checkbox,
+  Typography
+} from '@mui/material';
+import FormDialog from '../common/FormDialog';
+import { fetchPermissions, selectPermissionCatalog } from '../../store/slices/roleSlice';
+import { VALIDATION } from '../../constants';
+
+// Permission keys are grouped by their first segment (sales:read:own -> sales)
+const PERMISSION_GROUPS = {
+  sales: 'Ventas',
+  clients: 'Clientes',
+  stats: 'Estadísticas',
+  users: 'Usuarios',
+  catalog: 'Catálogo',
+  roles: 'Roles',
+  teams: 'Equipos'
+};
+
+const EMPTY_FORM = {
+  nombre: '',
+  descripcion: '',
+  requiereMfa: false,
+  permisos: []
+};
+
+const RoleForm = ({
+  open = false,
+  onClose = () => {},
+  onSubmit = () => {},
+  initialData = null,
+  loading = false
+}) => {
+  const dispatch = useDispatch();
+  const permissionCatalog = useSelector(selectPermissionCatalog);
+
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  // Load the permission catalog on open
+  useEffect(() => {
+    if (open && permissionCatalog.length === 0) {
+      dispatch(fetchPermissions());
+    }
+  }, [open, dispatch, permissionCatalog.length]);
+
+  // Set initial data when editing
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        nombre: initialData.nombre || '',
+        descripcion: initialData.descripcion || '',
+        requiereMfa: Boolean(initialData.requiereMfa),
+        permisos: initialData.permisos || []
+      });
+    } else {
+      setFormData(EMPTY_FORM);
+    }
+  }, [initialData, open]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSwitchChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.checked
+    });
+  };
+
+  const handlePermissionToggle = (clave) => {
+    setFormData(prev => ({
+      ...prev,
+      permisos: prev.permisos.includes(clave)
+        ? prev.permisos.filter(permission => permission !== clave)
+        : [...prev.permisos, clave]
+    }));
+  };
+
+  const handleSubmit = () => {
+    onSubmit({
+      nombre: formData.nombre.trim(),
+      descripcion: formData.descripcion.trim() || null,
+      requiereMfa: formData.requiereMfa,
+      permisos: formData.permisos
+    });
+  };
+
+  const groups = Object.keys(PERMISSION_GROUPS)
+    .map((group) => ({
+      group,
+      permissions: permissionCatalog.filter(permission => permission.clave.split(':')[0] === group)
+    }))
+    .filter(({ permissions }) => permissions.length > 0);
+
+  return (
+    <FormDialog
+      open={open}
+      title={initialData ? 'Editar Rol' : 'Nuevo Rol'}
+      onClose={onClose}
+      onSubmit={handleSubmit}
+      loading={loading}
+      maxWidth="md"
+    >
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            fullWidth
+            label="Nombre"
+            name="nombre"
+            value={formData.nombre}
+            onChange={handleChange}
+            required
+            inputProps={{
+              minLength: VALIDATION.ROLE_NAME_MIN_LENGTH,
+              maxLength: VALIDATION.ROLE_NAME_MAX_LENGTH
+            }}
+          />
+        </Grid>
+
+        <Grid item xs={12} sm={6}>
+          <FormControlLabel
+            control={
+              <Switch
+                name="requiereMfa"
+                checked={formData.requiereMfa}
+                onChange={handleSwitchChange}
+              />
+            }
+            label="2FA obligatorio"
+          />
+        </Grid>
+
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            label="Descripción"
+            name="descripcion"
+            value={formData.descripcion}
+            onChange={handleChange}
+            multiline
+            rows={2}
+          />
+        </Grid>
+
+        {groups.map(({ group, permissions }) => (
+          <Grid item xs={12} sm={6} key={group}>
+            <Typography variant="subtitle2" gutterBottom>
+              {PERMISSION_GROUPS[group]}
+            </Typography>
+            <FormGroup>
+              {permissions.map((permission) => (
+                <FormControlLabel
+                  key={permission.clave}
+                  control={
+                    <Checkbox
+                      size="small"
+                      checked={formData.permisos.includes(permission.clave)}
+                      onChange={() => handlePermissionToggle(permission.clave)}
+                    />
+                  }
+                  label={
+                    <>
+                      <Typography variant="body2">{permission.descripcion}</Typography>
+                      <Typography variant="caption" color="text.secondary">{permission.clave}</Typography>
+                    </>
+                  }
+                />
+              ))}
+            </FormGroup>
+          </Grid>
+        ))}
+      </Grid>
+    </FormDialog>
+  );
+};
+
+export default RoleForm;
@@ -0,0 +1,204 @@
+/**
+ * Sale Bulk Action Dialog Component
+ * Changes the status of, reassigns or deletes the selected sales and then shows
+ * the result of each one (the server checks every sale on its own)
+ */
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Alert, Autocomplete, Chip, MenuItem, TextField, Typography } from '@mui/material';
+import FormDialog from '../common/FormDialog';
+import DataTable from '../common/DataTable';
+import userService from '../../services/userService';
+import { bulkUpdateSales, selectSalesBulkUpdating } from '../../store/slices/saleSlice';
+import { showError } from '../../store/slices/uiSlice';
+import { SALE_BULK, SALE_STATUSES } from '../../constants';
+
+const ACTION_CONFIG = {
+  [SALE_BULK.ACTIONS.STATUS]: { title: 'Cambiar Estado', submitText: 'Cambiar estado' },
+  [SALE_BULK.ACTIONS.REASSIGN]: { title: 'Reasignar Ventas', submitText: 'Reasignar' },
+  [SALE_BULK.ACTIONS.DELETE]: { title: 'Eliminar Ventas', submitText: 'Eliminar' }
+};
+
+const getUserLabel = (user) => `${user.nombre} (${user.email})`;
+
+const resultColumns = [
+  {
+    id: 'id',
+    label: 'Venta',
+    minWidth: 70
+  },
+  {
+    id: 'exito',
+    label: 'Resultado',
+    minWidth: 110,
+    render: (row) => (
+      <Chip
+        label={row.exito ? 'Aplicado' : 'Falló'}
+        color={row.exito ? 'success' : 'error'}
+        size="small"
+      />
+    )
+  },
+  {
+    id: 'error',
+    label: 'Detalle',
+    minWidth: 200,
+    render: (row) => row.error?.message || '-'
+  }
+];
+
+const SaleBulkActionDialog = ({
+  open = false,
+  action = SALE_BULK.ACTIONS.STATUS,
+  saleIds = [],
+  onClose = () => {},
+  onCompleted = () => {}
+}) => {
+  const dispatch = useDispatch();
+  const bulkUpdating = useSelector(selectSalesBulkUpdating);
+
+  const [estado, setEstado] = useState('');
+  const [target, setTarget] = useState(null);
+  const [advisors, setAdvisors] = useState([]);
+  // Result of the request, null while the form is shown
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+
+    let active = true;
+    setEstado('');
+    setTarget(null);
+    setReport(null);
+
+    if (action === SALE_BULK.ACTIONS.REASSIGN) {
+      userService.getAllUsers({ activo: true, limit: 100 })
+        .then((response) => {
+          if (active) {
+            setAdvisors(response.data.users.filter(advisor => !advisor.invitacionPendiente));
+          }
+        })
+        .catch(() => {
+          if (active) {
+            setAdvisors([]);
+          }
+        });
+    }
+
+    return () => {
+      active = false;
+    };
+  }, [open, action]);
+
+  const config = ACTION_CONFIG[action];
+
+  const handleSubmit = async () => {
+    if ((action === SALE_BULK.ACTIONS.STATUS && !estado) ||
+        (action === SALE_BULK.ACTIONS.REASSIGN && !target)) {
+      return;
+    }
+
+    const data = { action, saleIds };
+    if (action === SALE_BULK.ACTIONS.STATUS) {
+      data.estado = estado;
+    }
+    if (action === SALE_BULK.ACTIONS.REASSIGN) {
+      data.toUserId = target.id;
+    }
+
+    const result = await dispatch(bulkUpdateSales(data));
+
+    if (bulkUpdateSales.fulfilled.match(result)) {
+      setReport(result.payload);
+      onCompleted(result.payload);
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al aplicar la acción a las ventas'));
+    }
+  };
+
+  const renderForm = () => {
+    if (action === SALE_BULK.ACTIONS.DELETE) {
+      return (
+        <Alert severity="warning">
+          ¿Deseas eliminar {saleIds.length} ventas? Solo se eliminarán las que tengas permiso de eliminar.
+        </Alert>
+      );
+    }
+
+    return (
+      <>
+        <Typography variant="body1" sx={{ mb: 2 }}>
+          {saleIds.length} ventas seleccionadas. Cada venta se valida por separado; las que no se
+          puedan modificar se indicarán en el resultado.
+        </Typography>
+        {action === SALE_BULK.ACTIONS.STATUS ? (
+          <TextField
+            select
+            fullWidth
+            label="Nuevo estado"
+            value={estado}
+            onChange={(e) => setEstado(e.target.value)}
+            required
+          >
+            {Object.values(SALE_STATUSES).map((status) => (
+              <MenuItem key={status} value={status}>
+                {status}
+              </MenuItem>
+            ))}
+          </TextField>
+        ) : (
+          <Autocomplete
+            value={target}
+            options={advisors}
+            getOptionLabel={getUserLabel}
+            isOptionEqualToValue={(option, value) => option.id === value.id}
+            onChange={(event, value) => setTarget(value)}
+            noOptionsText="No se encontraron usuarios"
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Nuevo asesor"
+                placeholder="Buscar asesores..."
+                required
+              />
+            )}
+          />
+        )}
+      </>
+    );
+  };
+
+  const renderReport = () => (
+    <>
+      <Alert severity={report.fallidas === 0 ? 'success' : report.exitosas === 0 ? 'error' : 'warning'} sx={{ mb: 2 }}>
+        {report.exitosas} de {report.total} ventas procesadas correctamente
+        {report.fallidas > 0 && `, ${report.fallidas} con error`}.
+      </Alert>
+      <DataTable
+        columns={resultColumns}
+        data={report.resultados}
+        emptyMessage="Sin resultados"
+      />
+    </>
+  );
+
+  return (
+    <FormDialog
+      open={open}
+      title={`${config.title} (${report ? report.total : saleIds.length})`}
+      onClose={onClose}
+      onSubmit={handleSubmit}
+      loading={bulkUpdating}
+      submitText={config.submitText}
+      showActions={!report}
+      maxWidth="sm"
+    >
+      {report ? renderReport() : renderForm()}
+    </FormDialog>
+  );
+};
+
+export default SaleBulkActionDialog;
@@ -0,0 +1,100 @@
+/**
+ * Sale Conflict Dialog Component
+ * Shown when a sale was saved by someone else while it was being edited (409):
+ * the user reloads the current version or compares it with their changes and keeps them
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+
+const SaleConflictDialog = ({
+  open = false,
+  current = null,
+  rows = [],
+  onReload = () => {},
+  onKeepMine = () => {},
+  onClose = () => {}
+}) => {
+  const [comparing, setComparing] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setComparing(false);
+    }
+  }, [open]);
+
+  const updatedBy = current?.usuarioActualizadorNombre || 'otro usuario';
+  const updatedAt = current?.updatedAt ? new Date(current.updatedAt).toLocaleString('es-CO') : '';
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth={comparing ? 'sm' : 'xs'} fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <WarningAmberIcon sx={{ color: 'warning.main' }} />
+          Venta modificada
+        </Box>
+      </DialogTitle>
+      <DialogContent>
+        <Typography sx={{ mb: comparing ? 2 : 0 }}>
+          {updatedBy} guardó esta venta {updatedAt && `el ${updatedAt} `}mientras la editabas.
+          Recarga la versión actual o compárala con tus cambios.
+        </Typography>
+
+        {comparing && (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Campo</TableCell>
+                <TableCell>Tus cambios</TableCell>
+                <TableCell>Versión actual</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((row) => {
+                const changed = row.mine !== row.server;
+
+                return (
+                  <TableRow key={row.label} sx={changed ? { bgcolor: 'warning.light' } : undefined}>
+                    <TableCell sx={{ fontWeight: changed ? 'bold' : 'normal' }}>{row.label}</TableCell>
+                    <TableCell>{row.mine}</TableCell>
+                    <TableCell>{row.server}</TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {comparing ? (
+          <Button onClick={onKeepMine}>
+            Conservar mis cambios
+          </Button>
+        ) : (
+          <Button onClick={() => setComparing(true)}>
+            Comparar
+          </Button>
+        )}
+        <Button onClick={onReload} variant="contained">
+          Recargar
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SaleConflictDialog;
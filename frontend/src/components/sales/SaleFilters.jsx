@@ -1,9 +1,9 @@
 /**
  * Sale Filters Component
- * Filters for sales list
+ * Filters for sales list, free-text search and export of the filtered sales
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Paper,
@@ -11,23 +11,57 @@ import {
   TextField,
   MenuItem,
   Button,
-  Grid
+  Grid,
+  Menu,
+  InputAdornment
 } from '@mui/material';
 import FilterListIcon from '@mui/icons-material/FilterList';
 import ClearIcon from '@mui/icons-material/Clear';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import SearchIcon from '@mui/icons-material/Search';
 import { selectProducts, fetchProducts } from '../../store/slices/productSlice';
-import { SALE_STATUSES } from '../../constants';
+import { selectBranches, fetchBranches } from '../../store/slices/branchSlice';
+import { showError } from '../../store/slices/uiSlice';
+import saleService from '../../services/saleService';
+import { SALE_STATUSES, SALE_EXPORT_FORMATS, VALIDATION } from '../../constants';
+
+// Export menu options
+const EXPORT_OPTIONS = [
+  { format: SALE_EXPORT_FORMATS.CSV, label: 'CSV' },
+  { format: SALE_EXPORT_FORMATS.XLSX, label: 'Excel (XLSX)' },
+  { format: SALE_EXPORT_FORMATS.PDF, label: 'PDF' }
+];
+
+// Delay before the search box triggers a new query
+const SEARCH_DEBOUNCE_MS = 400;
+
+const EMPTY_FILTERS = {
+  q: '',
+  productoId: '',
+  sucursalId: '',
+  estado: '',
+  startDate: '',
+  endDate: ''
+};
+
+// Remove empty filters
+const getActiveFilters = (filters) => Object.entries(filters).reduce((acc, [key, value]) => {
+  const trimmedValue = typeof value === 'string' ? value.trim() : value;
+  if (trimmedValue !== '') {
+    acc[key] = trimmedValue;
+  }
+  return acc;
+}, {});
 
 const SaleFilters = ({ onFilter = () => {}, onClear = () => {} }) => {
   const dispatch = useDispatch();
   const products = useSelector(selectProducts);
+  const branches = useSelector(selectBranches);
 
-  const [filters, setFilters] = useState({
-    productoId: '',
-    estado: '',
-    startDate: '',
-    endDate: ''
-  });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [exportAnchor, setExportAnchor] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const searchTouched = useRef(false);
 
   // Load products on mount
   useEffect(() => {
@@ -36,38 +70,98 @@ const SaleFilters = ({ onFilter = () => {}, onClear = () => {} }) => {
     }
   }, [dispatch, products.length]);
 
+  // Load branches on mount
+  useEffect(() => {
+    if (branches.length === 0) {
+      dispatch(fetchBranches());
+    }
+  }, [dispatch, branches.length]);
+
   const handleChange = (e) => {
+    if (e.target.name === 'q') {
+      searchTouched.current = true;
+    }
+
     setFilters({
       ...filters,
       [e.target.name]: e.target.value
     });
   };
 
+  // Search as the user types, once they stop for a moment
+  useEffect(() => {
+    if (!searchTouched.current) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      searchTouched.current = false;
+      onFilter(getActiveFilters(filters));
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [filters, onFilter]);
+
   const handleFilter = () => {
-    // Remove empty filters
-    const activeFilters = Object.entries(filters).reduce((acc, [key, value]) => {
-      if (value !== '') {
-        acc[key] = value;
-      }
-      return acc;
-    }, {});
+    onFilter(getActiveFilters(filters));
+  };
+
+  const handleExport = async (format) => {
+    setExportAnchor(null);
+    setExporting(true);
 
-    onFilter(activeFilters);
+    try {
+      const blob = await saleService.exportSales({ ...getActiveFilters(filters), format });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `ventas_${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      // Errors also arrive as a Blob because of responseType
+      let message = 'Error al exportar las ventas';
+      try {
+        const data = JSON.parse(await error.response.data.text());
+        message = data.error?.message || message;
+      } catch (parseError) {
+        // Keep the generic message
+      }
+      dispatch(showError(message));
+    } finally {
+      setExporting(false);
+    }
   };
 
   const handleClear = () => {
-    setFilters({
-      productoId: '',
-      estado: '',
-      startDate: '',
-      endDate: ''
-    });
+    searchTouched.current = false;
+    setFilters(EMPTY_FILTERS);
     onClear();
   };
 
   return (
     <Paper sx={{ p: 2, mb: 2 }}>
       <Grid container spacing={2} alignItems="center">
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            name="q"
+            value={filters.q}
+            onChange={handleChange}
+            size="small"
+            placeholder="Buscar por asesor, producto, franquicia o ID"
+            inputProps={{ maxLength: VALIDATION.SEARCH_MAX_LENGTH }}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <SearchIcon />
+                </InputAdornment>
+              )
+            }}
+          />
+        </Grid>
+
         <Grid item xs={12} sm={6} md={3}>
           <TextField
             fullWidth
@@ -88,6 +182,25 @@ const SaleFilters = ({ onFilter = () => {}, onClear = () => {} }) => {
         </Grid>
 
         <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            fullWidth
+            select
+            label="Sucursal"
+            name="sucursalId"
+            value={filters.sucursalId}
+            onChange={handleChange}
+            size="small"
+          >
+            <MenuItem value="">Todas</MenuItem>
+            {branches.map((branch) => (
+              <MenuItem key={branch.id} value={branch.id}>
+                {branch.nombre}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+
+        <Grid item xs={12} sm={6} md={2}>
           <TextField
             fullWidth
             select
@@ -101,6 +214,7 @@ const SaleFilters = ({ onFilter = () => {}, onClear = () => {} }) => {
             <MenuItem value={SALE_STATUSES.OPEN}>Abierto</MenuItem>
             <MenuItem value={SALE_STATUSES.IN_PROCESS}>En Proceso</MenuItem>
             <MenuItem value={SALE_STATUSES.FINISHED}>Finalizado</MenuItem>
+            <MenuItem value={SALE_STATUSES.REJECTED}>Rechazado</MenuItem>
           </TextField>
         </Grid>
 
@@ -130,7 +244,7 @@ const SaleFilters = ({ onFilter = () => {}, onClear = () => {} }) => {
           />
         </Grid>
 
-        <Grid item xs={12} md={2}>
+        <Grid item xs={12} md={3}>
           <Box sx={{ display: 'flex', gap: 1 }}>
             <Button
               fullWidth
@@ -147,6 +261,25 @@ const SaleFilters = ({ onFilter = () => {}, onClear = () => {} }) => {
             >
               Limpiar
             </Button>
+            <Button
+              variant="outlined"
+              startIcon={<FileDownloadIcon />}
+              onClick={(e) => setExportAnchor(e.currentTarget)}
+              disabled={exporting}
+            >
+              {exporting ? 'Exportando...' : 'Exportar'}
+            </Button>
+            <Menu
+              anchorEl={exportAnchor}
+              open={Boolean(exportAnchor)}
+              onClose={() => setExportAnchor(null)}
+            >
+              {EXPORT_OPTIONS.map((option) => (
+                <MenuItem key={option.format} onClick={() => handleExport(option.format)}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Menu>
           </Box>
         </Grid>
       </Grid>
@@ -1,6 +1,8 @@
 /**
  * Sale Form Component
  * Form for creating and editing sales
+ * Edits send the version they started from; when the parent gets a 409 it passes the
+ * current sale as conflict and the form offers to reload it or keep the user's changes
  */
 
 import { useState, useEffect } from 'react';
@@ -8,30 +10,54 @@ import { useDispatch, useSelector } from 'react-redux';
 import {
   TextField,
   MenuItem,
-  Grid
+  Grid,
+  Autocomplete,
+  Button,
+  Box
 } from '@mui/material';
+import PersonAddIcon from '@mui/icons-material/PersonAdd';
 import FormDialog from '../common/FormDialog';
+import ClientForm from '../clients/ClientForm';
+import SaleConflictDialog from './SaleConflictDialog';
 import { selectProducts, selectFranchises, fetchProducts, fetchFranchises } from '../../store/slices/productSlice';
-import { PRODUCTS, SALE_STATUSES } from '../../constants';
+import { selectUser, selectPermissions } from '../../store/slices/authSlice';
+import { createClient, selectClientsLoading } from '../../store/slices/clientSlice';
+import { showSuccess, showError } from '../../store/slices/uiSlice';
+import clientService from '../../services/clientService';
+import { SALE_STATUSES, SALE_STATUS_TRANSITIONS, PERMISSIONS } from '../../constants';
+import { hasPermission, hasScopedPermission } from '../../utils/permissions';
 
 const SaleForm = ({
   open = false,
   onClose = () => {},
   onSubmit = () => {},
   initialData = null,
-  loading = false
+  loading = false,
+  conflict = null,
+  onConflictReload = () => {},
+  onConflictClose = () => {}
 }) => {
   const dispatch = useDispatch();
   const products = useSelector(selectProducts);
   const franchises = useSelector(selectFranchises);
+  const user = useSelector(selectUser);
+  const permissions = useSelector(selectPermissions);
+  const clientsLoading = useSelector(selectClientsLoading);
 
   const [formData, setFormData] = useState({
+    clienteId: '',
     productoId: '',
     cupoSolicitado: '',
     franquiciaId: '',
     tasa: '',
     estado: SALE_STATUSES.OPEN
   });
+  const [selectedClient, setSelectedClient] = useState(null);
+  const [clientSearch, setClientSearch] = useState('');
+  const [clientOptions, setClientOptions] = useState([]);
+  const [clientFormOpen, setClientFormOpen] = useState(false);
+  // Version of the sale the edit is based on, sent with the update
+  const [baseVersion, setBaseVersion] = useState(null);
 
   // Load products and franchises on mount
   useEffect(() => {
@@ -49,177 +75,379 @@ const SaleForm = ({
   useEffect(() => {
     if (initialData) {
       setFormData({
+        clienteId: initialData.clienteId || '',
         productoId: initialData.productoId || '',
         cupoSolicitado: initialData.cupoSolicitado || '',
         franquiciaId: initialData.franquiciaId || '',
         tasa: initialData.tasa || '',
         estado: initialData.estado || SALE_STATUSES.OPEN
       });
+      setBaseVersion(initialData.version ?? null);
+      setSelectedClient(initialData.clienteId
+        ? {
+            id: initialData.clienteId,
+            nombreCompleto: initialData.clienteNombre,
+            numeroDocumento: initialData.clienteDocumento
+          }
+        : null);
     } else {
       setFormData({
+        clienteId: '',
         productoId: '',
         cupoSolicitado: '',
         franquiciaId: '',
         tasa: '',
         estado: SALE_STATUSES.OPEN
       });
+      setSelectedClient(null);
+      setBaseVersion(null);
     }
   }, [initialData, open]);
 
+  // Search clients by name or document while typing (debounced)
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+
+    let active = true;
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await clientService.getAllClients({ search: clientSearch, limit: 20 });
+        if (active) {
+          setClientOptions(response.data.clients);
+        }
+      } catch (error) {
+        if (active) {
+          setClientOptions([]);
+        }
+      }
+    }, 300);
+
+    return () => {
+      active = false;
+      clearTimeout(timeout);
+    };
+  }, [clientSearch, open]);
+
+  const handleClientChange = (event, client) => {
+    setSelectedClient(client);
+    setFormData(prev => ({
+      ...prev,
+      clienteId: client ? client.id : ''
+    }));
+  };
+
+  const handleClientCreate = async (clientData) => {
+    const result = await dispatch(createClient(clientData));
+
+    if (createClient.fulfilled.match(result)) {
+      dispatch(showSuccess('Cliente creado exitosamente'));
+      handleClientChange(null, result.payload);
+      setClientFormOpen(false);
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al crear el cliente'));
+    }
+  };
+
+  // Rules of the selected product decide which fields apply
+  const findProduct = (productId) => products.find(p => p.id === parseInt(productId));
+  const selectedProduct = findProduct(formData.productoId);
+  const showFranchise = !!selectedProduct?.requiresFranchise;
+  const showRate = !!selectedProduct?.requiresRate;
+
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormData({
-      ...formData,
-      [name]: value
-    });
 
-    // Clear franchise when product changes and it's not a credit card
-    if (name === 'productoId' && parseInt(value) !== PRODUCTS.CREDIT_CARD.ID) {
+    // Clear franchise and rate when the new product doesn't use them
+    if (name === 'productoId') {
+      const product = findProduct(value);
       setFormData(prev => ({
         ...prev,
         [name]: value,
-        franquiciaId: ''
+        franquiciaId: product?.requiresFranchise ? prev.franquiciaId : '',
+        tasa: product?.requiresRate ? prev.tasa : ''
       }));
+      return;
     }
 
-    // Clear rate when product changes and it's not credit or payroll
-    if (name === 'productoId') {
-      const productId = parseInt(value);
-      if (productId !== PRODUCTS.CONSUMER_CREDIT.ID &&
-          productId !== PRODUCTS.FREE_INVESTMENT_PAYROLL.ID) {
-        setFormData(prev => ({
-          ...prev,
-          [name]: value,
-          tasa: ''
-        }));
-      }
-    }
+    setFormData({
+      ...formData,
+      [name]: value
+    });
   };
 
+  // Users allowed to change the status of any sale but not to edit it only send the status.
+  // Supervisors only list their own and their teams' sales, so sales:update:team covers every listed one
+  const canEditDetails = !initialData || hasPermission(permissions, PERMISSIONS.SALES_UPDATE_TEAM) || hasScopedPermission(
+    permissions,
+    PERMISSIONS.SALES_UPDATE_ANY,
+    PERMISSIONS.SALES_UPDATE_OWN,
+    initialData.usuarioCreadorId === user?.id
+  );
+
   const handleSubmit = () => {
-    // Prepare data
+    const versionData = initialData && baseVersion !== null ? { version: baseVersion } : {};
+
+    if (!canEditDetails) {
+      onSubmit({ estado: formData.estado, ...versionData });
+      return;
+    }
+
+    // Prepare data; franchise and rate are sent as null when the product doesn't use them
     const submitData = {
+      clienteId: parseInt(formData.clienteId),
       productoId: parseInt(formData.productoId),
       cupoSolicitado: parseFloat(formData.cupoSolicitado),
-      estado: formData.estado
+      franquiciaId: showFranchise && formData.franquiciaId ? parseInt(formData.franquiciaId) : null,
+      tasa: showRate && formData.tasa !== '' ? parseFloat(formData.tasa) : null,
+      estado: formData.estado,
+      ...versionData
     };
 
-    // Add franchise only for credit cards
-    if (parseInt(formData.productoId) === PRODUCTS.CREDIT_CARD.ID && formData.franquiciaId) {
-      submitData.franquiciaId = parseInt(formData.franquiciaId);
-    }
+    onSubmit(submitData);
+  };
 
-    // Add rate only for credits and payrolls
-    const productId = parseInt(formData.productoId);
-    if ((productId === PRODUCTS.CONSUMER_CREDIT.ID ||
-         productId === PRODUCTS.FREE_INVESTMENT_PAYROLL.ID) &&
-        formData.tasa) {
-      submitData.tasa = parseFloat(formData.tasa);
-    }
+  // The next save overwrites the current version with the form values
+  const handleKeepMine = () => {
+    setBaseVersion(conflict.version);
+    onConflictClose();
+  };
 
-    onSubmit(submitData);
+  // Inactive products and franchises can't be sold, but an edited sale keeps showing its own
+  const productOptions = products.filter(p => p.activo || p.id === initialData?.productoId);
+  const franchiseOptions = franchises.filter(f => f.activo || f.id === initialData?.franquiciaId);
+
+  const formatLimits = (min, max, format) => {
+    if (min !== null && min !== undefined && max !== null && max !== undefined) {
+      return `Entre ${format(min)} y ${format(max)}`;
+    }
+    if (min !== null && min !== undefined) {
+      return `Mínimo ${format(min)}`;
+    }
+    if (max !== null && max !== undefined) {
+      return `Máximo ${format(max)}`;
+    }
+    return '';
   };
 
-  // Determine if franchise field should be shown
-  const showFranchise = parseInt(formData.productoId) === PRODUCTS.CREDIT_CARD.ID;
+  const formatAmount = (value) => new Intl.NumberFormat('es-CO', {
+    style: 'currency',
+    currency: 'COP',
+    minimumFractionDigits: 0
+  }).format(value);
 
-  // Determine if rate field should be shown
-  const showRate = parseInt(formData.productoId) === PRODUCTS.CONSUMER_CREDIT.ID ||
-                    parseInt(formData.productoId) === PRODUCTS.FREE_INVESTMENT_PAYROLL.ID;
+  // Statuses the user can pick: the current one plus the legal next ones their permissions allow
+  // New sales always start as open
+  const currentStatus = initialData?.estado || SALE_STATUSES.OPEN;
+  const transitions = SALE_STATUS_TRANSITIONS[currentStatus] || {};
+  const statusOptions = initialData
+    ? [
+        currentStatus,
+        ...Object.keys(transitions).filter((status) => hasPermission(permissions, transitions[status]))
+      ]
+    : [SALE_STATUSES.OPEN];
 
-  return (
-    <FormDialog
-      open={open}
-      title={initialData ? 'Editar Venta' : 'Nueva Venta'}
-      onClose={onClose}
-      onSubmit={handleSubmit}
-      loading={loading}
-      maxWidth="md"
-    >
-      <Grid container spacing={2}>
-        <Grid item xs={12} sm={6}>
-          <TextField
-            fullWidth
-            select
-            label="Producto"
-            name="productoId"
-            value={formData.productoId}
-            onChange={handleChange}
-            required
-          >
-            {products.map((product) => (
-              <MenuItem key={product.id} value={product.id}>
-                {product.nombre}
-              </MenuItem>
-            ))}
-          </TextField>
-        </Grid>
+  // Form values against the current sale, shown when comparing a conflict
+  const conflictRows = conflict
+    ? [
+        {
+          label: 'Cliente',
+          mine: selectedClient?.nombreCompleto || '-',
+          server: conflict.clienteNombre
+        },
+        {
+          label: 'Producto',
+          mine: selectedProduct?.nombre || '-',
+          server: conflict.productoNombre
+        },
+        {
+          label: 'Cupo Solicitado',
+          mine: formData.cupoSolicitado !== '' ? formatAmount(formData.cupoSolicitado) : '-',
+          server: formatAmount(conflict.cupoSolicitado)
+        },
+        {
+          label: 'Franquicia',
+          mine: (showFranchise && franchises.find(f => f.id === parseInt(formData.franquiciaId))?.nombre) || '-',
+          server: conflict.franquiciaNombre || '-'
+        },
+        {
+          label: 'Tasa',
+          mine: showRate && formData.tasa !== '' ? `${formData.tasa}%` : '-',
+          server: conflict.tasa !== null ? `${conflict.tasa}%` : '-'
+        },
+        {
+          label: 'Estado',
+          mine: formData.estado,
+          server: conflict.estado
+        }
+      ]
+    : [];
 
-        <Grid item xs={12} sm={6}>
-          <TextField
-            fullWidth
-            label="Cupo Solicitado"
-            name="cupoSolicitado"
-            type="number"
-            value={formData.cupoSolicitado}
-            onChange={handleChange}
-            required
-            inputProps={{ min: 0, step: 1000 }}
-          />
-        </Grid>
+  return (
+    <>
+      <FormDialog
+        open={open}
+        title={initialData ? 'Editar Venta' : 'Nueva Venta'}
+        onClose={onClose}
+        onSubmit={handleSubmit}
+        loading={loading}
+        maxWidth="md"
+      >
+        <Grid container spacing={2}>
+          <Grid item xs={12}>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+              <Autocomplete
+                fullWidth
+                value={selectedClient}
+                options={clientOptions}
+                filterOptions={(options) => options}
+                getOptionLabel={(client) => `${client.nombreCompleto} - ${client.numeroDocumento}`}
+                isOptionEqualToValue={(option, value) => option.id === value.id}
+                onChange={handleClientChange}
+                onInputChange={(event, value) => setClientSearch(value)}
+                disabled={!canEditDetails}
+                noOptionsText="No se encontraron clientes"
+                renderInput={(params) => (
+                  <TextField
+                    {...params}
+                    label="Cliente"
+                    placeholder="Buscar por nombre o documento..."
+                    required
+                  />
+                )}
+              />
+              <Button
+                variant="outlined"
+                startIcon={<PersonAddIcon />}
+                onClick={() => setClientFormOpen(true)}
+                disabled={!canEditDetails}
+                sx={{ whiteSpace: 'nowrap', height: 56 }}
+              >
+                Nuevo Cliente
+              </Button>
+            </Box>
+          </Grid>
 
-        {showFranchise && (
           <Grid item xs={12} sm={6}>
             <TextField
               fullWidth
               select
-              label="Franquicia"
-              name="franquiciaId"
-              value={formData.franquiciaId}
+              label="Producto"
+              name="productoId"
+              disabled={!canEditDetails}
+              value={formData.productoId}
               onChange={handleChange}
-              required={showFranchise}
+              required
             >
-              {franchises.map((franchise) => (
-                <MenuItem key={franchise.id} value={franchise.id}>
-                  {franchise.nombre}
+              {productOptions.map((product) => (
+                <MenuItem key={product.id} value={product.id}>
+                  {product.nombre}
                 </MenuItem>
               ))}
             </TextField>
           </Grid>
-        )}
 
-        {showRate && (
           <Grid item xs={12} sm={6}>
             <TextField
               fullWidth
-              label="Tasa (%)"
-              name="tasa"
+              label="Cupo Solicitado"
+              name="cupoSolicitado"
+              disabled={!canEditDetails}
               type="number"
-              value={formData.tasa}
+              value={formData.cupoSolicitado}
               onChange={handleChange}
-              required={showRate}
-              inputProps={{ min: 0, max: 100, step: 0.1 }}
+              required
+              inputProps={{
+                min: selectedProduct?.minAmount ?? 0,
+                max: selectedProduct?.maxAmount ?? undefined,
+                step: 1000
+              }}
+              helperText={formatLimits(selectedProduct?.minAmount, selectedProduct?.maxAmount, formatAmount)}
             />
           </Grid>
-        )}
-
-        <Grid item xs={12} sm={6}>
-          <TextField
-            fullWidth
-            select
-            label="Estado"
-            name="estado"
-            value={formData.estado}
-            onChange={handleChange}
-            required
-          >
-            <MenuItem value={SALE_STATUSES.OPEN}>Abierto</MenuItem>
-            <MenuItem value={SALE_STATUSES.IN_PROCESS}>En Proceso</MenuItem>
-            <MenuItem value={SALE_STATUSES.FINISHED}>Finalizado</MenuItem>
-          </TextField>
+
+          {showFranchise && (
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                select
+                label="Franquicia"
+                name="franquiciaId"
+                disabled={!canEditDetails}
+                value={formData.franquiciaId}
+                onChange={handleChange}
+                required={showFranchise}
+              >
+                {franchiseOptions.map((franchise) => (
+                  <MenuItem key={franchise.id} value={franchise.id}>
+                    {franchise.nombre}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+          )}
+
+          {showRate && (
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Tasa (%)"
+                name="tasa"
+                disabled={!canEditDetails}
+                type="number"
+                value={formData.tasa}
+                onChange={handleChange}
+                required={showRate}
+                inputProps={{
+                  min: selectedProduct?.minRate ?? 0,
+                  max: selectedProduct?.maxRate ?? 100,
+                  step: 0.1
+                }}
+                helperText={formatLimits(selectedProduct?.minRate, selectedProduct?.maxRate, (value) => `${value}%`)}
+              />
+            </Grid>
+          )}
+
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              select
+              label="Estado"
+              name="estado"
+              value={formData.estado}
+              onChange={handleChange}
+              required
+              disabled={statusOptions.length === 1}
+              helperText={statusOptions.length === 1 && initialData ? 'No hay cambios de estado disponibles' : ''}
+            >
+              {statusOptions.map((status) => (
+                <MenuItem key={status} value={status}>
+                  {status}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
         </Grid>
-      </Grid>
-    </FormDialog>
+      </FormDialog>
+
+      <SaleConflictDialog
+        open={Boolean(conflict)}
+        current={conflict}
+        rows={conflictRows}
+        onReload={() => onConflictReload(conflict)}
+        onKeepMine={handleKeepMine}
+        onClose={onConflictClose}
+      />
+
+      {/* Rendered outside the sale dialog so its submit doesn't bubble to the sale form */}
+      <ClientForm
+        open={clientFormOpen}
+        onClose={() => setClientFormOpen(false)}
+        onSubmit={handleClientCreate}
+        loading={clientsLoading}
+      />
+    </>
   );
 };
 
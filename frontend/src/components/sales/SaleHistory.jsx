@@ -0,0 +1,218 @@
+/**
+ * Sale History Component
+ * Timeline of the audit trail of a sale (who changed what and when)
+ */
+
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Box, Typography, Chip, Paper } from '@mui/material';
+import AddCircleIcon from '@mui/icons-material/AddCircle';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RestoreIcon from '@mui/icons-material/Restore';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import FormDialog from '../common/FormDialog';
+import Loading from '../common/Loading';
+import {
+  fetchSaleHistory,
+  clearSaleHistory,
+  selectSaleHistory,
+  selectSaleHistoryLoading
+} from '../../store/slices/saleSlice';
+import { selectProducts, selectFranchises, fetchProducts, fetchFranchises } from '../../store/slices/productSlice';
+import { SALE_HISTORY_ACTIONS } from '../../constants';
+
+// UI labels for tracked fields
+const FIELD_LABELS = {
+  productoId: 'Producto',
+  cupoSolicitado: 'Monto',
+  franquiciaId: 'Franquicia',
+  tasa: 'Tasa',
+  estado: 'Estado',
+  clienteId: 'Cliente',
+  usuarioCreadorId: 'Asesor'
+};
+
+// Icon, color and label per action
+const ACTION_CONFIG = {
+  [SALE_HISTORY_ACTIONS.CREATE]: {
+    label: 'Creación',
+    color: 'success',
+    icon: AddCircleIcon
+  },
+  [SALE_HISTORY_ACTIONS.UPDATE]: {
+    label: 'Actualización',
+    color: 'primary',
+    icon: EditIcon
+  },
+  [SALE_HISTORY_ACTIONS.DELETE]: {
+    label: 'Eliminación',
+    color: 'error',
+    icon: DeleteIcon
+  },
+  [SALE_HISTORY_ACTIONS.RESTORE]: {
+    label: 'Restauración',
+    color: 'info',
+    icon: RestoreIcon
+  },
+  [SALE_HISTORY_ACTIONS.REASSIGN]: {
+    label: 'Reasignación',
+    color: 'warning',
+    icon: SwapHorizIcon
+  }
+};
+
+const SaleHistory = ({
+  open = false,
+  onClose = () => {},
+  sale = null
+}) => {
+  const dispatch = useDispatch();
+  const history = useSelector(selectSaleHistory);
+  const loading = useSelector(selectSaleHistoryLoading);
+  const products = useSelector(selectProducts);
+  const franchises = useSelector(selectFranchises);
+
+  // Load history (and catalogs used to show names) when opened
+  useEffect(() => {
+    if (open && sale) {
+      dispatch(fetchSaleHistory(sale.id));
+      if (products.length === 0) {
+        dispatch(fetchProducts());
+      }
+      if (franchises.length === 0) {
+        dispatch(fetchFranchises());
+      }
+    }
+  }, [open, sale, dispatch, products.length, franchises.length]);
+
+  const handleClose = () => {
+    dispatch(clearSaleHistory());
+    onClose();
+  };
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('es-CO', {
+      style: 'currency',
+      currency: 'COP',
+      minimumFractionDigits: 0
+    }).format(value);
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('es-CO', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const formatValue = (campo, value) => {
+    if (value === null || value === undefined) {
+      return '-';
+    }
+
+    switch (campo) {
+      case 'productoId':
+        return products.find(p => p.id === value)?.nombre || `#${value}`;
+      case 'franquiciaId':
+        return franchises.find(f => f.id === value)?.nombre || `#${value}`;
+      case 'cupoSolicitado':
+        return formatCurrency(value);
+      case 'tasa':
+        return `${value}%`;
+      case 'clienteId':
+        return `Cliente #${value}`;
+      case 'usuarioCreadorId':
+        return `Usuario #${value}`;
+      default:
+        return String(value);
+    }
+  };
+
+  return (
+    <FormDialog
+      open={open}
+      title={sale ? `Historial de la Venta #${sale.id}` : 'Historial de la Venta'}
+      onClose={handleClose}
+      maxWidth="md"
+      showActions={false}
+    >
+      {loading ? (
+        <Loading message="Cargando historial..." />
+      ) : history.length === 0 ? (
+        <Typography color="text.secondary" align="center" sx={{ py: 4 }}>
+          No hay cambios registrados para esta venta
+        </Typography>
+      ) : (
+        <Box sx={{ position: 'relative', pl: 5 }}>
+          {/* Vertical timeline line */}
+          <Box
+            sx={{
+              position: 'absolute',
+              left: 15,
+              top: 8,
+              bottom: 8,
+              width: 2,
+              bgcolor: 'divider'
+            }}
+          />
+
+          {history.map((entry) => {
+            const config = ACTION_CONFIG[entry.accion] || ACTION_CONFIG[SALE_HISTORY_ACTIONS.UPDATE];
+            const Icon = config.icon;
+
+            return (
+              <Box key={entry.id} sx={{ position: 'relative', mb: 3 }}>
+                <Box
+                  sx={{
+                    position: 'absolute',
+                    left: -40,
+                    top: 0,
+                    width: 32,
+                    height: 32,
+                    borderRadius: '50%',
+                    bgcolor: 'background.paper',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center'
+                  }}
+                >
+                  <Icon color={config.color} />
+                </Box>
+
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+                  <Chip label={config.label} color={config.color} size="small" />
+                  <Typography variant="body2" fontWeight="bold">
+                    {entry.usuarioNombre || `Usuario #${entry.usuarioId}`}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {formatDateTime(entry.createdAt)}
+                  </Typography>
+                </Box>
+
+                <Paper variant="outlined" sx={{ p: 1.5 }}>
+                  {entry.cambios.map((cambio) => (
+                    <Typography key={cambio.campo} variant="body2">
+                      <strong>{FIELD_LABELS[cambio.campo] || cambio.campo}:</strong>{' '}
+                      {entry.accion === SALE_HISTORY_ACTIONS.UPDATE
+                        ? `${formatValue(cambio.campo, cambio.valorAnterior)} → ${formatValue(cambio.campo, cambio.valorNuevo)}`
+                        : formatValue(
+                          cambio.campo,
+                          entry.accion === SALE_HISTORY_ACTIONS.DELETE ? cambio.valorAnterior : cambio.valorNuevo
+                        )}
+                    </Typography>
+                  ))}
+                </Paper>
+              </Box>
+            );
+          })}
+        </Box>
+      )}
+    </FormDialog>
+  );
+};
+
+export default SaleHistory;
@@ -0,0 +1,290 @@
+/**
+ * Sale Import Wizard Component
+ * Uploads a CSV/XLSX file, previews the per-row validation (dry run)
+ * and confirms the import of the valid rows
+ */
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box,
+  Button,
+  Chip,
+  Stepper,
+  Step,
+  StepLabel,
+  Typography,
+  Alert,
+  Link,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import FormDialog from '../common/FormDialog';
+import { importSales, selectSalesImporting } from '../../store/slices/saleSlice';
+import { showError } from '../../store/slices/uiSlice';
+import { SALE_IMPORT } from '../../constants';
+
+const STEPS = ['Subir archivo', 'Revisar', 'Resultado'];
+
+// Example row included in the downloadable template
+const TEMPLATE_EXAMPLE = ['CC', '1020304050', 'Tarjeta de Crédito', '5000000', 'VISA', ''];
+
+const SaleImportWizard = ({
+  open = false,
+  onClose = () => {},
+  onImported = () => {}
+}) => {
+  const dispatch = useDispatch();
+  const importing = useSelector(selectSalesImporting);
+
+  const [activeStep, setActiveStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+
+  // Start over every time the wizard is opened
+  useEffect(() => {
+    if (open) {
+      setActiveStep(0);
+      setFile(null);
+      setReport(null);
+    }
+  }, [open]);
+
+  const handleFileChange = (e) => {
+    const selectedFile = e.target.files[0];
+    e.target.value = '';
+
+    if (!selectedFile) {
+      return;
+    }
+
+    const extension = selectedFile.name.slice(selectedFile.name.lastIndexOf('.')).toLowerCase();
+    if (!SALE_IMPORT.ALLOWED_EXTENSIONS.includes(extension)) {
+      dispatch(showError('Solo se permiten archivos CSV o XLSX'));
+      return;
+    }
+
+    if (selectedFile.size > SALE_IMPORT.MAX_FILE_SIZE) {
+      dispatch(showError(`El archivo supera el tamaño máximo de ${SALE_IMPORT.MAX_FILE_SIZE / (1024 * 1024)} MB`));
+      return;
+    }
+
+    setFile(selectedFile);
+  };
+
+  const handleDownloadTemplate = () => {
+    const content = [SALE_IMPORT.COLUMNS, TEMPLATE_EXAMPLE].map(row => row.join(',')).join('\n');
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/csv;charset=utf-8' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'plantilla_ventas.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handlePreview = async () => {
+    if (!file) {
+      dispatch(showError('Selecciona un archivo para continuar'));
+      return;
+    }
+
+    const result = await dispatch(importSales({ file, dryRun: true }));
+
+    if (importSales.fulfilled.match(result)) {
+      setReport(result.payload);
+      setActiveStep(1);
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al validar el archivo'));
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (report.validRows === 0) {
+      dispatch(showError('No hay filas válidas para importar'));
+      return;
+    }
+
+    const result = await dispatch(importSales({ file, dryRun: false }));
+
+    if (importSales.fulfilled.match(result)) {
+      setReport(result.payload);
+      setActiveStep(2);
+      onImported(result.payload);
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al importar las ventas'));
+    }
+  };
+
+  const handleBack = () => {
+    setActiveStep(0);
+    setReport(null);
+  };
+
+  const handleSubmit = () => {
+    if (activeStep === 0) {
+      handlePreview();
+    } else if (activeStep === 1) {
+      handleConfirm();
+    } else {
+      handleBack();
+    }
+  };
+
+  const getSubmitText = () => {
+    if (activeStep === 0) {
+      return 'Validar';
+    }
+    if (activeStep === 1) {
+      return `Importar ${report?.validRows || 0} ventas`;
+    }
+    return 'Importar otro archivo';
+  };
+
+  const formatCurrency = (value) => {
+    if (typeof value !== 'number') {
+      return value ?? '-';
+    }
+    return new Intl.NumberFormat('es-CO', {
+      style: 'currency',
+      currency: 'COP',
+      minimumFractionDigits: 0
+    }).format(value);
+  };
+
+  const renderUploadStep = () => (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <Typography variant="body2" color="text.secondary">
+        El archivo debe tener una fila de encabezados con las columnas{' '}
+        <strong>{SALE_IMPORT.COLUMNS.join(', ')}</strong>. El cliente se identifica por su documento
+        y debe estar registrado; producto y franquicia pueden indicarse por nombre o ID.
+        Máximo {SALE_IMPORT.MAX_ROWS} filas.
+      </Typography>
+
+      <Link component="button" type="button" variant="body2" onClick={handleDownloadTemplate} sx={{ alignSelf: 'flex-start' }}>
+        Descargar plantilla CSV
+      </Link>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+        <Button variant="outlined" component="label" startIcon={<UploadFileIcon />} disabled={importing}>
+          Seleccionar archivo
+          <input
+            type="file"
+            hidden
+            accept={SALE_IMPORT.ALLOWED_EXTENSIONS.join(',')}
+            onChange={handleFileChange}
+          />
+        </Button>
+        <Typography variant="body2">
+          {file ? file.name : 'Ningún archivo seleccionado'}
+        </Typography>
+      </Box>
+    </Box>
+  );
+
+  const renderPreviewStep = () => (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Chip label={`${report.totalRows} filas`} size="small" />
+        <Chip label={`${report.validRows} válidas`} color="success" size="small" />
+        <Chip label={`${report.invalidRows} con errores`} color={report.invalidRows > 0 ? 'error' : 'default'} size="small" />
+        <Box sx={{ flexGrow: 1 }} />
+        <Button size="small" onClick={handleBack} disabled={importing}>
+          Cambiar archivo
+        </Button>
+      </Box>
+
+      {report.invalidRows > 0 && (
+        <Alert severity="warning">
+          Las filas con errores no se importarán. Corrígelas en el archivo y vuelve a cargarlo si deseas incluirlas.
+        </Alert>
+      )}
+
+      <TableContainer sx={{ maxHeight: 400 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Fila</TableCell>
+              <TableCell>Cliente</TableCell>
+              <TableCell>Producto</TableCell>
+              <TableCell align="right">Monto</TableCell>
+              <TableCell>Franquicia</TableCell>
+              <TableCell>Tasa</TableCell>
+              <TableCell>Estado</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {report.rows.map((row) => (
+              <TableRow key={row.row}>
+                <TableCell>{row.row}</TableCell>
+                <TableCell>
+                  {row.data.clienteNombre || '-'}
+                  <Typography variant="caption" display="block" color="text.secondary">
+                    {row.data.tipoDocumento} {row.data.numeroDocumento}
+                  </Typography>
+                </TableCell>
+                <TableCell>{row.data.productoNombre || '-'}</TableCell>
+                <TableCell align="right">{formatCurrency(row.data.cupoSolicitado)}</TableCell>
+                <TableCell>{row.data.franquiciaNombre || '-'}</TableCell>
+                <TableCell>{row.data.tasa !== null ? `${row.data.tasa}%` : '-'}</TableCell>
+                <TableCell>
+                  {row.valid ? (
+                    <Chip label="Válida" color="success" size="small" />
+                  ) : (
+                    <>
+                      <Chip label="Con errores" color="error" size="small" />
+                      {row.errors.map((error, index) => (
+                        <Typography key={index} variant="caption" display="block" color="error">
+                          {error.message}
+                        </Typography>
+                      ))}
+                    </>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+
+  const renderResultStep = () => (
+    <Alert severity="success">
+      Se importaron {report.createdIds.length} ventas.
+      {report.invalidRows > 0 && ` ${report.invalidRows} filas con errores no se importaron.`}
+    </Alert>
+  );
+
+  return (
+    <FormDialog
+      open={open}
+      title="Importar Ventas"
+      onClose={onClose}
+      onSubmit={handleSubmit}
+      loading={importing}
+      maxWidth={activeStep === 1 ? 'lg' : 'sm'}
+      submitText={getSubmitText()}
+      cancelText={activeStep === 2 ? 'Cerrar' : 'Cancelar'}
+    >
+      <Stepper activeStep={activeStep} sx={{ mb: 3 }}>
+        {STEPS.map((label) => (
+          <Step key={label}>
+            <StepLabel>{label}</StepLabel>
+          </Step>
+        ))}
+      </Stepper>
+
+      {activeStep === 0 && renderUploadStep()}
+      {activeStep === 1 && report && renderPreviewStep()}
+      {activeStep === 2 && report && renderResultStep()}
+    </FormDialog>
+  );
+};
+
+export default SaleImportWizard;
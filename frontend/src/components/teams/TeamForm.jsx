@@ -0,0 +1,182 @@
+/**
+ * Team Form Component
+ * Form for creating and editing teams: a supervisor and the advisors they lead (teams:manage)
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  TextField,
+  MenuItem,
+  Grid,
+  Autocomplete
+} from '@mui/material';
+import FormDialog from '../common/FormDialog';
+import userService from '../../services/userService';
+import { VALIDATION } from '../../constants';
+
+const EMPTY_FORM = {
+  nombre: '',
+  descripcion: '',
+  supervisorId: '',
+  miembros: []
+};
+
+const TeamForm = ({
+  open = false,
+  onClose = () => {},
+  onSubmit = () => {},
+  initialData = null,
+  loading = false
+}) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [users, setUsers] = useState([]);
+
+  // Load the users that can be supervisor or members on open
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+
+    let active = true;
+    userService.getAllUsers({ limit: 100 })
+      .then((response) => {
+        if (active) {
+          setUsers(response.data.users);
+        }
+      })
+      .catch(() => {
+        if (active) {
+          setUsers([]);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [open]);
+
+  // Set initial data when editing
+  useEffect(() => {
+    if (initialData) {
+      setFormData({
+        nombre: initialData.nombre || '',
+        descripcion: initialData.descripcion || '',
+        supervisorId: initialData.supervisorId || '',
+        miembros: initialData.miembros.map(member => member.id)
+      });
+    } else {
+      setFormData(EMPTY_FORM);
+    }
+  }, [initialData, open]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleMembersChange = (event, selectedUsers) => {
+    setFormData({
+      ...formData,
+      miembros: selectedUsers.map(member => member.id)
+    });
+  };
+
+  const handleSubmit = () => {
+    onSubmit({
+      nombre: formData.nombre.trim(),
+      descripcion: formData.descripcion.trim() || null,
+      supervisorId: formData.supervisorId,
+      miembros: formData.miembros
+    });
+  };
+
+  // Users moved from another team show it next to their name
+  const getUserLabel = (user) => {
+    const inOtherTeam = user.equipoId && user.equipoId !== initialData?.id;
+    return inOtherTeam ? `${user.nombre} (${user.email}) - en otro equipo` : `${user.nombre} (${user.email})`;
+  };
+
+  const selectedMembers = users.filter(user => formData.miembros.includes(user.id));
+
+  return (
+    <FormDialog
+      open={open}
+      title={initialData ? 'Editar Equipo' : 'Nuevo Equipo'}
+      onClose={onClose}
+      onSubmit={handleSubmit}
+      loading={loading}
+      maxWidth="md"
+    >
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6}>
+          <TextField
+            fullWidth
+            label="Nombre"
+            name="nombre"
+            value={formData.nombre}
+            onChange={handleChange}
+            required
+            inputProps={{
+              minLength: VALIDATION.TEAM_NAME_MIN_LENGTH,
+              maxLength: VALIDATION.TEAM_NAME_MAX_LENGTH
+            }}
+          />
+        </Grid>
+
+        <Grid item xs={12} sm={6}>
+          <TextField
+            fullWidth
+            select
+            label="Supervisor"
+            name="supervisorId"
+            value={formData.supervisorId}
+            onChange={handleChange}
+            required
+          >
+            {users.map((user) => (
+              <MenuItem key={user.id} value={user.id}>
+                {user.nombre} - {user.rolNombre}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            label="Descripción"
+            name="descripcion"
+            value={formData.descripcion}
+            onChange={handleChange}
+            multiline
+            rows={2}
+          />
+        </Grid>
+
+        <Grid item xs={12}>
+          <Autocomplete
+            multiple
+            value={selectedMembers}
+            options={users}
+            getOptionLabel={getUserLabel}
+            isOptionEqualToValue={(option, value) => option.id === value.id}
+            onChange={handleMembersChange}
+            noOptionsText="No se encontraron usuarios"
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Miembros"
+                placeholder="Buscar asesores..."
+                helperText="Cada usuario pertenece a un solo equipo, al agregarlo aquí sale de su equipo actual"
+              />
+            )}
+          />
+        </Grid>
+      </Grid>
+    </FormDialog>
+  );
+};
+
+export default TeamForm;
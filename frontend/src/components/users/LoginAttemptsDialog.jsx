@@ -0,0 +1,184 @@
+/**
+ * Login Attempts Dialog Component
+ * Login audit trail for admins, for every account or for one user
+ */
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box,
+  Chip,
+  TextField,
+  MenuItem,
+  Button,
+  Tooltip
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import FormDialog from '../common/FormDialog';
+import DataTable from '../common/DataTable';
+import {
+  fetchLoginAttempts,
+  selectLoginAttempts,
+  selectLoginAttemptsPagination,
+  selectLoginAttemptsLoading
+} from '../../store/slices/userSlice';
+import { LOGIN_ATTEMPT_REASONS, LOGIN_ATTEMPT_REASON_LABELS } from '../../constants';
+
+const RESULT_OPTIONS = [
+  { value: '', label: 'Todos' },
+  { value: 'true', label: 'Exitosos' },
+  { value: 'false', label: 'Fallidos' }
+];
+
+const LoginAttemptsDialog = ({ open, onClose, user = null }) => {
+  const dispatch = useDispatch();
+  const attempts = useSelector(selectLoginAttempts);
+  const pagination = useSelector(selectLoginAttemptsPagination);
+  const loading = useSelector(selectLoginAttemptsLoading);
+
+  const [email, setEmail] = useState('');
+  const [exitoso, setExitoso] = useState('');
+
+  // Filters sent with every page request
+  const buildParams = (params) => {
+    const query = { ...params };
+    if (user) query.usuarioId = user.id;
+    if (!user && email.trim()) query.email = email.trim();
+    if (exitoso !== '') query.exitoso = exitoso;
+    return query;
+  };
+
+  useEffect(() => {
+    if (open) {
+      setEmail('');
+      setExitoso('');
+      dispatch(fetchLoginAttempts(user ? { usuarioId: user.id, page: 1, limit: 10 } : { page: 1, limit: 10 }));
+    }
+  }, [dispatch, open, user]);
+
+  const handleSearch = () => {
+    dispatch(fetchLoginAttempts(buildParams({ page: 1, limit: pagination.limit })));
+  };
+
+  const handlePageChange = (page) => {
+    dispatch(fetchLoginAttempts(buildParams({ page, limit: pagination.limit })));
+  };
+
+  const handleRowsPerPageChange = (limit) => {
+    dispatch(fetchLoginAttempts(buildParams({ page: 1, limit })));
+  };
+
+  const getReasonColor = (attempt) => {
+    if (attempt.exitoso) return 'success';
+    if (attempt.motivo === LOGIN_ATTEMPT_REASONS.MFA_PENDING) return 'info';
+    if (attempt.motivo === LOGIN_ATTEMPT_REASONS.LOCKED || attempt.motivo === LOGIN_ATTEMPT_REASONS.INACTIVE) return 'error';
+    return 'warning';
+  };
+
+  const columns = [
+    {
+      id: 'createdAt',
+      label: 'Fecha',
+      minWidth: 160,
+      render: (row) => new Date(row.createdAt).toLocaleString('es-CO')
+    },
+    {
+      id: 'email',
+      label: 'Email',
+      minWidth: 180,
+      render: (row) => row.usuarioNombre ? `${row.email} (${row.usuarioNombre})` : row.email
+    },
+    {
+      id: 'motivo',
+      label: 'Resultado',
+      minWidth: 160,
+      render: (row) => (
+        <Chip
+          label={LOGIN_ATTEMPT_REASON_LABELS[row.motivo] || row.motivo}
+          color={getReasonColor(row)}
+          size="small"
+        />
+      )
+    },
+    {
+      id: 'ip',
+      label: 'IP',
+      minWidth: 110,
+      render: (row) => row.ip || '-'
+    },
+    {
+      id: 'dispositivo',
+      label: 'Dispositivo',
+      minWidth: 160,
+      render: (row) => row.dispositivo ? (
+        <Tooltip title={row.dispositivo}>
+          <Box
+            component="span"
+            sx={{
+              display: 'inline-block',
+              maxWidth: 220,
+              overflow: 'hidden',
+              textOverflow: 'ellipsis',
+              whiteSpace: 'nowrap',
+              verticalAlign: 'bottom'
+            }}
+          >
+            {row.dispositivo}
+          </Box>
+        </Tooltip>
+      ) : '-'
+    }
+  ];
+
+  return (
+    <FormDialog
+      open={open}
+      title={user ? `Intentos de Acceso - ${user.nombre}` : 'Intentos de Acceso'}
+      onClose={onClose}
+      onSubmit={handleSearch}
+      maxWidth="lg"
+      showActions={false}
+    >
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        {!user && (
+          <TextField
+            size="small"
+            label="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            sx={{ flex: 1 }}
+          />
+        )}
+        <TextField
+          select
+          size="small"
+          label="Resultado"
+          value={exitoso}
+          onChange={(e) => setExitoso(e.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          {RESULT_OPTIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button type="submit" variant="outlined" startIcon={<SearchIcon />}>
+          Buscar
+        </Button>
+      </Box>
+
+      <DataTable
+        columns={columns}
+        data={attempts}
+        loading={loading}
+        pagination={pagination}
+        onPageChange={handlePageChange}
+        onRowsPerPageChange={handleRowsPerPageChange}
+        emptyMessage="No hay intentos de acceso registrados"
+      />
+    </FormDialog>
+  );
+};
+
+export default LoginAttemptsDialog;
@@ -0,0 +1,141 @@
+/**
+ * Pending Invitations Dialog Component
+ * Invitations not accepted yet, with resend and revoke for admins
+ */
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Box, Chip } from '@mui/material';
+import SendIcon from '@mui/icons-material/Send';
+import CancelIcon from '@mui/icons-material/Cancel';
+import FormDialog from '../common/FormDialog';
+import DataTable from '../common/DataTable';
+import ConfirmDialog from '../common/ConfirmDialog';
+import {
+  fetchInvitations,
+  resendInvitation,
+  revokeInvitation,
+  selectInvitations,
+  selectInvitationsLoading
+} from '../../store/slices/userSlice';
+import { showSuccess, showError } from '../../store/slices/uiSlice';
+
+const PendingInvitationsDialog = ({ open, onClose }) => {
+  const dispatch = useDispatch();
+  const invitations = useSelector(selectInvitations);
+  const loading = useSelector(selectInvitationsLoading);
+
+  const [invitationToRevoke, setInvitationToRevoke] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      dispatch(fetchInvitations());
+    }
+  }, [dispatch, open]);
+
+  const handleResend = async (invitation) => {
+    const result = await dispatch(resendInvitation(invitation.id));
+
+    if (resendInvitation.fulfilled.match(result)) {
+      dispatch(showSuccess(`Invitación reenviada a ${invitation.email}`));
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al reenviar la invitación'));
+    }
+  };
+
+  const handleRevokeConfirm = async () => {
+    const result = await dispatch(revokeInvitation(invitationToRevoke.id));
+
+    if (revokeInvitation.fulfilled.match(result)) {
+      dispatch(showSuccess(`Se revocó la invitación de ${invitationToRevoke.email}`));
+      setInvitationToRevoke(null);
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al revocar la invitación'));
+    }
+  };
+
+  const rowActions = [
+    {
+      id: 'resend',
+      label: 'Reenviar',
+      icon: <SendIcon fontSize="small" />,
+      color: 'primary',
+      onClick: handleResend
+    },
+    {
+      id: 'revoke',
+      label: 'Revocar',
+      icon: <CancelIcon fontSize="small" />,
+      color: 'error',
+      onClick: setInvitationToRevoke
+    }
+  ];
+
+  const columns = [
+    {
+      id: 'nombre',
+      label: 'Nombre',
+      minWidth: 150
+    },
+    {
+      id: 'email',
+      label: 'Email',
+      minWidth: 180
+    },
+    {
+      id: 'rolNombre',
+      label: 'Rol',
+      minWidth: 110
+    },
+    {
+      id: 'invitadoPorNombre',
+      label: 'Invitado por',
+      minWidth: 140,
+      render: (row) => row.invitadoPorNombre || '-'
+    },
+    {
+      id: 'expiraEn',
+      label: 'Vence',
+      minWidth: 170,
+      render: (row) => (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {new Date(row.expiraEn).toLocaleString('es-CO')}
+          {row.vencida && <Chip label="Vencida" color="error" size="small" />}
+        </Box>
+      )
+    }
+  ];
+
+  return (
+    <>
+      <FormDialog
+        open={open}
+        title="Invitaciones Pendientes"
+        onClose={onClose}
+        maxWidth="lg"
+        showActions={false}
+      >
+        <DataTable
+          columns={columns}
+          data={invitations}
+          loading={loading}
+          actions={rowActions}
+          emptyMessage="No hay invitaciones pendientes"
+        />
+      </FormDialog>
+
+      <ConfirmDialog
+        open={Boolean(invitationToRevoke)}
+        title="Revocar Invitación"
+        message={`¿Deseas revocar la invitación de "${invitationToRevoke?.email}"? El enlace dejará de funcionar y el usuario pendiente se eliminará.`}
+        onConfirm={handleRevokeConfirm}
+        onCancel={() => setInvitationToRevoke(null)}
+        loading={loading}
+        severity="error"
+        confirmText="Revocar"
+      />
+    </>
+  );
+};
+
+export default PendingInvitationsDialog;
@@ -0,0 +1,144 @@
+/**
+ * Reassign Portfolio Dialog Component
+ * Moves every open sale of an advisor to another advisor (sales:reassign),
+ * offered when an advisor is deactivated
+ */
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Alert, Autocomplete, TextField, Typography } from '@mui/material';
+import FormDialog from '../common/FormDialog';
+import Loading from '../common/Loading';
+import saleService from '../../services/saleService';
+import userService from '../../services/userService';
+import { reassignSales, selectSalesReassigning } from '../../store/slices/saleSlice';
+import { showSuccess, showError } from '../../store/slices/uiSlice';
+import { SALE_STATUS_TRANSITIONS } from '../../constants';
+
+// Statuses a sale can still leave, the ones that are reassigned
+const OPEN_STATUSES = Object.keys(SALE_STATUS_TRANSITIONS)
+  .filter(status => Object.keys(SALE_STATUS_TRANSITIONS[status]).length > 0);
+
+const getUserLabel = (user) => `${user.nombre} (${user.email})`;
+
+const ReassignPortfolioDialog = ({ open = false, onClose = () => {}, user = null }) => {
+  const dispatch = useDispatch();
+  const reassigning = useSelector(selectSalesReassigning);
+
+  // Open sales of the advisor, null while counting
+  const [openSales, setOpenSales] = useState(null);
+  const [advisors, setAdvisors] = useState([]);
+  const [target, setTarget] = useState(null);
+
+  // Count the open sales and load the active users that can receive them
+  useEffect(() => {
+    if (!open || !user) {
+      return undefined;
+    }
+
+    let active = true;
+    setOpenSales(null);
+    setTarget(null);
+
+    Promise.all(OPEN_STATUSES.map(estado =>
+      saleService.getAllSales({ usuarioCreadorId: user.id, estado, page: 1, limit: 1 })
+    ))
+      .then((responses) => {
+        if (active) {
+          setOpenSales(responses.reduce((sum, response) => sum + response.data.pagination.total, 0));
+        }
+      })
+      .catch(() => {
+        if (active) {
+          setOpenSales(0);
+        }
+      });
+
+    userService.getAllUsers({ activo: true, limit: 100 })
+      .then((response) => {
+        if (active) {
+          setAdvisors(response.data.users.filter(advisor => advisor.id !== user.id && !advisor.invitacionPendiente));
+        }
+      })
+      .catch(() => {
+        if (active) {
+          setAdvisors([]);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [open, user]);
+
+  const handleSubmit = async () => {
+    if (!target) {
+      return;
+    }
+
+    const result = await dispatch(reassignSales({ fromUserId: user.id, toUserId: target.id }));
+
+    if (reassignSales.fulfilled.match(result)) {
+      dispatch(showSuccess(`Se reasignaron ${result.payload.reasignadas} ventas a "${result.payload.usuarioDestinoNombre}"`));
+      onClose();
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al reasignar las ventas'));
+    }
+  };
+
+  const renderContent = () => {
+    if (openSales === null) {
+      return <Loading message="Contando ventas abiertas..." />;
+    }
+
+    if (openSales === 0) {
+      return (
+        <Alert severity="info">
+          {user?.nombre} no tiene ventas abiertas para reasignar.
+        </Alert>
+      );
+    }
+
+    return (
+      <>
+        <Typography variant="body1" sx={{ mb: 2 }}>
+          <strong>{user?.nombre}</strong> tiene {openSales} ventas abiertas ({OPEN_STATUSES.join(', ')}).
+          Elige el asesor que las atenderá; el historial de cada venta registrará el cambio.
+        </Typography>
+        <Autocomplete
+          value={target}
+          options={advisors}
+          getOptionLabel={getUserLabel}
+          isOptionEqualToValue={(option, value) => option.id === value.id}
+          onChange={(event, value) => setTarget(value)}
+          noOptionsText="No se encontraron usuarios"
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label="Nuevo asesor"
+              placeholder="Buscar asesores..."
+              required
+            />
+          )}
+        />
+      </>
+    );
+  };
+
+  return (
+    <FormDialog
+      open={open}
+      title={user ? `Reasignar Cartera - ${user.nombre}` : 'Reasignar Cartera'}
+      onClose={onClose}
+      onSubmit={handleSubmit}
+      loading={reassigning}
+      submitText="Reasignar"
+      showActions={openSales > 0}
+      maxWidth="sm"
+    >
+      {renderContent()}
+    </FormDialog>
+  );
+};
+
+export default ReassignPortfolioDialog;
@@ -0,0 +1,82 @@
+/**
+ * Role MFA Dialog Component
+ * Lets admins require two-factor authentication per role
+ */
+
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  List,
+  ListItem,
+  ListItemText,
+  Switch,
+  Typography
+} from '@mui/material';
+import FormDialog from '../common/FormDialog';
+import {
+  fetchRoles,
+  updateRoleMfa,
+  selectRoles,
+  selectRolesLoading
+} from '../../store/slices/roleSlice';
+import { showSuccess, showError } from '../../store/slices/uiSlice';
+
+const RoleMfaDialog = ({ open, onClose }) => {
+  const dispatch = useDispatch();
+  const roles = useSelector(selectRoles);
+  const loading = useSelector(selectRolesLoading);
+
+  useEffect(() => {
+    if (open) {
+      dispatch(fetchRoles());
+    }
+  }, [dispatch, open]);
+
+  const handleToggle = async (role) => {
+    const result = await dispatch(updateRoleMfa({ id: role.id, requiereMfa: !role.requiereMfa }));
+
+    if (updateRoleMfa.fulfilled.match(result)) {
+      dispatch(showSuccess(
+        result.payload.requiereMfa
+          ? `2FA obligatorio para ${role.nombre}`
+          : `2FA opcional para ${role.nombre}`
+      ));
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al actualizar el rol'));
+    }
+  };
+
+  return (
+    <FormDialog
+      open={open}
+      title="Autenticación de Dos Factores por Rol"
+      onClose={onClose}
+      showActions={false}
+    >
+      <Typography variant="body2" color="text.secondary">
+        Los usuarios de un rol con 2FA obligatorio deberán configurarlo en su próximo inicio de sesión.
+      </Typography>
+
+      <List>
+        {roles.map((role) => (
+          <ListItem
+            key={role.id}
+            divider
+            secondaryAction={
+              <Switch
+                edge="end"
+                checked={Boolean(role.requiereMfa)}
+                onChange={() => handleToggle(role)}
+                disabled={loading}
+              />
+            }
+          >
+            <ListItemText primary={role.nombre} secondary={role.descripcion} />
+          </ListItem>
+        ))}
+      </List>
+    </FormDialog>
+  );
+};
+
+export default RoleMfaDialog;
@@ -1,6 +1,8 @@
 /**
  * User Form Component
- * Form for creating and editing users
+ * Form for inviting and editing users
+ * New users choose their own password from the invitation email, so the
+ * password field is only shown when editing
  */
 
 import { useState, useEffect } from 'react';
@@ -15,7 +17,10 @@ import {
 import VisibilityIcon from '@mui/icons-material/Visibility';
 import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
 import FormDialog from '../common/FormDialog';
-import { selectRoles, fetchRoles } from '../../store/slices/productSlice';
+import PasswordStrengthMeter from '../common/PasswordStrengthMeter';
+import { selectRoles, fetchRoles } from '../../store/slices/roleSlice';
+import { selectBranches, fetchBranches } from '../../store/slices/branchSlice';
+import { getPasswordPolicyError } from '../../utils/passwordPolicy';
 
 const UserForm = ({
   open = false,
@@ -26,14 +31,17 @@ const UserForm = ({
 }) => {
   const dispatch = useDispatch();
   const roles = useSelector(selectRoles);
+  const branches = useSelector(selectBranches);
 
   const [formData, setFormData] = useState({
     nombre: '',
     email: '',
     password: '',
-    rolId: ''
+    rolId: '',
+    sucursalId: ''
   });
   const [showPassword, setShowPassword] = useState(false);
+  const [passwordError, setPasswordError] = useState('');
 
   // Load roles on mount
   useEffect(() => {
@@ -42,6 +50,13 @@ const UserForm = ({
     }
   }, [open, dispatch, roles.length]);
 
+  // Load branches on mount
+  useEffect(() => {
+    if (open && branches.length === 0) {
+      dispatch(fetchBranches());
+    }
+  }, [open, dispatch, branches.length]);
+
   // Set initial data when editing
   useEffect(() => {
     if (initialData) {
@@ -49,16 +64,19 @@ const UserForm = ({
         nombre: initialData.nombre || '',
         email: initialData.email || '',
         password: '', // Don't populate password when editing
-        rolId: initialData.rolId || ''
+        rolId: initialData.rolId || '',
+        sucursalId: initialData.sucursalId || ''
       });
     } else {
       setFormData({
         nombre: '',
         email: '',
         password: '',
-        rolId: ''
+        rolId: '',
+        sucursalId: ''
       });
     }
+    setPasswordError('');
   }, [initialData, open]);
 
   const handleChange = (e) => {
@@ -66,20 +84,34 @@ const UserForm = ({
       ...formData,
       [e.target.name]: e.target.value
     });
+    setPasswordError('');
   };
 
   const handleTogglePassword = () => {
     setShowPassword(!showPassword);
   };
 
+  // Inactive branches can't be assigned, but the user's current one stays selectable
+  const assignableBranches = branches.filter(branch => branch.activo || branch.id === initialData?.sucursalId);
+
   const handleSubmit = () => {
+    // Same policy the server applies (it also rejects the user's recent passwords)
+    if (formData.password) {
+      const policyError = getPasswordPolicyError(formData.password, formData);
+      if (policyError) {
+        setPasswordError(policyError);
+        return;
+      }
+    }
+
     const submitData = {
       nombre: formData.nombre.trim(),
       email: formData.email.trim().toLowerCase(),
-      rolId: parseInt(formData.rolId)
+      rolId: parseInt(formData.rolId),
+      sucursalId: formData.sucursalId ? parseInt(formData.sucursalId) : null
     };
 
-    // Only include password if it's provided (for create or update)
+    // Only include password if it's provided (admins can set it when editing)
     if (formData.password) {
       submitData.password = formData.password;
     }
@@ -90,7 +122,7 @@ const UserForm = ({
   return (
     <FormDialog
       open={open}
-      title={initialData ? 'Editar Usuario' : 'Nuevo Usuario'}
+      title={initialData ? 'Editar Usuario' : 'Invitar Usuario'}
       onClose={onClose}
       onSubmit={handleSubmit}
       loading={loading}
@@ -120,27 +152,34 @@ const UserForm = ({
           />
         </Grid>
 
-        <Grid item xs={12}>
-          <TextField
-            fullWidth
-            label={initialData ? 'Nueva Contraseña (dejar vacío para no cambiar)' : 'Contraseña'}
-            name="password"
-            type={showPassword ? 'text' : 'password'}
-            value={formData.password}
-            onChange={handleChange}
-            required={!initialData}
-            InputProps={{
-              endAdornment: (
-                <InputAdornment position="end">
-                  <IconButton onClick={handleTogglePassword} edge="end">
-                    {showPassword ? <VisibilityOffIcon /> : <VisibilityIcon />}
-                  </IconButton>
-                </InputAdornment>
-              )
-            }}
-            helperText="Mínimo 8 caracteres, debe incluir mayúsculas, minúsculas y números"
-          />
-        </Grid>
+        {initialData && (
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Nueva Contraseña (dejar vacío para no cambiar)"
+              name="password"
+              type={showPassword ? 'text' : 'password'}
+              value={formData.password}
+              onChange={handleChange}
+              InputProps={{
+                endAdornment: (
+                  <InputAdornment position="end">
+                    <IconButton onClick={handleTogglePassword} edge="end">
+                      {showPassword ? <VisibilityOffIcon /> : <VisibilityIcon />}
+                    </IconButton>
+                  </InputAdornment>
+                )
+              }}
+              error={Boolean(passwordError)}
+              helperText={passwordError}
+            />
+            <PasswordStrengthMeter
+              password={formData.password}
+              user={formData}
+              historyHint={!initialData.invitacionPendiente}
+            />
+          </Grid>
+        )}
 
         <Grid item xs={12}>
           <TextField
@@ -159,6 +198,27 @@ const UserForm = ({
             ))}
           </TextField>
         </Grid>
+
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            select
+            label="Sucursal"
+            name="sucursalId"
+            value={formData.sucursalId}
+            onChange={handleChange}
+            helperText="Las ventas que registre quedarán asociadas a esta sucursal"
+          >
+            <MenuItem value="">
+              <em>Sin sucursal</em>
+            </MenuItem>
+            {assignableBranches.map((branch) => (
+              <MenuItem key={branch.id} value={branch.id}>
+                {branch.nombre}{branch.activo ? '' : ' (inactiva)'}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
       </Grid>
     </FormDialog>
   );
@@ -12,46 +12,103 @@ export const ROLES = {
   ADVISOR: {
     ID: 2,
     NAME: 'Asesor'
+  },
+  SUPERVISOR: {
+    ID: 3,
+    NAME: 'Supervisor'
+  },
+  AUDITOR: {
+    ID: 4,
+    NAME: 'Auditor'
+  },
+  BACK_OFFICE: {
+    ID: 5,
+    NAME: 'Back-office'
   }
 };
 
+// Permission keys (permisos.clave) granted to roles through rol_permisos
+// ":own" permissions only apply to records created by the user, ":any" to every record
+export const PERMISSIONS = {
+  SALES_READ_OWN: 'sales:read:own',
+  // Team scope: the user's own records and those of the members of the teams they supervise
+  SALES_READ_TEAM: 'sales:read:team',
+  SALES_READ_ANY: 'sales:read:any',
+  SALES_CREATE: 'sales:create',
+  SALES_UPDATE_OWN: 'sales:update:own',
+  SALES_UPDATE_TEAM: 'sales:update:team',
+  SALES_UPDATE_ANY: 'sales:update:any',
+  // Change the status of any sale without editing its amounts or details
+  SALES_STATUS_ANY: 'sales:status:any',
+  SALES_STATUS_ADVANCE: 'sales:status:advance',
+  SALES_STATUS_REVIEW: 'sales:status:review',
+  SALES_DELETE_OWN: 'sales:delete:own',
+  SALES_DELETE_TEAM: 'sales:delete:team',
+  SALES_DELETE_ANY: 'sales:delete:any',
+  SALES_RESTORE: 'sales:restore',
+  // Move sales to another advisor (e.g. when one leaves)
+  SALES_REASSIGN: 'sales:reassign',
+  CLIENTS_READ_OWN: 'clients:read:own',
+  CLIENTS_READ_ANY: 'clients:read:any',
+  CLIENTS_CREATE: 'clients:create',
+  CLIENTS_UPDATE: 'clients:update',
+  CLIENTS_DELETE: 'clients:delete',
+  STATS_READ_ADVISORS: 'stats:read:advisors',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  CATALOG_MANAGE: 'catalog:manage',
+  ROLES_MANAGE: 'roles:manage',
+  TEAMS_MANAGE: 'teams:manage',
+  USERS_IMPERSONATE: 'users:impersonate'
+};
+
 // Sale statuses
 export const SALE_STATUSES = {
   OPEN: 'Abierto',
   IN_PROCESS: 'En Proceso',
-  FINISHED: 'Finalizado'
+  FINISHED: 'Finalizado',
+  REJECTED: 'Rechazado'
 };
 
-// Product type IDs (sync with seeds)
-export const PRODUCTS = {
-  CONSUMER_CREDIT: {
-    ID: 1,
-    NAME: 'Credito de Consumo'
+// Allowed sale status transitions: from status -> { to status: permission required }
+// Keep synchronized with backend/src/utils/saleStateMachine.js
+export const SALE_STATUS_TRANSITIONS = {
+  [SALE_STATUSES.OPEN]: {
+    [SALE_STATUSES.IN_PROCESS]: PERMISSIONS.SALES_STATUS_ADVANCE,
+    [SALE_STATUSES.REJECTED]: PERMISSIONS.SALES_STATUS_ADVANCE
   },
-  FREE_INVESTMENT_PAYROLL: {
-    ID: 2,
-    NAME: 'Libranza Libre Inversión'
+  [SALE_STATUSES.IN_PROCESS]: {
+    [SALE_STATUSES.OPEN]: PERMISSIONS.SALES_STATUS_REVIEW,
+    [SALE_STATUSES.FINISHED]: PERMISSIONS.SALES_STATUS_REVIEW,
+    [SALE_STATUSES.REJECTED]: PERMISSIONS.SALES_STATUS_REVIEW
   },
-  CREDIT_CARD: {
-    ID: 3,
-    NAME: 'Tarjeta de Credito'
-  }
+  [SALE_STATUSES.FINISHED]: {},
+  [SALE_STATUSES.REJECTED]: {}
 };
 
-// Franchise IDs (sync with seeds)
-export const FRANCHISES = {
-  AMEX: {
-    ID: 1,
-    NAME: 'AMEX'
-  },
-  VISA: {
-    ID: 2,
-    NAME: 'VISA'
-  },
-  MASTERCARD: {
-    ID: 3,
-    NAME: 'MASTERCARD'
-  }
+// Sale history (audit trail) actions
+export const SALE_HISTORY_ACTIONS = {
+  CREATE: 'Creacion',
+  UPDATE: 'Actualizacion',
+  DELETE: 'Eliminacion',
+  RESTORE: 'Restauracion',
+  REASSIGN: 'Reasignacion'
+};
+
+// Customer document types (Colombia)
+export const DOCUMENT_TYPES = {
+  CC: 'CC',
+  CE: 'CE',
+  PASSPORT: 'PA',
+  NIT: 'NIT'
+};
+
+// Customer document type labels (UI)
+export const DOCUMENT_TYPE_LABELS = {
+  [DOCUMENT_TYPES.CC]: 'Cédula de Ciudadanía',
+  [DOCUMENT_TYPES.CE]: 'Cédula de Extranjería',
+  [DOCUMENT_TYPES.PASSPORT]: 'Pasaporte',
+  [DOCUMENT_TYPES.NIT]: 'NIT'
 };
 
 // Custom error codes
@@ -62,7 +119,10 @@ export const ERROR_CODES = {
   NOT_FOUND: 'NOT_FOUND',
   DUPLICATE_ENTRY: 'DUPLICATE_ENTRY',
   SERVER_ERROR: 'SERVER_ERROR',
-  CAPTCHA_ERROR: 'CAPTCHA_ERROR'
+  CAPTCHA_ERROR: 'CAPTCHA_ERROR',
+  CONFLICT: 'CONFLICT',
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED'
 };
 
 // Frontend routes
@@ -71,16 +131,108 @@ export const ROUTES = {
   DASHBOARD: '/dashboard',
   USERS: '/users',
   SALES: '/sales',
+  CLIENTS: '/clients',
+  PRODUCTS: '/products',
+  FRANCHISES: '/franchises',
+  ROLES: '/roles',
+  TEAMS: '/teams',
+  BRANCHES: '/branches',
   STATS: '/stats'
 };
 
 // Validation configurations
 export const VALIDATION = {
   PASSWORD_MIN_LENGTH: 8,
+  PASSWORD_MAX_LENGTH: 255,
   NAME_MIN_LENGTH: 3,
   NAME_MAX_LENGTH: 50,
   EMAIL_MAX_LENGTH: 50,
   AMOUNT_MIN: 0.01,
   RATE_MIN: 0,
-  RATE_MAX: 100
+  RATE_MAX: 100,
+  CLIENT_NAME_MIN_LENGTH: 3,
+  CLIENT_NAME_MAX_LENGTH: 100,
+  CLIENT_EMAIL_MAX_LENGTH: 100,
+  DOCUMENT_NUMBER_MAX_LENGTH: 20,
+  PHONE_MAX_LENGTH: 20,
+  INCOME_MIN: 0,
+  PRODUCT_NAME_MIN_LENGTH: 3,
+  PRODUCT_NAME_MAX_LENGTH: 100,
+  FRANCHISE_NAME_MIN_LENGTH: 2,
+  FRANCHISE_NAME_MAX_LENGTH: 50,
+  ROLE_NAME_MIN_LENGTH: 3,
+  ROLE_NAME_MAX_LENGTH: 50,
+  TEAM_NAME_MIN_LENGTH: 3,
+  TEAM_NAME_MAX_LENGTH: 50,
+  BRANCH_NAME_MIN_LENGTH: 3,
+  BRANCH_NAME_MAX_LENGTH: 100,
+  SEARCH_MAX_LENGTH: 100
+};
+
+// Bulk sale import (CSV/XLSX upload)
+export const SALE_IMPORT = {
+  MAX_FILE_SIZE: 2 * 1024 * 1024, // 2 MB
+  MAX_ROWS: 500,
+  ALLOWED_EXTENSIONS: ['.csv', '.xlsx'],
+  COLUMNS: ['tipoDocumento', 'numeroDocumento', 'producto', 'cupoSolicitado', 'franquicia', 'tasa']
+};
+
+// Operations on several sales at once (POST /api/sales/reassign, PATCH /api/sales/bulk)
+export const SALE_BULK = {
+  MAX_SALES: 500,
+  ACTIONS: {
+    STATUS: 'status',
+    REASSIGN: 'reassign',
+    DELETE: 'delete'
+  }
+};
+
+// Sale export formats (GET /api/sales/export)
+export const SALE_EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  PDF: 'pdf'
+};
+
+// Sortable sale list columns (sortBy) and directions (sortDir)
+export const SALE_SORT_FIELDS = ['createdAt', 'updatedAt', 'cupoSolicitado', 'tasa', 'estado', 'productoNombre', 'usuarioCreadorNombre'];
+
+export const SORT_DIRECTIONS = {
+  ASC: 'asc',
+  DESC: 'desc'
+};
+
+// Two-factor authentication (TOTP)
+export const MFA = {
+  CODE_LENGTH: 6,
+  RECOVERY_CODES: 8
+};
+
+// Password policy (complexity rules, the server also checks history and common passwords)
+export const PASSWORD_POLICY = {
+  MIN_CHARACTER_CLASSES: 3,
+  PERSONAL_INFO_MIN_LENGTH: 4
+};
+
+// Login attempt reasons (login_intentos.motivo)
+export const LOGIN_ATTEMPT_REASONS = {
+  SUCCESS: 'success',
+  MFA_PENDING: 'mfa_pending',
+  UNKNOWN_EMAIL: 'unknown_email',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_MFA_CODE: 'invalid_mfa_code',
+  PASSWORD_EXPIRED: 'password_expired',
+  LOCKED: 'locked',
+  INACTIVE: 'inactive'
+};
+
+export const LOGIN_ATTEMPT_REASON_LABELS = {
+  [LOGIN_ATTEMPT_REASONS.SUCCESS]: 'Inicio de sesión',
+  [LOGIN_ATTEMPT_REASONS.MFA_PENDING]: 'Contraseña correcta, 2FA pendiente',
+  [LOGIN_ATTEMPT_REASONS.UNKNOWN_EMAIL]: 'Email no registrado',
+  [LOGIN_ATTEMPT_REASONS.INVALID_PASSWORD]: 'Contraseña incorrecta',
+  [LOGIN_ATTEMPT_REASONS.INVALID_MFA_CODE]: 'Código 2FA incorrecto',
+  [LOGIN_ATTEMPT_REASONS.PASSWORD_EXPIRED]: 'Contraseña vencida',
+  [LOGIN_ATTEMPT_REASONS.LOCKED]: 'Cuenta bloqueada',
+  [LOGIN_ATTEMPT_REASONS.INACTIVE]: 'Cuenta desactivada'
 };
\ No newline at end of file
@@ -0,0 +1,12 @@
+/**
+ * Accept Invite Page
+ * Choose the password of an invited account from the emailed link
+ */
+
+import AcceptInviteForm from '../components/auth/AcceptInviteForm';
+
+const AcceptInvitePage = () => {
+  return <AcceptInviteForm />;
+};
+
+export default AcceptInvitePage;
@@ -0,0 +1,201 @@
+/**
+ * Branches Page
+ * Bank branch management page (catalog:manage)
+ */
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Box, Typography, Button, Chip, Switch, Tooltip } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+
+// Components
+import DataTable from '../components/common/DataTable';
+import BranchForm from '../components/branches/BranchForm';
+import ConfirmDialog from '../components/common/ConfirmDialog';
+
+// Redux
+import {
+  fetchBranches,
+  createBranch,
+  updateBranch,
+  updateBranchStatus,
+  deleteBranch,
+  selectBranches,
+  selectBranchesLoading
+} from '../store/slices/branchSlice';
+import { showSuccess, showError } from '../store/slices/uiSlice';
+
+const BranchesPage = () => {
+  const dispatch = useDispatch();
+
+  const branches = useSelector(selectBranches);
+  const loading = useSelector(selectBranchesLoading);
+
+  const [formOpen, setFormOpen] = useState(false);
+  const [selectedBranch, setSelectedBranch] = useState(null);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [branchToDelete, setBranchToDelete] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchBranches());
+  }, [dispatch]);
+
+  const handleCreateOpen = () => {
+    setSelectedBranch(null);
+    setFormOpen(true);
+  };
+
+  const handleEditOpen = (branch) => {
+    setSelectedBranch(branch);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+    setSelectedBranch(null);
+  };
+
+  const handleFormSubmit = async (data) => {
+    let result;
+    if (selectedBranch) {
+      result = await dispatch(updateBranch({ id: selectedBranch.id, branchData: data }));
+    } else {
+      result = await dispatch(createBranch(data));
+    }
+
+    if (createBranch.fulfilled.match(result) || updateBranch.fulfilled.match(result)) {
+      dispatch(showSuccess(selectedBranch ? 'Sucursal actualizada exitosamente' : 'Sucursal creada exitosamente'));
+      handleFormClose();
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al guardar la sucursal'));
+    }
+  };
+
+  const handleStatusToggle = async (branch) => {
+    const result = await dispatch(updateBranchStatus({ id: branch.id, activo: !branch.activo }));
+
+    if (updateBranchStatus.fulfilled.match(result)) {
+      dispatch(showSuccess(branch.activo ? 'Sucursal desactivada exitosamente' : 'Sucursal activada exitosamente'));
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al cambiar el estado de la sucursal'));
+    }
+  };
+
+  const handleDeleteOpen = (branch) => {
+    setBranchToDelete(branch);
+    setDeleteDialogOpen(true);
+  };
+
+  const handleDeleteClose = () => {
+    setDeleteDialogOpen(false);
+    setBranchToDelete(null);
+  };
+
+  const handleDeleteConfirm = async () => {
+    const result = await dispatch(deleteBranch(branchToDelete.id));
+
+    if (deleteBranch.fulfilled.match(result)) {
+      dispatch(showSuccess('Sucursal eliminada exitosamente'));
+    } else if (result.payload?.error?.code === 'CONFLICT') {
+      dispatch(showError('La sucursal tiene usuarios o ventas y no se puede eliminar. Desactívala en su lugar.'));
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al eliminar la sucursal'));
+    }
+    handleDeleteClose();
+  };
+
+  const columns = [
+    {
+      id: 'id',
+      label: 'ID',
+      minWidth: 50
+    },
+    {
+      id: 'nombre',
+      label: 'Nombre',
+      minWidth: 180
+    },
+    {
+      id: 'ciudad',
+      label: 'Ciudad',
+      minWidth: 140,
+      render: (row) => row.ciudad || '-'
+    },
+    {
+      id: 'activo',
+      label: 'Estado',
+      minWidth: 160,
+      render: (row) => (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Tooltip title={row.activo ? 'Desactivar' : 'Activar'}>
+            <Switch
+              size="small"
+              checked={row.activo}
+              onChange={() => handleStatusToggle(row)}
+              disabled={loading}
+            />
+          </Tooltip>
+          <Chip
+            label={row.activo ? 'Activa' : 'Inactiva'}
+            color={row.activo ? 'success' : 'default'}
+            size="small"
+          />
+        </Box>
+      )
+    }
+  ];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <Typography variant="h4">
+            Sucursales
+          </Typography>
+          <Chip label="Admin" color="error" size="small" />
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={handleCreateOpen}
+        >
+          Nueva Sucursal
+        </Button>
+      </Box>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom sx={{ mb: 2 }}>
+        Las ventas quedan registradas en la sucursal del asesor que las crea. Las sucursales inactivas no se pueden asignar a usuarios, pero se conservan en las ventas existentes
+      </Typography>
+
+      <DataTable
+        columns={columns}
+        data={branches}
+        loading={loading}
+        onEdit={handleEditOpen}
+        onDelete={handleDeleteOpen}
+        emptyMessage="No hay sucursales disponibles"
+      />
+
+      <BranchForm
+        open={formOpen}
+        onClose={handleFormClose}
+        onSubmit={handleFormSubmit}
+        initialData={selectedBranch}
+        loading={loading}
+      />
+
+      <ConfirmDialog
+        open={deleteDialogOpen}
+        title="Eliminar Sucursal"
+        message={`¿Deseas eliminar la sucursal "${branchToDelete?.nombre}"? Solo se pueden eliminar sucursales sin usuarios ni ventas.`}
+        onConfirm={handleDeleteConfirm}
+        onCancel={handleDeleteClose}
+        loading={loading}
+        severity="error"
+        confirmText="Eliminar"
+      />
+    </Box>
+  );
+};
+
+export default BranchesPage;
@@ -0,0 +1,268 @@
+/**
+ * Clients Page
+ * Client (customer) management page
+ * Users see the clients their permissions allow (clients:read:own or clients:read:any); clients:delete removes them
+ */
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Box, Typography, Button, TextField, InputAdornment } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import SearchIcon from '@mui/icons-material/Search';
+
+// Components
+import DataTable from '../components/common/DataTable';
+import ClientForm from '../components/clients/ClientForm';
+import ClientSales from '../components/clients/ClientSales';
+import ConfirmDialog from '../components/common/ConfirmDialog';
+
+// Redux
+import {
+  fetchClients,
+  createClient,
+  updateClient,
+  deleteClient,
+  selectClients,
+  selectClientsPagination,
+  selectClientsLoading
+} from '../store/slices/clientSlice';
+import { selectPermissions } from '../store/slices/authSlice';
+import { showSuccess, showError } from '../store/slices/uiSlice';
+
+// Constants
+import { PERMISSIONS } from '../constants';
+import { hasPermission } from '../utils/permissions';
+
+const ClientsPage = () => {
+  const dispatch = useDispatch();
+
+  const clients = useSelector(selectClients);
+  const pagination = useSelector(selectClientsPagination);
+  const loading = useSelector(selectClientsLoading);
+  const permissions = useSelector(selectPermissions);
+
+  const canCreate = hasPermission(permissions, PERMISSIONS.CLIENTS_CREATE);
+  const canUpdate = hasPermission(permissions, PERMISSIONS.CLIENTS_UPDATE);
+  const canDelete = hasPermission(permissions, PERMISSIONS.CLIENTS_DELETE);
+
+  const [formOpen, setFormOpen] = useState(false);
+  const [selectedClient, setSelectedClient] = useState(null);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [clientToDelete, setClientToDelete] = useState(null);
+  const [salesOpen, setSalesOpen] = useState(false);
+  const [salesClient, setSalesClient] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  useEffect(() => {
+    dispatch(fetchClients({ page: 1, limit: 10 }));
+  }, [dispatch]);
+
+  const handlePageChange = (page) => {
+    dispatch(fetchClients({ search: searchTerm, page, limit: pagination.limit }));
+  };
+
+  const handleRowsPerPageChange = (limit) => {
+    dispatch(fetchClients({ search: searchTerm, page: 1, limit }));
+  };
+
+  const handleSearch = () => {
+    dispatch(fetchClients({ search: searchTerm, page: 1, limit: pagination.limit }));
+  };
+
+  const handleSearchKeyPress = (e) => {
+    if (e.key === 'Enter') {
+      handleSearch();
+    }
+  };
+
+  const handleCreateOpen = () => {
+    setSelectedClient(null);
+    setFormOpen(true);
+  };
+
+  const handleEditOpen = (client) => {
+    setSelectedClient(client);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+    setSelectedClient(null);
+  };
+
+  const handleFormSubmit = async (data) => {
+    let result;
+    if (selectedClient) {
+      result = await dispatch(updateClient({ id: selectedClient.id, clientData: data }));
+    } else {
+      result = await dispatch(createClient(data));
+    }
+
+    if (createClient.fulfilled.match(result) || updateClient.fulfilled.match(result)) {
+      dispatch(showSuccess(selectedClient ? 'Cliente actualizado exitosamente' : 'Cliente creado exitosamente'));
+      handleFormClose();
+      dispatch(fetchClients({ search: searchTerm, page: pagination.page, limit: pagination.limit }));
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al guardar el cliente'));
+    }
+  };
+
+  const handleSalesOpen = (client) => {
+    setSalesClient(client);
+    setSalesOpen(true);
+  };
+
+  const handleSalesClose = () => {
+    setSalesOpen(false);
+    setSalesClient(null);
+  };
+
+  const handleDeleteOpen = (client) => {
+    setClientToDelete(client);
+    setDeleteDialogOpen(true);
+  };
+
+  const handleDeleteClose = () => {
+    setDeleteDialogOpen(false);
+    setClientToDelete(null);
+  };
+
+  const handleDeleteConfirm = async () => {
+    const result = await dispatch(deleteClient(clientToDelete.id));
+
+    if (deleteClient.fulfilled.match(result)) {
+      dispatch(showSuccess('Cliente eliminado exitosamente'));
+      handleDeleteClose();
+      dispatch(fetchClients({ search: searchTerm, page: pagination.page, limit: pagination.limit }));
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al eliminar el cliente'));
+    }
+  };
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('es-CO', {
+      style: 'currency',
+      currency: 'COP',
+      minimumFractionDigits: 0
+    }).format(value);
+  };
+
+  const columns = [
+    {
+      id: 'id',
+      label: 'ID',
+      minWidth: 50
+    },
+    {
+      id: 'numeroDocumento',
+      label: 'Documento',
+      minWidth: 150,
+      render: (row) => `${row.tipoDocumento} ${row.numeroDocumento}`
+    },
+    {
+      id: 'nombreCompleto',
+      label: 'Nombre',
+      minWidth: 180
+    },
+    {
+      id: 'telefono',
+      label: 'Teléfono',
+      minWidth: 120,
+      render: (row) => row.telefono || '-'
+    },
+    {
+      id: 'email',
+      label: 'Email',
+      minWidth: 180,
+      render: (row) => row.email || '-'
+    },
+    {
+      id: 'ingresosMensuales',
+      label: 'Ingresos Mensuales',
+      minWidth: 140,
+      align: 'right',
+      render: (row) => row.ingresosMensuales !== null ? formatCurrency(row.ingresosMensuales) : '-'
+    }
+  ];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            Clientes
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            Gestión de los clientes a los que se venden productos
+          </Typography>
+        </Box>
+        {canCreate && (
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={handleCreateOpen}
+          >
+            Nuevo Cliente
+          </Button>
+        )}
+      </Box>
+
+      <Box sx={{ mb: 2 }}>
+        <TextField
+          fullWidth
+          placeholder="Buscar por nombre o documento..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          onKeyPress={handleSearchKeyPress}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon />
+              </InputAdornment>
+            )
+          }}
+        />
+      </Box>
+
+      <DataTable
+        columns={columns}
+        data={clients}
+        loading={loading}
+        pagination={pagination}
+        onPageChange={handlePageChange}
+        onRowsPerPageChange={handleRowsPerPageChange}
+        onView={handleSalesOpen}
+        onEdit={canUpdate ? handleEditOpen : null}
+        onDelete={canDelete ? handleDeleteOpen : null}
+        emptyMessage="No hay clientes disponibles"
+      />
+
+      <ClientForm
+        open={formOpen}
+        onClose={handleFormClose}
+        onSubmit={handleFormSubmit}
+        initialData={selectedClient}
+        loading={loading}
+      />
+
+      <ClientSales
+        open={salesOpen}
+        onClose={handleSalesClose}
+        client={salesClient}
+      />
+
+      <ConfirmDialog
+        open={deleteDialogOpen}
+        title="Eliminar Cliente"
+        message={`¿Estás seguro de que deseas eliminar al cliente "${clientToDelete?.nombreCompleto}"? Solo se pueden eliminar clientes sin ventas.`}
+        onConfirm={handleDeleteConfirm}
+        onCancel={handleDeleteClose}
+        loading={loading}
+        severity="error"
+        confirmText="Eliminar"
+      />
+    </Box>
+  );
+};
+
+export default ClientsPage;
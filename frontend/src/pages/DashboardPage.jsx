@@ -3,9 +3,9 @@
  * Main dashboard with statistics and metrics
  */
 
-import { useEffect } from 'react';
+import { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { Box, Typography, Grid } from '@mui/material';
+import { Box, Typography, Grid, TextField, MenuItem } from '@mui/material';
 import ShoppingCartIcon from '@mui/icons-material/ShoppingCart';
 import AttachMoneyIcon from '@mui/icons-material/AttachMoney';
 import HourglassEmptyIcon from '@mui/icons-material/HourglassEmpty';
@@ -16,17 +16,30 @@ import MetricCard from '../components/dashboard/MetricCard';
 import RecentSales from '../components/dashboard/RecentSales';
 import TopProducts from '../components/dashboard/TopProducts';
 import SalesByStatus from '../components/dashboard/SalesByStatus';
+import SalesByAdvisor from '../components/dashboard/SalesByAdvisor';
+import SalesByBranch from '../components/dashboard/SalesByBranch';
 import Loading from '../components/common/Loading';
 
 // Redux
 import {
   fetchComprehensiveDashboard,
+  fetchSalesByAdvisor,
   selectMetrics,
   selectRecentSales,
   selectTopProducts,
   selectSalesByStatus,
-  selectStatsLoading
+  selectSalesByAdvisor,
+  selectSalesByBranch,
+  selectStatsLoading,
+  selectAdvisorsLoading
 } from '../store/slices/statsSlice';
+import { fetchTeams, selectTeams } from '../store/slices/teamSlice';
+import { fetchBranches, selectBranches } from '../store/slices/branchSlice';
+import { selectPermissions } from '../store/slices/authSlice';
+
+// Constants
+import { PERMISSIONS } from '../constants';
+import { hasPermission } from '../utils/permissions';
 
 const DashboardPage = () => {
   const dispatch = useDispatch();
@@ -35,24 +48,80 @@ const DashboardPage = () => {
   const recentSales = useSelector(selectRecentSales);
   const topProducts = useSelector(selectTopProducts);
   const salesByStatus = useSelector(selectSalesByStatus);
+  const salesByAdvisor = useSelector(selectSalesByAdvisor);
+  const salesByBranch = useSelector(selectSalesByBranch);
   const loading = useSelector(selectStatsLoading);
+  const advisorsLoading = useSelector(selectAdvisorsLoading);
+  const teams = useSelector(selectTeams);
+  const branches = useSelector(selectBranches);
+  const permissions = useSelector(selectPermissions);
+
+  const [equipoId, setEquipoId] = useState('');
+  const [sucursalId, setSucursalId] = useState('');
+
+  const canReadAdvisors = hasPermission(permissions, PERMISSIONS.STATS_READ_ADVISORS);
 
   useEffect(() => {
     dispatch(fetchComprehensiveDashboard());
+    dispatch(fetchBranches());
   }, [dispatch]);
 
+  // Teams for the advisor ranking filter
+  useEffect(() => {
+    if (canReadAdvisors) {
+      dispatch(fetchTeams());
+    }
+  }, [dispatch, canReadAdvisors]);
+
+  // The whole dashboard follows the branch filter; the comprehensive response
+  // also reloads the advisor ranking, so the team filter is reset
+  const handleBranchChange = (value) => {
+    setSucursalId(value);
+    setEquipoId('');
+    dispatch(fetchComprehensiveDashboard(value ? { sucursalId: value } : {}));
+  };
+
+  const handleTeamChange = (value) => {
+    setEquipoId(value);
+    dispatch(fetchSalesByAdvisor({
+      ...(value && { equipoId: value }),
+      ...(sucursalId && { sucursalId })
+    }));
+  };
+
   if (loading && !metrics) {
     return <Loading message="Cargando dashboard..." />;
   }
 
   return (
     <Box>
-      <Typography variant="h4" gutterBottom>
-        Dashboard
-      </Typography>
-      <Typography variant="body1" color="text.secondary" gutterBottom>
-        Panel de control principal con estadísticas
-      </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2 }}>
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            Dashboard
+          </Typography>
+          <Typography variant="body1" color="text.secondary" gutterBottom>
+            Panel de control principal con estadísticas
+          </Typography>
+        </Box>
+        {branches.length > 0 && (
+          <TextField
+            select
+            size="small"
+            label="Sucursal"
+            value={sucursalId}
+            onChange={(e) => handleBranchChange(e.target.value)}
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value="">Todas</MenuItem>
+            {branches.map((branch) => (
+              <MenuItem key={branch.id} value={branch.id}>
+                {branch.nombre}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+      </Box>
 
       {/* Metrics Cards */}
       <Grid container spacing={3} sx={{ mt: 2 }}>
@@ -100,6 +169,11 @@ const DashboardPage = () => {
         <SalesByStatus data={salesByStatus} loading={loading} />
       </Box>
 
+      {/* Sales by Branch */}
+      <Box sx={{ mt: 3 }}>
+        <SalesByBranch data={salesByBranch} loading={loading} />
+      </Box>
+
       {/* Recent Sales and Top Products */}
       <Grid container spacing={3} sx={{ mt: 3 }}>
         <Grid item xs={12} lg={8}>
@@ -109,6 +183,19 @@ const DashboardPage = () => {
           <TopProducts products={topProducts} loading={loading} />
         </Grid>
       </Grid>
+
+      {/* Sales by Advisor */}
+      {canReadAdvisors && (
+        <Box sx={{ mt: 3 }}>
+          <SalesByAdvisor
+            data={salesByAdvisor}
+            teams={teams}
+            equipoId={equipoId}
+            onTeamChange={handleTeamChange}
+            loading={loading || advisorsLoading}
+          />
+        </Box>
+      )}
     </Box>
   );
 };
@@ -0,0 +1,12 @@
+/**
+ * Forgot Password Page
+ * Request a password reset link
+ */
+
+import ForgotPasswordForm from '../components/auth/ForgotPasswordForm';
+
+const ForgotPasswordPage = () => {
+  return <ForgotPasswordForm />;
+};
+
+export default ForgotPasswordPage;
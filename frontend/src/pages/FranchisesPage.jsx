@@ -0,0 +1,195 @@
+/**
+ * Franchises Page
+ * Credit card franchise management page (catalog:manage)
+ */
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Box, Typography, Button, Chip, Switch, Tooltip } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+
+// Components
+import DataTable from '../components/common/DataTable';
+import FranchiseForm from '../components/franchises/FranchiseForm';
+import ConfirmDialog from '../components/common/ConfirmDialog';
+
+// Redux
+import {
+  fetchFranchises,
+  createFranchise,
+  updateFranchise,
+  updateFranchiseStatus,
+  deleteFranchise,
+  selectFranchises,
+  selectProductsLoading
+} from '../store/slices/productSlice';
+import { showSuccess, showError } from '../store/slices/uiSlice';
+
+const FranchisesPage = () => {
+  const dispatch = useDispatch();
+
+  const franchises = useSelector(selectFranchises);
+  const loading = useSelector(selectProductsLoading);
+
+  const [formOpen, setFormOpen] = useState(false);
+  const [selectedFranchise, setSelectedFranchise] = useState(null);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [franchiseToDelete, setFranchiseToDelete] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchFranchises());
+  }, [dispatch]);
+
+  const handleCreateOpen = () => {
+    setSelectedFranchise(null);
+    setFormOpen(true);
+  };
+
+  const handleEditOpen = (franchise) => {
+    setSelectedFranchise(franchise);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+    setSelectedFranchise(null);
+  };
+
+  const handleFormSubmit = async (data) => {
+    let result;
+    if (selectedFranchise) {
+      result = await dispatch(updateFranchise({ id: selectedFranchise.id, franchiseData: data }));
+    } else {
+      result = await dispatch(createFranchise(data));
+    }
+
+    if (createFranchise.fulfilled.match(result) || updateFranchise.fulfilled.match(result)) {
+      dispatch(showSuccess(selectedFranchise ? 'Franquicia actualizada exitosamente' : 'Franquicia creada exitosamente'));
+      handleFormClose();
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al guardar la franquicia'));
+    }
+  };
+
+  const handleStatusToggle = async (franchise) => {
+    const result = await dispatch(updateFranchiseStatus({ id: franchise.id, activo: !franchise.activo }));
+
+    if (updateFranchiseStatus.fulfilled.match(result)) {
+      dispatch(showSuccess(franchise.activo ? 'Franquicia desactivada exitosamente' : 'Franquicia activada exitosamente'));
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al cambiar el estado de la franquicia'));
+    }
+  };
+
+  const handleDeleteOpen = (franchise) => {
+    setFranchiseToDelete(franchise);
+    setDeleteDialogOpen(true);
+  };
+
+  const handleDeleteClose = () => {
+    setDeleteDialogOpen(false);
+    setFranchiseToDelete(null);
+  };
+
+  const handleDeleteConfirm = async () => {
+    const result = await dispatch(deleteFranchise(franchiseToDelete.id));
+
+    if (deleteFranchise.fulfilled.match(result)) {
+      dispatch(showSuccess('Franquicia eliminada exitosamente'));
+    } else if (result.payload?.error?.code === 'CONFLICT') {
+      dispatch(showError('La franquicia tiene ventas registradas y no se puede eliminar. Desactívala en su lugar.'));
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al eliminar la franquicia'));
+    }
+    handleDeleteClose();
+  };
+
+  const columns = [
+    {
+      id: 'id',
+      label: 'ID',
+      minWidth: 50
+    },
+    {
+      id: 'nombre',
+      label: 'Nombre',
+      minWidth: 180
+    },
+    {
+      id: 'activo',
+      label: 'Estado',
+      minWidth: 160,
+      render: (row) => (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Tooltip title={row.activo ? 'Desactivar' : 'Activar'}>
+            <Switch
+              size="small"
+              checked={row.activo}
+              onChange={() => handleStatusToggle(row)}
+              disabled={loading}
+            />
+          </Tooltip>
+          <Chip
+            label={row.activo ? 'Activa' : 'Inactiva'}
+            color={row.activo ? 'success' : 'default'}
+            size="small"
+          />
+        </Box>
+      )
+    }
+  ];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <Typography variant="h4">
+            Franquicias
+          </Typography>
+          <Chip label="Admin" color="error" size="small" />
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={handleCreateOpen}
+        >
+          Nueva Franquicia
+        </Button>
+      </Box>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom sx={{ mb: 2 }}>
+        Las franquicias inactivas no aparecen al registrar ventas, pero se conservan en las ventas existentes
+      </Typography>
+
+      <DataTable
+        columns={columns}
+        data={franchises}
+        loading={loading}
+        onEdit={handleEditOpen}
+        onDelete={handleDeleteOpen}
+        emptyMessage="No hay franquicias disponibles"
+      />
+
+      <FranchiseForm
+        open={formOpen}
+        onClose={handleFormClose}
+        onSubmit={handleFormSubmit}
+        initialData={selectedFranchise}
+        loading={loading}
+      />
+
+      <ConfirmDialog
+        open={deleteDialogOpen}
+        title="Eliminar Franquicia"
+        message={`¿Deseas eliminar la franquicia "${franchiseToDelete?.nombre}"? Solo se pueden eliminar franquicias que no tengan ventas.`}
+        onConfirm={handleDeleteConfirm}
+        onCancel={handleDeleteClose}
+        loading={loading}
+        severity="error"
+        confirmText="Eliminar"
+      />
+    </Box>
+  );
+};
+
+export default FranchisesPage;
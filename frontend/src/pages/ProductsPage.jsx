@@ -0,0 +1,211 @@
+/**
+ * Products Page
+ * Product catalog management page (catalog:manage)
+ */
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Box, Typography, Button, Chip } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+
+// Components
+import DataTable from '../components/common/DataTable';
+import ProductForm from '../components/products/ProductForm';
+import ConfirmDialog from '../components/common/ConfirmDialog';
+
+// Redux
+import {
+  fetchProducts,
+  createProduct,
+  updateProduct,
+  deactivateProduct,
+  selectProducts,
+  selectProductsLoading
+} from '../store/slices/productSlice';
+import { showSuccess, showError } from '../store/slices/uiSlice';
+
+const ProductsPage = () => {
+  const dispatch = useDispatch();
+
+  const products = useSelector(selectProducts);
+  const loading = useSelector(selectProductsLoading);
+
+  const [formOpen, setFormOpen] = useState(false);
+  const [selectedProduct, setSelectedProduct] = useState(null);
+  const [deactivateDialogOpen, setDeactivateDialogOpen] = useState(false);
+  const [productToDeactivate, setProductToDeactivate] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchProducts());
+  }, [dispatch]);
+
+  const handleCreateOpen = () => {
+    setSelectedProduct(null);
+    setFormOpen(true);
+  };
+
+  const handleEditOpen = (product) => {
+    setSelectedProduct(product);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+    setSelectedProduct(null);
+  };
+
+  const handleFormSubmit = async (data) => {
+    let result;
+    if (selectedProduct) {
+      result = await dispatch(updateProduct({ id: selectedProduct.id, productData: data }));
+    } else {
+      result = await dispatch(createProduct(data));
+    }
+
+    if (createProduct.fulfilled.match(result) || updateProduct.fulfilled.match(result)) {
+      dispatch(showSuccess(selectedProduct ? 'Producto actualizado exitosamente' : 'Producto creado exitosamente'));
+      handleFormClose();
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al guardar el producto'));
+    }
+  };
+
+  const handleDeactivateOpen = (product) => {
+    if (!product.activo) {
+      dispatch(showError('El producto ya está inactivo'));
+      return;
+    }
+    setProductToDeactivate(product);
+    setDeactivateDialogOpen(true);
+  };
+
+  const handleDeactivateClose = () => {
+    setDeactivateDialogOpen(false);
+    setProductToDeactivate(null);
+  };
+
+  const handleDeactivateConfirm = async () => {
+    const result = await dispatch(deactivateProduct(productToDeactivate.id));
+
+    if (deactivateProduct.fulfilled.match(result)) {
+      dispatch(showSuccess('Producto desactivado exitosamente'));
+      handleDeactivateClose();
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al desactivar el producto'));
+    }
+  };
+
+  const formatCurrency = (value) => {
+    return new Intl.NumberFormat('es-CO', {
+      style: 'currency',
+      currency: 'COP',
+      minimumFractionDigits: 0
+    }).format(value);
+  };
+
+  const formatRange = (min, max, format) => {
+    if (min === null && max === null) {
+      return '-';
+    }
+    return `${min !== null ? format(min) : '...'} - ${max !== null ? format(max) : '...'}`;
+  };
+
+  const columns = [
+    {
+      id: 'id',
+      label: 'ID',
+      minWidth: 50
+    },
+    {
+      id: 'nombre',
+      label: 'Nombre',
+      minWidth: 180
+    },
+    {
+      id: 'requiresFranchise',
+      label: 'Franquicia',
+      minWidth: 100,
+      render: (row) => (row.requiresFranchise ? 'Requerida' : '-')
+    },
+    {
+      id: 'requiresRate',
+      label: 'Tasa',
+      minWidth: 120,
+      render: (row) => (row.requiresRate
+        ? formatRange(row.minRate, row.maxRate, (value) => `${value}%`)
+        : '-')
+    },
+    {
+      id: 'minAmount',
+      label: 'Monto',
+      minWidth: 200,
+      render: (row) => formatRange(row.minAmount, row.maxAmount, formatCurrency)
+    },
+    {
+      id: 'activo',
+      label: 'Estado',
+      minWidth: 100,
+      render: (row) => (
+        <Chip
+          label={row.activo ? 'Activo' : 'Inactivo'}
+          color={row.activo ? 'success' : 'default'}
+          size="small"
+        />
+      )
+    }
+  ];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <Typography variant="h4">
+            Productos
+          </Typography>
+          <Chip label="Admin" color="error" size="small" />
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={handleCreateOpen}
+        >
+          Nuevo Producto
+        </Button>
+      </Box>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom sx={{ mb: 2 }}>
+        Catálogo de productos y reglas que deben cumplir sus ventas
+      </Typography>
+
+      <DataTable
+        columns={columns}
+        data={products}
+        loading={loading}
+        onEdit={handleEditOpen}
+        onDelete={handleDeactivateOpen}
+        emptyMessage="No hay productos disponibles"
+      />
+
+      <ProductForm
+        open={formOpen}
+        onClose={handleFormClose}
+        onSubmit={handleFormSubmit}
+        initialData={selectedProduct}
+        loading={loading}
+      />
+
+      <ConfirmDialog
+        open={deactivateDialogOpen}
+        title="Desactivar Producto"
+        message={`¿Deseas desactivar el producto "${productToDeactivate?.nombre}"? Las ventas existentes se conservan, pero no se podrán crear ventas nuevas con este producto.`}
+        onConfirm={handleDeactivateConfirm}
+        onCancel={handleDeactivateClose}
+        loading={loading}
+        severity="warning"
+        confirmText="Desactivar"
+      />
+    </Box>
+  );
+};
+
+export default ProductsPage;
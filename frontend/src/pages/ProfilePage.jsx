@@ -3,13 +3,35 @@
  * User profile and settings
  */
 
-import { Box, Typography, Paper, Grid } from '@mui/material';
-import { useSelector } from 'react-redux';
-import { selectUser } from '../store/slices/authSlice';
+import { useState } from 'react';
+import { Box, Typography, Paper, Grid, Button } from '@mui/material';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import LogoutIcon from '@mui/icons-material/Logout';
+import { logoutAll, selectUser, selectAuthLoading } from '../store/slices/authSlice';
+import { showError } from '../store/slices/uiSlice';
 import ChangePasswordForm from '../components/profile/ChangePasswordForm';
+import TwoFactorSettings from '../components/profile/TwoFactorSettings';
+import ConfirmDialog from '../components/common/ConfirmDialog';
 
 const ProfilePage = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
   const user = useSelector(selectUser);
+  const loading = useSelector(selectAuthLoading);
+
+  const [logoutAllOpen, setLogoutAllOpen] = useState(false);
+
+  const handleLogoutAll = async () => {
+    const result = await dispatch(logoutAll());
+
+    if (logoutAll.fulfilled.match(result)) {
+      navigate('/login');
+    } else {
+      setLogoutAllOpen(false);
+      dispatch(showError(result.payload?.error?.message || 'Error al cerrar las sesiones'));
+    }
+  };
 
   return (
     <Box>
@@ -49,12 +71,42 @@ const ProfilePage = () => {
               </Typography>
             </Box>
           </Paper>
+
+          <Paper sx={{ p: 3, mt: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Sesiones
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Si perdiste un dispositivo o crees que alguien más usa tu cuenta, cierra la sesión
+              en todos los dispositivos. Tendrás que iniciar sesión de nuevo.
+            </Typography>
+            <Button
+              variant="outlined"
+              color="warning"
+              startIcon={<LogoutIcon />}
+              onClick={() => setLogoutAllOpen(true)}
+            >
+              Cerrar sesión en todos los dispositivos
+            </Button>
+          </Paper>
         </Grid>
 
         <Grid item xs={12} md={6}>
           <ChangePasswordForm />
+          <TwoFactorSettings />
         </Grid>
       </Grid>
+
+      <ConfirmDialog
+        open={logoutAllOpen}
+        title="Cerrar Sesión en Todos los Dispositivos"
+        message="Se cerrarán todas tus sesiones, incluida esta. ¿Deseas continuar?"
+        onConfirm={handleLogoutAll}
+        onCancel={() => setLogoutAllOpen(false)}
+        loading={loading}
+        severity="warning"
+        confirmText="Cerrar sesiones"
+      />
     </Box>
   );
 };
@@ -0,0 +1,12 @@
+/**
+ * Reset Password Page
+ * Choose a new password from an emailed reset link
+ */
+
+import ResetPasswordForm from '../components/auth/ResetPasswordForm';
+
+const ResetPasswordPage = () => {
+  return <ResetPasswordForm />;
+};
+
+export default ResetPasswordPage;
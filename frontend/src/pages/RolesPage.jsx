@@ -0,0 +1,195 @@
+/**
+ * Roles Page
+ * Role and permission management page (roles:manage)
+ */
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Box, Typography, Button, Chip } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+
+// Components
+import DataTable from '../components/common/DataTable';
+import RoleForm from '../components/roles/RoleForm';
+import ConfirmDialog from '../components/common/ConfirmDialog';
+
+// Redux
+import {
+  fetchRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  selectRoles,
+  selectRolesLoading
+} from '../store/slices/roleSlice';
+import { selectUser, verifyToken } from '../store/slices/authSlice';
+import { showSuccess, showError } from '../store/slices/uiSlice';
+
+const RolesPage = () => {
+  const dispatch = useDispatch();
+
+  const roles = useSelector(selectRoles);
+  const loading = useSelector(selectRolesLoading);
+  const user = useSelector(selectUser);
+
+  const [formOpen, setFormOpen] = useState(false);
+  const [selectedRole, setSelectedRole] = useState(null);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [roleToDelete, setRoleToDelete] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchRoles());
+  }, [dispatch]);
+
+  const handleCreateOpen = () => {
+    setSelectedRole(null);
+    setFormOpen(true);
+  };
+
+  const handleEditOpen = (role) => {
+    setSelectedRole(role);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+    setSelectedRole(null);
+  };
+
+  const handleFormSubmit = async (data) => {
+    let result;
+    if (selectedRole) {
+      result = await dispatch(updateRole({ id: selectedRole.id, roleData: data }));
+    } else {
+      result = await dispatch(createRole(data));
+    }
+
+    if (createRole.fulfilled.match(result) || updateRole.fulfilled.match(result)) {
+      dispatch(showSuccess(selectedRole ? 'Rol actualizado exitosamente' : 'Rol creado exitosamente'));
+      handleFormClose();
+      // Reload the user's permissions when their own role changed
+      if (selectedRole?.id === user?.rolId) {
+        dispatch(verifyToken());
+      }
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al guardar el rol'));
+    }
+  };
+
+  const handleDeleteOpen = (role) => {
+    setRoleToDelete(role);
+    setDeleteDialogOpen(true);
+  };
+
+  const handleDeleteClose = () => {
+    setDeleteDialogOpen(false);
+    setRoleToDelete(null);
+  };
+
+  const handleDeleteConfirm = async () => {
+    const result = await dispatch(deleteRole(roleToDelete.id));
+
+    if (deleteRole.fulfilled.match(result)) {
+      dispatch(showSuccess('Rol eliminado exitosamente'));
+    } else if (result.payload?.error?.code === 'CONFLICT') {
+      dispatch(showError('El rol tiene usuarios asignados y no se puede eliminar. Asígnales otro rol primero.'));
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al eliminar el rol'));
+    }
+    handleDeleteClose();
+  };
+
+  const columns = [
+    {
+      id: 'id',
+      label: 'ID',
+      minWidth: 50
+    },
+    {
+      id: 'nombre',
+      label: 'Nombre',
+      minWidth: 150
+    },
+    {
+      id: 'descripcion',
+      label: 'Descripción',
+      minWidth: 250,
+      render: (row) => row.descripcion || '-'
+    },
+    {
+      id: 'permisos',
+      label: 'Permisos',
+      minWidth: 100,
+      render: (row) => row.permisos.length
+    },
+    {
+      id: 'totalUsuarios',
+      label: 'Usuarios',
+      minWidth: 100
+    },
+    {
+      id: 'requiereMfa',
+      label: '2FA',
+      minWidth: 100,
+      render: (row) => (
+        <Chip
+          label={row.requiereMfa ? 'Obligatorio' : 'Opcional'}
+          color={row.requiereMfa ? 'warning' : 'default'}
+          size="small"
+          variant="outlined"
+        />
+      )
+    }
+  ];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">
+          Roles
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={handleCreateOpen}
+        >
+          Nuevo Rol
+        </Button>
+      </Box>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom sx={{ mb: 2 }}>
+        Cada rol otorga un conjunto de permisos. Los cambios aplican en la siguiente petición de sus usuarios
+      </Typography>
+
+      <DataTable
+        columns={columns}
+        data={roles}
+        loading={loading}
+        onEdit={handleEditOpen}
+        onDelete={handleDeleteOpen}
+        emptyMessage="No hay roles disponibles"
+      />
+
+      <RoleForm
+        open={formOpen}
+        onClose={handleFormClose}
+        onSubmit={handleFormSubmit}
+        initialData={selectedRole}
+        loading={loading}
+      />
+
+      <ConfirmDialog
+        open={deleteDialogOpen}
+        title="Eliminar Rol"
+        message={`¿Deseas eliminar el rol "${roleToDelete?.nombre}"? Solo se pueden eliminar roles sin usuarios.`}
+        onConfirm={handleDeleteConfirm}
+        onCancel={handleDeleteClose}
+        loading={loading}
+        severity="error"
+        confirmText="Eliminar"
+      />
+    </Box>
+  );
+};
+
+export default RolesPage;
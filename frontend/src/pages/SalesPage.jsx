@@ -5,13 +5,20 @@
 
 import { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { Box, Typography, Button, Chip } from '@mui/material';
+import { Box, Typography, Button, Chip, Paper } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import SyncAltIcon from '@mui/icons-material/SyncAlt';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import DeleteSweepIcon from '@mui/icons-material/DeleteSweep';
 
 // Components
 import DataTable from '../components/common/DataTable';
 import SaleForm from '../components/sales/SaleForm';
 import SaleFilters from '../components/sales/SaleFilters';
+import SaleHistory from '../components/sales/SaleHistory';
+import SaleImportWizard from '../components/sales/SaleImportWizard';
+import SaleBulkActionDialog from '../components/sales/SaleBulkActionDialog';
 import ConfirmDialog from '../components/common/ConfirmDialog';
 
 // Redux
@@ -24,7 +31,10 @@ import {
   selectSalesPagination,
   selectSalesLoading
 } from '../store/slices/saleSlice';
+import { selectPermissions } from '../store/slices/authSlice';
 import { showSuccess, showError } from '../store/slices/uiSlice';
+import { SORT_DIRECTIONS, PERMISSIONS, SALE_BULK, ERROR_CODES } from '../constants';
+import { hasPermission, hasAnyPermission } from '../utils/permissions';
 
 const SalesPage = () => {
   const dispatch = useDispatch();
@@ -32,33 +42,69 @@ const SalesPage = () => {
   const sales = useSelector(selectSales);
   const pagination = useSelector(selectSalesPagination);
   const loading = useSelector(selectSalesLoading);
+  const permissions = useSelector(selectPermissions);
+
+  // Row ownership is checked by the server, here only the actions no sale allows are hidden
+  const canCreate = hasPermission(permissions, PERMISSIONS.SALES_CREATE);
+  const canEdit = hasAnyPermission(permissions, [
+    PERMISSIONS.SALES_UPDATE_OWN,
+    PERMISSIONS.SALES_UPDATE_TEAM,
+    PERMISSIONS.SALES_UPDATE_ANY,
+    PERMISSIONS.SALES_STATUS_ANY
+  ]);
+  const canDelete = hasAnyPermission(permissions, [
+    PERMISSIONS.SALES_DELETE_OWN,
+    PERMISSIONS.SALES_DELETE_TEAM,
+    PERMISSIONS.SALES_DELETE_ANY
+  ]);
+  const canReassign = hasPermission(permissions, PERMISSIONS.SALES_REASSIGN);
+  const canBulk = canEdit || canDelete || canReassign;
 
   const [formOpen, setFormOpen] = useState(false);
   const [selectedSale, setSelectedSale] = useState(null);
+  // Current server version of the sale when an edit hit a conflict (409)
+  const [saleConflict, setSaleConflict] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [saleToDelete, setSaleToDelete] = useState(null);
   const [filters, setFilters] = useState({});
+  const [sort, setSort] = useState({ sortBy: 'createdAt', sortDir: SORT_DIRECTIONS.DESC });
+  const [pageSize, setPageSize] = useState(pagination.limit);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [historySale, setHistorySale] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
+  // Selected sale IDs, kept across pages
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Bulk action being configured, null when the dialog is closed
+  const [bulkAction, setBulkAction] = useState(null);
+
+  // Selected sales may no longer match once filters or sorting change
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [filters, sort]);
 
+  // Reload from the first page whenever filters, sorting or page size change
   useEffect(() => {
-    dispatch(fetchSales({ ...filters, page: 1, limit: 10 }));
-  }, [dispatch, filters]);
+    dispatch(fetchSales({ ...filters, ...sort, page: 1, limit: pageSize }));
+  }, [dispatch, filters, sort, pageSize]);
 
   const handlePageChange = (page) => {
-    dispatch(fetchSales({ ...filters, page, limit: pagination.limit }));
+    dispatch(fetchSales({ ...filters, ...sort, page, limit: pageSize }));
   };
 
   const handleRowsPerPageChange = (limit) => {
-    dispatch(fetchSales({ ...filters, page: 1, limit }));
+    setPageSize(limit);
   };
 
   const handleFilter = (newFilters) => {
     setFilters(newFilters);
-    dispatch(fetchSales({ ...newFilters, page: 1, limit: pagination.limit }));
   };
 
   const handleClearFilters = () => {
     setFilters({});
-    dispatch(fetchSales({ page: 1, limit: pagination.limit }));
+  };
+
+  const handleSort = (sortBy, sortDir) => {
+    setSort({ sortBy, sortDir });
   };
 
   const handleCreateOpen = () => {
@@ -74,6 +120,7 @@ const SalesPage = () => {
   const handleFormClose = () => {
     setFormOpen(false);
     setSelectedSale(null);
+    setSaleConflict(null);
   };
 
   const handleFormSubmit = async (data) => {
@@ -87,12 +134,36 @@ const SalesPage = () => {
     if (createSale.fulfilled.match(result) || updateSale.fulfilled.match(result)) {
       dispatch(showSuccess(selectedSale ? 'Venta actualizada exitosamente' : 'Venta creada exitosamente'));
       handleFormClose();
-      dispatch(fetchSales({ ...filters, page: pagination.page, limit: pagination.limit }));
+      dispatch(fetchSales({ ...filters, ...sort, page: pagination.page, limit: pageSize }));
+    } else if (result.payload?.error?.code === ERROR_CODES.CONFLICT && result.payload.error.details?.current) {
+      setSaleConflict(result.payload.error.details.current);
     } else {
-      dispatch(showError('Error al guardar la venta'));
+      dispatch(showError(result.payload?.error?.message || 'Error al guardar la venta'));
     }
   };
 
+  // Discard the edit and continue from the version saved by the other user
+  const handleConflictReload = (current) => {
+    setSelectedSale(current);
+    setSaleConflict(null);
+    dispatch(fetchSales({ ...filters, ...sort, page: pagination.page, limit: pageSize }));
+  };
+
+  const handleImported = (report) => {
+    dispatch(showSuccess(`${report.createdIds.length} ventas importadas exitosamente`));
+    dispatch(fetchSales({ ...filters, ...sort, page: 1, limit: pageSize }));
+  };
+
+  const handleHistoryOpen = (sale) => {
+    setHistorySale(sale);
+    setHistoryOpen(true);
+  };
+
+  const handleHistoryClose = () => {
+    setHistoryOpen(false);
+    setHistorySale(null);
+  };
+
   const handleDeleteOpen = (sale) => {
     setSaleToDelete(sale);
     setDeleteDialogOpen(true);
@@ -109,12 +180,18 @@ const SalesPage = () => {
     if (deleteSale.fulfilled.match(result)) {
       dispatch(showSuccess('Venta eliminada exitosamente'));
       handleDeleteClose();
-      dispatch(fetchSales({ ...filters, page: pagination.page, limit: pagination.limit }));
+      dispatch(fetchSales({ ...filters, ...sort, page: pagination.page, limit: pageSize }));
     } else {
       dispatch(showError('Error al eliminar la venta'));
     }
   };
 
+  // Sales that failed stay selected so the action can be retried on them
+  const handleBulkCompleted = (report) => {
+    setSelectedIds(report.resultados.filter(result => !result.exito).map(result => result.id));
+    dispatch(fetchSales({ ...filters, ...sort, page: pagination.page, limit: pageSize }));
+  };
+
   const formatCurrency = (value) => {
     return new Intl.NumberFormat('es-CO', {
       style: 'currency',
@@ -131,6 +208,8 @@ const SalesPage = () => {
         return 'warning';
       case 'Finalizado':
         return 'success';
+      case 'Rechazado':
+        return 'error';
       default:
         return 'default';
     }
@@ -142,16 +221,23 @@ const SalesPage = () => {
       label: 'ID',
       minWidth: 50
     },
+    {
+      id: 'clienteNombre',
+      label: 'Cliente',
+      minWidth: 150
+    },
     {
       id: 'productoNombre',
       label: 'Producto',
-      minWidth: 150
+      minWidth: 150,
+      sortable: true
     },
     {
       id: 'cupoSolicitado',
       label: 'Monto',
       minWidth: 120,
       align: 'right',
+      sortable: true,
       render: (row) => formatCurrency(row.cupoSolicitado)
     },
     {
@@ -164,12 +250,14 @@ const SalesPage = () => {
       id: 'tasa',
       label: 'Tasa',
       minWidth: 80,
+      sortable: true,
       render: (row) => row.tasa ? `${row.tasa}%` : '-'
     },
     {
       id: 'estado',
       label: 'Estado',
       minWidth: 120,
+      sortable: true,
       render: (row) => (
         <Chip label={row.estado} color={getStatusColor(row.estado)} size="small" />
       )
@@ -177,7 +265,15 @@ const SalesPage = () => {
     {
       id: 'usuarioCreadorNombre',
       label: 'Asesor',
-      minWidth: 150
+      minWidth: 150,
+      sortable: true
+    },
+    {
+      id: 'createdAt',
+      label: 'Fecha',
+      minWidth: 110,
+      sortable: true,
+      render: (row) => new Date(row.createdAt).toLocaleDateString('es-CO')
     }
   ];
 
@@ -192,17 +288,67 @@ const SalesPage = () => {
             Gestión de ventas de productos financieros
           </Typography>
         </Box>
-        <Button
-          variant="contained"
-          startIcon={<AddIcon />}
-          onClick={handleCreateOpen}
-        >
-          Nueva Venta
-        </Button>
+        {canCreate && (
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button
+              variant="outlined"
+              startIcon={<UploadFileIcon />}
+              onClick={() => setImportOpen(true)}
+            >
+              Importar
+            </Button>
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={handleCreateOpen}
+            >
+              Nueva Venta
+            </Button>
+          </Box>
+        )}
       </Box>
 
       <SaleFilters onFilter={handleFilter} onClear={handleClearFilters} />
 
+      {selectedIds.length > 0 && (
+        <Paper sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, p: 1.5, mb: 2 }}>
+          <Typography variant="body2" sx={{ flexGrow: 1 }}>
+            {selectedIds.length} ventas seleccionadas
+          </Typography>
+          {canEdit && (
+            <Button
+              size="small"
+              startIcon={<SyncAltIcon />}
+              onClick={() => setBulkAction(SALE_BULK.ACTIONS.STATUS)}
+            >
+              Cambiar estado
+            </Button>
+          )}
+          {canReassign && (
+            <Button
+              size="small"
+              startIcon={<SwapHorizIcon />}
+              onClick={() => setBulkAction(SALE_BULK.ACTIONS.REASSIGN)}
+            >
+              Reasignar
+            </Button>
+          )}
+          {canDelete && (
+            <Button
+              size="small"
+              color="error"
+              startIcon={<DeleteSweepIcon />}
+              onClick={() => setBulkAction(SALE_BULK.ACTIONS.DELETE)}
+            >
+              Eliminar
+            </Button>
+          )}
+          <Button size="small" color="inherit" onClick={() => setSelectedIds([])}>
+            Limpiar selección
+          </Button>
+        </Paper>
+      )}
+
       <DataTable
         columns={columns}
         data={sales}
@@ -210,9 +356,16 @@ const SalesPage = () => {
         pagination={pagination}
         onPageChange={handlePageChange}
         onRowsPerPageChange={handleRowsPerPageChange}
-        onEdit={handleEditOpen}
-        onDelete={handleDeleteOpen}
+        onView={handleHistoryOpen}
+        onEdit={canEdit ? handleEditOpen : null}
+        onDelete={canDelete ? handleDeleteOpen : null}
         emptyMessage="No hay ventas disponibles"
+        sortBy={sort.sortBy}
+        sortDir={sort.sortDir}
+        onSort={handleSort}
+        selectable={canBulk}
+        selected={selectedIds}
+        onSelectionChange={setSelectedIds}
       />
 
       <SaleForm
@@ -221,6 +374,29 @@ const SalesPage = () => {
         onSubmit={handleFormSubmit}
         initialData={selectedSale}
         loading={loading}
+        conflict={saleConflict}
+        onConflictReload={handleConflictReload}
+        onConflictClose={() => setSaleConflict(null)}
+      />
+
+      <SaleImportWizard
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={handleImported}
+      />
+
+      <SaleBulkActionDialog
+        open={Boolean(bulkAction)}
+        action={bulkAction || SALE_BULK.ACTIONS.STATUS}
+        saleIds={selectedIds}
+        onClose={() => setBulkAction(null)}
+        onCompleted={handleBulkCompleted}
+      />
+
+      <SaleHistory
+        open={historyOpen}
+        onClose={handleHistoryClose}
+        sale={historySale}
       />
 
       <ConfirmDialog
@@ -0,0 +1,182 @@
+/**
+ * Teams Page
+ * Team management page (teams:manage): supervisors see and manage the sales of their team
+ */
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Box, Typography, Button, Chip, Stack } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+
+// Components
+import DataTable from '../components/common/DataTable';
+import TeamForm from '../components/teams/TeamForm';
+import ConfirmDialog from '../components/common/ConfirmDialog';
+
+// Redux
+import {
+  fetchTeams,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  selectTeams,
+  selectTeamsLoading
+} from '../store/slices/teamSlice';
+import { showSuccess, showError } from '../store/slices/uiSlice';
+
+const TeamsPage = () => {
+  const dispatch = useDispatch();
+
+  const teams = useSelector(selectTeams);
+  const loading = useSelector(selectTeamsLoading);
+
+  const [formOpen, setFormOpen] = useState(false);
+  const [selectedTeam, setSelectedTeam] = useState(null);
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [teamToDelete, setTeamToDelete] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchTeams());
+  }, [dispatch]);
+
+  const handleCreateOpen = () => {
+    setSelectedTeam(null);
+    setFormOpen(true);
+  };
+
+  const handleEditOpen = (team) => {
+    setSelectedTeam(team);
+    setFormOpen(true);
+  };
+
+  const handleFormClose = () => {
+    setFormOpen(false);
+    setSelectedTeam(null);
+  };
+
+  const handleFormSubmit = async (data) => {
+    let result;
+    if (selectedTeam) {
+      result = await dispatch(updateTeam({ id: selectedTeam.id, teamData: data }));
+    } else {
+      result = await dispatch(createTeam(data));
+    }
+
+    if (createTeam.fulfilled.match(result) || updateTeam.fulfilled.match(result)) {
+      dispatch(showSuccess(selectedTeam ? 'Equipo actualizado exitosamente' : 'Equipo creado exitosamente'));
+      handleFormClose();
+      // Members may have left other teams, reload them all
+      dispatch(fetchTeams());
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al guardar el equipo'));
+    }
+  };
+
+  const handleDeleteOpen = (team) => {
+    setTeamToDelete(team);
+    setDeleteDialogOpen(true);
+  };
+
+  const handleDeleteClose = () => {
+    setDeleteDialogOpen(false);
+    setTeamToDelete(null);
+  };
+
+  const handleDeleteConfirm = async () => {
+    const result = await dispatch(deleteTeam(teamToDelete.id));
+
+    if (deleteTeam.fulfilled.match(result)) {
+      dispatch(showSuccess('Equipo eliminado exitosamente'));
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al eliminar el equipo'));
+    }
+    handleDeleteClose();
+  };
+
+  const columns = [
+    {
+      id: 'id',
+      label: 'ID',
+      minWidth: 50
+    },
+    {
+      id: 'nombre',
+      label: 'Nombre',
+      minWidth: 150
+    },
+    {
+      id: 'supervisorNombre',
+      label: 'Supervisor',
+      minWidth: 150
+    },
+    {
+      id: 'miembros',
+      label: 'Miembros',
+      minWidth: 300,
+      render: (row) => (row.miembros.length === 0 ? '-' : (
+        <Stack direction="row" spacing={0.5} sx={{ flexWrap: 'wrap', gap: 0.5 }}>
+          {row.miembros.map((member) => (
+            <Chip key={member.id} label={member.nombre} size="small" variant="outlined" />
+          ))}
+        </Stack>
+      ))
+    },
+    {
+      id: 'descripcion',
+      label: 'Descripción',
+      minWidth: 200,
+      render: (row) => row.descripcion || '-'
+    }
+  ];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">
+          Equipos
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={handleCreateOpen}
+        >
+          Nuevo Equipo
+        </Button>
+      </Box>
+
+      <Typography variant="body1" color="text.secondary" gutterBottom sx={{ mb: 2 }}>
+        El supervisor de un equipo ve y gestiona las ventas y estadísticas de sus miembros
+      </Typography>
+
+      <DataTable
+        columns={columns}
+        data={teams}
+        loading={loading}
+        onEdit={handleEditOpen}
+        onDelete={handleDeleteOpen}
+        emptyMessage="No hay equipos registrados"
+      />
+
+      <TeamForm
+        open={formOpen}
+        onClose={handleFormClose}
+        onSubmit={handleFormSubmit}
+        initialData={selectedTeam}
+        loading={loading}
+      />
+
+      <ConfirmDialog
+        open={deleteDialogOpen}
+        title="Eliminar Equipo"
+        message={`¿Deseas eliminar el equipo "${teamToDelete?.nombre}"? Sus miembros quedarán sin equipo.`}
+        onConfirm={handleDeleteConfirm}
+        onCancel={handleDeleteClose}
+        loading={loading}
+        severity="error"
+        confirmText="Eliminar"
+      />
+    </Box>
+  );
+};
+
+export default TeamsPage;
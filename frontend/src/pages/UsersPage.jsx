@@ -1,58 +1,121 @@
 /**
  * Users Page
- * User management page - Admin only
+ * User management page (users:read, changes need users:manage)
  */
 
 import { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { Box, Typography, Button, Chip, TextField, InputAdornment } from '@mui/material';
-import AddIcon from '@mui/icons-material/Add';
+import { useNavigate } from 'react-router-dom';
+import { Box, Typography, Button, Chip, TextField, InputAdornment, MenuItem } from '@mui/material';
+import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import MailOutlineIcon from '@mui/icons-material/MailOutline';
 import SearchIcon from '@mui/icons-material/Search';
+import LogoutIcon from '@mui/icons-material/Logout';
+import SecurityIcon from '@mui/icons-material/Security';
+import LockOpenIcon from '@mui/icons-material/LockOpen';
+import HistoryIcon from '@mui/icons-material/History';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import BlockIcon from '@mui/icons-material/Block';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
 
 // Components
 import DataTable from '../components/common/DataTable';
 import UserForm from '../components/users/UserForm';
 import ConfirmDialog from '../components/common/ConfirmDialog';
+import RoleMfaDialog from '../components/users/RoleMfaDialog';
+import LoginAttemptsDialog from '../components/users/LoginAttemptsDialog';
+import PendingInvitationsDialog from '../components/users/PendingInvitationsDialog';
+import ReassignPortfolioDialog from '../components/users/ReassignPortfolioDialog';
 
 // Redux
 import {
   fetchUsers,
-  createUser,
+  inviteUser,
   updateUser,
   deleteUser,
+  forceLogoutUser,
+  unlockUser,
+  updateUserStatus,
   selectUsers,
   selectUsersPagination,
   selectUsersLoading
 } from '../store/slices/userSlice';
+import {
+  impersonateUser,
+  selectUser,
+  selectPermissions,
+  selectAuthLoading
+} from '../store/slices/authSlice';
 import { showSuccess, showError } from '../store/slices/uiSlice';
+import { PERMISSIONS, ROLES } from '../constants';
+import { hasPermission } from '../utils/permissions';
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'Todos' },
+  { value: 'true', label: 'Activos' },
+  { value: 'false', label: 'Inactivos' }
+];
 
 const UsersPage = () => {
   const dispatch = useDispatch();
+  const navigate = useNavigate();
 
   const users = useSelector(selectUsers);
   const pagination = useSelector(selectUsersPagination);
   const loading = useSelector(selectUsersLoading);
+  const permissions = useSelector(selectPermissions);
+  const currentUser = useSelector(selectUser);
+  const authLoading = useSelector(selectAuthLoading);
+
+  // users:read is enough to browse, changes need users:manage
+  const canManage = hasPermission(permissions, PERMISSIONS.USERS_MANAGE);
+  const canManageRoles = hasPermission(permissions, PERMISSIONS.ROLES_MANAGE);
+  const canImpersonate = hasPermission(permissions, PERMISSIONS.USERS_IMPERSONATE);
+  const canReassign = hasPermission(permissions, PERMISSIONS.SALES_REASSIGN);
 
   const [formOpen, setFormOpen] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [userToDelete, setUserToDelete] = useState(null);
+  const [userToLogout, setUserToLogout] = useState(null);
+  const [roleMfaOpen, setRoleMfaOpen] = useState(false);
+  const [userToUnlock, setUserToUnlock] = useState(null);
+  const [userToImpersonate, setUserToImpersonate] = useState(null);
+  const [userToDeactivate, setUserToDeactivate] = useState(null);
+  const [userToReassign, setUserToReassign] = useState(null);
+  const [attemptsOpen, setAttemptsOpen] = useState(false);
+  const [attemptsUser, setAttemptsUser] = useState(null);
+  const [invitationsOpen, setInvitationsOpen] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
 
   useEffect(() => {
     dispatch(fetchUsers({ page: 1, limit: 10 }));
   }, [dispatch]);
 
+  // Filters sent with every page request
+  const buildParams = (params, activo = statusFilter) => {
+    const query = { search: searchTerm, ...params };
+    if (activo !== '') query.activo = activo;
+    return query;
+  };
+
   const handlePageChange = (page) => {
-    dispatch(fetchUsers({ search: searchTerm, page, limit: pagination.limit }));
+    dispatch(fetchUsers(buildParams({ page, limit: pagination.limit })));
   };
 
   const handleRowsPerPageChange = (limit) => {
-    dispatch(fetchUsers({ search: searchTerm, page: 1, limit }));
+    dispatch(fetchUsers(buildParams({ page: 1, limit })));
   };
 
   const handleSearch = () => {
-    dispatch(fetchUsers({ search: searchTerm, page: 1, limit: pagination.limit }));
+    dispatch(fetchUsers(buildParams({ page: 1, limit: pagination.limit })));
+  };
+
+  const handleStatusFilterChange = (value) => {
+    setStatusFilter(value);
+    dispatch(fetchUsers(buildParams({ page: 1, limit: pagination.limit }, value)));
   };
 
   const handleSearchKeyPress = (e) => {
@@ -81,15 +144,16 @@ const UsersPage = () => {
     if (selectedUser) {
       result = await dispatch(updateUser({ id: selectedUser.id, userData: data }));
     } else {
-      result = await dispatch(createUser(data));
+      // New users choose their password from the invitation email
+      result = await dispatch(inviteUser(data));
     }
 
-    if (createUser.fulfilled.match(result) || updateUser.fulfilled.match(result)) {
-      dispatch(showSuccess(selectedUser ? 'Usuario actualizado exitosamente' : 'Usuario creado exitosamente'));
+    if (inviteUser.fulfilled.match(result) || updateUser.fulfilled.match(result)) {
+      dispatch(showSuccess(selectedUser ? 'Usuario actualizado exitosamente' : `Invitación enviada a ${data.email}`));
       handleFormClose();
-      dispatch(fetchUsers({ search: searchTerm, page: pagination.page, limit: pagination.limit }));
+      dispatch(fetchUsers(buildParams({ page: pagination.page, limit: pagination.limit })));
     } else {
-      dispatch(showError('Error al guardar el usuario'));
+      dispatch(showError(result.payload?.error?.message || 'Error al guardar el usuario'));
     }
   };
 
@@ -109,12 +173,135 @@ const UsersPage = () => {
     if (deleteUser.fulfilled.match(result)) {
       dispatch(showSuccess('Usuario eliminado exitosamente'));
       handleDeleteClose();
-      dispatch(fetchUsers({ search: searchTerm, page: pagination.page, limit: pagination.limit }));
+      dispatch(fetchUsers(buildParams({ page: pagination.page, limit: pagination.limit })));
     } else {
       dispatch(showError('Error al eliminar el usuario'));
     }
   };
 
+  const handleLogoutClose = () => {
+    setUserToLogout(null);
+  };
+
+  const handleLogoutConfirm = async () => {
+    const result = await dispatch(forceLogoutUser(userToLogout.id));
+
+    if (forceLogoutUser.fulfilled.match(result)) {
+      dispatch(showSuccess(`Se cerraron las sesiones de "${userToLogout.nombre}"`));
+      handleLogoutClose();
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al cerrar las sesiones del usuario'));
+    }
+  };
+
+  const handleUnlockConfirm = async () => {
+    const result = await dispatch(unlockUser(userToUnlock.id));
+
+    if (unlockUser.fulfilled.match(result)) {
+      dispatch(showSuccess(`Se desbloqueó la cuenta de "${userToUnlock.nombre}"`));
+      setUserToUnlock(null);
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al desbloquear el usuario'));
+    }
+  };
+
+  const handleImpersonateConfirm = async () => {
+    const result = await dispatch(impersonateUser(userToImpersonate.id));
+
+    if (impersonateUser.fulfilled.match(result)) {
+      dispatch(showSuccess(`Estás viendo el sistema como "${userToImpersonate.nombre}"`));
+      setUserToImpersonate(null);
+      navigate('/dashboard');
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al ver como el usuario'));
+    }
+  };
+
+  const handleStatusChange = async (user, activo) => {
+    const result = await dispatch(updateUserStatus({ id: user.id, activo }));
+
+    if (updateUserStatus.fulfilled.match(result)) {
+      dispatch(showSuccess(activo ? `Se activó la cuenta de "${user.nombre}"` : `Se desactivó la cuenta de "${user.nombre}"`));
+      setUserToDeactivate(null);
+      // Their open sales need a new owner
+      if (!activo && canReassign) {
+        setUserToReassign(user);
+      }
+      // The user may no longer match the status filter
+      if (statusFilter !== '') {
+        dispatch(fetchUsers(buildParams({ page: pagination.page, limit: pagination.limit })));
+      }
+    } else {
+      dispatch(showError(result.payload?.error?.message || 'Error al cambiar el estado del usuario'));
+    }
+  };
+
+  const handleAttemptsOpen = (user = null) => {
+    setAttemptsUser(user);
+    setAttemptsOpen(true);
+  };
+
+  const handleInvitationsClose = () => {
+    setInvitationsOpen(false);
+    // Revoking an invitation removes its pending user
+    dispatch(fetchUsers(buildParams({ page: pagination.page, limit: pagination.limit })));
+  };
+
+  const rowActions = [
+    {
+      id: 'unlock',
+      label: 'Desbloquear',
+      icon: <LockOpenIcon fontSize="small" />,
+      color: 'success',
+      onClick: setUserToUnlock,
+      hidden: (row) => !canManage || !row.bloqueadoHasta
+    },
+    {
+      id: 'attempts',
+      label: 'Intentos de acceso',
+      icon: <HistoryIcon fontSize="small" />,
+      onClick: handleAttemptsOpen
+    },
+    {
+      id: 'logout',
+      label: 'Cerrar sesiones',
+      icon: <LogoutIcon fontSize="small" />,
+      color: 'warning',
+      onClick: setUserToLogout,
+      hidden: () => !canManage
+    },
+    {
+      id: 'deactivate',
+      label: 'Desactivar',
+      icon: <BlockIcon fontSize="small" />,
+      color: 'warning',
+      onClick: setUserToDeactivate,
+      hidden: (row) => !canManage || !row.activo || row.id === currentUser?.id
+    },
+    {
+      id: 'activate',
+      label: 'Activar',
+      icon: <CheckCircleIcon fontSize="small" />,
+      color: 'success',
+      onClick: (row) => handleStatusChange(row, true),
+      hidden: (row) => !canManage || row.activo
+    },
+    {
+      id: 'reassign',
+      label: 'Reasignar cartera',
+      icon: <SwapHorizIcon fontSize="small" />,
+      onClick: setUserToReassign,
+      hidden: () => !canReassign
+    },
+    {
+      id: 'impersonate',
+      label: 'Ver como',
+      icon: <VisibilityIcon fontSize="small" />,
+      onClick: setUserToImpersonate,
+      hidden: (row) => !canImpersonate || !row.activo || row.id === currentUser?.id
+    }
+  ];
+
   const columns = [
     {
       id: 'id',
@@ -124,7 +311,26 @@ const UsersPage = () => {
     {
       id: 'nombre',
       label: 'Nombre',
-      minWidth: 150
+      minWidth: 150,
+      render: (row) => (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {row.nombre}
+          {!row.activo && (
+            <Chip label="Inactivo" size="small" title="No puede iniciar sesión" />
+          )}
+          {row.invitacionPendiente && (
+            <Chip label="Pendiente" color="warning" size="small" title="No ha aceptado la invitación" />
+          )}
+          {row.bloqueadoHasta && (
+            <Chip
+              label="Bloqueado"
+              color="error"
+              size="small"
+              title={`Hasta ${new Date(row.bloqueadoHasta).toLocaleString('es-CO')}`}
+            />
+          )}
+        </Box>
+      )
     },
     {
       id: 'email',
@@ -138,8 +344,27 @@ const UsersPage = () => {
       render: (row) => (
         <Chip
           label={row.rolNombre}
-          color={row.rolNombre === 'Administrador' ? 'error' : 'primary'}
+          color={row.rolId === ROLES.ADMIN.ID ? 'error' : 'primary'}
+          size="small"
+        />
+      )
+    },
+    {
+      id: 'sucursalNombre',
+      label: 'Sucursal',
+      minWidth: 120,
+      render: (row) => row.sucursalNombre || '-'
+    },
+    {
+      id: 'mfaHabilitado',
+      label: '2FA',
+      minWidth: 80,
+      render: (row) => (
+        <Chip
+          label={row.mfaHabilitado ? 'Activo' : 'No'}
+          color={row.mfaHabilitado ? 'success' : 'default'}
           size="small"
+          variant="outlined"
         />
       )
     },
@@ -154,26 +379,52 @@ const UsersPage = () => {
   return (
     <Box>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
-        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-          <Typography variant="h4">
-            Usuarios
-          </Typography>
-          <Chip label="Admin" color="error" size="small" />
+        <Typography variant="h4">
+          Usuarios
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button
+            variant="outlined"
+            startIcon={<HistoryIcon />}
+            onClick={() => handleAttemptsOpen()}
+          >
+            Intentos de Acceso
+          </Button>
+          {canManageRoles && (
+            <Button
+              variant="outlined"
+              startIcon={<SecurityIcon />}
+              onClick={() => setRoleMfaOpen(true)}
+            >
+              2FA por Rol
+            </Button>
+          )}
+          {canManage && (
+            <Button
+              variant="outlined"
+              startIcon={<MailOutlineIcon />}
+              onClick={() => setInvitationsOpen(true)}
+            >
+              Invitaciones Pendientes
+            </Button>
+          )}
+          {canManage && (
+            <Button
+              variant="contained"
+              startIcon={<PersonAddIcon />}
+              onClick={handleCreateOpen}
+            >
+              Invitar Usuario
+            </Button>
+          )}
         </Box>
-        <Button
-          variant="contained"
-          startIcon={<AddIcon />}
-          onClick={handleCreateOpen}
-        >
-          Nuevo Usuario
-        </Button>
       </Box>
 
       <Typography variant="body1" color="text.secondary" gutterBottom>
-        Gestión de usuarios del sistema (solo administradores)
+        Gestión de usuarios del sistema
       </Typography>
 
-      <Box sx={{ mb: 2, mt: 2 }}>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, mt: 2 }}>
         <TextField
           fullWidth
           placeholder="Buscar por nombre o email..."
@@ -188,6 +439,19 @@ const UsersPage = () => {
             )
           }}
         />
+        <TextField
+          select
+          label="Estado"
+          value={statusFilter}
+          onChange={(e) => handleStatusFilterChange(e.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          {STATUS_OPTIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
       </Box>
 
       <DataTable
@@ -197,8 +461,9 @@ const UsersPage = () => {
         pagination={pagination}
         onPageChange={handlePageChange}
         onRowsPerPageChange={handleRowsPerPageChange}
-        onEdit={handleEditOpen}
-        onDelete={handleDeleteOpen}
+        onEdit={canManage ? handleEditOpen : null}
+        onDelete={canManage ? handleDeleteOpen : null}
+        actions={rowActions}
         emptyMessage="No hay usuarios disponibles"
       />
 
@@ -220,6 +485,72 @@ const UsersPage = () => {
         severity="error"
         confirmText="Eliminar"
       />
+
+      <ConfirmDialog
+        open={Boolean(userToLogout)}
+        title="Cerrar Sesiones"
+        message={`¿Deseas cerrar todas las sesiones de "${userToLogout?.nombre}"? Deberá iniciar sesión de nuevo en todos sus dispositivos.`}
+        onConfirm={handleLogoutConfirm}
+        onCancel={handleLogoutClose}
+        loading={loading}
+        severity="warning"
+        confirmText="Cerrar sesiones"
+      />
+
+      <ConfirmDialog
+        open={Boolean(userToUnlock)}
+        title="Desbloquear Usuario"
+        message={`La cuenta de "${userToUnlock?.nombre}" está bloqueada por intentos fallidos de inicio de sesión. ¿Deseas desbloquearla?`}
+        onConfirm={handleUnlockConfirm}
+        onCancel={() => setUserToUnlock(null)}
+        loading={loading}
+        severity="warning"
+        confirmText="Desbloquear"
+      />
+
+      <ConfirmDialog
+        open={Boolean(userToDeactivate)}
+        title="Desactivar Usuario"
+        message={`"${userToDeactivate?.nombre}" no podrá iniciar sesión y se cerrarán todas sus sesiones. Sus ventas se conservan a su nombre${canReassign ? ', a continuación podrás reasignar las abiertas' : ''}. ¿Deseas desactivarlo?`}
+        onConfirm={() => handleStatusChange(userToDeactivate, false)}
+        onCancel={() => setUserToDeactivate(null)}
+        loading={loading}
+        severity="warning"
+        confirmText="Desactivar"
+      />
+
+      <ConfirmDialog
+        open={Boolean(userToImpersonate)}
+        title="Ver como Usuario"
+        message={`Verás el sistema como "${userToImpersonate?.nombre}", con sus permisos y sus datos. Los cambios que hagas quedarán registrados a tu nombre. ¿Deseas continuar?`}
+        onConfirm={handleImpersonateConfirm}
+        onCancel={() => setUserToImpersonate(null)}
+        loading={authLoading}
+        severity="warning"
+        confirmText="Ver como"
+      />
+
+      <RoleMfaDialog
+        open={roleMfaOpen}
+        onClose={() => setRoleMfaOpen(false)}
+      />
+
+      <LoginAttemptsDialog
+        open={attemptsOpen}
+        user={attemptsUser}
+        onClose={() => setAttemptsOpen(false)}
+      />
+
+      <ReassignPortfolioDialog
+        open={Boolean(userToReassign)}
+        user={userToReassign}
+        onClose={() => setUserToReassign(null)}
+      />
+
+      <PendingInvitationsDialog
+        open={invitationsOpen}
+        onClose={handleInvitationsClose}
+      />
     </Box>
   );
 };
@@ -1,20 +1,21 @@
 /**
- * Role-Based Route Component
- * Wraps routes that require specific roles
+ * Permission-Based Route Component
+ * Wraps routes that require specific permissions
  */
 
 import { useSelector } from 'react-redux';
-import { selectUser } from '../store/slices/authSlice';
+import { selectUser, selectPermissions } from '../store/slices/authSlice';
 import { Typography, Container, Paper } from '@mui/material';
-import { ROLES } from '../constants';
+import { hasAnyPermission } from '../utils/permissions';
 
-const RoleRoute = ({ children, allowedRoles = [] }) => {
+const PermissionRoute = ({ children, permissions = [] }) => {
   const user = useSelector(selectUser);
+  const userPermissions = useSelector(selectPermissions);
 
-  // Check if user has required role
-  const hasRequiredRole = user && allowedRoles.includes(user.rolId);
+  // Any of the given permissions grants access
+  const hasRequiredPermission = user && hasAnyPermission(userPermissions, permissions);
 
-  if (!hasRequiredRole) {
+  if (!hasRequiredPermission) {
     // Show access denied page
     return (
       <Container maxWidth="sm" sx={{ mt: 8 }}>
@@ -29,14 +30,7 @@ const RoleRoute = ({ children, allowedRoles = [] }) => {
             Tu rol: {user?.rolNombre || 'Desconocido'}
           </Typography>
           <Typography variant="body2" color="text.secondary">
-            Roles requeridos:{' '}
-            {allowedRoles
-              .map((roleId) => {
-                if (roleId === ROLES.ADMIN.ID) return ROLES.ADMIN.NAME;
-                if (roleId === ROLES.ADVISOR.ID) return ROLES.ADVISOR.NAME;
-                return 'Desconocido';
-              })
-              .join(', ')}
+            Permisos requeridos: {permissions.join(' o ')}
           </Typography>
         </Paper>
       </Container>
@@ -46,4 +40,4 @@ const RoleRoute = ({ children, allowedRoles = [] }) => {
   return children;
 };
 
-export default RoleRoute;
\ No newline at end of file
+export default PermissionRoute;
\ No newline at end of file
@@ -1,21 +1,37 @@
 /**
  * Protected Route Component
  * Wraps routes that require authentication
+ * After a page reload only the token survives, so the user and their
+ * permissions are loaded again before rendering
  */
 
+import { useEffect } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
-import { useSelector } from 'react-redux';
-import { selectIsAuthenticated } from '../store/slices/authSlice';
+import { useDispatch, useSelector } from 'react-redux';
+import { selectIsAuthenticated, selectUser, verifyToken } from '../store/slices/authSlice';
+import Loading from '../components/common/Loading';
 
 const ProtectedRoute = ({ children }) => {
+  const dispatch = useDispatch();
   const isAuthenticated = useSelector(selectIsAuthenticated);
+  const user = useSelector(selectUser);
   const location = useLocation();
 
+  useEffect(() => {
+    if (isAuthenticated && !user) {
+      dispatch(verifyToken());
+    }
+  }, [dispatch, isAuthenticated, user]);
+
   if (!isAuthenticated) {
     // Redirect to login page but save the attempted location
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  if (!user) {
+    return <Loading />;
+  }
+
   return children;
 };
 
@@ -9,21 +9,30 @@ import { selectIsAuthenticated } from '../store/slices/authSlice';
 
 // Route Components
 import ProtectedRoute from './ProtectedRoute';
-import RoleRoute from './RoleRoute';
+import PermissionRoute from './PermissionRoute';
 
 // Layout
 import MainLayout from '../components/layout/MainLayout';
 
 // Pages (placeholders - will be created later)
 import LoginPage from '../pages/LoginPage';
+import ForgotPasswordPage from '../pages/ForgotPasswordPage';
+import ResetPasswordPage from '../pages/ResetPasswordPage';
+import AcceptInvitePage from '../pages/AcceptInvitePage';
 import DashboardPage from '../pages/DashboardPage';
 import SalesPage from '../pages/SalesPage';
+import ClientsPage from '../pages/ClientsPage';
 import UsersPage from '../pages/UsersPage';
+import ProductsPage from '../pages/ProductsPage';
+import FranchisesPage from '../pages/FranchisesPage';
+import BranchesPage from '../pages/BranchesPage';
+import RolesPage from '../pages/RolesPage';
+import TeamsPage from '../pages/TeamsPage';
 import ProfilePage from '../pages/ProfilePage';
 import NotFoundPage from '../pages/NotFoundPage';
 
 // Constants
-import { ROLES } from '../constants';
+import { PERMISSIONS } from '../constants';
 
 /**
  * App Routes
@@ -40,6 +49,15 @@ const AppRoutes = () => {
           isAuthenticated ? <Navigate to="/dashboard" replace /> : <LoginPage />
         }
       />
+      <Route
+        path="/forgot-password"
+        element={
+          isAuthenticated ? <Navigate to="/dashboard" replace /> : <ForgotPasswordPage />
+        }
+      />
+      {/* Also reachable when logged in: the links are opened from an email */}
+      <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+      <Route path="/accept-invite/:token" element={<AcceptInvitePage />} />
 
       {/* Protected Routes */}
       <Route
@@ -59,13 +77,66 @@ const AppRoutes = () => {
         {/* Sales */}
         <Route path="sales" element={<SalesPage />} />
 
-        {/* Users (Admin only) */}
+        {/* Clients */}
+        <Route path="clients" element={<ClientsPage />} />
+
+        {/* Users */}
         <Route
           path="users"
           element={
-            <RoleRoute allowedRoles={[ROLES.ADMIN.ID]}>
+            <PermissionRoute permissions={[PERMISSIONS.USERS_READ]}>
               <UsersPage />
-            </RoleRoute>
+            </PermissionRoute>
+          }
+        />
+
+        {/* Products */}
+        <Route
+          path="products"
+          element={
+            <PermissionRoute permissions={[PERMISSIONS.CATALOG_MANAGE]}>
+              <ProductsPage />
+            </PermissionRoute>
+          }
+        />
+
+        {/* Franchises */}
+        <Route
+          path="franchises"
+          element={
+            <PermissionRoute permissions={[PERMISSIONS.CATALOG_MANAGE]}>
+              <FranchisesPage />
+            </PermissionRoute>
+          }
+        />
+
+        {/* Branches */}
+        <Route
+          path="branches"
+          element={
+            <PermissionRoute permissions={[PERMISSIONS.CATALOG_MANAGE]}>
+              <BranchesPage />
+            </PermissionRoute>
+          }
+        />
+
+        {/* Roles */}
+        <Route
+          path="roles"
+          element={
+            <PermissionRoute permissions={[PERMISSIONS.ROLES_MANAGE]}>
+              <RolesPage />
+            </PermissionRoute>
+          }
+        />
+
+        {/* Teams */}
+        <Route
+          path="teams"
+          element={
+            <PermissionRoute permissions={[PERMISSIONS.TEAMS_MANAGE]}>
+              <TeamsPage />
+            </PermissionRoute>
           }
         />
 
@@ -1,6 +1,7 @@
 /**
  * API Configuration
  * Axios instance with interceptors for authentication and error handling
+ * Expired access tokens are renewed with the refresh token and the request is retried
  */
 
 import axios from 'axios';
@@ -14,6 +15,68 @@ const api = axios.create({
   }
 });
 
+// Auth endpoints whose 401 must not trigger a token refresh
+const NO_REFRESH_URLS = ['/auth/login', '/auth/mfa/verify', '/auth/refresh', '/auth/logout'];
+
+// Refresh in progress, shared so concurrent 401s rotate the token only once
+let refreshRequest = null;
+
+/**
+ * Refresh Access Token
+ * Uses a plain axios call so the refresh itself never goes through the interceptors
+ * @returns {Promise<String>} New access token
+ */
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, {
+        refreshToken: localStorage.getItem('refreshToken')
+      })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.data.token);
+        localStorage.setItem('refreshToken', data.data.refreshToken);
+        return data.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+
+  return refreshRequest;
+};
+
+/**
+ * Can Refresh
+ * @param {Object} config - Failed request config
+ * @returns {Boolean} Whether the request may be retried after a refresh
+ */
+const canRefresh = (config) => (
+  config &&
+  !config._retry &&
+  !NO_REFRESH_URLS.includes(config.url) &&
+  !!localStorage.getItem('refreshToken')
+);
+
+/**
+ * Restore Impersonator Session
+ * Puts back the admin tokens kept aside while impersonating another user
+ * @returns {Boolean} Whether an admin session was restored
+ */
+export const restoreImpersonatorSession = () => {
+  const impersonatorToken = localStorage.getItem('impersonatorToken');
+
+  if (!impersonatorToken) {
+    return false;
+  }
+
+  localStorage.setItem('token', impersonatorToken);
+  localStorage.setItem('refreshToken', localStorage.getItem('impersonatorRefreshToken'));
+  localStorage.removeItem('impersonatorToken');
+  localStorage.removeItem('impersonatorRefreshToken');
+
+  return true;
+};
+
 /**
  * Request Interceptor
  * Adds authentication token to all requests
@@ -44,7 +107,34 @@ api.interceptors.response.use(
     // Return only the data part of the response
     return response.data;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Expired access token: refresh once and retry the original request
+    if (error.response?.status === 401 && canRefresh(originalRequest)) {
+      originalRequest._retry = true;
+
+      let refreshed = true;
+
+      try {
+        // Another request (or tab) may already have refreshed the token
+        const usedToken = originalRequest.headers?.Authorization?.replace('Bearer ', '');
+        if (usedToken === localStorage.getItem('token')) {
+          await refreshAccessToken();
+        }
+      } catch (refreshError) {
+        // Only a rejected refresh token ends the session, other failures are passed on
+        if (refreshError.response?.status !== 401) {
+          return Promise.reject(refreshError);
+        }
+        refreshed = false;
+      }
+
+      if (refreshed) {
+        return api(originalRequest);
+      }
+    }
+
     // Handle different error scenarios
     if (error.response) {
       // Server responded with error status
@@ -52,8 +142,15 @@ api.interceptors.response.use(
 
       switch (status) {
         case 401:
-          // Unauthorized - token expired or invalid
+          // Impersonation expired or revoked - back to the admin's own session
+          if (restoreImpersonatorSession()) {
+            window.location.href = '/users';
+            break;
+          }
+
+          // Unauthorized - session expired or revoked
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           // Redirect to login if not already there
           if (window.location.pathname !== '/login') {
             window.location.href = '/login';
@@ -9,18 +9,121 @@ const authService = {
   /**
    * Login
    * @param {Object} credentials - { email, password, captchaToken }
-   * @returns {Promise} Response with user data and token
+   * @returns {Promise} Response with user data, token and refreshToken
    */
   login: (credentials) => {
     return api.post('/auth/login', credentials);
   },
 
+  /**
+   * Forgot Password
+   * The response is the same whether or not the email is registered
+   * @param {Object} data - { email, captchaToken }
+   * @returns {Promise} Response
+   */
+  forgotPassword: (data) => {
+    return api.post('/auth/forgot-password', data);
+  },
+
+  /**
+   * Reset Password
+   * @param {Object} data - { token, newPassword }
+   * @returns {Promise} Response
+   */
+  resetPassword: (data) => {
+    return api.post('/auth/reset-password', data);
+  },
+
+  /**
+   * Get Invitation
+   * @param {String} token - Token from the invitation link
+   * @returns {Promise} Response with the invited { nombre, email, expiraEn }
+   */
+  getInvitation: (token) => {
+    return api.get(`/auth/invitations/${token}`);
+  },
+
+  /**
+   * Accept Invitation
+   * @param {Object} data - { token, password }
+   * @returns {Promise} Response with the { email } to log in with
+   */
+  acceptInvitation: (data) => {
+    return api.post('/auth/accept-invite', data);
+  },
+
+  /**
+   * Verify MFA
+   * Second login step when login answered with mfaRequired
+   * @param {Object} data - { mfaToken, code } (TOTP or recovery code)
+   * @returns {Promise} Response with user data, token and refreshToken
+   */
+  verifyMfa: (data) => {
+    return api.post('/auth/mfa/verify', data);
+  },
+
+  /**
+   * Setup MFA
+   * @param {String} mfaToken - Login mfaToken when enrolment is forced (omit when logged in)
+   * @returns {Promise} Response with secret and otpauthUrl
+   */
+  setupMfa: (mfaToken) => {
+    return api.post('/auth/mfa/setup', mfaToken ? { mfaToken } : {});
+  },
+
+  /**
+   * Enable MFA
+   * @param {Object} data - { code, mfaToken } (mfaToken only when enrolment is forced)
+   * @returns {Promise} Response with recoveryCodes (and the session when mfaToken was sent)
+   */
+  enableMfa: (data) => {
+    return api.post('/auth/mfa/enable', data);
+  },
+
+  /**
+   * Disable MFA
+   * @param {Object} data - { password, code }
+   * @returns {Promise} Response
+   */
+  disableMfa: (data) => {
+    return api.post('/auth/mfa/disable', data);
+  },
+
   /**
    * Logout
+   * @param {String} refreshToken - Refresh token of the session to revoke
+   * @returns {Promise} Response
+   */
+  logout: (refreshToken) => {
+    return api.post('/auth/logout', { refreshToken });
+  },
+
+  /**
+   * Logout Everywhere
+   * Revokes every session of the current user on all devices
+   * @returns {Promise} Response with number of revoked sessions
+   */
+  logoutAll: () => {
+    return api.post('/auth/logout-all');
+  },
+
+  /**
+   * Impersonate User
+   * The token acts as the user but has no refresh token, the admin session is kept aside
+   * @param {Number} userId - User to impersonate
+   * @returns {Promise} Response with the user data (impersonadoPor) and token
+   */
+  impersonate: (userId) => {
+    return api.post(`/auth/impersonate/${userId}`);
+  },
+
+  /**
+   * Stop Impersonation
+   * Revokes the impersonation token sent with the request
    * @returns {Promise} Response
    */
-  logout: () => {
-    return api.post('/auth/logout');
+  stopImpersonation: () => {
+    return api.post('/auth/impersonate/stop');
   },
 
   /**
@@ -41,8 +144,9 @@ const authService = {
 
   /**
    * Change Password
-   * @param {Object} passwords - { currentPassword, newPassword }
-   * @returns {Promise} Response
+   * With the passwordToken of a login whose password expired, the response carries the session
+   * @param {Object} passwords - { currentPassword, newPassword, passwordToken }
+   * @returns {Promise} Response (user data, token and refreshToken when passwordToken was sent)
    */
   changePassword: (passwords) => {
     return api.put('/auth/change-password', passwords);
@@ -50,10 +154,12 @@ const authService = {
 
   /**
    * Refresh Token
-   * @returns {Promise} Response with new token
+   * Expired access tokens are refreshed automatically by the api interceptor
+   * @param {String} refreshToken - Current refresh token (rotated by the server)
+   * @returns {Promise} Response with new token and refreshToken
    */
-  refreshToken: () => {
-    return api.post('/auth/refresh');
+  refreshToken: (refreshToken) => {
+    return api.post('/auth/refresh', { refreshToken });
   }
 };
 
@@ -0,0 +1,66 @@
+/**
+ * Branch Service
+ * Handles bank branch (sucursal) API calls
+ */
+
+import api from './api';
+
+const branchService = {
+  /**
+   * Get All Branches
+   * @param {Object} params - { activo }
+   * @returns {Promise} Response with branches list (inactive ones included)
+   */
+  getAllBranches: (params = {}) => {
+    return api.get('/branches', { params });
+  },
+
+  /**
+   * Get Branch by ID
+   * @param {Number} id - Branch ID
+   * @returns {Promise} Response with branch data
+   */
+  getBranchById: (id) => {
+    return api.get(`/branches/${id}`);
+  },
+
+  /**
+   * Create Branch (catalog:manage)
+   * @param {Object} branchData - { nombre, ciudad, activo }
+   * @returns {Promise} Response with created branch
+   */
+  createBranch: (branchData) => {
+    return api.post('/branches', branchData);
+  },
+
+  /**
+   * Update Branch (catalog:manage)
+   * @param {Number} id - Branch ID
+   * @param {Object} branchData - { nombre, ciudad, activo }
+   * @returns {Promise} Response with updated branch
+   */
+  updateBranch: (id, branchData) => {
+    return api.put(`/branches/${id}`, branchData);
+  },
+
+  /**
+   * Activate or Deactivate Branch (catalog:manage)
+   * @param {Number} id - Branch ID
+   * @param {Boolean} activo - New active flag
+   * @returns {Promise} Response with updated branch
+   */
+  updateBranchStatus: (id, activo) => {
+    return api.patch(`/branches/${id}/status`, { activo });
+  },
+
+  /**
+   * Delete Branch (catalog:manage, fails with 409 if it has users or sales)
+   * @param {Number} id - Branch ID
+   * @returns {Promise} Response
+   */
+  deleteBranch: (id) => {
+    return api.delete(`/branches/${id}`);
+  }
+};
+
+export default branchService;
@@ -0,0 +1,66 @@
+/**
+ * Client Service
+ * Handles all client (customer) management API calls with role-based access
+ */
+
+import api from './api';
+
+const clientService = {
+  /**
+   * Get All Clients
+   * @param {Object} params - { search, tipoDocumento, page, limit }
+   * @returns {Promise} Response with clients list and pagination (role-based scoped)
+   */
+  getAllClients: (params = {}) => {
+    return api.get('/clients', { params });
+  },
+
+  /**
+   * Get Client by ID
+   * @param {Number} id - Client ID
+   * @returns {Promise} Response with client data
+   */
+  getClientById: (id) => {
+    return api.get(`/clients/${id}`);
+  },
+
+  /**
+   * Create Client
+   * @param {Object} clientData - { tipoDocumento, numeroDocumento, nombreCompleto, telefono, email, ingresosMensuales }
+   * @returns {Promise} Response with created client
+   */
+  createClient: (clientData) => {
+    return api.post('/clients', clientData);
+  },
+
+  /**
+   * Update Client
+   * @param {Number} id - Client ID
+   * @param {Object} clientData - { tipoDocumento, numeroDocumento, nombreCompleto, telefono, email, ingresosMensuales }
+   * @returns {Promise} Response with updated client
+   */
+  updateClient: (id, clientData) => {
+    return api.put(`/clients/${id}`, clientData);
+  },
+
+  /**
+   * Delete Client
+   * @param {Number} id - Client ID
+   * @returns {Promise} Response
+   */
+  deleteClient: (id) => {
+    return api.delete(`/clients/${id}`);
+  },
+
+  /**
+   * Get Client Sales
+   * @param {Number} id - Client ID
+   * @param {Object} params - { page, limit }
+   * @returns {Promise} Response with the client's sales and pagination
+   */
+  getClientSales: (id, params = {}) => {
+    return api.get(`/clients/${id}/sales`, { params });
+  }
+};
+
+export default clientService;
@@ -1,6 +1,6 @@
 /**
  * Product Service
- * Handles all product, franchise, and role API calls
+ * Handles all product and franchise API calls
  */
 
 import api from './api';
@@ -8,10 +8,11 @@ import api from './api';
 const productService = {
   /**
    * Get All Products
-   * @returns {Promise} Response with products list
+   * @param {Object} params - { activo }
+   * @returns {Promise} Response with products list and their sale rules
    */
-  getAllProducts: () => {
-    return api.get('/products');
+  getAllProducts: (params = {}) => {
+    return api.get('/products', { params });
   },
 
   /**
@@ -23,6 +24,34 @@ const productService = {
     return api.get(`/products/${id}`);
   },
 
+  /**
+   * Create Product (catalog:manage)
+   * @param {Object} productData - { nombre, activo, requiresFranchise, requiresRate, minAmount, maxAmount, minRate, maxRate }
+   * @returns {Promise} Response with created product
+   */
+  createProduct: (productData) => {
+    return api.post('/products', productData);
+  },
+
+  /**
+   * Update Product (catalog:manage)
+   * @param {Number} id - Product ID
+   * @param {Object} productData - Fields to update
+   * @returns {Promise} Response with updated product
+   */
+  updateProduct: (id, productData) => {
+    return api.put(`/products/${id}`, productData);
+  },
+
+  /**
+   * Deactivate Product (catalog:manage)
+   * @param {Number} id - Product ID
+   * @returns {Promise} Response with deactivated product
+   */
+  deactivateProduct: (id) => {
+    return api.delete(`/products/${id}`);
+  },
+
   /**
    * Get Product Types
    * @returns {Promise} Response with product types
@@ -33,10 +62,11 @@ const productService = {
 
   /**
    * Get All Franchises
-   * @returns {Promise} Response with franchises list
+   * @param {Object} params - { activo }
+   * @returns {Promise} Response with franchises list (inactive ones included)
    */
-  getAllFranchises: () => {
-    return api.get('/franchises');
+  getAllFranchises: (params = {}) => {
+    return api.get('/franchises', { params });
   },
 
   /**
@@ -49,11 +79,41 @@ const productService = {
   },
 
   /**
-   * Get All Roles
-   * @returns {Promise} Response with roles list (Admin only)
+   * Create Franchise (catalog:manage)
+   * @param {Object} franchiseData - { nombre, activo }
+   * @returns {Promise} Response with created franchise
+   */
+  createFranchise: (franchiseData) => {
+    return api.post('/franchises', franchiseData);
+  },
+
+  /**
+   * Update Franchise (catalog:manage)
+   * @param {Number} id - Franchise ID
+   * @param {Object} franchiseData - { nombre, activo }
+   * @returns {Promise} Response with updated franchise
+   */
+  updateFranchise: (id, franchiseData) => {
+    return api.put(`/franchises/${id}`, franchiseData);
+  },
+
+  /**
+   * Activate or Deactivate Franchise (catalog:manage)
+   * @param {Number} id - Franchise ID
+   * @param {Boolean} activo - New active flag
+   * @returns {Promise} Response with updated franchise
+   */
+  updateFranchiseStatus: (id, activo) => {
+    return api.patch(`/franchises/${id}/status`, { activo });
+  },
+
+  /**
+   * Delete Franchise (catalog:manage, fails with 409 if any sale uses it)
+   * @param {Number} id - Franchise ID
+   * @returns {Promise} Response
    */
-  getAllRoles: () => {
-    return api.get('/roles');
+  deleteFranchise: (id) => {
+    return api.delete(`/franchises/${id}`);
   }
 };
 
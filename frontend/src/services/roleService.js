@@ -0,0 +1,64 @@
+/**
+ * Role Service
+ * Handles roles and permissions API calls
+ */
+
+import api from './api';
+
+const roleService = {
+  /**
+   * Get All Roles
+   * @returns {Promise} Response with roles list, their permission keys and number of users
+   */
+  getAllRoles: () => {
+    return api.get('/roles');
+  },
+
+  /**
+   * Get All Permissions
+   * @returns {Promise} Response with the permission catalog
+   */
+  getAllPermissions: () => {
+    return api.get('/roles/permissions');
+  },
+
+  /**
+   * Create Role
+   * @param {Object} roleData - { nombre, descripcion, requiereMfa, permisos }
+   * @returns {Promise} Response with created role
+   */
+  createRole: (roleData) => {
+    return api.post('/roles', roleData);
+  },
+
+  /**
+   * Update Role
+   * @param {Number} id - Role ID
+   * @param {Object} roleData - { nombre, descripcion, requiereMfa, permisos }
+   * @returns {Promise} Response with updated role
+   */
+  updateRole: (id, roleData) => {
+    return api.put(`/roles/${id}`, roleData);
+  },
+
+  /**
+   * Update Role MFA Requirement
+   * @param {Number} id - Role ID
+   * @param {Boolean} requiereMfa - Whether users of the role must use 2FA
+   * @returns {Promise} Response with updated role
+   */
+  updateRoleMfa: (id, requiereMfa) => {
+    return api.patch(`/roles/${id}/mfa`, { requiereMfa });
+  },
+
+  /**
+   * Delete Role (fails with 409 if the role has users)
+   * @param {Number} id - Role ID
+   * @returns {Promise} Response
+   */
+  deleteRole: (id) => {
+    return api.delete(`/roles/${id}`);
+  }
+};
+
+export default roleService;
@@ -8,13 +8,26 @@ import api from './api';
 const saleService = {
   /**
    * Get All Sales
-   * @param {Object} params - { productoId, estado, startDate, endDate, usuarioCreadorId, page, limit }
+   * @param {Object} params - { q, productoId, estado, startDate, endDate, usuarioCreadorId, sortBy, sortDir, page, limit }
    * @returns {Promise} Response with sales list and pagination (role-based filtered)
    */
   getAllSales: (params = {}) => {
     return api.get('/sales', { params });
   },
 
+  /**
+   * Export Sales
+   * @param {Object} params - { format, q, productoId, estado, startDate, endDate, usuarioCreadorId }
+   * @returns {Promise} Blob with the CSV, XLSX or PDF file (role-based filtered)
+   */
+  exportSales: (params = {}) => {
+    return api.get('/sales/export', {
+      params,
+      responseType: 'blob',
+      timeout: 120000
+    });
+  },
+
   /**
    * Get Sale by ID
    * @param {Number} id - Sale ID
@@ -33,6 +46,23 @@ const saleService = {
     return api.post('/sales', saleData);
   },
 
+  /**
+   * Import Sales from a CSV/XLSX file
+   * @param {File} file - Spreadsheet selected by the user
+   * @param {Boolean} dryRun - Only validate and return the per-row report
+   * @returns {Promise} Response with the import report
+   */
+  importSales: (file, dryRun = false) => {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    return api.post('/sales/import', formData, {
+      params: { dryRun },
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000
+    });
+  },
+
   /**
    * Update Sale
    * @param {Number} id - Sale ID
@@ -52,6 +82,33 @@ const saleService = {
     return api.delete(`/sales/${id}`);
   },
 
+  /**
+   * Reassign Sales to another advisor (sales:reassign)
+   * @param {Object} data - { saleIds } or { fromUserId } (all their open sales), and toUserId
+   * @returns {Promise} Response with { reasignadas, ventaIds, usuarioDestinoId, usuarioDestinoNombre }
+   */
+  reassignSales: (data) => {
+    return api.post('/sales/reassign', data);
+  },
+
+  /**
+   * Apply an action to several sales, each one checked on its own
+   * @param {Object} data - { action, saleIds, estado (status) or toUserId (reassign) }
+   * @returns {Promise} Response with { accion, total, exitosas, fallidas, resultados }
+   */
+  bulkUpdateSales: (data) => {
+    return api.patch('/sales/bulk', data);
+  },
+
+  /**
+   * Get Sale History
+   * @param {Number} id - Sale ID
+   * @returns {Promise} Response with the sale audit trail (oldest first)
+   */
+  getSaleHistory: (id) => {
+    return api.get(`/sales/${id}/history`);
+  },
+
   /**
    * Get Total Sales Amount
    * @param {Object} params - { productoId, estado, startDate, endDate }
@@ -8,7 +8,7 @@ import api from './api';
 const statsService = {
   /**
    * Get Dashboard Metrics
-   * @param {Object} params - { startDate, endDate }
+   * @param {Object} params - { startDate, endDate, sucursalId }
    * @returns {Promise} Response with dashboard metrics
    */
   getDashboardMetrics: (params = {}) => {
@@ -17,7 +17,7 @@ const statsService = {
 
   /**
    * Get Comprehensive Dashboard
-   * @param {Object} params - { startDate, endDate }
+   * @param {Object} params - { startDate, endDate, sucursalId }
    * @returns {Promise} Response with complete dashboard data
    */
   getComprehensiveDashboard: (params = {}) => {
@@ -26,7 +26,7 @@ const statsService = {
 
   /**
    * Get Sales by Product
-   * @param {Object} params - { startDate, endDate }
+   * @param {Object} params - { startDate, endDate, sucursalId }
    * @returns {Promise} Response with sales grouped by product
    */
   getSalesByProduct: (params = {}) => {
@@ -35,16 +35,25 @@ const statsService = {
 
   /**
    * Get Sales by Advisor
-   * @param {Object} params - { startDate, endDate }
-   * @returns {Promise} Response with sales grouped by advisor (Admin only)
+   * @param {Object} params - { startDate, endDate, sucursalId, equipoId }
+   * @returns {Promise} Response with sales grouped by advisor (stats:read:advisors)
    */
   getSalesByAdvisor: (params = {}) => {
     return api.get('/stats/by-advisor', { params });
   },
 
+  /**
+   * Get Sales by Branch
+   * @param {Object} params - { startDate, endDate, sucursalId }
+   * @returns {Promise} Response with sales grouped by branch
+   */
+  getSalesByBranch: (params = {}) => {
+    return api.get('/stats/by-branch', { params });
+  },
+
   /**
    * Get Sales by Status
-   * @param {Object} params - { startDate, endDate }
+   * @param {Object} params - { startDate, endDate, sucursalId }
    * @returns {Promise} Response with sales grouped by status
    */
   getSalesByStatus: (params = {}) => {
@@ -53,7 +62,7 @@ const statsService = {
 
   /**
    * Get Sales by Period
-   * @param {Object} params - { period, startDate, endDate }
+   * @param {Object} params - { period, startDate, endDate, sucursalId }
    * @returns {Promise} Response with sales grouped by period
    */
   getSalesByPeriod: (params = {}) => {
@@ -62,7 +71,7 @@ const statsService = {
 
   /**
    * Get Recent Sales
-   * @param {Object} params - { limit }
+   * @param {Object} params - { limit, sucursalId }
    * @returns {Promise} Response with recent sales
    */
   getRecentSales: (params = {}) => {
@@ -71,7 +80,7 @@ const statsService = {
 
   /**
    * Get Top Products
-   * @param {Object} params - { limit, startDate, endDate }
+   * @param {Object} params - { limit, startDate, endDate, sucursalId }
    * @returns {Promise} Response with top products
    */
   getTopProducts: (params = {}) => {
@@ -80,7 +89,7 @@ const statsService = {
 
   /**
    * Get Sales Trends
-   * @param {Object} params - { days }
+   * @param {Object} params - { days, sucursalId }
    * @returns {Promise} Response with sales trends
    */
   getSalesTrends: (params = {}) => {
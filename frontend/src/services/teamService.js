@@ -0,0 +1,55 @@
+/**
+ * Team Service
+ * Handles teams (a supervisor and their advisors) API calls
+ */
+
+import api from './api';
+
+const teamService = {
+  /**
+   * Get All Teams
+   * @returns {Promise} Response with teams, or only the ones the user supervises
+   */
+  getAllTeams: () => {
+    return api.get('/teams');
+  },
+
+  /**
+   * Get Team by ID
+   * @param {Number} id - Team ID
+   * @returns {Promise} Response with team data and members
+   */
+  getTeamById: (id) => {
+    return api.get(`/teams/${id}`);
+  },
+
+  /**
+   * Create Team
+   * @param {Object} teamData - { nombre, descripcion, supervisorId, miembros }
+   * @returns {Promise} Response with created team
+   */
+  createTeam: (teamData) => {
+    return api.post('/teams', teamData);
+  },
+
+  /**
+   * Update Team
+   * @param {Number} id - Team ID
+   * @param {Object} teamData - { nombre, descripcion, supervisorId, miembros }
+   * @returns {Promise} Response with updated team
+   */
+  updateTeam: (id, teamData) => {
+    return api.put(`/teams/${id}`, teamData);
+  },
+
+  /**
+   * Delete Team (its members stay without a team)
+   * @param {Number} id - Team ID
+   * @returns {Promise} Response
+   */
+  deleteTeam: (id) => {
+    return api.delete(`/teams/${id}`);
+  }
+};
+
+export default teamService;
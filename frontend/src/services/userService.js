@@ -8,7 +8,7 @@ import api from './api';
 const userService = {
   /**
    * Get All Users
-   * @param {Object} params - { search, rolId, page, limit }
+   * @param {Object} params - { search, rolId, sucursalId, activo, page, limit }
    * @returns {Promise} Response with users list and pagination
    */
   getAllUsers: (params = {}) => {
@@ -33,6 +33,43 @@ const userService = {
     return api.post('/users', userData);
   },
 
+  /**
+   * Get Pending Invitations
+   * @returns {Promise} Response with the invitations not accepted yet
+   */
+  getInvitations: () => {
+    return api.get('/users/invitations');
+  },
+
+  /**
+   * Invite User
+   * The user is created without password and chooses it from the emailed link
+   * @param {Object} userData - { nombre, email, rolId, sucursalId }
+   * @returns {Promise} Response with the created invitation
+   */
+  inviteUser: (userData) => {
+    return api.post('/users/invitations', userData);
+  },
+
+  /**
+   * Resend Invitation
+   * @param {Number} id - Invitation ID
+   * @returns {Promise} Response with the updated invitation
+   */
+  resendInvitation: (id) => {
+    return api.post(`/users/invitations/${id}/resend`);
+  },
+
+  /**
+   * Revoke Invitation
+   * Removes the pending user
+   * @param {Number} id - Invitation ID
+   * @returns {Promise} Response
+   */
+  revokeInvitation: (id) => {
+    return api.delete(`/users/invitations/${id}`);
+  },
+
   /**
    * Update User
    * @param {Number} id - User ID
@@ -43,6 +80,17 @@ const userService = {
     return api.put(`/users/${id}`, userData);
   },
 
+  /**
+   * Activate or Deactivate User (users:manage)
+   * Deactivated users cannot log in, their sessions are ended
+   * @param {Number} id - User ID
+   * @param {Boolean} activo - New active flag
+   * @returns {Promise} Response with updated user
+   */
+  updateUserStatus: (id, activo) => {
+    return api.patch(`/users/${id}/status`, { activo });
+  },
+
   /**
    * Delete User
    * @param {Number} id - User ID
@@ -52,6 +100,35 @@ const userService = {
     return api.delete(`/users/${id}`);
   },
 
+  /**
+   * Force Logout User
+   * Revokes every session of the user on all devices
+   * @param {Number} id - User ID
+   * @returns {Promise} Response with number of revoked sessions
+   */
+  forceLogout: (id) => {
+    return api.post(`/users/${id}/logout`);
+  },
+
+  /**
+   * Unlock User
+   * Clears the lockout after repeated failed logins (users:manage)
+   * @param {Number} id - User ID
+   * @returns {Promise} Response
+   */
+  unlockUser: (id) => {
+    return api.post(`/users/${id}/unlock`);
+  },
+
+  /**
+   * Get Login Attempts
+   * @param {Object} params - { usuarioId, email, exitoso, startDate, endDate, page, limit }
+   * @returns {Promise} Response with attempts list and pagination (users:read)
+   */
+  getLoginAttempts: (params = {}) => {
+    return api.get('/users/login-attempts', { params });
+  },
+
   /**
    * Check Email Availability
    * @param {String} email - Email to check
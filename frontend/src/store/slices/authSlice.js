@@ -5,6 +5,8 @@
 
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import authService from '../../services/authService';
+import { restoreImpersonatorSession } from '../../services/api';
+import { ERROR_CODES } from '../../constants';
 
 // Initial state
 const initialState = {
@@ -12,7 +14,77 @@ const initialState = {
   token: localStorage.getItem('token') || null,
   isAuthenticated: !!localStorage.getItem('token'),
   loading: false,
-  error: null
+  error: null,
+  // Pending second login step: { token, setupRequired }
+  mfa: null,
+  // Expired password to change before the session starts: { token }
+  passwordChange: null
+};
+
+// Stable fallback so selectPermissions does not return a new array on every call
+const NO_PERMISSIONS = [];
+
+/**
+ * Clear Stored Tokens
+ * Also drops the admin tokens kept aside while impersonating
+ */
+const clearStoredTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('impersonatorToken');
+  localStorage.removeItem('impersonatorRefreshToken');
+};
+
+/**
+ * Store Session
+ * @param {Object} state - Auth state
+ * @param {Object} session - { user, token, refreshToken }
+ */
+const storeSession = (state, session) => {
+  state.isAuthenticated = true;
+  state.user = session.user;
+  state.token = session.token;
+  state.mfa = null;
+  state.passwordChange = null;
+  localStorage.setItem('token', session.token);
+  localStorage.setItem('refreshToken', session.refreshToken);
+};
+
+/**
+ * Store Login Result
+ * Last login step: the session, or the token to change an expired password first
+ * @param {Object} state - Auth state
+ * @param {Object} result - Session, or { passwordChangeRequired, passwordToken }
+ */
+const storeLoginResult = (state, result) => {
+  if (result.passwordChangeRequired) {
+    state.mfa = null;
+    state.passwordChange = { token: result.passwordToken };
+    return;
+  }
+
+  storeSession(state, result);
+};
+
+/**
+ * Get Login Error Message
+ * Explains the wait when the account is delayed or locked after failed attempts
+ * @param {Object} payload - Rejected thunk payload
+ * @param {String} fallback - Message when the server sent none
+ * @returns {String} Error message
+ */
+const getLoginErrorMessage = (payload, fallback) => {
+  const error = payload?.error;
+
+  if (error?.code === ERROR_CODES.ACCOUNT_LOCKED) {
+    const retryAfter = error.details?.retryAfter || 0;
+
+    return retryAfter > 60
+      ? `Cuenta bloqueada por demasiados intentos fallidos. Intenta de nuevo en ${Math.ceil(retryAfter / 60)} minutos o contacta a un administrador`
+      : `Demasiados intentos fallidos. Intenta de nuevo en ${retryAfter} segundos`;
+  }
+
+  return error?.message || fallback;
 };
 
 /**
@@ -32,12 +104,119 @@ export const login = createAsyncThunk(
   }
 );
 
+// Forgot Password
+export const forgotPassword = createAsyncThunk(
+  'auth/forgotPassword',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await authService.forgotPassword(data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to request password reset' });
+    }
+  }
+);
+
+// Reset Password
+export const resetPassword = createAsyncThunk(
+  'auth/resetPassword',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await authService.resetPassword(data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to reset password' });
+    }
+  }
+);
+
+// Accept Invitation
+export const acceptInvitation = createAsyncThunk(
+  'auth/acceptInvitation',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await authService.acceptInvitation(data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to accept invitation' });
+    }
+  }
+);
+
+// Verify MFA (second login step)
+export const verifyMfa = createAsyncThunk(
+  'auth/verifyMfa',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await authService.verifyMfa(data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Verification failed' });
+    }
+  }
+);
+
+// Setup MFA
+export const setupMfa = createAsyncThunk(
+  'auth/setupMfa',
+  async (mfaToken, { rejectWithValue }) => {
+    try {
+      const response = await authService.setupMfa(mfaToken);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to start two-factor setup' });
+    }
+  }
+);
+
+// Enable MFA
+export const enableMfa = createAsyncThunk(
+  'auth/enableMfa',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await authService.enableMfa(data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to enable two-factor authentication' });
+    }
+  }
+);
+
+// Disable MFA
+export const disableMfa = createAsyncThunk(
+  'auth/disableMfa',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await authService.disableMfa(data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to disable two-factor authentication' });
+    }
+  }
+);
+
+// Change Expired Password (login stopped with passwordChangeRequired)
+export const changeExpiredPassword = createAsyncThunk(
+  'auth/changeExpiredPassword',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await authService.changePassword(data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to change password' });
+    }
+  }
+);
+
 // Logout
 export const logout = createAsyncThunk(
   'auth/logout',
   async (_, { rejectWithValue }) => {
     try {
-      await authService.logout();
+      // While impersonating, the session to end is the admin's own
+      await authService.logout(
+        localStorage.getItem('impersonatorRefreshToken') || localStorage.getItem('refreshToken')
+      );
       return null;
     } catch (error) {
       return rejectWithValue(error.response?.data || { message: 'Logout failed' });
@@ -45,6 +224,52 @@ export const logout = createAsyncThunk(
   }
 );
 
+// Logout Everywhere
+export const logoutAll = createAsyncThunk(
+  'auth/logoutAll',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await authService.logoutAll();
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Logout failed' });
+    }
+  }
+);
+
+// Impersonate User
+export const impersonateUser = createAsyncThunk(
+  'auth/impersonateUser',
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await authService.impersonate(userId);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to impersonate user' });
+    }
+  }
+);
+
+// Stop Impersonation (back to the admin's own session)
+export const stopImpersonation = createAsyncThunk(
+  'auth/stopImpersonation',
+  async (_, { rejectWithValue }) => {
+    try {
+      await authService.stopImpersonation();
+    } catch (error) {
+      // Already expired or revoked, the admin session is restored anyway
+    }
+
+    try {
+      restoreImpersonatorSession();
+      const response = await authService.verifyToken();
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to restore session' });
+    }
+  }
+);
+
 // Verify Token
 export const verifyToken = createAsyncThunk(
   'auth/verifyToken',
@@ -95,6 +320,20 @@ const authSlice = createSlice({
     clearError: (state) => {
       state.error = null;
     },
+    // Start the session returned by a forced enrolment, once the recovery codes were shown
+    completeMfaLogin: (state, action) => {
+      storeLoginResult(state, action.payload);
+    },
+    // Abandon the second login step
+    cancelMfa: (state) => {
+      state.mfa = null;
+      state.error = null;
+    },
+    // Abandon the expired password change
+    cancelPasswordChange: (state) => {
+      state.passwordChange = null;
+      state.error = null;
+    },
     // Reset auth state
     resetAuth: (state) => {
       state.user = null;
@@ -102,7 +341,9 @@ const authSlice = createSlice({
       state.isAuthenticated = false;
       state.loading = false;
       state.error = null;
-      localStorage.removeItem('token');
+      state.mfa = null;
+      state.passwordChange = null;
+      clearStoredTokens();
     }
   },
   extraReducers: (builder) => {
@@ -114,20 +355,148 @@ const authSlice = createSlice({
       })
       .addCase(login.fulfilled, (state, action) => {
         state.loading = false;
-        state.isAuthenticated = true;
-        state.user = action.payload.user;
-        state.token = action.payload.token;
         state.error = null;
-        // Save token to localStorage
-        localStorage.setItem('token', action.payload.token);
+
+        // Password accepted, a second step is still needed
+        if (action.payload.mfaRequired) {
+          state.mfa = {
+            token: action.payload.mfaToken,
+            setupRequired: action.payload.mfaSetupRequired
+          };
+          return;
+        }
+
+        // Save user and tokens
+        storeLoginResult(state, action.payload);
       })
       .addCase(login.rejected, (state, action) => {
         state.loading = false;
         state.isAuthenticated = false;
         state.user = null;
         state.token = null;
-        state.error = action.payload?.error?.message || 'Login failed';
-        localStorage.removeItem('token');
+        state.error = getLoginErrorMessage(action.payload, 'Login failed');
+        clearStoredTokens();
+      })
+
+      // Forgot Password
+      .addCase(forgotPassword.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(forgotPassword.fulfilled, (state) => {
+        state.loading = false;
+        state.error = null;
+      })
+      .addCase(forgotPassword.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to request password reset';
+      })
+
+      // Reset Password
+      .addCase(resetPassword.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(resetPassword.fulfilled, (state) => {
+        state.loading = false;
+        state.error = null;
+      })
+      .addCase(resetPassword.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to reset password';
+      })
+
+      // Accept Invitation
+      .addCase(acceptInvitation.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(acceptInvitation.fulfilled, (state) => {
+        state.loading = false;
+        state.error = null;
+      })
+      .addCase(acceptInvitation.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to accept invitation';
+      })
+
+      // Verify MFA
+      .addCase(verifyMfa.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(verifyMfa.fulfilled, (state, action) => {
+        state.loading = false;
+        state.error = null;
+        storeLoginResult(state, action.payload);
+      })
+      .addCase(verifyMfa.rejected, (state, action) => {
+        state.loading = false;
+        state.error = getLoginErrorMessage(action.payload, 'Verification failed');
+      })
+
+      // Setup MFA
+      .addCase(setupMfa.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(setupMfa.fulfilled, (state) => {
+        state.loading = false;
+        state.error = null;
+      })
+      .addCase(setupMfa.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to start two-factor setup';
+      })
+
+      // Enable MFA
+      .addCase(enableMfa.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(enableMfa.fulfilled, (state) => {
+        state.loading = false;
+        state.error = null;
+        // Forced enrolment at login: the session starts with completeMfaLogin
+        if (state.user) {
+          state.user.mfaHabilitado = true;
+        }
+      })
+      .addCase(enableMfa.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to enable two-factor authentication';
+      })
+
+      // Disable MFA
+      .addCase(disableMfa.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(disableMfa.fulfilled, (state) => {
+        state.loading = false;
+        state.error = null;
+        if (state.user) {
+          state.user.mfaHabilitado = false;
+        }
+      })
+      .addCase(disableMfa.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to disable two-factor authentication';
+      })
+
+      // Change Expired Password
+      .addCase(changeExpiredPassword.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(changeExpiredPassword.fulfilled, (state, action) => {
+        state.loading = false;
+        state.error = null;
+        storeSession(state, action.payload);
+      })
+      .addCase(changeExpiredPassword.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to change password';
       })
 
       // Logout
@@ -140,7 +509,7 @@ const authSlice = createSlice({
         state.user = null;
         state.token = null;
         state.error = null;
-        localStorage.removeItem('token');
+        clearStoredTokens();
       })
       .addCase(logout.rejected, (state) => {
         // Even if logout fails, clear local state
@@ -149,7 +518,65 @@ const authSlice = createSlice({
         state.user = null;
         state.token = null;
         state.error = null;
-        localStorage.removeItem('token');
+        clearStoredTokens();
+      })
+
+      // Logout Everywhere
+      .addCase(logoutAll.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(logoutAll.fulfilled, (state) => {
+        state.loading = false;
+        state.isAuthenticated = false;
+        state.user = null;
+        state.token = null;
+        state.error = null;
+        clearStoredTokens();
+      })
+      .addCase(logoutAll.rejected, (state) => {
+        // Keep the session: the other devices may still be logged in
+        state.loading = false;
+      })
+
+      // Impersonate User
+      .addCase(impersonateUser.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(impersonateUser.fulfilled, (state, action) => {
+        state.loading = false;
+        state.error = null;
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        // Keep the admin session aside to return to it, the impersonation has no refresh token
+        localStorage.setItem('impersonatorToken', localStorage.getItem('token'));
+        localStorage.setItem('impersonatorRefreshToken', localStorage.getItem('refreshToken'));
+        localStorage.setItem('token', action.payload.token);
+        localStorage.removeItem('refreshToken');
+      })
+      .addCase(impersonateUser.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to impersonate user';
+      })
+
+      // Stop Impersonation
+      .addCase(stopImpersonation.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(stopImpersonation.fulfilled, (state, action) => {
+        state.loading = false;
+        state.user = action.payload;
+        state.token = localStorage.getItem('token');
+        state.error = null;
+      })
+      .addCase(stopImpersonation.rejected, (state) => {
+        state.loading = false;
+        state.isAuthenticated = false;
+        state.user = null;
+        state.token = null;
+        clearStoredTokens();
       })
 
       // Verify Token
@@ -168,7 +595,7 @@ const authSlice = createSlice({
         state.isAuthenticated = false;
         state.user = null;
         state.token = null;
-        localStorage.removeItem('token');
+        clearStoredTokens();
       })
 
       // Get Profile
@@ -203,14 +630,24 @@ const authSlice = createSlice({
 });
 
 // Export actions
-export const { clearError, resetAuth } = authSlice.actions;
+export const {
+  clearError,
+  completeMfaLogin,
+  cancelMfa,
+  cancelPasswordChange,
+  resetAuth
+} = authSlice.actions;
 
 // Selectors
 export const selectAuth = (state) => state.auth;
 export const selectUser = (state) => state.auth.user;
+export const selectPermissions = (state) => state.auth.user?.permisos || NO_PERMISSIONS;
+export const selectImpersonator = (state) => state.auth.user?.impersonadoPor || null;
 export const selectIsAuthenticated = (state) => state.auth.isAuthenticated;
 export const selectAuthLoading = (state) => state.auth.loading;
 export const selectAuthError = (state) => state.auth.error;
+export const selectMfaChallenge = (state) => state.auth.mfa;
+export const selectPasswordChange = (state) => state.auth.passwordChange;
 
 // Export reducer
 export default authSlice.reducer;
\ No newline at end of file
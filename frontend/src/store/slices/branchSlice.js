@@ -0,0 +1,190 @@
+/**
+ * Branch Slice
+ * Manages bank branches (sucursales)
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import branchService from '../../services/branchService';
+
+// Initial state
+const initialState = {
+  branches: [],
+  loading: false,
+  error: null
+};
+
+/**
+ * Async Thunks
+ */
+
+// Get all branches
+export const fetchBranches = createAsyncThunk(
+  'branches/fetchBranches',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await branchService.getAllBranches();
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch branches' });
+    }
+  }
+);
+
+// Create branch (catalog:manage)
+export const createBranch = createAsyncThunk(
+  'branches/createBranch',
+  async (branchData, { rejectWithValue }) => {
+    try {
+      const response = await branchService.createBranch(branchData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to create branch' });
+    }
+  }
+);
+
+// Update branch (catalog:manage)
+export const updateBranch = createAsyncThunk(
+  'branches/updateBranch',
+  async ({ id, branchData }, { rejectWithValue }) => {
+    try {
+      const response = await branchService.updateBranch(id, branchData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to update branch' });
+    }
+  }
+);
+
+// Activate or deactivate branch (catalog:manage)
+export const updateBranchStatus = createAsyncThunk(
+  'branches/updateBranchStatus',
+  async ({ id, activo }, { rejectWithValue }) => {
+    try {
+      const response = await branchService.updateBranchStatus(id, activo);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to update branch status' });
+    }
+  }
+);
+
+// Delete branch (catalog:manage)
+export const deleteBranch = createAsyncThunk(
+  'branches/deleteBranch',
+  async (id, { rejectWithValue }) => {
+    try {
+      await branchService.deleteBranch(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to delete branch' });
+    }
+  }
+);
+
+/**
+ * Branch Slice
+ */
+const branchSlice = createSlice({
+  name: 'branches',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Branches
+      .addCase(fetchBranches.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchBranches.fulfilled, (state, action) => {
+        state.loading = false;
+        state.branches = action.payload;
+        state.error = null;
+      })
+      .addCase(fetchBranches.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to fetch branches';
+      })
+
+      // Create Branch
+      .addCase(createBranch.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createBranch.fulfilled, (state, action) => {
+        state.loading = false;
+        state.branches.push(action.payload);
+        state.error = null;
+      })
+      .addCase(createBranch.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to create branch';
+      })
+
+      // Update Branch
+      .addCase(updateBranch.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateBranch.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.branches.findIndex(b => b.id === action.payload.id);
+        if (index !== -1) {
+          state.branches[index] = action.payload;
+        }
+        state.error = null;
+      })
+      .addCase(updateBranch.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to update branch';
+      })
+
+      // Update Branch Status
+      .addCase(updateBranchStatus.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateBranchStatus.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.branches.findIndex(b => b.id === action.payload.id);
+        if (index !== -1) {
+          state.branches[index] = action.payload;
+        }
+        state.error = null;
+      })
+      .addCase(updateBranchStatus.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to update branch status';
+      })
+
+      // Delete Branch
+      .addCase(deleteBranch.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteBranch.fulfilled, (state, action) => {
+        state.loading = false;
+        state.branches = state.branches.filter(b => b.id !== action.payload);
+        state.error = null;
+      })
+      .addCase(deleteBranch.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to delete branch';
+      });
+  }
+});
+
+// Export actions
+export const { clearError } = branchSlice.actions;
+
+// Selectors
+export const selectBranches = (state) => state.branches.branches;
+export const selectBranchesLoading = (state) => state.branches.loading;
+export const selectBranchesError = (state) => state.branches.error;
+
+// Export reducer
+export default branchSlice.reducer;
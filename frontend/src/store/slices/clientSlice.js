@@ -0,0 +1,211 @@
+/**
+ * Client Slice
+ * Manages clients (customers) state and actions with role-based access control
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import clientService from '../../services/clientService';
+
+// Initial state
+const initialState = {
+  clients: [],
+  clientSales: [],
+  pagination: {
+    total: 0,
+    page: 1,
+    limit: 10,
+    totalPages: 0
+  },
+  clientSalesPagination: {
+    total: 0,
+    page: 1,
+    limit: 10,
+    totalPages: 0
+  },
+  loading: false,
+  clientSalesLoading: false,
+  error: null
+};
+
+/**
+ * Async Thunks
+ */
+
+// Get all clients
+export const fetchClients = createAsyncThunk(
+  'clients/fetchClients',
+  async (params, { rejectWithValue }) => {
+    try {
+      const response = await clientService.getAllClients(params);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch clients' });
+    }
+  }
+);
+
+// Create client
+export const createClient = createAsyncThunk(
+  'clients/createClient',
+  async (clientData, { rejectWithValue }) => {
+    try {
+      const response = await clientService.createClient(clientData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to create client' });
+    }
+  }
+);
+
+// Update client
+export const updateClient = createAsyncThunk(
+  'clients/updateClient',
+  async ({ id, clientData }, { rejectWithValue }) => {
+    try {
+      const response = await clientService.updateClient(id, clientData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to update client' });
+    }
+  }
+);
+
+// Delete client
+export const deleteClient = createAsyncThunk(
+  'clients/deleteClient',
+  async (id, { rejectWithValue }) => {
+    try {
+      await clientService.deleteClient(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to delete client' });
+    }
+  }
+);
+
+// Get the sales of a client
+export const fetchClientSales = createAsyncThunk(
+  'clients/fetchClientSales',
+  async ({ id, params }, { rejectWithValue }) => {
+    try {
+      const response = await clientService.getClientSales(id, params);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch client sales' });
+    }
+  }
+);
+
+/**
+ * Client Slice
+ */
+const clientSlice = createSlice({
+  name: 'clients',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearClientSales: (state) => {
+      state.clientSales = [];
+      state.clientSalesPagination = initialState.clientSalesPagination;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Clients
+      .addCase(fetchClients.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchClients.fulfilled, (state, action) => {
+        state.loading = false;
+        state.clients = action.payload.clients;
+        state.pagination = action.payload.pagination;
+        state.error = null;
+      })
+      .addCase(fetchClients.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to fetch clients';
+      })
+
+      // Create Client
+      .addCase(createClient.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createClient.fulfilled, (state, action) => {
+        state.loading = false;
+        state.clients.unshift(action.payload);
+        state.error = null;
+      })
+      .addCase(createClient.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to create client';
+      })
+
+      // Update Client
+      .addCase(updateClient.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateClient.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.clients.findIndex(c => c.id === action.payload.id);
+        if (index !== -1) {
+          state.clients[index] = action.payload;
+        }
+        state.error = null;
+      })
+      .addCase(updateClient.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to update client';
+      })
+
+      // Delete Client
+      .addCase(deleteClient.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteClient.fulfilled, (state, action) => {
+        state.loading = false;
+        state.clients = state.clients.filter(c => c.id !== action.payload);
+        state.error = null;
+      })
+      .addCase(deleteClient.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to delete client';
+      })
+
+      // Fetch Client Sales
+      .addCase(fetchClientSales.pending, (state) => {
+        state.clientSalesLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchClientSales.fulfilled, (state, action) => {
+        state.clientSalesLoading = false;
+        state.clientSales = action.payload.sales;
+        state.clientSalesPagination = action.payload.pagination;
+        state.error = null;
+      })
+      .addCase(fetchClientSales.rejected, (state, action) => {
+        state.clientSalesLoading = false;
+        state.error = action.payload?.error?.message || 'Failed to fetch client sales';
+      });
+  }
+});
+
+// Export actions
+export const { clearError, clearClientSales } = clientSlice.actions;
+
+// Selectors
+export const selectClients = (state) => state.clients.clients;
+export const selectClientsPagination = (state) => state.clients.pagination;
+export const selectClientsLoading = (state) => state.clients.loading;
+export const selectClientsError = (state) => state.clients.error;
+export const selectClientSales = (state) => state.clients.clientSales;
+export const selectClientSalesPagination = (state) => state.clients.clientSalesPagination;
+export const selectClientSalesLoading = (state) => state.clients.clientSalesLoading;
+
+// Export reducer
+export default clientSlice.reducer;
@@ -1,6 +1,6 @@
 /**
  * Product Slice
- * Manages products, franchises, and roles state
+ * Manages products and franchises state
  */
 
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
@@ -10,7 +10,6 @@ import productService from '../../services/productService';
 const initialState = {
   products: [],
   franchises: [],
-  roles: [],
   loading: false,
   error: null
 };
@@ -32,6 +31,45 @@ export const fetchProducts = createAsyncThunk(
   }
 );
 
+// Create product (catalog:manage)
+export const createProduct = createAsyncThunk(
+  'products/createProduct',
+  async (productData, { rejectWithValue }) => {
+    try {
+      const response = await productService.createProduct(productData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to create product' });
+    }
+  }
+);
+
+// Update product (catalog:manage)
+export const updateProduct = createAsyncThunk(
+  'products/updateProduct',
+  async ({ id, productData }, { rejectWithValue }) => {
+    try {
+      const response = await productService.updateProduct(id, productData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to update product' });
+    }
+  }
+);
+
+// Deactivate product (catalog:manage)
+export const deactivateProduct = createAsyncThunk(
+  'products/deactivateProduct',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await productService.deactivateProduct(id);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to deactivate product' });
+    }
+  }
+);
+
 // Get all franchises
 export const fetchFranchises = createAsyncThunk(
   'products/fetchFranchises',
@@ -45,15 +83,54 @@ export const fetchFranchises = createAsyncThunk(
   }
 );
 
-// Get all roles
-export const fetchRoles = createAsyncThunk(
-  'products/fetchRoles',
-  async (_, { rejectWithValue }) => {
+// Create franchise (catalog:manage)
+export const createFranchise = createAsyncThunk(
+  'products/createFranchise',
+  async (franchiseData, { rejectWithValue }) => {
+    try {
+      const response = await productService.createFranchise(franchiseData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to create franchise' });
+    }
+  }
+);
+
+// Update franchise (catalog:manage)
+export const updateFranchise = createAsyncThunk(
+  'products/updateFranchise',
+  async ({ id, franchiseData }, { rejectWithValue }) => {
+    try {
+      const response = await productService.updateFranchise(id, franchiseData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to update franchise' });
+    }
+  }
+);
+
+// Activate or deactivate franchise (catalog:manage)
+export const updateFranchiseStatus = createAsyncThunk(
+  'products/updateFranchiseStatus',
+  async ({ id, activo }, { rejectWithValue }) => {
     try {
-      const response = await productService.getAllRoles();
+      const response = await productService.updateFranchiseStatus(id, activo);
       return response.data;
     } catch (error) {
-      return rejectWithValue(error.response?.data || { message: 'Failed to fetch roles' });
+      return rejectWithValue(error.response?.data || { message: 'Failed to update franchise status' });
+    }
+  }
+);
+
+// Delete franchise (catalog:manage)
+export const deleteFranchise = createAsyncThunk(
+  'products/deleteFranchise',
+  async (id, { rejectWithValue }) => {
+    try {
+      await productService.deleteFranchise(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to delete franchise' });
     }
   }
 );
@@ -86,6 +163,57 @@ const productSlice = createSlice({
         state.error = action.payload?.error?.message || 'Failed to fetch products';
       })
 
+      // Create Product
+      .addCase(createProduct.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createProduct.fulfilled, (state, action) => {
+        state.loading = false;
+        state.products.push(action.payload);
+        state.error = null;
+      })
+      .addCase(createProduct.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to create product';
+      })
+
+      // Update Product
+      .addCase(updateProduct.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateProduct.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.products.findIndex(p => p.id === action.payload.id);
+        if (index !== -1) {
+          state.products[index] = action.payload;
+        }
+        state.error = null;
+      })
+      .addCase(updateProduct.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to update product';
+      })
+
+      // Deactivate Product
+      .addCase(deactivateProduct.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deactivateProduct.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.products.findIndex(p => p.id === action.payload.id);
+        if (index !== -1) {
+          state.products[index] = action.payload;
+        }
+        state.error = null;
+      })
+      .addCase(deactivateProduct.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to deactivate product';
+      })
+
       // Fetch Franchises
       .addCase(fetchFranchises.pending, (state) => {
         state.loading = true;
@@ -101,19 +229,70 @@ const productSlice = createSlice({
         state.error = action.payload?.error?.message || 'Failed to fetch franchises';
       })
 
-      // Fetch Roles
-      .addCase(fetchRoles.pending, (state) => {
+      // Create Franchise
+      .addCase(createFranchise.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createFranchise.fulfilled, (state, action) => {
+        state.loading = false;
+        state.franchises.push(action.payload);
+        state.error = null;
+      })
+      .addCase(createFranchise.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to create franchise';
+      })
+
+      // Update Franchise
+      .addCase(updateFranchise.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateFranchise.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.franchises.findIndex(f => f.id === action.payload.id);
+        if (index !== -1) {
+          state.franchises[index] = action.payload;
+        }
+        state.error = null;
+      })
+      .addCase(updateFranchise.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to update franchise';
+      })
+
+      // Update Franchise Status
+      .addCase(updateFranchiseStatus.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateFranchiseStatus.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.franchises.findIndex(f => f.id === action.payload.id);
+        if (index !== -1) {
+          state.franchises[index] = action.payload;
+        }
+        state.error = null;
+      })
+      .addCase(updateFranchiseStatus.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to update franchise status';
+      })
+
+      // Delete Franchise
+      .addCase(deleteFranchise.pending, (state) => {
         state.loading = true;
         state.error = null;
       })
-      .addCase(fetchRoles.fulfilled, (state, action) => {
+      .addCase(deleteFranchise.fulfilled, (state, action) => {
         state.loading = false;
-        state.roles = action.payload.data || action.payload;
+        state.franchises = state.franchises.filter(f => f.id !== action.payload);
         state.error = null;
       })
-      .addCase(fetchRoles.rejected, (state, action) => {
+      .addCase(deleteFranchise.rejected, (state, action) => {
         state.loading = false;
-        state.error = action.payload?.error?.message || 'Failed to fetch roles';
+        state.error = action.payload?.error?.message || 'Failed to delete franchise';
       });
   }
 });
@@ -124,7 +303,6 @@ export const { clearError } = productSlice.actions;
 // Selectors
 export const selectProducts = (state) => state.products.products;
 export const selectFranchises = (state) => state.products.franchises;
-export const selectRoles = (state) => state.products.roles;
 export const selectProductsLoading = (state) => state.products.loading;
 export const selectProductsError = (state) => state.products.error;
 
@@ -0,0 +1,219 @@
+/**
+ * Role Slice
+ * Manages roles, their permissions and the permission catalog
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import roleService from '../../services/roleService';
+
+// Initial state
+const initialState = {
+  roles: [],
+  permissions: [],
+  loading: false,
+  error: null
+};
+
+/**
+ * Async Thunks
+ */
+
+// Get all roles
+export const fetchRoles = createAsyncThunk(
+  'roles/fetchRoles',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await roleService.getAllRoles();
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch roles' });
+    }
+  }
+);
+
+// Get the permission catalog
+export const fetchPermissions = createAsyncThunk(
+  'roles/fetchPermissions',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await roleService.getAllPermissions();
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch permissions' });
+    }
+  }
+);
+
+// Create role
+export const createRole = createAsyncThunk(
+  'roles/createRole',
+  async (roleData, { rejectWithValue }) => {
+    try {
+      const response = await roleService.createRole(roleData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to create role' });
+    }
+  }
+);
+
+// Update role
+export const updateRole = createAsyncThunk(
+  'roles/updateRole',
+  async ({ id, roleData }, { rejectWithValue }) => {
+    try {
+      const response = await roleService.updateRole(id, roleData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to update role' });
+    }
+  }
+);
+
+// Require (or not) two-factor authentication for a role
+export const updateRoleMfa = createAsyncThunk(
+  'roles/updateRoleMfa',
+  async ({ id, requiereMfa }, { rejectWithValue }) => {
+    try {
+      const response = await roleService.updateRoleMfa(id, requiereMfa);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to update role' });
+    }
+  }
+);
+
+// Delete role
+export const deleteRole = createAsyncThunk(
+  'roles/deleteRole',
+  async (id, { rejectWithValue }) => {
+    try {
+      await roleService.deleteRole(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to delete role' });
+    }
+  }
+);
+
+/**
+ * Replace Role
+ * @param {Object} state - Role state
+ * @param {Object} role - Updated role
+ */
+const replaceRole = (state, role) => {
+  const index = state.roles.findIndex(r => r.id === role.id);
+  if (index !== -1) {
+    state.roles[index] = role;
+  }
+};
+
+/**
+ * Role Slice
+ */
+const roleSlice = createSlice({
+  name: 'roles',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Roles
+      .addCase(fetchRoles.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchRoles.fulfilled, (state, action) => {
+        state.loading = false;
+        state.roles = action.payload;
+        state.error = null;
+      })
+      .addCase(fetchRoles.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to fetch roles';
+      })
+
+      // Fetch Permissions
+      .addCase(fetchPermissions.fulfilled, (state, action) => {
+        state.permissions = action.payload;
+      })
+      .addCase(fetchPermissions.rejected, (state, action) => {
+        state.error = action.payload?.error?.message || 'Failed to fetch permissions';
+      })
+
+      // Create Role
+      .addCase(createRole.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createRole.fulfilled, (state, action) => {
+        state.loading = false;
+        state.roles.push(action.payload);
+        state.error = null;
+      })
+      .addCase(createRole.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to create role';
+      })
+
+      // Update Role
+      .addCase(updateRole.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateRole.fulfilled, (state, action) => {
+        state.loading = false;
+        replaceRole(state, action.payload);
+        state.error = null;
+      })
+      .addCase(updateRole.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to update role';
+      })
+
+      // Update Role MFA
+      .addCase(updateRoleMfa.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateRoleMfa.fulfilled, (state, action) => {
+        state.loading = false;
+        replaceRole(state, action.payload);
+        state.error = null;
+      })
+      .addCase(updateRoleMfa.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to update role';
+      })
+
+      // Delete Role
+      .addCase(deleteRole.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteRole.fulfilled, (state, action) => {
+        state.loading = false;
+        state.roles = state.roles.filter(r => r.id !== action.payload);
+        state.error = null;
+      })
+      .addCase(deleteRole.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to delete role';
+      });
+  }
+});
+
+// Export actions
+export const { clearError } = roleSlice.actions;
+
+// Selectors
+export const selectRoles = (state) => state.roles.roles;
+export const selectPermissionCatalog = (state) => state.roles.permissions;
+export const selectRolesLoading = (state) => state.roles.loading;
+export const selectRolesError = (state) => state.roles.error;
+
+// Export reducer
+export default roleSlice.reducer;
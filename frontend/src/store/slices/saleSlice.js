@@ -10,6 +10,11 @@ import saleService from '../../services/saleService';
 const initialState = {
   sales: [],
   currentSale: null,
+  history: [],
+  historyLoading: false,
+  importing: false,
+  reassigning: false,
+  bulkUpdating: false,
   pagination: {
     total: 0,
     page: 1,
@@ -69,6 +74,45 @@ export const createSale = createAsyncThunk(
   }
 );
 
+// Import sales from a CSV/XLSX file (dry run returns the preview only)
+export const importSales = createAsyncThunk(
+  'sales/importSales',
+  async ({ file, dryRun }, { rejectWithValue }) => {
+    try {
+      const response = await saleService.importSales(file, dryRun);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to import sales' });
+    }
+  }
+);
+
+// Reassign sales to another advisor
+export const reassignSales = createAsyncThunk(
+  'sales/reassignSales',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await saleService.reassignSales(data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to reassign sales' });
+    }
+  }
+);
+
+// Change status, reassign or delete several sales (per-sale result report)
+export const bulkUpdateSales = createAsyncThunk(
+  'sales/bulkUpdateSales',
+  async (data, { rejectWithValue }) => {
+    try {
+      const response = await saleService.bulkUpdateSales(data);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to update sales' });
+    }
+  }
+);
+
 // Update sale
 export const updateSale = createAsyncThunk(
   'sales/updateSale',
@@ -95,6 +139,19 @@ export const deleteSale = createAsyncThunk(
   }
 );
 
+// Get sale history
+export const fetchSaleHistory = createAsyncThunk(
+  'sales/fetchSaleHistory',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await saleService.getSaleHistory(id);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch sale history' });
+    }
+  }
+);
+
 // Get my sales
 export const fetchMySales = createAsyncThunk(
   'sales/fetchMySales',
@@ -121,6 +178,9 @@ const saleSlice = createSlice({
     clearCurrentSale: (state) => {
       state.currentSale = null;
     },
+    clearSaleHistory: (state) => {
+      state.history = [];
+    },
     setFilters: (state, action) => {
       state.filters = { ...state.filters, ...action.payload };
     },
@@ -217,6 +277,64 @@ const saleSlice = createSlice({
         state.error = action.payload?.error?.message || 'Failed to delete sale';
       })
 
+      // Import Sales
+      .addCase(importSales.pending, (state) => {
+        state.importing = true;
+        state.error = null;
+      })
+      .addCase(importSales.fulfilled, (state) => {
+        state.importing = false;
+        state.error = null;
+      })
+      .addCase(importSales.rejected, (state, action) => {
+        state.importing = false;
+        state.error = action.payload?.error?.message || 'Failed to import sales';
+      })
+
+      // Reassign Sales
+      .addCase(reassignSales.pending, (state) => {
+        state.reassigning = true;
+        state.error = null;
+      })
+      .addCase(reassignSales.fulfilled, (state) => {
+        state.reassigning = false;
+        state.error = null;
+      })
+      .addCase(reassignSales.rejected, (state, action) => {
+        state.reassigning = false;
+        state.error = action.payload?.error?.message || 'Failed to reassign sales';
+      })
+
+      // Bulk Update Sales
+      .addCase(bulkUpdateSales.pending, (state) => {
+        state.bulkUpdating = true;
+        state.error = null;
+      })
+      .addCase(bulkUpdateSales.fulfilled, (state) => {
+        state.bulkUpdating = false;
+        state.error = null;
+      })
+      .addCase(bulkUpdateSales.rejected, (state, action) => {
+        state.bulkUpdating = false;
+        state.error = action.payload?.error?.message || 'Failed to update sales';
+      })
+
+      // Fetch Sale History
+      .addCase(fetchSaleHistory.pending, (state) => {
+        state.historyLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchSaleHistory.fulfilled, (state, action) => {
+        state.historyLoading = false;
+        state.history = action.payload;
+        state.error = null;
+      })
+      .addCase(fetchSaleHistory.rejected, (state, action) => {
+        state.historyLoading = false;
+        state.history = [];
+        state.error = action.payload?.error?.message || 'Failed to fetch sale history';
+      })
+
       // Fetch My Sales
       .addCase(fetchMySales.pending, (state) => {
         state.loading = true;
@@ -236,11 +354,16 @@ const saleSlice = createSlice({
 });
 
 // Export actions
-export const { clearError, clearCurrentSale, setFilters, clearFilters } = saleSlice.actions;
+export const { clearError, clearCurrentSale, clearSaleHistory, setFilters, clearFilters } = saleSlice.actions;
 
 // Selectors
 export const selectSales = (state) => state.sales.sales;
 export const selectCurrentSale = (state) => state.sales.currentSale;
+export const selectSaleHistory = (state) => state.sales.history;
+export const selectSaleHistoryLoading = (state) => state.sales.historyLoading;
+export const selectSalesImporting = (state) => state.sales.importing;
+export const selectSalesReassigning = (state) => state.sales.reassigning;
+export const selectSalesBulkUpdating = (state) => state.sales.bulkUpdating;
 export const selectSalesPagination = (state) => state.sales.pagination;
 export const selectSalesFilters = (state) => state.sales.filters;
 export const selectSalesLoading = (state) => state.sales.loading;
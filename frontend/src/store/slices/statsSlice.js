@@ -12,11 +12,14 @@ const initialState = {
   metrics: null,
   salesByProduct: [],
   salesByAdvisor: [],
+  salesByBranch: [],
   salesByStatus: [],
   recentSales: [],
   topProducts: [],
   trends: null,
   loading: false,
+  // The advisor ranking reloads on its own (team filter) without the rest of the dashboard
+  advisorsLoading: false,
   error: null
 };
 
@@ -104,6 +107,7 @@ const statsSlice = createSlice({
       state.metrics = null;
       state.salesByProduct = [];
       state.salesByAdvisor = [];
+      state.salesByBranch = [];
       state.salesByStatus = [];
       state.recentSales = [];
       state.topProducts = [];
@@ -124,6 +128,7 @@ const statsSlice = createSlice({
         state.metrics = data.metrics;
         state.salesByProduct = data.salesByProduct || [];
         state.salesByAdvisor = data.salesByAdvisor || [];
+        state.salesByBranch = data.salesByBranch || [];
         state.salesByStatus = data.salesByStatus || [];
         state.recentSales = data.recentSales || [];
         state.topProducts = data.topProducts || [];
@@ -166,16 +171,16 @@ const statsSlice = createSlice({
 
       // Fetch Sales by Advisor
       .addCase(fetchSalesByAdvisor.pending, (state) => {
-        state.loading = true;
+        state.advisorsLoading = true;
         state.error = null;
       })
       .addCase(fetchSalesByAdvisor.fulfilled, (state, action) => {
-        state.loading = false;
+        state.advisorsLoading = false;
         state.salesByAdvisor = action.payload.data || action.payload;
         state.error = null;
       })
       .addCase(fetchSalesByAdvisor.rejected, (state, action) => {
-        state.loading = false;
+        state.advisorsLoading = false;
         state.error = action.payload?.error?.message || 'Failed to fetch sales by advisor';
       })
 
@@ -204,11 +209,13 @@ export const selectDashboard = (state) => state.stats.dashboard;
 export const selectMetrics = (state) => state.stats.metrics;
 export const selectSalesByProduct = (state) => state.stats.salesByProduct;
 export const selectSalesByAdvisor = (state) => state.stats.salesByAdvisor;
+export const selectSalesByBranch = (state) => state.stats.salesByBranch;
 export const selectSalesByStatus = (state) => state.stats.salesByStatus;
 export const selectRecentSales = (state) => state.stats.recentSales;
 export const selectTopProducts = (state) => state.stats.topProducts;
 export const selectTrends = (state) => state.stats.trends;
 export const selectStatsLoading = (state) => state.stats.loading;
+export const selectAdvisorsLoading = (state) => state.stats.advisorsLoading;
 export const selectStatsError = (state) => state.stats.error;
 
 // Export reducer
@@ -0,0 +1,154 @@
+/**
+ * Team Slice
+ * Manages teams (a supervisor and their advisors)
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import teamService from '../../services/teamService';
+
+// Initial state
+const initialState = {
+  teams: [],
+  loading: false,
+  error: null
+};
+
+/**
+ * Async Thunks
+ */
+
+// Get all teams
+export const fetchTeams = createAsyncThunk(
+  'teams/fetchTeams',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await teamService.getAllTeams();
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch teams' });
+    }
+  }
+);
+
+// Create team
+export const createTeam = createAsyncThunk(
+  'teams/createTeam',
+  async (teamData, { rejectWithValue }) => {
+    try {
+      const response = await teamService.createTeam(teamData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to create team' });
+    }
+  }
+);
+
+// Update team
+export const updateTeam = createAsyncThunk(
+  'teams/updateTeam',
+  async ({ id, teamData }, { rejectWithValue }) => {
+    try {
+      const response = await teamService.updateTeam(id, teamData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to update team' });
+    }
+  }
+);
+
+// Delete team
+export const deleteTeam = createAsyncThunk(
+  'teams/deleteTeam',
+  async (id, { rejectWithValue }) => {
+    try {
+      await teamService.deleteTeam(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to delete team' });
+    }
+  }
+);
+
+/**
+ * Team Slice
+ */
+const teamSlice = createSlice({
+  name: 'teams',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Teams
+      .addCase(fetchTeams.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchTeams.fulfilled, (state, action) => {
+        state.loading = false;
+        state.teams = action.payload;
+        state.error = null;
+      })
+      .addCase(fetchTeams.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to fetch teams';
+      })
+
+      // Create Team
+      .addCase(createTeam.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createTeam.fulfilled, (state) => {
+        state.loading = false;
+        state.error = null;
+      })
+      .addCase(createTeam.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to create team';
+      })
+
+      // Update Team
+      .addCase(updateTeam.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateTeam.fulfilled, (state) => {
+        state.loading = false;
+        state.error = null;
+      })
+      .addCase(updateTeam.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to update team';
+      })
+
+      // Delete Team
+      .addCase(deleteTeam.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteTeam.fulfilled, (state, action) => {
+        state.loading = false;
+        state.teams = state.teams.filter(t => t.id !== action.payload);
+        state.error = null;
+      })
+      .addCase(deleteTeam.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to delete team';
+      });
+  }
+});
+
+// Export actions
+export const { clearError } = teamSlice.actions;
+
+// Selectors
+export const selectTeams = (state) => state.teams.teams;
+export const selectTeamsLoading = (state) => state.teams.loading;
+export const selectTeamsError = (state) => state.teams.error;
+
+// Export reducer
+export default teamSlice.reducer;
@@ -17,7 +17,18 @@ const initialState = {
     totalPages: 0
   },
   loading: false,
-  error: null
+  error: null,
+  loginAttempts: [],
+  loginAttemptsPagination: {
+    total: 0,
+    page: 1,
+    limit: 10,
+    totalPages: 0
+  },
+  loginAttemptsLoading: false,
+  // Invitations not accepted yet
+  invitations: [],
+  invitationsLoading: false
 };
 
 /**
@@ -63,6 +74,58 @@ export const createUser = createAsyncThunk(
   }
 );
 
+// Get pending invitations
+export const fetchInvitations = createAsyncThunk(
+  'users/fetchInvitations',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await userService.getInvitations();
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch invitations' });
+    }
+  }
+);
+
+// Invite user
+export const inviteUser = createAsyncThunk(
+  'users/inviteUser',
+  async (userData, { rejectWithValue }) => {
+    try {
+      const response = await userService.inviteUser(userData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to invite user' });
+    }
+  }
+);
+
+// Resend invitation
+export const resendInvitation = createAsyncThunk(
+  'users/resendInvitation',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await userService.resendInvitation(id);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to resend invitation' });
+    }
+  }
+);
+
+// Revoke invitation
+export const revokeInvitation = createAsyncThunk(
+  'users/revokeInvitation',
+  async (id, { rejectWithValue }) => {
+    try {
+      await userService.revokeInvitation(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to revoke invitation' });
+    }
+  }
+);
+
 // Update user
 export const updateUser = createAsyncThunk(
   'users/updateUser',
@@ -89,6 +152,58 @@ export const deleteUser = createAsyncThunk(
   }
 );
 
+// Force logout user
+export const forceLogoutUser = createAsyncThunk(
+  'users/forceLogoutUser',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await userService.forceLogout(id);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to log out user' });
+    }
+  }
+);
+
+// Unlock user locked by failed logins
+export const unlockUser = createAsyncThunk(
+  'users/unlockUser',
+  async (id, { rejectWithValue }) => {
+    try {
+      await userService.unlockUser(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to unlock user' });
+    }
+  }
+);
+
+// Activate or deactivate user
+export const updateUserStatus = createAsyncThunk(
+  'users/updateUserStatus',
+  async ({ id, activo }, { rejectWithValue }) => {
+    try {
+      const response = await userService.updateUserStatus(id, activo);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to update user status' });
+    }
+  }
+);
+
+// Get login attempts
+export const fetchLoginAttempts = createAsyncThunk(
+  'users/fetchLoginAttempts',
+  async (params, { rejectWithValue }) => {
+    try {
+      const response = await userService.getLoginAttempts(params);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data || { message: 'Failed to fetch login attempts' });
+    }
+  }
+);
+
 /**
  * User Slice
  */
@@ -185,6 +300,140 @@ const userSlice = createSlice({
       .addCase(deleteUser.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload?.error?.message || 'Failed to delete user';
+      })
+
+      // Force Logout User
+      .addCase(forceLogoutUser.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(forceLogoutUser.fulfilled, (state) => {
+        state.loading = false;
+        state.error = null;
+      })
+      .addCase(forceLogoutUser.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to log out user';
+      })
+
+      // Unlock User
+      .addCase(unlockUser.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(unlockUser.fulfilled, (state, action) => {
+        state.loading = false;
+        const user = state.users.find(u => u.id === action.payload);
+        if (user) {
+          user.bloqueadoHasta = null;
+        }
+        state.error = null;
+      })
+      .addCase(unlockUser.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to unlock user';
+      })
+
+      // Update User Status
+      .addCase(updateUserStatus.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateUserStatus.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.users.findIndex(u => u.id === action.payload.id);
+        if (index !== -1) {
+          state.users[index] = action.payload;
+        }
+        state.error = null;
+      })
+      .addCase(updateUserStatus.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to update user status';
+      })
+
+      // Fetch Invitations
+      .addCase(fetchInvitations.pending, (state) => {
+        state.invitationsLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchInvitations.fulfilled, (state, action) => {
+        state.invitationsLoading = false;
+        state.invitations = action.payload;
+        state.error = null;
+      })
+      .addCase(fetchInvitations.rejected, (state, action) => {
+        state.invitationsLoading = false;
+        state.error = action.payload?.error?.message || 'Failed to fetch invitations';
+      })
+
+      // Invite User
+      .addCase(inviteUser.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(inviteUser.fulfilled, (state, action) => {
+        state.loading = false;
+        state.invitations.unshift(action.payload);
+        state.error = null;
+      })
+      .addCase(inviteUser.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.error?.message || 'Failed to invite user';
+      })
+
+      // Resend Invitation
+      .addCase(resendInvitation.pending, (state) => {
+        state.invitationsLoading = true;
+        state.error = null;
+      })
+      .addCase(resendInvitation.fulfilled, (state, action) => {
+        state.invitationsLoading = false;
+        const index = state.invitations.findIndex(i => i.id === action.payload.id);
+        if (index !== -1) {
+          state.invitations[index] = action.payload;
+        }
+        state.error = null;
+      })
+      .addCase(resendInvitation.rejected, (state, action) => {
+        state.invitationsLoading = false;
+        state.error = action.payload?.error?.message || 'Failed to resend invitation';
+      })
+
+      // Revoke Invitation
+      .addCase(revokeInvitation.pending, (state) => {
+        state.invitationsLoading = true;
+        state.error = null;
+      })
+      .addCase(revokeInvitation.fulfilled, (state, action) => {
+        state.invitationsLoading = false;
+        const invitation = state.invitations.find(i => i.id === action.payload);
+        state.invitations = state.invitations.filter(i => i.id !== action.payload);
+        // The pending user is gone too
+        if (invitation) {
+          state.users = state.users.filter(u => u.id !== invitation.usuarioId);
+        }
+        state.error = null;
+      })
+      .addCase(revokeInvitation.rejected, (state, action) => {
+        state.invitationsLoading = false;
+        state.error = action.payload?.error?.message || 'Failed to revoke invitation';
+      })
+
+      // Fetch Login Attempts
+      .addCase(fetchLoginAttempts.pending, (state) => {
+        state.loginAttemptsLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchLoginAttempts.fulfilled, (state, action) => {
+        state.loginAttemptsLoading = false;
+        state.loginAttempts = action.payload.attempts;
+        state.loginAttemptsPagination = action.payload.pagination;
+        state.error = null;
+      })
+      .addCase(fetchLoginAttempts.rejected, (state, action) => {
+        state.loginAttemptsLoading = false;
+        state.error = action.payload?.error?.message || 'Failed to fetch login attempts';
       });
   }
 });
@@ -198,6 +447,11 @@ export const selectCurrentUser = (state) => state.users.currentUser;
 export const selectUsersPagination = (state) => state.users.pagination;
 export const selectUsersLoading = (state) => state.users.loading;
 export const selectUsersError = (state) => state.users.error;
+export const selectLoginAttempts = (state) => state.users.loginAttempts;
+export const selectLoginAttemptsPagination = (state) => state.users.loginAttemptsPagination;
+export const selectLoginAttemptsLoading = (state) => state.users.loginAttemptsLoading;
+export const selectInvitations = (state) => state.users.invitations;
+export const selectInvitationsLoading = (state) => state.users.invitationsLoading;
 
 // Export reducer
 export default userSlice.reducer;
\ No newline at end of file
@@ -7,7 +7,11 @@ import { configureStore } from '@reduxjs/toolkit';
 import authReducer from './slices/authSlice';
 import userReducer from './slices/userSlice';
 import saleReducer from './slices/saleSlice';
+import clientReducer from './slices/clientSlice';
 import productReducer from './slices/productSlice';
+import roleReducer from './slices/roleSlice';
+import teamReducer from './slices/teamSlice';
+import branchReducer from './slices/branchSlice';
 import statsReducer from './slices/statsSlice';
 import uiReducer from './slices/uiSlice';
 
@@ -20,7 +24,11 @@ const store = configureStore({
     auth: authReducer,
     users: userReducer,
     sales: saleReducer,
+    clients: clientReducer,
     products: productReducer,
+    roles: roleReducer,
+    teams: teamReducer,
+    branches: branchReducer,
     stats: statsReducer,
     ui: uiReducer
   },
@@ -0,0 +1,102 @@
+/**
+ * Colombian Identity Documents
+ * Format rules for cédulas de ciudadanía (CC), cédulas de extranjería (CE),
+ * passports (PA) and NITs, including the DIAN verification digit
+ * Synchronized with backend/src/utils/identityDocuments.js
+ */
+
+import { DOCUMENT_TYPES } from '../constants';
+
+// Format rules per document type, applied to the normalized number
+export const DOCUMENT_RULES = {
+  [DOCUMENT_TYPES.CC]: {
+    pattern: /^[1-9][0-9]{5,9}$/,
+    message: 'La cédula debe tener entre 6 y 10 dígitos y no puede empezar por 0'
+  },
+  [DOCUMENT_TYPES.CE]: {
+    pattern: /^[0-9]{6,10}$/,
+    message: 'La cédula de extranjería debe tener entre 6 y 10 dígitos'
+  },
+  [DOCUMENT_TYPES.PASSPORT]: {
+    pattern: /^[A-Z0-9]{6,20}$/,
+    message: 'El pasaporte debe tener entre 6 y 20 letras o dígitos'
+  },
+  [DOCUMENT_TYPES.NIT]: {
+    pattern: /^[0-9]{8,15}-[0-9]$/,
+    message: 'El NIT debe tener entre 8 y 15 dígitos seguidos del dígito de verificación'
+  }
+};
+
+// DIAN weights, applied from the rightmost digit of the NIT base
+const NIT_WEIGHTS = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71];
+
+/**
+ * Calculate NIT check digit (DIAN modulo 11 algorithm)
+ * @param {string} base - NIT digits without the verification digit
+ * @returns {number} Verification digit (0-9)
+ */
+export const calculateNitCheckDigit = (base) => {
+  const digits = String(base).split('').reverse();
+
+  const sum = digits.reduce(
+    (total, digit, index) => total + parseInt(digit) * NIT_WEIGHTS[index],
+    0
+  );
+
+  const remainder = sum % 11;
+  return remainder > 1 ? 11 - remainder : remainder;
+};
+
+/**
+ * Normalize a document number: removes dots and spaces and upper-cases passports
+ * A NIT is returned as "base-dv"; without a hyphen the last digit is taken as the dv
+ * @param {string} type - Document type
+ * @param {string} number - Document number as typed
+ * @returns {string} Normalized document number
+ */
+export const normalizeDocumentNumber = (type, number) => {
+  if (number === undefined || number === null) {
+    return number;
+  }
+
+  const value = String(number).trim().toUpperCase().replace(/[\s.]/g, '');
+
+  if (type === DOCUMENT_TYPES.NIT && /^[0-9]+$/.test(value) && value.length > 1) {
+    return `${value.slice(0, -1)}-${value.slice(-1)}`;
+  }
+
+  if (type === DOCUMENT_TYPES.PASSPORT) {
+    return value.replace(/-/g, '');
+  }
+
+  return value;
+};
+
+/**
+ * Get the validation error of a document
+ * @param {string} type - Document type
+ * @param {string} number - Document number
+ * @returns {string|null} Error message, null when the document is valid
+ */
+export const getDocumentError = (type, number) => {
+  const rule = DOCUMENT_RULES[type];
+
+  if (!rule) {
+    return 'Tipo de documento inválido';
+  }
+
+  const value = normalizeDocumentNumber(type, number);
+
+  if (!value || !rule.pattern.test(value)) {
+    return rule.message;
+  }
+
+  if (type === DOCUMENT_TYPES.NIT) {
+    const [base, checkDigit] = value.split('-');
+    if (calculateNitCheckDigit(base) !== parseInt(checkDigit)) {
+      return 'El dígito de verificación del NIT es incorrecto';
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,164 @@
+/**
+ * Password Policy
+ * Rules every new password must meet: length, character classes, no name or
+ * email parts and not in the list of common passwords. The server also
+ * rejects the user's recent passwords
+ * Synchronized with backend/src/utils/passwordPolicy.js
+ */
+
+import { VALIDATION, PASSWORD_POLICY } from '../constants';
+import commonPasswords from './commonPasswords.json';
+
+const COMMON_PASSWORDS = new Set(commonPasswords);
+
+// Character classes counted against PASSWORD_POLICY.MIN_CHARACTER_CLASSES
+const CHARACTER_CLASSES = {
+  lowercase: /\p{Ll}/u,
+  uppercase: /\p{Lu}/u,
+  digit: /\d/,
+  symbol: /[^\p{L}\d]/u
+};
+
+// Common character substitutions ("P@ssw0rd" is still "password")
+const SUBSTITUTIONS = {
+  '@': 'a',
+  '4': 'a',
+  '3': 'e',
+  '1': 'i',
+  '!': 'i',
+  '0': 'o',
+  '$': 's',
+  '5': 's',
+  '7': 't'
+};
+
+/**
+ * Normalize text: lower case without accents
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Get the character classes present in a password
+ * @param {string} password - Password
+ * @returns {string[]} Names of the classes (lowercase, uppercase, digit, symbol)
+ */
+export const getCharacterClasses = (password) => Object.keys(CHARACTER_CLASSES)
+  .filter((name) => CHARACTER_CLASSES[name].test(password));
+
+/**
+ * Get the name words and email parts long enough to be checked
+ * @param {Object} user - { nombre, email }
+ * @returns {string[]} Normalized parts
+ */
+const getPersonalInfoParts = ({ nombre, email } = {}) => {
+  const localPart = normalize(email).split('@')[0];
+  const parts = [
+    ...normalize(nombre).split(/\s+/),
+    localPart,
+    ...localPart.split(/[._+-]+/)
+  ];
+
+  return [...new Set(parts)].filter((part) => part.length >= PASSWORD_POLICY.PERSONAL_INFO_MIN_LENGTH);
+};
+
+/**
+ * Check if a password is in the common password list
+ * Also catches leading/trailing digits or symbols and the usual substitutions
+ * @param {string} password - Password
+ * @returns {boolean} True if the password is common
+ */
+export const isCommonPassword = (password) => {
+  const lower = normalize(password);
+  const base = lower.replace(/^\d+/, '').replace(/[\d\W_]+$/, '');
+  const unsubstituted = base.replace(/[@4310!$57]/g, (char) => SUBSTITUTIONS[char]);
+
+  return [lower, base, unsubstituted].some((candidate) => candidate && COMMON_PASSWORDS.has(candidate));
+};
+
+/**
+ * Check a password against each rule of the policy
+ * @param {string} password - Password
+ * @param {Object} user - { nombre, email } of the account, omitted parts are not checked
+ * @returns {Object[]} Rules as { id, label, passed }
+ */
+export const getPasswordChecks = (password, user = {}) => {
+  const value = String(password || '');
+  const normalized = normalize(value);
+
+  return [
+    {
+      id: 'length',
+      label: `Entre ${VALIDATION.PASSWORD_MIN_LENGTH} y ${VALIDATION.PASSWORD_MAX_LENGTH} caracteres`,
+      passed: value.length >= VALIDATION.PASSWORD_MIN_LENGTH && value.length <= VALIDATION.PASSWORD_MAX_LENGTH
+    },
+    {
+      id: 'classes',
+      label: `Al menos ${PASSWORD_POLICY.MIN_CHARACTER_CLASSES} de: minúsculas, mayúsculas, números y símbolos`,
+      passed: getCharacterClasses(value).length >= PASSWORD_POLICY.MIN_CHARACTER_CLASSES
+    },
+    {
+      id: 'personal',
+      label: 'No contiene tu nombre ni tu email',
+      passed: value.length > 0 && !getPersonalInfoParts(user).some((part) => normalized.includes(part))
+    },
+    {
+      id: 'common',
+      label: 'No es una contraseña común',
+      passed: value.length > 0 && !isCommonPassword(value)
+    }
+  ];
+};
+
+// Error messages of the rules, in the order of getPasswordChecks
+const RULE_ERRORS = {
+  length: `La contraseña debe tener entre ${VALIDATION.PASSWORD_MIN_LENGTH} y ${VALIDATION.PASSWORD_MAX_LENGTH} caracteres`,
+  classes: `La contraseña debe incluir al menos ${PASSWORD_POLICY.MIN_CHARACTER_CLASSES} de: minúsculas, mayúsculas, números y símbolos`,
+  personal: 'La contraseña no puede contener tu nombre ni tu email',
+  common: 'La contraseña es demasiado común, elige una menos predecible'
+};
+
+/**
+ * Get the first policy error of a password
+ * @param {string} password - Password
+ * @param {Object} user - { nombre, email } of the account
+ * @returns {string|null} Error message, null when the password meets the policy
+ */
+export const getPasswordPolicyError = (password, user = {}) => {
+  const failed = getPasswordChecks(password, user).find((check) => !check.passed);
+  return failed ? RULE_ERRORS[failed.id] : null;
+};
+
+/**
+ * Estimate password strength for the strength meter
+ * @param {string} password - Password
+ * @param {Object} user - { nombre, email } of the account
+ * @returns {Object} { score (0-4), label, color }
+ */
+export const getPasswordStrength = (password, user = {}) => {
+  const value = String(password || '');
+
+  if (!value) {
+    return { score: 0, label: '', color: 'inherit' };
+  }
+
+  if (getPasswordPolicyError(value, user)) {
+    return { score: 1, label: 'Débil', color: 'error' };
+  }
+
+  const classes = getCharacterClasses(value).length;
+
+  if (value.length >= 14 && classes === 4) {
+    return { score: 4, label: 'Fuerte', color: 'success' };
+  }
+
+  if (value.length >= 12 || classes === 4) {
+    return { score: 3, label: 'Buena', color: 'info' };
+  }
+
+  return { score: 2, label: 'Aceptable', color: 'warning' };
+};
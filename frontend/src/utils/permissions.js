@@ -0,0 +1,36 @@
+/**
+ * Permission Helpers
+ * Checks against the permission keys of the user's role (user.permisos)
+ * Only hides what the user cannot do, the server enforces every permission
+ * Synchronized with backend/src/utils/permissions.js
+ */
+
+/**
+ * Has Permission
+ * @param {Array} permissions - Permission keys granted to the user
+ * @param {String} permission - Permission key to check
+ * @returns {Boolean} Whether the permission is granted
+ */
+export const hasPermission = (permissions, permission) =>
+  Array.isArray(permissions) && permissions.includes(permission);
+
+/**
+ * Has Any Permission
+ * @param {Array} permissions - Permission keys granted to the user
+ * @param {Array} required - Permission keys, any of them is enough
+ * @returns {Boolean} Whether at least one of the permissions is granted
+ */
+export const hasAnyPermission = (permissions, required) =>
+  required.some((permission) => hasPermission(permissions, permission));
+
+/**
+ * Has Scoped Permission
+ * Pair of ":any" and ":own" permissions, the latter only counts on the user's own records
+ * @param {Array} permissions - Permission keys granted to the user
+ * @param {String} anyPermission - Permission that applies to every record
+ * @param {String} ownPermission - Permission that applies to the user's own records
+ * @param {Boolean} isOwner - Whether the record belongs to the user
+ * @returns {Boolean} Whether the user may act on the record
+ */
+export const hasScopedPermission = (permissions, anyPermission, ownPermission, isOwner) =>
+  hasPermission(permissions, anyPermission) || (isOwner && hasPermission(permissions, ownPermission));
@@ -0,0 +1,67 @@
+/**
+ * Validation Schemas
+ * yup schemas mirroring the backend validation rules so forms catch errors before submitting
+ */
+
+import * as yup from 'yup';
+import { DOCUMENT_TYPES, VALIDATION } from '../constants';
+import { getDocumentError } from './identityDocuments';
+
+/**
+ * Client (customer) schema
+ * The document number is checked against the selected document type
+ */
+export const clientSchema = yup.object({
+  tipoDocumento: yup
+    .string()
+    .required('El tipo de documento es obligatorio')
+    .oneOf(Object.values(DOCUMENT_TYPES), 'Tipo de documento inválido'),
+  numeroDocumento: yup
+    .string()
+    .trim()
+    .required('El número de documento es obligatorio')
+    .max(VALIDATION.DOCUMENT_NUMBER_MAX_LENGTH, `Máximo ${VALIDATION.DOCUMENT_NUMBER_MAX_LENGTH} caracteres`)
+    .test('document', function validateDocument(value) {
+      const error = getDocumentError(this.parent.tipoDocumento, value);
+      return error ? this.createError({ message: error }) : true;
+    }),
+  nombreCompleto: yup
+    .string()
+    .trim()
+    .required('El nombre completo es obligatorio')
+    .min(VALIDATION.CLIENT_NAME_MIN_LENGTH, `Mínimo ${VALIDATION.CLIENT_NAME_MIN_LENGTH} caracteres`)
+    .max(VALIDATION.CLIENT_NAME_MAX_LENGTH, `Máximo ${VALIDATION.CLIENT_NAME_MAX_LENGTH} caracteres`),
+  telefono: yup
+    .string()
+    .trim()
+    .matches(/^\+?[0-9\s-]{7,20}$/, { message: 'Teléfono inválido', excludeEmptyString: true }),
+  email: yup
+    .string()
+    .trim()
+    .email('Email inválido')
+    .max(VALIDATION.CLIENT_EMAIL_MAX_LENGTH, `Máximo ${VALIDATION.CLIENT_EMAIL_MAX_LENGTH} caracteres`),
+  ingresosMensuales: yup
+    .number()
+    .transform((value, original) => (original === '' ? null : value))
+    .nullable()
+    .typeError('Debe ser un número')
+    .min(VALIDATION.INCOME_MIN, `Debe ser mayor o igual a ${VALIDATION.INCOME_MIN}`)
+});
+
+/**
+ * Validate data against a schema
+ * @param {yup.Schema} schema - yup schema
+ * @param {Object} data - Form data
+ * @returns {Object} Errors keyed by field, empty when valid
+ */
+export const getValidationErrors = (schema, data) => {
+  try {
+    schema.validateSync(data, { abortEarly: false });
+    return {};
+  } catch (error) {
+    return error.inner.reduce((errors, fieldError) => ({
+      ...errors,
+      [fieldError.path]: errors[fieldError.path] || fieldError.message
+    }), {});
+  }
+};
@@ -12,46 +12,103 @@ const ROLES = {
   ADVISOR: {
     ID: 2,
     NAME: 'Asesor'
+  },
+  SUPERVISOR: {
+    ID: 3,
+    NAME: 'Supervisor'
+  },
+  AUDITOR: {
+    ID: 4,
+    NAME: 'Auditor'
+  },
+  BACK_OFFICE: {
+    ID: 5,
+    NAME: 'Back-office'
   }
 };
 
+// Permission keys (permisos.clave) granted to roles through rol_permisos
+// ":own" permissions only apply to records created by the user, ":any" to every record
+const PERMISSIONS = {
+  SALES_READ_OWN: 'sales:read:own',
+  // Team scope: the user's own records and those of the members of the teams they supervise
+  SALES_READ_TEAM: 'sales:read:team',
+  SALES_READ_ANY: 'sales:read:any',
+  SALES_CREATE: 'sales:create',
+  SALES_UPDATE_OWN: 'sales:update:own',
+  SALES_UPDATE_TEAM: 'sales:update:team',
+  SALES_UPDATE_ANY: 'sales:update:any',
+  // Change the status of any sale without editing its amounts or details
+  SALES_STATUS_ANY: 'sales:status:any',
+  SALES_STATUS_ADVANCE: 'sales:status:advance',
+  SALES_STATUS_REVIEW: 'sales:status:review',
+  SALES_DELETE_OWN: 'sales:delete:own',
+  SALES_DELETE_TEAM: 'sales:delete:team',
+  SALES_DELETE_ANY: 'sales:delete:any',
+  SALES_RESTORE: 'sales:restore',
+  // Move sales to another advisor (e.g. when one leaves)
+  SALES_REASSIGN: 'sales:reassign',
+  CLIENTS_READ_OWN: 'clients:read:own',
+  CLIENTS_READ_ANY: 'clients:read:any',
+  CLIENTS_CREATE: 'clients:create',
+  CLIENTS_UPDATE: 'clients:update',
+  CLIENTS_DELETE: 'clients:delete',
+  STATS_READ_ADVISORS: 'stats:read:advisors',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  CATALOG_MANAGE: 'catalog:manage',
+  ROLES_MANAGE: 'roles:manage',
+  TEAMS_MANAGE: 'teams:manage',
+  USERS_IMPERSONATE: 'users:impersonate'
+};
+
 // Sale statuses
 const SALE_STATUSES = {
   OPEN: 'Abierto',
   IN_PROCESS: 'En Proceso',
-  FINISHED: 'Finalizado'
+  FINISHED: 'Finalizado',
+  REJECTED: 'Rechazado'
 };
 
-// Product type IDs (sync with seeds)
-const PRODUCTS = {
-  CONSUMER_CREDIT: {
-    ID: 1,
-    NAME: 'Credito de Consumo'
+// Allowed sale status transitions: from status -> { to status: permission required }
+// Keep synchronized with backend/src/utils/saleStateMachine.js
+const SALE_STATUS_TRANSITIONS = {
+  [SALE_STATUSES.OPEN]: {
+    [SALE_STATUSES.IN_PROCESS]: PERMISSIONS.SALES_STATUS_ADVANCE,
+    [SALE_STATUSES.REJECTED]: PERMISSIONS.SALES_STATUS_ADVANCE
   },
-  FREE_INVESTMENT_PAYROLL: {
-    ID: 2,
-    NAME: 'Libranza Libre Inversión'
+  [SALE_STATUSES.IN_PROCESS]: {
+    [SALE_STATUSES.OPEN]: PERMISSIONS.SALES_STATUS_REVIEW,
+    [SALE_STATUSES.FINISHED]: PERMISSIONS.SALES_STATUS_REVIEW,
+    [SALE_STATUSES.REJECTED]: PERMISSIONS.SALES_STATUS_REVIEW
   },
-  CREDIT_CARD: {
-    ID: 3,
-    NAME: 'Tarjeta de Credito'
-  }
+  [SALE_STATUSES.FINISHED]: {},
+  [SALE_STATUSES.REJECTED]: {}
 };
 
-// Franchise IDs (sync with seeds)
-const FRANCHISES = {
-  AMEX: {
-    ID: 1,
-    NAME: 'AMEX'
-  },
-  VISA: {
-    ID: 2,
-    NAME: 'VISA'
-  },
-  MASTERCARD: {
-    ID: 3,
-    NAME: 'MASTERCARD'
-  }
+// Sale history (audit trail) actions
+const SALE_HISTORY_ACTIONS = {
+  CREATE: 'Creacion',
+  UPDATE: 'Actualizacion',
+  DELETE: 'Eliminacion',
+  RESTORE: 'Restauracion',
+  REASSIGN: 'Reasignacion'
+};
+
+// Customer document types (Colombia)
+const DOCUMENT_TYPES = {
+  CC: 'CC',
+  CE: 'CE',
+  PASSPORT: 'PA',
+  NIT: 'NIT'
+};
+
+// Customer document type labels (UI)
+const DOCUMENT_TYPE_LABELS = {
+  [DOCUMENT_TYPES.CC]: 'Cédula de Ciudadanía',
+  [DOCUMENT_TYPES.CE]: 'Cédula de Extranjería',
+  [DOCUMENT_TYPES.PASSPORT]: 'Pasaporte',
+  [DOCUMENT_TYPES.NIT]: 'NIT'
 };
 
 // Custom error codes
@@ -62,7 +119,10 @@ const ERROR_CODES = {
   NOT_FOUND: 'NOT_FOUND',
   DUPLICATE_ENTRY: 'DUPLICATE_ENTRY',
   SERVER_ERROR: 'SERVER_ERROR',
-  CAPTCHA_ERROR: 'CAPTCHA_ERROR'
+  CAPTCHA_ERROR: 'CAPTCHA_ERROR',
+  CONFLICT: 'CONFLICT',
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED'
 };
 
 // Frontend routes
@@ -71,18 +131,99 @@ const ROUTES = {
   DASHBOARD: '/dashboard',
   USERS: '/users',
   SALES: '/sales',
+  CLIENTS: '/clients',
+  PRODUCTS: '/products',
+  FRANCHISES: '/franchises',
+  ROLES: '/roles',
+  TEAMS: '/teams',
+  BRANCHES: '/branches',
   STATS: '/stats'
 };
 
 // Validation configurations
 const VALIDATION = {
   PASSWORD_MIN_LENGTH: 8,
+  PASSWORD_MAX_LENGTH: 255,
   NAME_MIN_LENGTH: 3,
   NAME_MAX_LENGTH: 50,
   EMAIL_MAX_LENGTH: 50,
   AMOUNT_MIN: 0.01,
   RATE_MIN: 0,
-  RATE_MAX: 100
+  RATE_MAX: 100,
+  CLIENT_NAME_MIN_LENGTH: 3,
+  CLIENT_NAME_MAX_LENGTH: 100,
+  CLIENT_EMAIL_MAX_LENGTH: 100,
+  DOCUMENT_NUMBER_MAX_LENGTH: 20,
+  PHONE_MAX_LENGTH: 20,
+  INCOME_MIN: 0,
+  PRODUCT_NAME_MIN_LENGTH: 3,
+  PRODUCT_NAME_MAX_LENGTH: 100,
+  FRANCHISE_NAME_MIN_LENGTH: 2,
+  FRANCHISE_NAME_MAX_LENGTH: 50,
+  ROLE_NAME_MIN_LENGTH: 3,
+  ROLE_NAME_MAX_LENGTH: 50,
+  TEAM_NAME_MIN_LENGTH: 3,
+  TEAM_NAME_MAX_LENGTH: 50,
+  BRANCH_NAME_MIN_LENGTH: 3,
+  BRANCH_NAME_MAX_LENGTH: 100,
+  SEARCH_MAX_LENGTH: 100
+};
+
+// Bulk sale import (CSV/XLSX upload)
+const SALE_IMPORT = {
+  MAX_FILE_SIZE: 2 * 1024 * 1024, // 2 MB
+  MAX_ROWS: 500,
+  ALLOWED_EXTENSIONS: ['.csv', '.xlsx'],
+  COLUMNS: ['tipoDocumento', 'numeroDocumento', 'producto', 'cupoSolicitado', 'franquicia', 'tasa']
+};
+
+// Operations on several sales at once (POST /api/sales/reassign, PATCH /api/sales/bulk)
+const SALE_BULK = {
+  MAX_SALES: 500,
+  ACTIONS: {
+    STATUS: 'status',
+    REASSIGN: 'reassign',
+    DELETE: 'delete'
+  }
+};
+
+// Sale export formats (GET /api/sales/export)
+const SALE_EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  PDF: 'pdf'
+};
+
+// Sortable sale list columns (sortBy) and directions (sortDir)
+const SALE_SORT_FIELDS = ['createdAt', 'updatedAt', 'cupoSolicitado', 'tasa', 'estado', 'productoNombre', 'usuarioCreadorNombre'];
+
+const SORT_DIRECTIONS = {
+  ASC: 'asc',
+  DESC: 'desc'
+};
+
+// Two-factor authentication (TOTP)
+const MFA = {
+  CODE_LENGTH: 6,
+  RECOVERY_CODES: 8
+};
+
+// Password policy (complexity rules, the server also checks history and common passwords)
+const PASSWORD_POLICY = {
+  MIN_CHARACTER_CLASSES: 3,
+  PERSONAL_INFO_MIN_LENGTH: 4
+};
+
+// Login attempt reasons (login_intentos.motivo)
+const LOGIN_ATTEMPT_REASONS = {
+  SUCCESS: 'success',
+  MFA_PENDING: 'mfa_pending',
+  UNKNOWN_EMAIL: 'unknown_email',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_MFA_CODE: 'invalid_mfa_code',
+  PASSWORD_EXPIRED: 'password_expired',
+  LOCKED: 'locked',
+  INACTIVE: 'inactive'
 };
 
 // Export based on environment (CommonJS for Node, ES6 for React)
@@ -90,22 +231,44 @@ if (typeof module !== 'undefined' && module.exports) {
   // Node.js (Backend)
   module.exports = {
     ROLES,
+    PERMISSIONS,
     SALE_STATUSES,
-    PRODUCTS,
-    FRANCHISES,
+    SALE_STATUS_TRANSITIONS,
+    SALE_HISTORY_ACTIONS,
+    DOCUMENT_TYPES,
+    DOCUMENT_TYPE_LABELS,
     ERROR_CODES,
     ROUTES,
-    VALIDATION
+    VALIDATION,
+    SALE_IMPORT,
+    SALE_BULK,
+    SALE_EXPORT_FORMATS,
+    SALE_SORT_FIELDS,
+    SORT_DIRECTIONS,
+    MFA,
+    PASSWORD_POLICY,
+    LOGIN_ATTEMPT_REASONS
   };
 } else {
   // Browser (Frontend)
   window.CONSTANTS = {
     ROLES,
+    PERMISSIONS,
     SALE_STATUSES,
-    PRODUCTS,
-    FRANCHISES,
+    SALE_STATUS_TRANSITIONS,
+    SALE_HISTORY_ACTIONS,
+    DOCUMENT_TYPES,
+    DOCUMENT_TYPE_LABELS,
     ERROR_CODES,
     ROUTES,
-    VALIDATION
+    VALIDATION,
+    SALE_IMPORT,
+    SALE_BULK,
+    SALE_EXPORT_FORMATS,
+    SALE_SORT_FIELDS,
+    SORT_DIRECTIONS,
+    MFA,
+    PASSWORD_POLICY,
+    LOGIN_ATTEMPT_REASONS
   };
 }
\ No newline at end of file